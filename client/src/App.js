@@ -15,6 +15,10 @@ import ListingsPage from './pages/listings/ListingsPage';
 import ListingForm from './pages/listings/ListingForm';
 import Calendar from './pages/calendar/Calendar';
 import Payments from './pages/payments/Payments';
+import PromoCodes from './pages/payments/PromoCodes';
+import Payouts from './pages/payments/Payouts';
+import Disputes from './pages/payments/Disputes';
+import DisputeDetail from './pages/payments/DisputeDetail';
 import Profile from './pages/profile/Profile';
 
 // Protected route component
@@ -58,6 +62,10 @@ function App() {
             <Route path="listings/:id/edit" element={<ListingForm />} />
             <Route path="calendar" element={<Calendar />} />
             <Route path="payments" element={<Payments />} />
+            <Route path="payments/promo-codes" element={<PromoCodes />} />
+            <Route path="payments/payouts" element={<Payouts />} />
+            <Route path="payments/disputes" element={<Disputes />} />
+            <Route path="payments/disputes/:id" element={<DisputeDetail />} />
             <Route path="profile" element={<Profile />} />
           </Route>
           
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 
-const ListingCard = ({ listing, onStatusChange }) => {
+const ListingCard = ({ listing, waitlistDepth = 0, onStatusChange }) => {
   const { id, title, description, price, images, status, createdAt } = listing;
   
   const formatDate = (dateString) => {
@@ -48,6 +48,11 @@ const ListingCard = ({ listing, onStatusChange }) => {
         
         <div className="flex justify-between items-center text-sm text-gray-500 mb-4">
           <span>Created: {formatDate(createdAt)}</span>
+          {waitlistDepth > 0 && (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+              {waitlistDepth} on waitlist
+            </span>
+          )}
         </div>
         
         <div className="flex space-x-2">
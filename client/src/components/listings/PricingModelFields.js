@@ -0,0 +1,244 @@
+import React from 'react';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+const MODEL_OPTIONS = [
+  { value: 'flat', label: 'Flat: one price per booking' },
+  { value: 'hourly', label: 'Hourly: base price per hour, prorated' },
+  { value: 'daily', label: 'Daily: base price per started day' },
+  { value: 'tiered', label: 'Tiered: price by booking length' }
+];
+
+// Label for the base price input under each model
+export const BASE_PRICE_LABELS = {
+  flat: 'Base Price ($)',
+  hourly: 'Price per Hour ($)',
+  daily: 'Price per Day ($)',
+  tiered: 'From Price ($)'
+};
+
+/**
+ * Turn a listing's pricing settings into form state (numbers as strings)
+ * @param {Object|null} pricing - listing.pricing
+ * @returns {Object} Form state
+ */
+export const toPricingForm = (pricing) => {
+  const model = (pricing && pricing.model) || 'flat';
+  const tiered = model === 'tiered';
+  
+  return {
+    model,
+    tiers: ((pricing && pricing.tiers) || []).map(tier => ({
+      upToMinutes: tier.upToMinutes === null ? '' : String(tier.upToMinutes),
+      price: String(tier.price)
+    })),
+    weekendPrice: !tiered && pricing && pricing.weekend ? String(pricing.weekend.price) : '',
+    seasons: tiered ? [] : ((pricing && pricing.seasons) || []).map(season => ({
+      name: season.name || '',
+      startDate: season.startDate,
+      endDate: season.endDate,
+      price: String(season.price)
+    })),
+    // Weekend and seasonal tiers can only be set through the API; they are kept as they are
+    tieredOverrides: tiered && pricing
+      ? { weekend: pricing.weekend || null, seasons: pricing.seasons || [] }
+      : null
+  };
+};
+
+/**
+ * Turn form state into the listing's pricing settings (null for plain flat pricing)
+ * @param {Object} form - Form state from toPricingForm
+ * @returns {Object|null} listing.pricing
+ */
+export const toPricingPayload = (form) => {
+  if (form.model === 'tiered') {
+    return {
+      model: 'tiered',
+      tiers: form.tiers.map(tier => ({
+        upToMinutes: tier.upToMinutes === '' ? null : parseInt(tier.upToMinutes, 10),
+        price: parseFloat(tier.price) || 0
+      })),
+      weekend: form.tieredOverrides ? form.tieredOverrides.weekend : null,
+      seasons: form.tieredOverrides ? form.tieredOverrides.seasons : []
+    };
+  }
+  
+  const seasons = form.seasons.map(season => ({
+    ...(season.name ? { name: season.name } : {}),
+    startDate: season.startDate,
+    endDate: season.endDate,
+    price: parseFloat(season.price) || 0
+  }));
+  
+  if (form.model === 'flat' && form.weekendPrice === '' && seasons.length === 0) {
+    return null;
+  }
+  
+  return {
+    model: form.model,
+    weekend: form.weekendPrice === '' ? null : { price: parseFloat(form.weekendPrice) || 0 },
+    seasons
+  };
+};
+
+const PricingModelFields = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  
+  const updateItem = (field, index, changes) => {
+    const items = [...value[field]];
+    items[index] = { ...items[index], ...changes };
+    update({ [field]: items });
+  };
+  
+  const removeItem = (field, index) => {
+    update({ [field]: value[field].filter((_, i) => i !== index) });
+  };
+  
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Pricing Model
+        </label>
+        <select
+          className={inputClassName}
+          value={value.model}
+          onChange={(e) => update({ model: e.target.value })}
+        >
+          {MODEL_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      
+      {value.model === 'tiered' && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <p className="text-sm font-medium text-gray-700">Price Tiers</p>
+            <button
+              type="button"
+              className="text-indigo-600 hover:text-indigo-800 text-sm"
+              onClick={() => update({ tiers: [...value.tiers, { upToMinutes: '', price: '' }] })}
+            >
+              + Add Tier
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            The first tier a booking fits in sets its price. Leave the last tier's length empty to cover longer bookings.
+          </p>
+          {value.tiers.map((tier, index) => (
+            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+              <input
+                type="number"
+                step="1"
+                min="1"
+                placeholder="Up to minutes"
+                className={`${inputClassName} col-span-5`}
+                value={tier.upToMinutes}
+                onChange={(e) => updateItem('tiers', index, { upToMinutes: e.target.value })}
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Price ($)"
+                className={`${inputClassName} col-span-5`}
+                value={tier.price}
+                onChange={(e) => updateItem('tiers', index, { price: e.target.value })}
+              />
+              <button
+                type="button"
+                className="col-span-2 text-red-500 hover:text-red-700 text-sm"
+                onClick={() => removeItem('tiers', index)}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {value.model !== 'tiered' && (
+        <>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Weekend Price ($)
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              placeholder="Same as weekdays"
+              className={inputClassName}
+              value={value.weekendPrice}
+              onChange={(e) => update({ weekendPrice: e.target.value })}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Replaces the base price on Saturdays and Sundays.
+            </p>
+          </div>
+          
+          <div className="space-y-2">
+            <div className="flex justify-between items-center">
+              <p className="text-sm font-medium text-gray-700">Seasonal Prices</p>
+              <button
+                type="button"
+                className="text-indigo-600 hover:text-indigo-800 text-sm"
+                onClick={() => update({
+                  seasons: [...value.seasons, { name: '', startDate: '', endDate: '', price: '' }]
+                })}
+              >
+                + Add Season
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Replaces the base and weekend price between two dates (inclusive).
+            </p>
+            {value.seasons.map((season, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <input
+                  type="text"
+                  placeholder="Name"
+                  className={`${inputClassName} col-span-3`}
+                  value={season.name}
+                  onChange={(e) => updateItem('seasons', index, { name: e.target.value })}
+                />
+                <input
+                  type="date"
+                  className={`${inputClassName} col-span-3`}
+                  value={season.startDate}
+                  onChange={(e) => updateItem('seasons', index, { startDate: e.target.value })}
+                />
+                <input
+                  type="date"
+                  className={`${inputClassName} col-span-3`}
+                  value={season.endDate}
+                  onChange={(e) => updateItem('seasons', index, { endDate: e.target.value })}
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  placeholder="Price ($)"
+                  className={`${inputClassName} col-span-2`}
+                  value={season.price}
+                  onChange={(e) => updateItem('seasons', index, { price: e.target.value })}
+                />
+                <button
+                  type="button"
+                  className="col-span-1 text-red-500 hover:text-red-700 text-sm"
+                  onClick={() => removeItem('seasons', index)}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PricingModelFields;
@@ -31,7 +31,7 @@ const ServiceToggle = ({ service, onUpdate, onRemove }) => {
       </div>
       
       <div className="grid grid-cols-1 md:grid-cols-12 gap-4">
-        <div className="md:col-span-5">
+        <div className="md:col-span-4">
           <label className="block text-sm font-medium text-gray-700 mb-1">
             Service Name
           </label>
@@ -44,7 +44,7 @@ const ServiceToggle = ({ service, onUpdate, onRemove }) => {
           />
         </div>
         
-        <div className="md:col-span-5">
+        <div className="md:col-span-4">
           <label className="block text-sm font-medium text-gray-700 mb-1">
             Description
           </label>
@@ -70,6 +70,21 @@ const ServiceToggle = ({ service, onUpdate, onRemove }) => {
             onChange={(e) => onUpdate('price', e.target.value)}
           />
         </div>
+        
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Max per Booking
+          </label>
+          <input
+            type="number"
+            step="1"
+            min="1"
+            max="100"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            value={service.maxQuantity}
+            onChange={(e) => onUpdate('maxQuantity', e.target.value)}
+          />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Describe the time left until a deadline, e.g. "3d 4h left" or "45m left"
+ * @param {number} msLeft - Milliseconds left
+ * @returns {string} Description
+ */
+const describeTimeLeft = (msLeft) => {
+  if (msLeft <= 0) return 'Deadline passed';
+  
+  const days = Math.floor(msLeft / DAY_MS);
+  const hours = Math.floor((msLeft % DAY_MS) / HOUR_MS);
+  const minutes = Math.floor((msLeft % HOUR_MS) / MINUTE_MS);
+  
+  if (days > 0) return `${days}d ${hours}h left`;
+  if (hours > 0) return `${hours}h ${minutes}m left`;
+  return `${Math.max(1, minutes)}m left`;
+};
+
+/**
+ * Countdown to a dispute's evidence deadline, red in its last two days
+ * @param {Object} props - { dueBy (ISO string) }
+ */
+const DisputeDeadline = ({ dueBy }) => {
+  const [now, setNow] = useState(Date.now());
+  
+  // A minute is as fine as a deadline days away needs
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), MINUTE_MS);
+    return () => clearInterval(timer);
+  }, []);
+  
+  if (!dueBy) {
+    return <span className="text-gray-500">No deadline</span>;
+  }
+  
+  const msLeft = new Date(dueBy).getTime() - now;
+  const className = msLeft < 2 * DAY_MS ? 'text-red-600 font-medium' : 'text-gray-700';
+  
+  return (
+    <span className={className} title={new Date(dueBy).toLocaleString()}>
+      {describeTimeLeft(msLeft)}
+    </span>
+  );
+};
+
+export default DisputeDeadline;
@@ -18,11 +18,28 @@ import timeGridPlugin from '@fullcalendar/timegrid';
 import interactionPlugin from '@fullcalendar/interaction';
 import BookingModal from '../../components/calendar/BookingModal';
 import BookingDetailModal from '../../components/calendar/BookingDetailModal';
+import {
+  getBrowserTimeZone,
+  formatTimeRangeInTimeZone,
+  isSameWallClock
+} from '../../utils/timezone';
+import { getBusyBlocks } from '../../services/calendarService';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Imported busy time is loaded from a week back to eight weeks ahead (the API serves 62 days at most)
+const BUSY_DAYS_BEFORE = 7;
+const BUSY_DAYS_AFTER = 55;
+
+// Statuses that take up seats (mirrors BLOCKING_STATUSES on the server)
+const SEAT_HOLDING_STATUSES = ['pending', 'confirmed', 'in_progress'];
 
 const Calendar = () => {
   const { currentUser } = useAuth();
   const calendarRef = useRef(null);
   const [bookings, setBookings] = useState([]);
+  const [busyBlocks, setBusyBlocks] = useState([]);
   const [listings, setListings] = useState([]);
   const [selectedListing, setSelectedListing] = useState('all');
   const [selectedDate, setSelectedDate] = useState(null);
@@ -62,6 +79,11 @@ const Calendar = () => {
           ...doc.data()
         }));
         setBookings(bookingsData);
+        
+        // Fetch busy time imported from the vendor's external calendars
+        const busyFrom = new Date(Date.now() - BUSY_DAYS_BEFORE * DAY_MS);
+        const busyTo = new Date(Date.now() + BUSY_DAYS_AFTER * DAY_MS);
+        setBusyBlocks(await getBusyBlocks(currentUser, busyFrom, busyTo));
       } catch (error) {
         console.error('Error fetching calendar data:', error);
       } finally {
@@ -72,9 +94,58 @@ const Calendar = () => {
     fetchData();
   }, [currentUser]);
 
-  // Transform bookings for FullCalendar
+  // Imported busy time applies to every listing, so it shows whatever the filter
+  const transformBusyBlocksToEvents = () => {
+    return busyBlocks.map(block => ({
+      id: `busy-${block.id}`,
+      title: block.summary || 'Busy',
+      start: block.startTime,
+      end: block.endTime,
+      allDay: block.allDay,
+      display: 'background',
+      backgroundColor: '#9ca3af', // gray
+      extendedProps: {
+        busyBlock: block
+      }
+    }));
+  };
+
+  // Seats taken at the busiest moment of a booking's time on a capacity
+  // listing, e.g. "7/10 booked". Like the server's seat count, any booking
+  // overlapping it (with the listing's buffers) counts, whatever its length.
+  const getSeatSummary = (booking, listing) => {
+    if (!listing || !(listing.capacity > 1)) {
+      return null;
+    }
+    
+    const before = (listing.availability?.bufferBeforeMinutes || 0) * MINUTE_MS;
+    const after = (listing.availability?.bufferAfterMinutes || 0) * MINUTE_MS;
+    const start = new Date(booking.startTime).getTime() - before;
+    const end = new Date(booking.endTime).getTime() + after;
+    const windows = bookings
+      .filter(other =>
+        other.listingId === booking.listingId &&
+        SEAT_HOLDING_STATUSES.includes(other.status)
+      )
+      .map(other => ({
+        start: new Date(other.startTime).getTime() - before,
+        end: new Date(other.endTime).getTime() + after,
+        seats: other.partySize || 1
+      }))
+      .filter(window => start < window.end && end > window.start);
+    
+    // The peak is reached where the booking or one of the others starts
+    const seatsTaken = [start, ...windows.map(window => Math.max(window.start, start))]
+      .reduce((peak, point) => Math.max(peak, windows
+        .filter(window => window.start <= point && point < window.end)
+        .reduce((seats, window) => seats + window.seats, 0)), 0);
+    
+    return `${seatsTaken}/${listing.capacity} booked`;
+  };
+
+  // Transform bookings for FullCalendar (imported busy time is drawn behind them)
   const transformBookingsToEvents = () => {
-    return bookings
+    return [...transformBusyBlocksToEvents(), ...bookings
       .filter(booking => 
         selectedListing === 'all' || booking.listingId === selectedListing
       )
@@ -82,6 +153,19 @@ const Calendar = () => {
         // Find associated listing
         const listing = listings.find(l => l.id === booking.listingId);
         
+        // Show the time in the listing's zone, plus the customer's when it differs
+        const listingTimeZone = booking.timezone || listing?.timezone || getBrowserTimeZone();
+        const customerTimeZone = booking.customerTimezone;
+        const listingTime = formatTimeRangeInTimeZone(booking.startTime, booking.endTime, listingTimeZone);
+        const customerTime = customerTimeZone &&
+          !isSameWallClock(listingTimeZone, customerTimeZone, booking.startTime)
+          ? formatTimeRangeInTimeZone(booking.startTime, booking.endTime, customerTimeZone)
+          : null;
+        const seatSummary = getSeatSummary(booking, listing);
+        const partyLabel = booking.partySize > 1 ? ` ×${booking.partySize}` : '';
+        const baseTitle = (listing ? listing.title : `Booking #${booking.id.substring(0, 8)}`) +
+          partyLabel + (seatSummary ? ` (${seatSummary})` : '');
+        
         // Set color based on booking status
         let backgroundColor;
         switch(booking.status) {
@@ -91,26 +175,41 @@ const Calendar = () => {
           case 'pending':
             backgroundColor = '#eab308'; // yellow
             break;
+          case 'in_progress':
+            backgroundColor = '#0ea5e9'; // sky
+            break;
+          case 'completed':
+            backgroundColor = '#22c55e'; // green
+            break;
           case 'cancelled':
+          case 'declined':
             backgroundColor = '#ef4444'; // red
             break;
+          case 'no_show':
+            backgroundColor = '#f97316'; // orange
+            break;
           default:
             backgroundColor = '#6b7280'; // gray
         }
         
         return {
           id: booking.id,
-          title: listing ? listing.title : `Booking #${booking.id.substring(0, 8)}`,
+          title: customerTime
+            ? `${baseTitle} · ${listingTime} (customer: ${customerTime})`
+            : `${baseTitle} · ${listingTime}`,
           start: booking.startTime,
           end: booking.endTime,
           backgroundColor,
           borderColor: backgroundColor,
           extendedProps: {
             booking,
-            listing
+            listing,
+            listingTimeZone,
+            customerTimeZone,
+            seatSummary
           }
         };
-      });
+      })];
   };
 
   // Handle date selection (for creating a new booking)
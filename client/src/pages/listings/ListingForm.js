@@ -3,13 +3,10 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { db, storage } from '../../config/firebase';
 import {
-  collection,
   doc,
   getDoc,
   setDoc,
-  addDoc,
-  Timestamp,
-  updateDoc
+  Timestamp
 } from 'firebase/firestore';
 import {
   ref,
@@ -18,9 +15,24 @@ import {
   deleteObject
 } from 'firebase/storage';
 import { v4 as uuidv4 } from 'uuid';
+import { getManagedAddOns, saveAddOn, deleteAddOn } from '../../services/addOnService';
+import { saveListing } from '../../services/listingService';
 
 // Components
 import ServiceToggle from '../../components/listings/ServiceToggle';
+import PricingModelFields, {
+  BASE_PRICE_LABELS,
+  toPricingForm,
+  toPricingPayload
+} from '../../components/listings/PricingModelFields';
+
+// Unit shown after the base price in the preview
+const PRICE_UNITS = {
+  flat: 'per booking',
+  hourly: 'per hour',
+  daily: 'per day',
+  tiered: 'and up, by booking length'
+};
 
 const ListingForm = () => {
   const { id } = useParams();
@@ -34,9 +46,20 @@ const ListingForm = () => {
   const [price, setPrice] = useState('');
   const [category, setCategory] = useState('');
   const [status, setStatus] = useState('pending');
+  const [holdMinutes, setHoldMinutes] = useState('');
+  const [cancellationPolicy, setCancellationPolicy] = useState('');
+  const [rescheduleLimit, setRescheduleLimit] = useState('');
+  const [capacity, setCapacity] = useState('1');
+  const [pricePerSeat, setPricePerSeat] = useState(false);
+  const [pricing, setPricing] = useState(toPricingForm(null));
+  // No deposit type means bookings are paid in full
+  const [depositType, setDepositType] = useState('');
+  const [depositValue, setDepositValue] = useState('');
+  const [balanceDueDays, setBalanceDueDays] = useState('7');
   const [images, setImages] = useState([]);
   const [documents, setDocuments] = useState([]);
   const [services, setServices] = useState([]);
+  const [removedServiceIds, setRemovedServiceIds] = useState([]);
   
   // UI state
   const [loading, setLoading] = useState(false);
@@ -63,20 +86,21 @@ const ListingForm = () => {
             setPrice(data.price || '');
             setCategory(data.category || '');
             setStatus(data.status || 'pending');
+            setHoldMinutes(data.holdMinutes ?? '');
+            // Custom policies (set through the API) are kept as they are
+            setCancellationPolicy(data.cancellationPolicy || '');
+            setRescheduleLimit(data.rescheduleLimit ?? '');
+            setCapacity(String(data.capacity || 1));
+            setPricePerSeat(data.pricePerSeat === true);
+            setPricing(toPricingForm(data.pricing));
+            setDepositType(data.deposit?.type || '');
+            setDepositValue(data.deposit ? String(data.deposit.value) : '');
+            setBalanceDueDays(data.deposit ? String(data.deposit.balanceDueDays) : '7');
             setImages(data.images || []);
             setDocuments(data.documents || []);
             
-            // Fetch associated services
-            const servicesCollection = collection(db, 'services');
-            const servicesQuery = await getDocs(servicesCollection);
-            const servicesData = servicesQuery.docs
-              .filter(doc => doc.data().listingId === id)
-              .map(doc => ({
-                id: doc.id,
-                ...doc.data()
-              }));
-            
-            setServices(servicesData);
+            // Add-on services are managed through the API, which prices them at booking time
+            setServices(await getManagedAddOns(currentUser, id));
           } else {
             setError('Listing not found');
             navigate('/listings');
@@ -91,7 +115,7 @@ const ListingForm = () => {
       
       fetchListingData();
     }
-  }, [id, isEditMode, navigate]);
+  }, [id, isEditMode, navigate, currentUser]);
 
   // Handle file uploads
   const handleImageChange = (e) => {
@@ -121,6 +145,7 @@ const ListingForm = () => {
         name: '',
         description: '',
         price: 0,
+        maxQuantity: 1,
         isActive: true,
         isNew: true
       }
@@ -134,6 +159,13 @@ const ListingForm = () => {
   };
   
   const handleRemoveService = (index) => {
+    const service = services[index];
+    
+    // Saved add-ons are deleted when the listing is saved
+    if (!service.id.startsWith('temp-')) {
+      setRemovedServiceIds([...removedServiceIds, service.id]);
+    }
+    
     setServices(services.filter((_, i) => i !== index));
   };
 
@@ -158,14 +190,23 @@ const ListingForm = () => {
         price: parseFloat(price),
         category,
         status,
-        updatedAt: new Date().toISOString()
+        // Empty means the platform default hold window
+        holdMinutes: holdMinutes === '' ? null : parseInt(holdMinutes, 10),
+        cancellationPolicy: cancellationPolicy || null,
+        rescheduleLimit: rescheduleLimit === '' ? null : parseInt(rescheduleLimit, 10),
+        // More than one seat lets several bookings share a time
+        capacity: parseInt(capacity, 10) || 1,
+        pricePerSeat,
+        pricing: toPricingPayload(pricing),
+        deposit: depositType
+          ? {
+            type: depositType,
+            value: parseFloat(depositValue),
+            balanceDueDays: parseInt(balanceDueDays, 10) || 0
+          }
+          : null
       };
       
-      if (!isEditMode) {
-        listingData.vendorId = currentUser.uid;
-        listingData.createdAt = new Date().toISOString();
-      }
-      
       // Upload images if any
       if (imageFiles.length > 0) {
         const uploadedImageUrls = await Promise.all(
@@ -196,34 +237,29 @@ const ListingForm = () => {
         listingData.documents = documents;
       }
       
-      // Save listing
-      let listingId = id;
-      if (isEditMode) {
-        await updateDoc(doc(db, 'listings', id), listingData);
-      } else {
-        const docRef = await addDoc(collection(db, 'listings'), listingData);
-        listingId = docRef.id;
+      // Save listing through the API so it's validated like any other
+      const savedListing = await saveListing(currentUser, isEditMode ? id : null, listingData);
+      const listingId = savedListing.id;
+      
+      // Save add-on services
+      for (const serviceId of removedServiceIds) {
+        await deleteAddOn(currentUser, listingId, serviceId);
       }
       
-      // Save services
       for (const service of services) {
-        const serviceData = {
-          listingId,
+        await saveAddOn(currentUser, listingId, {
+          // Services not saved yet only have a temporary ID
+          id: service.id.startsWith('temp-') ? null : service.id,
           name: service.name,
           description: service.description,
-          price: parseFloat(service.price),
-          isActive: service.isActive
-        };
-        
-        if (service.id.startsWith('temp-')) {
-          // New service
-          await addDoc(collection(db, 'services'), serviceData);
-        } else if (!service.isDeleted) {
-          // Update existing service
-          await updateDoc(doc(db, 'services', service.id), serviceData);
-        }
+          price: parseFloat(service.price) || 0,
+          isActive: service.isActive,
+          maxQuantity: parseInt(service.maxQuantity, 10) || 1
+        });
       }
       
+      setRemovedServiceIds([]);
+      
       setSuccess('Listing saved successfully');
       
       // Redirect after a short delay
@@ -233,7 +269,7 @@ const ListingForm = () => {
       
     } catch (error) {
       console.error('Error saving listing:', error);
-      setError('Failed to save listing');
+      setError(error.message || 'Failed to save listing');
     } finally {
       setLoading(false);
     }
@@ -309,16 +345,6 @@ const ListingForm = () => {
     }
   };
 
-  // Calculate total price including all active services
-  const calculateTotalPrice = () => {
-    const basePrice = parseFloat(price) || 0;
-    const servicesPrice = services
-      .filter(service => service.isActive)
-      .reduce((total, service) => total + (parseFloat(service.price) || 0), 0);
-    
-    return (basePrice + servicesPrice).toFixed(2);
-  };
-
   if (loading && !isDeleting) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -383,7 +409,7 @@ const ListingForm = () => {
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Base Price ($) *
+                    {BASE_PRICE_LABELS[pricing.model]} *
                   </label>
                   <input
                     type="number"
@@ -429,6 +455,162 @@ const ListingForm = () => {
                   </select>
                 </div>
               </div>
+              
+              <PricingModelFields value={pricing} onChange={setPricing} />
+              
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Payment Hold (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    max="10080"
+                    placeholder="Default"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    value={holdMinutes}
+                    onChange={(e) => setHoldMinutes(e.target.value)}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    How long an unpaid booking holds its slot before it expires. 0 holds it until the vendor responds.
+                  </p>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reschedule Limit
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    max="20"
+                    placeholder="No limit"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    value={rescheduleLimit}
+                    onChange={(e) => setRescheduleLimit(e.target.value)}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    How many times a customer can move a booking. 0 turns reschedule requests off.
+                  </p>
+                </div>
+                
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Cancellation Policy
+                  </label>
+                  <select
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    value={typeof cancellationPolicy === 'string' ? cancellationPolicy : 'custom'}
+                    onChange={(e) => setCancellationPolicy(e.target.value)}
+                  >
+                    <option value="">Full refund any time</option>
+                    <option value="flexible">Flexible: full refund up to 24 hours before</option>
+                    <option value="moderate">Moderate: full refund up to 48 hours before, 50% up to 24 hours</option>
+                    <option value="strict">Strict: 50% refund up to 7 days before</option>
+                    {typeof cancellationPolicy === 'object' && (
+                      <option value="custom" disabled>Custom</option>
+                    )}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Bookings you cancel are always refunded in full.
+                  </p>
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Capacity (seats)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="1"
+                    max="1000"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    value={capacity}
+                    onChange={(e) => setCapacity(e.target.value)}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    How many people can book the same time, e.g. places in a class. 1 books the listing exclusively.
+                  </p>
+                </div>
+                
+                <div className="md:col-span-3 flex items-start pt-7">
+                  <input
+                    id="pricePerSeat"
+                    type="checkbox"
+                    className="h-4 w-4 mt-0.5 text-indigo-600 border-gray-300 rounded"
+                    checked={pricePerSeat}
+                    onChange={(e) => setPricePerSeat(e.target.checked)}
+                    disabled={capacity === '' || parseInt(capacity, 10) <= 1}
+                  />
+                  <label htmlFor="pricePerSeat" className="ml-2 text-sm text-gray-700">
+                    Charge the base price per seat
+                    <span className="block text-xs text-gray-500">
+                      A booking for 3 people pays 3 times the base price.
+                    </span>
+                  </label>
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Deposit
+                  </label>
+                  <select
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    value={depositType}
+                    onChange={(e) => setDepositType(e.target.value)}
+                  >
+                    <option value="">No deposit (pay in full)</option>
+                    <option value="percent">Percent of the price</option>
+                    <option value="fixed">Fixed amount</option>
+                  </select>
+                </div>
+                
+                {depositType && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {depositType === 'percent' ? 'Deposit (%)' : 'Deposit ($)'} *
+                      </label>
+                      <input
+                        type="number"
+                        step={depositType === 'percent' ? '1' : '0.01'}
+                        min="0.01"
+                        max={depositType === 'percent' ? '99' : undefined}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        value={depositValue}
+                        onChange={(e) => setDepositValue(e.target.value)}
+                        required
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Balance Due (days before)
+                      </label>
+                      <input
+                        type="number"
+                        step="1"
+                        min="0"
+                        max="365"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        value={balanceDueDays}
+                        onChange={(e) => setBalanceDueDays(e.target.value)}
+                      />
+                      <p className="mt-1 text-xs text-gray-500">
+                        Bookings made after the balance is due are paid in full.
+                      </p>
+                    </div>
+                  </>
+                )}
+              </div>
             </div>
             
             {/* Images */}
@@ -629,20 +811,22 @@ const ListingForm = () => {
               <div className="space-y-2">
                 <div className="flex justify-between">
                   <span>Base Price:</span>
-                  <span>${parseFloat(price || 0).toFixed(2)}</span>
+                  <span>
+                    ${parseFloat(price || 0).toFixed(2)} {PRICE_UNITS[pricing.model]}
+                    {pricePerSeat && parseInt(capacity, 10) > 1 && ', per seat'}
+                  </span>
                 </div>
                 
                 {services.filter(s => s.isActive).map((service, index) => (
                   <div key={index} className="flex justify-between">
                     <span>{service.name || `Service ${index + 1}`}:</span>
-                    <span>${parseFloat(service.price || 0).toFixed(2)}</span>
+                    <span>+${parseFloat(service.price || 0).toFixed(2)} each</span>
                   </div>
                 ))}
                 
-                <div className="border-t pt-2 flex justify-between font-bold">
-                  <span>Total Price:</span>
-                  <span>${calculateTotalPrice()}</span>
-                </div>
+                <p className="border-t pt-2 text-sm text-gray-600">
+                  Customers are quoted the exact price, including weekend and seasonal rates, when they pick a time.
+                </p>
               </div>
             </div>
             
@@ -10,6 +10,7 @@ import {
   doc,
   updateDoc
 } from 'firebase/firestore';
+import { getWaitlistDepth } from '../../services/waitlistService';
 
 // Components
 import ListingCard from '../../components/listings/ListingCard';
@@ -18,6 +19,7 @@ const ListingsPage = () => {
   const { currentUser } = useAuth();
   const [listings, setListings] = useState([]);
   const [filteredListings, setFilteredListings] = useState([]);
+  const [waitlistDepth, setWaitlistDepth] = useState({});
   const [loading, setLoading] = useState(true);
   const [statusFilter, setStatusFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
@@ -40,6 +42,15 @@ const ListingsPage = () => {
         
         setListings(listingsData);
         setFilteredListings(listingsData);
+        
+        // Count customers waiting on each listing, including those holding an offer
+        const depth = {};
+        
+        (await getWaitlistDepth(currentUser)).forEach(({ listingId, waiting, offered }) => {
+          depth[listingId] = waiting + offered;
+        });
+        
+        setWaitlistDepth(depth);
       } catch (error) {
         console.error('Error fetching listings:', error);
       } finally {
@@ -150,6 +161,7 @@ const ListingsPage = () => {
             <ListingCard 
               key={listing.id} 
               listing={listing} 
+              waitlistDepth={waitlistDepth[listing.id] || 0}
               onStatusChange={handleStatusChange}
             />
           ))}
@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getDispute,
+  saveEvidence,
+  uploadEvidenceFile,
+  addListingDocument,
+  removeEvidenceFile,
+  submitEvidence
+} from '../../services/disputeService';
+import DisputeDeadline from '../../components/payments/DisputeDeadline';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+// Evidence the vendor writes, with a hint for each
+const TEXT_FIELDS = [
+  { name: 'productDescription', label: 'Service Description', hint: 'What the customer booked. Leave empty to send the listing\'s description.' },
+  { name: 'cancellationRebuttal', label: 'Cancellation Rebuttal', hint: 'If the customer says they cancelled: why they are not owed a refund.' },
+  { name: 'refundRefusalExplanation', label: 'Refund Refusal', hint: 'If the customer asked for a refund: why it was refused.' },
+  { name: 'uncategorizedText', label: 'Other Notes', hint: 'Anything else, e.g. that the customer attended. Sent ahead of the booking record.' }
+];
+
+// Evidence file categories (one file each)
+const FILE_CATEGORIES = [
+  { name: 'service_documentation', label: 'Proof of Service', hint: 'e.g. a sign-in sheet or photos of the work' },
+  { name: 'customer_communication', label: 'Customer Communication', hint: 'Emails or messages with the customer' },
+  { name: 'receipt', label: 'Receipt', hint: 'The receipt or invoice sent to the customer' },
+  { name: 'cancellation_policy', label: 'Cancellation Policy', hint: 'The policy as shown to the customer' },
+  { name: 'refund_policy', label: 'Refund Policy', hint: 'The refund policy as shown to the customer' },
+  { name: 'customer_signature', label: 'Customer Signature', hint: 'e.g. a signed waiver or contract' },
+  { name: 'uncategorized_file', label: 'Other', hint: 'Any other supporting document' }
+];
+
+const OPEN_STATUSES = ['needs_response', 'warning_needs_response'];
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Turn a Stripe dispute reason or status into words, e.g. "product not received"
+ * @param {string} value - Reason or status
+ * @returns {string} Words
+ */
+const humanize = (value) => (value || '').replace(/_/g, ' ');
+
+/**
+ * Get a listing document's file name from its download URL
+ * @param {string} url - Firebase Storage download URL
+ * @returns {string} File name
+ */
+const documentName = (url) => decodeURIComponent(new URL(url).pathname.split('/').pop()).split('/').pop();
+
+const DisputeDetail = () => {
+  const { id } = useParams();
+  const { currentUser } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [evidence, setEvidence] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  
+  const applyDispute = (dispute) => {
+    setDetails(prev => ({ ...prev, dispute }));
+    setEvidence(dispute.evidence || {});
+  };
+  
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!currentUser) return;
+      
+      try {
+        setLoading(true);
+        const data = await getDispute(currentUser, id);
+        setDetails(data);
+        setEvidence(data.dispute.evidence || {});
+      } catch (error) {
+        console.error('Error fetching dispute:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchData();
+  }, [currentUser, id]);
+  
+  // Run an evidence action, showing its error or a confirmation
+  const runAction = async (action, successMessage) => {
+    setError('');
+    setMessage('');
+    
+    try {
+      setBusy(true);
+      applyDispute(await action());
+      setMessage(successMessage);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  const handleSaveEvidence = (e) => {
+    e.preventDefault();
+    runAction(() => saveEvidence(currentUser, id, evidence), 'Evidence saved');
+  };
+  
+  const handleFileChange = (category, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    
+    if (!file) return;
+    
+    if (file.size > MAX_FILE_BYTES) {
+      setError('Evidence files must be 5 MB or smaller');
+      return;
+    }
+    
+    runAction(() => uploadEvidenceFile(currentUser, id, category, file), `${file.name} uploaded`);
+  };
+  
+  const handleListingDocument = (category, url) => {
+    if (!url) return;
+    runAction(() => addListingDocument(currentUser, id, category, url), `${documentName(url)} added`);
+  };
+  
+  const handleSubmit = () => {
+    if (!window.confirm('Submit this evidence? It can only be sent once, and can\'t be changed afterwards.')) {
+      return;
+    }
+    
+    runAction(async () => {
+      await saveEvidence(currentUser, id, evidence);
+      return submitEvidence(currentUser, id);
+    }, 'Evidence submitted. The card issuer usually decides within a few weeks.');
+  };
+  
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  if (!details) {
+    return (
+      <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+        <p>{error || 'Dispute not found'}</p>
+      </div>
+    );
+  }
+  
+  const { dispute, booking, listingDocuments, bookingRecord } = details;
+  const editable = OPEN_STATUSES.includes(dispute.status) && !dispute.closedAt && !dispute.submittedAt &&
+    !(dispute.dueBy && new Date(dispute.dueBy) < new Date());
+  const evidenceFiles = dispute.evidenceFiles || {};
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-semibold">Dispute</h1>
+        <Link to="/payments/disputes" className="text-indigo-600 hover:text-indigo-800">
+          Back to Disputes
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {message && (
+        <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status">
+          <p>{message}</p>
+        </div>
+      )}
+      
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-sm text-gray-500">Amount</p>
+          <p className="text-2xl font-bold">${Number(dispute.amount).toFixed(2)}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-sm text-gray-500">Reason</p>
+          <p className="text-lg font-medium capitalize">{humanize(dispute.reason)}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-sm text-gray-500">Status</p>
+          <p className="text-lg font-medium capitalize">{humanize(dispute.status)}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-sm text-gray-500">Respond By</p>
+          <p className="text-lg">
+            {dispute.submittedAt ? 'Evidence submitted' : <DisputeDeadline dueBy={dispute.dueBy} />}
+          </p>
+        </div>
+      </div>
+      
+      {booking && (
+        <div className="bg-white p-6 rounded-lg shadow space-y-1 text-sm">
+          <h2 className="text-lg font-medium mb-2">Booking</h2>
+          <p><span className="text-gray-500">Listing:</span> {booking.listingTitle || booking.listingId}</p>
+          <p><span className="text-gray-500">Customer:</span> {booking.customerName || 'Unknown'}</p>
+          <p>
+            <span className="text-gray-500">When:</span> {new Date(booking.startTime).toLocaleString()}
+            {' – '}
+            {new Date(booking.endTime).toLocaleString()}
+          </p>
+          <p><span className="text-gray-500">Price:</span> ${Number(booking.totalAmount).toFixed(2)}</p>
+          <p className="capitalize"><span className="text-gray-500 normal-case">Booking status:</span> {humanize(booking.status)}</p>
+        </div>
+      )}
+      
+      {/* What is sent from the booking without the vendor doing anything */}
+      {bookingRecord.uncategorized_text && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h2 className="text-lg font-medium mb-1">Booking Record</h2>
+          <p className="text-sm text-gray-500 mb-3">
+            Sent with your evidence, along with the customer's details and your cancellation policy.
+          </p>
+          <pre className="text-xs bg-gray-50 p-3 rounded whitespace-pre-wrap">{bookingRecord.uncategorized_text}</pre>
+        </div>
+      )}
+      
+      <form onSubmit={handleSaveEvidence} className="bg-white p-6 rounded-lg shadow space-y-4">
+        <h2 className="text-lg font-medium">Your Evidence</h2>
+        
+        {TEXT_FIELDS.map(field => (
+          <div key={field.name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+            <p className="text-xs text-gray-500 mb-1">{field.hint}</p>
+            <textarea
+              rows="4"
+              className={inputClassName}
+              value={evidence[field.name] || ''}
+              onChange={(e) => setEvidence(prev => ({ ...prev, [field.name]: e.target.value }))}
+              disabled={!editable}
+              maxLength={20000}
+            />
+          </div>
+        ))}
+        
+        {editable && (
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-white border border-indigo-600 text-indigo-600 px-4 py-2 rounded-md hover:bg-indigo-50 disabled:opacity-50"
+            >
+              Save Draft
+            </button>
+          </div>
+        )}
+      </form>
+      
+      <div className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div>
+          <h2 className="text-lg font-medium">Documents</h2>
+          <p className="text-sm text-gray-500">PDF, JPEG or PNG, up to 5 MB. One file per type.</p>
+        </div>
+        
+        <div className="divide-y divide-gray-200">
+          {FILE_CATEGORIES.map(category => {
+            const file = evidenceFiles[category.name];
+            
+            return (
+              <div key={category.name} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div>
+                  <p className="text-sm font-medium text-gray-700">{category.label}</p>
+                  <p className="text-xs text-gray-500">{file ? file.name : category.hint}</p>
+                </div>
+                
+                {editable && (
+                  <div className="flex items-center space-x-3 text-sm">
+                    {listingDocuments.length > 0 && (
+                      <select
+                        className="border border-gray-300 rounded-md px-2 py-1"
+                        value=""
+                        onChange={(e) => handleListingDocument(category.name, e.target.value)}
+                        disabled={busy}
+                      >
+                        <option value="">From listing...</option>
+                        {listingDocuments.map(url => (
+                          <option key={url} value={url}>{documentName(url)}</option>
+                        ))}
+                      </select>
+                    )}
+                    <label className="text-indigo-600 hover:text-indigo-800 cursor-pointer">
+                      {file ? 'Replace' : 'Upload'}
+                      <input
+                        type="file"
+                        accept="application/pdf,image/jpeg,image/png"
+                        className="hidden"
+                        onChange={(e) => handleFileChange(category.name, e)}
+                        disabled={busy}
+                      />
+                    </label>
+                    {file && (
+                      <button
+                        type="button"
+                        className="text-red-500 hover:text-red-700"
+                        onClick={() => runAction(() => removeEvidenceFile(currentUser, id, category.name), `${file.name} removed`)}
+                        disabled={busy}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      {editable && (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={busy}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {busy ? 'Working...' : 'Submit Evidence'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisputeDetail;
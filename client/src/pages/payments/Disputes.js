@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getDisputes } from '../../services/disputeService';
+import DisputeDeadline from '../../components/payments/DisputeDeadline';
+
+const DISPUTE_STATUS_CLASSES = {
+  needs_response: 'bg-red-100 text-red-800',
+  warning_needs_response: 'bg-yellow-100 text-yellow-800',
+  under_review: 'bg-blue-100 text-blue-800',
+  warning_under_review: 'bg-blue-100 text-blue-800',
+  won: 'bg-green-100 text-green-800',
+  warning_closed: 'bg-gray-100 text-gray-800',
+  lost: 'bg-gray-100 text-gray-800'
+};
+
+// Statuses the vendor can still send evidence for
+const OPEN_STATUSES = ['needs_response', 'warning_needs_response'];
+
+/**
+ * Turn a Stripe dispute reason or status into words, e.g. "product not received"
+ * @param {string} value - Reason or status
+ * @returns {string} Words
+ */
+const humanize = (value) => (value || '').replace(/_/g, ' ');
+
+const Disputes = () => {
+  const { currentUser } = useAuth();
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!currentUser) return;
+      
+      try {
+        setLoading(true);
+        setDisputes(await getDisputes(currentUser));
+      } catch (error) {
+        console.error('Error fetching disputes:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchData();
+  }, [currentUser]);
+  
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  const openDisputes = disputes.filter(dispute => OPEN_STATUSES.includes(dispute.status) && !dispute.closedAt);
+  const otherDisputes = disputes.filter(dispute => !openDisputes.includes(dispute));
+  
+  const renderRows = (rows, showDeadline) => rows.map(dispute => (
+    <tr key={dispute.id}>
+      <td className="px-4 py-3">{new Date(dispute.createdAt).toLocaleDateString()}</td>
+      <td className="px-4 py-3">${Number(dispute.amount).toFixed(2)}</td>
+      <td className="px-4 py-3 capitalize">{humanize(dispute.reason)}</td>
+      <td className="px-4 py-3">
+        <span className={`px-2 py-1 rounded-full text-xs ${DISPUTE_STATUS_CLASSES[dispute.status] || 'bg-gray-100 text-gray-800'}`}>
+          {humanize(dispute.status)}
+        </span>
+      </td>
+      <td className="px-4 py-3">
+        {showDeadline
+          ? (dispute.submittedAt ? 'Evidence submitted' : <DisputeDeadline dueBy={dispute.dueBy} />)
+          : (dispute.closedAt ? new Date(dispute.closedAt).toLocaleDateString() : '')}
+      </td>
+      <td className="px-4 py-3 text-right">
+        <Link to={`/payments/disputes/${dispute.id}`} className="text-indigo-600 hover:text-indigo-800">
+          {showDeadline && !dispute.submittedAt ? 'Respond' : 'View'}
+        </Link>
+      </td>
+    </tr>
+  ));
+  
+  const renderTable = (rows, showDeadline, emptyMessage) => (
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left font-medium text-gray-500">Opened</th>
+            <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+            <th className="px-4 py-3 text-left font-medium text-gray-500">Reason</th>
+            <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+            <th className="px-4 py-3 text-left font-medium text-gray-500">{showDeadline ? 'Respond By' : 'Closed'}</th>
+            <th className="px-4 py-3"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-6 text-center text-gray-500">{emptyMessage}</td>
+            </tr>
+          ) : renderRows(rows, showDeadline)}
+        </tbody>
+      </table>
+    </div>
+  );
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-semibold">Disputes</h1>
+        <Link to="/payments" className="text-indigo-600 hover:text-indigo-800">
+          Back to Payments
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      <p className="text-gray-700">
+        When a customer disputes a payment with their bank, the amount is held and your payouts pause until
+        the dispute closes. Send evidence before the deadline to contest it.
+      </p>
+      
+      <div className="space-y-2">
+        <h2 className="text-lg font-medium">Open</h2>
+        {renderTable(openDisputes, true, 'No open disputes')}
+      </div>
+      
+      <div className="space-y-2">
+        <h2 className="text-lg font-medium">Under Review and Closed</h2>
+        {renderTable(otherDisputes, false, 'No other disputes')}
+      </div>
+    </div>
+  );
+};
+
+export default Disputes;
@@ -7,6 +7,12 @@ import { loadStripe } from '@stripe/stripe-js';
 import { Elements } from '@stripe/react-stripe-js';
 import { createPaymentIntent } from '../../services/stripeService';
 import CheckoutForm from '../../components/payments/CheckoutForm';
+import {
+  getBrowserTimeZone,
+  formatDateInTimeZone,
+  formatTimeRangeInTimeZone,
+  isSameWallClock
+} from '../../utils/timezone';
 
 // Load Stripe outside of component so it's only created once
 const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLIC_KEY);
@@ -18,8 +24,13 @@ const PaymentPage = () => {
   const [booking, setBooking] = useState(null);
   const [listing, setListing] = useState(null);
   const [clientSecret, setClientSecret] = useState('');
+  // Instalment being paid now, for a booking paid with a deposit and balance
+  const [instalment, setInstalment] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // When the booking's payment hold runs out (local clock), and the current time
+  const [holdDeadline, setHoldDeadline] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
     const fetchData = async () => {
@@ -57,10 +68,32 @@ const PaymentPage = () => {
           return;
         }
         
-        // Create payment intent if not already created
-        if (!bookingData.stripePaymentIntentId) {
-          const secret = await createPaymentIntent(bookingId, bookingData.totalAmount);
-          setClientSecret(secret);
+        if (bookingData.status === 'expired') {
+          setError('The hold on this booking has expired and the time slot was released. Please book again.');
+          setLoading(false);
+          return;
+        }
+        
+        // With a deposit, the next unpaid instalment needs its own payment intent
+        const nextInstalment = (bookingData.paymentSchedule || [])
+          .find(candidate => !['paid', 'not_required'].includes(candidate.status));
+        
+        // A bank payment can take a few days to go through
+        if (bookingData.paymentStatus === 'processing' || (nextInstalment && nextInstalment.status === 'processing')) {
+          setError('Your payment is being processed. We\'ll update your booking once it has gone through.');
+          setLoading(false);
+          return;
+        }
+        
+        // The server hands back the booking's open payment intent (after a
+        // reload, say) or starts a new one, e.g. after a failed attempt
+        const payment = await createPaymentIntent(currentUser, bookingId);
+        setClientSecret(payment.clientSecret);
+        setInstalment(payment.instalment || null);
+        
+        // The server's remaining time is used so a wrong local clock doesn't matter
+        if (payment.holdRemainingSeconds !== null && payment.holdRemainingSeconds !== undefined) {
+          setHoldDeadline(Date.now() + payment.holdRemainingSeconds * 1000);
         }
         
         setLoading(false);
@@ -74,6 +107,24 @@ const PaymentPage = () => {
     fetchData();
   }, [bookingId, currentUser, navigate]);
 
+  // Tick the hold countdown once a second
+  useEffect(() => {
+    if (!holdDeadline) return;
+    
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [holdDeadline]);
+
+  const holdSecondsLeft = holdDeadline
+    ? Math.max(0, Math.ceil((holdDeadline - now) / 1000))
+    : null;
+  const holdExpired = holdSecondsLeft === 0;
+
+  const formatCountdown = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
   const handlePaymentSuccess = () => {
     navigate('/payment-success');
   };
@@ -94,6 +145,11 @@ const PaymentPage = () => {
     appearance,
   };
 
+  // Times are shown in the listing's zone, with the customer's own alongside
+  const listingTimeZone = booking?.timezone || listing?.timezone || getBrowserTimeZone();
+  const customerTimeZone = getBrowserTimeZone();
+  const showCustomerTime = booking && !isSameWallClock(listingTimeZone, customerTimeZone, booking.startTime);
+
   return (
     <div className="max-w-3xl mx-auto p-6">
       <h1 className="text-2xl font-semibold mb-6">Complete Your Payment</h1>
@@ -119,15 +175,20 @@ const PaymentPage = () => {
               <div>
                 <p className="text-sm text-gray-500">Date</p>
                 <p className="font-medium">
-                  {new Date(booking.startTime).toLocaleDateString()}
+                  {formatDateInTimeZone(booking.startTime, listingTimeZone)}
                 </p>
               </div>
               <div>
                 <p className="text-sm text-gray-500">Time</p>
                 <p className="font-medium">
-                  {new Date(booking.startTime).toLocaleTimeString()} - 
-                  {new Date(booking.endTime).toLocaleTimeString()}
+                  {formatTimeRangeInTimeZone(booking.startTime, booking.endTime, listingTimeZone)}
                 </p>
+                {showCustomerTime && (
+                  <p className="text-sm text-gray-500">
+                    Your time: {formatDateInTimeZone(booking.startTime, customerTimeZone)},{' '}
+                    {formatTimeRangeInTimeZone(booking.startTime, booking.endTime, customerTimeZone)}
+                  </p>
+                )}
               </div>
               <div>
                 <p className="text-sm text-gray-500">Customer</p>
@@ -143,7 +204,59 @@ const PaymentPage = () => {
               <p className="text-2xl font-bold">${parseFloat(booking.totalAmount).toFixed(2)}</p>
             </div>
             
-            {clientSecret && (
+            {booking.paymentSchedule && (
+              <div className="space-y-1 mb-6 text-sm">
+                {booking.paymentSchedule.map(scheduled => (
+                  <div key={scheduled.id} className="flex justify-between">
+                    <span>
+                      {scheduled.type === 'deposit' ? 'Deposit' : 'Balance'}
+                      {scheduled.type === 'balance' && ` (due ${formatDateInTimeZone(scheduled.dueAt, listingTimeZone)})`}
+                      {scheduled.status === 'paid' && ' - paid'}
+                    </span>
+                    <span>${parseFloat(scheduled.amount).toFixed(2)}</span>
+                  </div>
+                ))}
+                {instalment && (
+                  <div className="flex justify-between font-semibold pt-2 border-t">
+                    <span>Due now</span>
+                    <span>${parseFloat(instalment.amount).toFixed(2)}</span>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {booking.lineItems && booking.lineItems.length > 1 && (
+              <div className="space-y-1 mb-6 text-sm">
+                {booking.lineItems.map((item, index) => (
+                  <div key={index} className="flex justify-between">
+                    <span>
+                      {item.description}
+                      {item.quantity > 1 && ` × ${item.quantity}`}
+                    </span>
+                    <span className={item.amount < 0 ? 'text-green-600' : ''}>
+                      {item.amount < 0 ? '-' : ''}${Math.abs(parseFloat(item.amount)).toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            
+            {holdSecondsLeft !== null && !holdExpired && (
+              <div className="bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 p-4 mb-6" role="status">
+                <p>
+                  Your time slot is held for <span className="font-semibold">{formatCountdown(holdSecondsLeft)}</span>.
+                  Complete your payment before then to keep it.
+                </p>
+              </div>
+            )}
+            
+            {holdExpired && (
+              <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6" role="alert">
+                <p>The hold on this booking has expired and the time slot was released. Please book again.</p>
+              </div>
+            )}
+            
+            {clientSecret && !holdExpired && (
               <div className="mt-6">
                 <Elements options={options} stripe={stripePromise}>
                   <CheckoutForm 
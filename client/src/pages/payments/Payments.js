@@ -15,6 +15,15 @@ import {
 import TransactionTable from '../../components/payments/TransactionTable';
 import PaymentChart from '../../components/payments/PaymentChart';
 
+// A transaction amount in cents (older transactions only have dollars)
+const centsOf = (transaction, centsField, dollarField) => (Number.isInteger(transaction[centsField])
+  ? transaction[centsField]
+  : Math.round((transaction[dollarField] || 0) * 100));
+
+// Add up a transaction amount in cents, returning dollars
+const sumDollars = (transactions, centsField, dollarField) =>
+  transactions.reduce((cents, transaction) => cents + centsOf(transaction, centsField, dollarField), 0) / 100;
+
 const Payments = () => {
   const { currentUser } = useAuth();
   const [transactions, setTransactions] = useState([]);
@@ -25,9 +34,12 @@ const Payments = () => {
     revenue: 0,
     pending: 0,
     completed: 0,
-    fees: 0
+    fees: 0,
+    discounts: 0
   });
-
+  // Discounts given per promo code on paid bookings
+  const [promoCodeTotals, setPromoCodeTotals] = useState([]);
+  
   // Fetch transactions and bookings
   useEffect(() => {
     const fetchData = async () => {
@@ -62,21 +74,32 @@ const Payments = () => {
         setBookings(bookingsData);
         
         // Calculate totals
-        const revenue = transactionsData.reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
-        const fees = transactionsData.reduce((sum, transaction) => sum + (transaction.fee || 0), 0);
-        const completed = transactionsData
-          .filter(t => t.status === 'completed')
-          .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
-        const pending = transactionsData
-          .filter(t => t.status === 'pending')
-          .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
+        const revenue = sumDollars(transactionsData, 'amountCents', 'amount');
+        const fees = sumDollars(transactionsData, 'feeCents', 'fee');
+        const completed = sumDollars(transactionsData.filter(t => t.status === 'completed'), 'amountCents', 'amount');
+        const pending = sumDollars(transactionsData.filter(t => t.status === 'pending'), 'amountCents', 'amount');
+        const discounts = sumDollars(transactionsData, 'discountCents', 'discountAmount');
+        
+        const byCode = {};
+        transactionsData
+          .filter(t => t.promoCode)
+          .forEach(transaction => {
+            const { promoCode } = transaction;
+            const entry = byCode[promoCode] || { code: promoCode, uses: 0, revenue: 0, discounts: 0 };
+            entry.uses += 1;
+            entry.revenue = (Math.round(entry.revenue * 100) + centsOf(transaction, 'amountCents', 'amount')) / 100;
+            entry.discounts = (Math.round(entry.discounts * 100) + centsOf(transaction, 'discountCents', 'discountAmount')) / 100;
+            byCode[promoCode] = entry;
+          });
         
         setTotals({
           revenue,
           completed,
           pending,
-          fees
+          fees,
+          discounts
         });
+        setPromoCodeTotals(Object.values(byCode).sort((a, b) => b.discounts - a.discounts));
       } catch (error) {
         console.error('Error fetching payment data:', error);
       } finally {
@@ -86,7 +109,7 @@ const Payments = () => {
     
     fetchData();
   }, [currentUser]);
-
+  
   // Filter transactions based on date range
   const getFilteredTransactions = () => {
     if (transactions.length === 0) return [];
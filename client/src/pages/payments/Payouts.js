@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getConnectAccount, getPayouts, getLedgerBalance } from '../../services/payoutService';
+
+const PAYOUT_STATUS_CLASSES = {
+  paid: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  in_transit: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800',
+  canceled: 'bg-gray-100 text-gray-800'
+};
+
+/**
+ * Format an amount in cents, e.g. "$12.50" or "12.50 EUR"
+ * @param {number} amountCents - Amount in cents
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amountCents, currency) => (currency === 'usd'
+  ? `$${(amountCents / 100).toFixed(2)}`
+  : `${(amountCents / 100).toFixed(2)} ${currency.toUpperCase()}`);
+
+const Payouts = () => {
+  const { currentUser } = useAuth();
+  const [account, setAccount] = useState(null);
+  const [payoutData, setPayoutData] = useState({ balance: { available: [], pending: [] }, payouts: [] });
+  const [ledgerBalances, setLedgerBalances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!currentUser) return;
+      
+      try {
+        setLoading(true);
+        
+        const accountData = await getConnectAccount(currentUser);
+        setAccount(accountData);
+        
+        if (accountData.accountId) {
+          const [payouts, ledger] = await Promise.all([getPayouts(currentUser), getLedgerBalance(currentUser)]);
+          setPayoutData(payouts);
+          setLedgerBalances(ledger.balances);
+        }
+      } catch (error) {
+        console.error('Error fetching payouts:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchData();
+  }, [currentUser]);
+  
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-semibold">Payouts</h1>
+        <Link to="/payments" className="text-indigo-600 hover:text-indigo-800">
+          Back to Payments
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {account && account.payoutsOnHold && (
+        <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4" role="alert">
+          <p>
+            Payouts are on hold while a payment dispute is open. They resume once the dispute is closed.{' '}
+            <Link to="/payments/disputes" className="underline">View disputes</Link>
+          </p>
+        </div>
+      )}
+      
+      {/* Onboarding lives in the vendor's profile */}
+      {account && !(account.chargesEnabled && account.payoutsEnabled) && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <p className="text-gray-700">
+            Your payout account isn't set up yet.{' '}
+            <Link to="/profile" className="text-indigo-600 hover:text-indigo-800">Set it up in your profile</Link>
+          </p>
+        </div>
+      )}
+      
+      {account && account.accountId && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <p className="text-sm text-gray-500">Available</p>
+              {payoutData.balance.available.length === 0 ? (
+                <p className="text-2xl font-bold">$0.00</p>
+              ) : payoutData.balance.available.map(entry => (
+                <p key={entry.currency} className="text-2xl font-bold">{formatMoney(entry.amountCents, entry.currency)}</p>
+              ))}
+            </div>
+            <div className="bg-white p-6 rounded-lg shadow">
+              <p className="text-sm text-gray-500">Pending</p>
+              {payoutData.balance.pending.length === 0 ? (
+                <p className="text-2xl font-bold">$0.00</p>
+              ) : payoutData.balance.pending.map(entry => (
+                <p key={entry.currency} className="text-2xl font-bold">{formatMoney(entry.amountCents, entry.currency)}</p>
+              ))}
+            </div>
+          </div>
+          
+          {/* What the platform's records say the vendor is owed; it should match available + pending */}
+          {ledgerBalances.length > 0 && (
+            <p className="text-sm text-gray-500">
+              Owed to you by our records:{' '}
+              {ledgerBalances.map(entry => formatMoney(entry.payableCents, entry.currency)).join(', ')}
+            </p>
+          )}
+          
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Created</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Arrives</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {payoutData.payouts.length === 0 ? (
+                  <tr>
+                    <td colSpan="4" className="px-4 py-6 text-center text-gray-500">No payouts yet</td>
+                  </tr>
+                ) : payoutData.payouts.map(payout => (
+                  <tr key={payout.id}>
+                    <td className="px-4 py-3">{new Date(payout.createdAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3">{new Date(payout.arrivalDate).toLocaleDateString()}</td>
+                    <td className="px-4 py-3">{formatMoney(payout.amountCents, payout.currency)}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded-full text-xs ${PAYOUT_STATUS_CLASSES[payout.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {payout.status.replace('_', ' ')}
+                      </span>
+                      {payout.failureMessage && (
+                        <p className="text-xs text-red-600 mt-1">{payout.failureMessage}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Payouts;
@@ -0,0 +1,400 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { db } from '../../config/firebase';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import {
+  getPromoCodes,
+  getPromoCodeReport,
+  savePromoCode,
+  deletePromoCode
+} from '../../services/promoCodeService';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  value: '',
+  minSpend: '',
+  startsAt: '',
+  endsAt: '',
+  maxRedemptions: '',
+  maxRedemptionsPerCustomer: '',
+  listingIds: []
+};
+
+/**
+ * Turn form state into the promo code payload (empty fields become null)
+ * @param {Object} form - Form state
+ * @returns {Object} Promo code fields
+ */
+const toPromoCodePayload = (form) => {
+  const toNumber = (value) => (value === '' ? null : parseFloat(value));
+  const toInteger = (value) => (value === '' ? null : parseInt(value, 10));
+  const toDate = (value) => (value === '' ? null : new Date(value).toISOString());
+  
+  return {
+    code: form.code,
+    description: form.description,
+    discountType: form.discountType,
+    value: toNumber(form.value),
+    minSpend: toNumber(form.minSpend),
+    startsAt: toDate(form.startsAt),
+    endsAt: toDate(form.endsAt),
+    maxRedemptions: toInteger(form.maxRedemptions),
+    maxRedemptionsPerCustomer: toInteger(form.maxRedemptionsPerCustomer),
+    listingIds: form.listingIds
+  };
+};
+
+/**
+ * Describe a promo code's discount, e.g. "10% off" or "$5.00 off"
+ * @param {Object} promoCode - Promo code
+ * @returns {string} Description
+ */
+const describeDiscount = (promoCode) => (promoCode.discountType === 'percent'
+  ? `${promoCode.value}% off`
+  : `$${Number(promoCode.value).toFixed(2)} off`);
+
+const PromoCodes = () => {
+  const { currentUser } = useAuth();
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [report, setReport] = useState({ codes: [], totals: null });
+  const [listings, setListings] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  
+  const loadPromoCodes = useCallback(async () => {
+    const [promoCodesData, reportData] = await Promise.all([
+      getPromoCodes(currentUser),
+      getPromoCodeReport(currentUser)
+    ]);
+    
+    setPromoCodes(promoCodesData);
+    setReport(reportData);
+  }, [currentUser]);
+  
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!currentUser) return;
+      
+      try {
+        setLoading(true);
+        
+        const listingsSnapshot = await getDocs(query(
+          collection(db, 'listings'),
+          where('vendorId', '==', currentUser.uid)
+        ));
+        setListings(listingsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        
+        await loadPromoCodes();
+      } catch (error) {
+        console.error('Error fetching promo codes:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchData();
+  }, [currentUser, loadPromoCodes]);
+  
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+  
+  const toggleListing = (listingId) => {
+    updateForm({
+      listingIds: form.listingIds.includes(listingId)
+        ? form.listingIds.filter(id => id !== listingId)
+        : [...form.listingIds, listingId]
+    });
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    try {
+      setSaving(true);
+      await savePromoCode(currentUser, toPromoCodePayload(form));
+      setForm(EMPTY_FORM);
+      await loadPromoCodes();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleToggleActive = async (promoCode) => {
+    setError('');
+    
+    try {
+      await savePromoCode(currentUser, { id: promoCode.id, isActive: !promoCode.isActive });
+      await loadPromoCodes();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+  
+  const handleDelete = async (promoCode) => {
+    if (!window.confirm(`Delete promo code ${promoCode.code}?`)) return;
+    
+    setError('');
+    
+    try {
+      await deletePromoCode(currentUser, promoCode.id);
+      await loadPromoCodes();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+  
+  const getUsage = (promoCodeId) =>
+    report.codes.find(entry => entry.promoCodeId === promoCodeId) || { redemptions: 0, discountTotal: 0, bookingTotal: 0 };
+  
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-semibold">Promo Codes</h1>
+        <Link to="/payments" className="text-indigo-600 hover:text-indigo-800">
+          Back to Payments
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {report.totals && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="bg-white p-6 rounded-lg shadow">
+            <p className="text-sm text-gray-500">Redemptions</p>
+            <p className="text-2xl font-bold">{report.totals.redemptions}</p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow">
+            <p className="text-sm text-gray-500">Discounts Given</p>
+            <p className="text-2xl font-bold">${report.totals.discountTotal.toFixed(2)}</p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow">
+            <p className="text-sm text-gray-500">Bookings With Codes</p>
+            <p className="text-2xl font-bold">${report.totals.bookingTotal.toFixed(2)}</p>
+          </div>
+        </div>
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Code</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Discount</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Valid</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Used</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500">Discounts Given</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {promoCodes.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-4 py-6 text-center text-gray-500">No promo codes yet</td>
+              </tr>
+            ) : promoCodes.map(promoCode => {
+              const usage = getUsage(promoCode.id);
+              
+              return (
+                <tr key={promoCode.id} className={promoCode.isActive ? '' : 'text-gray-400'}>
+                  <td className="px-4 py-3 font-mono">{promoCode.code}</td>
+                  <td className="px-4 py-3">
+                    {describeDiscount(promoCode)}
+                    {promoCode.minSpend ? ` over $${Number(promoCode.minSpend).toFixed(2)}` : ''}
+                  </td>
+                  <td className="px-4 py-3">
+                    {promoCode.startsAt ? new Date(promoCode.startsAt).toLocaleDateString() : 'Now'}
+                    {' – '}
+                    {promoCode.endsAt ? new Date(promoCode.endsAt).toLocaleDateString() : 'No end'}
+                  </td>
+                  <td className="px-4 py-3">
+                    {usage.redemptions}
+                    {promoCode.maxRedemptions ? ` / ${promoCode.maxRedemptions}` : ''}
+                  </td>
+                  <td className="px-4 py-3">${usage.discountTotal.toFixed(2)}</td>
+                  <td className="px-4 py-3 text-right space-x-3">
+                    <button
+                      type="button"
+                      className="text-indigo-600 hover:text-indigo-800"
+                      onClick={() => handleToggleActive(promoCode)}
+                    >
+                      {promoCode.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                    {!promoCode.redemptionCount && (
+                      <button
+                        type="button"
+                        className="text-red-500 hover:text-red-700"
+                        onClick={() => handleDelete(promoCode)}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow space-y-4">
+        <h2 className="text-lg font-medium">New Promo Code</h2>
+        
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+            <input
+              type="text"
+              required
+              placeholder="SPRING10"
+              className={`${inputClassName} uppercase`}
+              value={form.code}
+              onChange={(e) => updateForm({ code: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Discount Type</label>
+            <select
+              className={inputClassName}
+              value={form.discountType}
+              onChange={(e) => updateForm({ discountType: e.target.value })}
+            >
+              <option value="percent">Percent off</option>
+              <option value="fixed">Fixed amount off</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {form.discountType === 'percent' ? 'Percent Off' : 'Amount Off ($)'}
+            </label>
+            <input
+              type="number"
+              required
+              step="0.01"
+              min="0.01"
+              max={form.discountType === 'percent' ? '100' : undefined}
+              className={inputClassName}
+              value={form.value}
+              onChange={(e) => updateForm({ value: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Spend ($)</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              placeholder="None"
+              className={inputClassName}
+              value={form.minSpend}
+              onChange={(e) => updateForm({ minSpend: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+            <input
+              type="datetime-local"
+              className={inputClassName}
+              value={form.startsAt}
+              onChange={(e) => updateForm({ startsAt: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+            <input
+              type="datetime-local"
+              className={inputClassName}
+              value={form.endsAt}
+              onChange={(e) => updateForm({ endsAt: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Total Uses</label>
+            <input
+              type="number"
+              step="1"
+              min="1"
+              placeholder="Unlimited"
+              className={inputClassName}
+              value={form.maxRedemptions}
+              onChange={(e) => updateForm({ maxRedemptions: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Uses per Customer</label>
+            <input
+              type="number"
+              step="1"
+              min="1"
+              placeholder="Unlimited"
+              className={inputClassName}
+              value={form.maxRedemptionsPerCustomer}
+              onChange={(e) => updateForm({ maxRedemptionsPerCustomer: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              className={inputClassName}
+              value={form.description}
+              onChange={(e) => updateForm({ description: e.target.value })}
+            />
+          </div>
+        </div>
+        
+        {listings.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Listings</p>
+            <p className="text-xs text-gray-500 mb-2">Leave all unticked to allow the code on every listing.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              {listings.map(listing => (
+                <label key={listing.id} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.listingIds.includes(listing.id)}
+                    onChange={() => toggleListing(listing.id)}
+                  />
+                  <span>{listing.title}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Create Promo Code'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PromoCodes;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { getConnectAccount, createOnboardingLink } from '../../services/payoutService';
+
+const Profile = () => {
+  const { currentUser, userRole } = useAuth();
+  const [searchParams] = useSearchParams();
+  const onboarding = searchParams.get('onboarding');
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [redirecting, setRedirecting] = useState(false);
+  const [error, setError] = useState('');
+  
+  const startOnboarding = useCallback(async () => {
+    setError('');
+    
+    try {
+      setRedirecting(true);
+      const link = await createOnboardingLink(currentUser);
+      window.location.assign(link.url);
+    } catch (error) {
+      setError(error.message);
+      setRedirecting(false);
+    }
+  }, [currentUser]);
+  
+  useEffect(() => {
+    const fetchAccount = async () => {
+      if (!currentUser) return;
+      
+      try {
+        setLoading(true);
+        
+        // Stripe sends the vendor back here when their onboarding link expired
+        if (onboarding === 'refresh') {
+          await startOnboarding();
+          return;
+        }
+        
+        setAccount(await getConnectAccount(currentUser));
+      } catch (error) {
+        console.error('Error fetching payout account:', error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchAccount();
+  }, [currentUser, onboarding, startOnboarding]);
+  
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  const accountReady = account && account.chargesEnabled && account.payoutsEnabled;
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-semibold">Profile</h1>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {/* Back from Stripe: the account.updated webhook may not have caught up yet */}
+      {onboarding === 'return' && !accountReady && (
+        <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-800 p-4" role="status">
+          <p>Thanks! Stripe can take a few minutes to check your details; this page shows where it has got to.</p>
+        </div>
+      )}
+      
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-lg font-medium mb-4">Account</h2>
+        <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Name</dt>
+            <dd className="font-medium">{currentUser.displayName || '—'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Email</dt>
+            <dd className="font-medium">{currentUser.email}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Role</dt>
+            <dd className="font-medium capitalize">{userRole}</dd>
+          </div>
+        </dl>
+      </div>
+      
+      {/* Stripe Connect account */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-lg font-medium mb-2">Payout Account</h2>
+        
+        {accountReady ? (
+          <div className="space-y-2">
+            <p className="text-green-700">Your Stripe account is set up. Booking payments are paid out to it, less the platform fee.</p>
+            <Link to="/payments/payouts" className="text-indigo-600 hover:text-indigo-800">
+              View payouts
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-gray-700">
+              {account && account.detailsSubmitted
+                ? 'Stripe is reviewing your details, or needs a little more information before it can pay you.'
+                : 'Set up a Stripe account to take booking payments and receive payouts.'}
+            </p>
+            {account && account.requirementsDue.length > 0 && (
+              <p className="text-sm text-gray-500">
+                Still needed: {account.requirementsDue.join(', ')}
+              </p>
+            )}
+            <button
+              type="button"
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              onClick={startOnboarding}
+              disabled={redirecting}
+            >
+              {account && account.accountId ? 'Continue Setup' : 'Set Up Payouts'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
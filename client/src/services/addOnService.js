@@ -0,0 +1,55 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/listings', 'Add-on request failed');
+
+/**
+ * Get all of a listing's add-ons, including inactive ones
+ * @param {Object} user - Firebase user (the listing's vendor)
+ * @param {string} listingId - The ID of the listing
+ * @returns {Promise<Array>} - Add-ons
+ */
+export const getManagedAddOns = async (user, listingId) => {
+  try {
+    return await request(user, `/${listingId}/services/manage`);
+  } catch (error) {
+    console.error('Error in getManagedAddOns:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an add-on, or save changes to an existing one
+ * @param {Object} user - Firebase user (the listing's vendor)
+ * @param {string} listingId - The ID of the listing
+ * @param {Object} addOn - { id?, name, description, price, isActive, maxQuantity }
+ * @returns {Promise<Object>} - Saved add-on
+ */
+export const saveAddOn = async (user, listingId, addOn) => {
+  try {
+    const { id, name, description, price, isActive, maxQuantity } = addOn;
+    const body = { name, description, price, isActive, maxQuantity };
+    
+    return id
+      ? await request(user, `/${listingId}/services/${id}`, { method: 'PUT', body })
+      : await request(user, `/${listingId}/services`, { method: 'POST', body });
+  } catch (error) {
+    console.error('Error in saveAddOn:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an add-on from a listing
+ * @param {Object} user - Firebase user (the listing's vendor)
+ * @param {string} listingId - The ID of the listing
+ * @param {string} addOnId - The ID of the add-on
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const deleteAddOn = async (user, listingId, addOnId) => {
+  try {
+    return await request(user, `/${listingId}/services/${addOnId}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error in deleteAddOn:', error);
+    throw error;
+  }
+};
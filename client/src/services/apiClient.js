@@ -0,0 +1,24 @@
+/**
+ * Build a request function for one part of the API, called as the signed-in user
+ * @param {string} basePath - Path the requests are made under, e.g. /api/listings
+ * @param {string} errorMessage - Error message when the server doesn't give one
+ * @returns {Function} - (user, path, { method, body }) => Promise of the parsed response
+ */
+export const createApiClient = (basePath, errorMessage) => async (user, path, { method = 'GET', body } = {}) => {
+  const token = await user.getIdToken();
+  const response = await fetch(`${basePath}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || errorMessage);
+  }
+  
+  return await response.json();
+};
@@ -0,0 +1,21 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/calendar', 'Calendar request failed');
+
+/**
+ * Get the vendor's busy time imported from their external calendars
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range (at most 62 days after from)
+ * @returns {Promise<Array>} - Busy blocks
+ */
+export const getBusyBlocks = async (user, from, to) => {
+  try {
+    const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+    
+    return await request(user, `/busy-blocks?${params}`);
+  } catch (error) {
+    console.error('Error in getBusyBlocks:', error);
+    throw error;
+  }
+};
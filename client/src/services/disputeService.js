@@ -0,0 +1,129 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/disputes', 'Dispute request failed');
+
+/**
+ * Get the vendor's disputes
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} [status] - 'open' or 'closed' (all if not given)
+ * @returns {Promise<Array>} - Disputes, open ones first by deadline
+ */
+export const getDisputes = async (user, status) => {
+  try {
+    return await request(user, status ? `?status=${status}` : '');
+  } catch (error) {
+    console.error('Error in getDisputes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a dispute and what is needed to respond to it
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} - { dispute, booking, listingDocuments, bookingRecord }
+ */
+export const getDispute = async (user, disputeId) => {
+  try {
+    return await request(user, `/${disputeId}`);
+  } catch (error) {
+    console.error('Error in getDispute:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the evidence text
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} evidence - { productDescription, cancellationRebuttal, refundRefusalExplanation, uncategorizedText }
+ * @returns {Promise<Object>} - Updated dispute
+ */
+export const saveEvidence = async (user, disputeId, evidence) => {
+  try {
+    return await request(user, `/${disputeId}/evidence`, { method: 'PUT', body: evidence });
+  } catch (error) {
+    console.error('Error in saveEvidence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload an evidence file (PDF, JPEG or PNG, up to 5 MB)
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @param {string} category - Evidence category, e.g. service_documentation
+ * @param {File} file - File to upload
+ * @returns {Promise<Object>} - Updated dispute
+ */
+export const uploadEvidenceFile = async (user, disputeId, category, file) => {
+  try {
+    const token = await user.getIdToken();
+    const response = await fetch(`/api/disputes/${disputeId}/files/${category}?name=${encodeURIComponent(file.name)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': file.type,
+        Authorization: `Bearer ${token}`
+      },
+      body: file
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to upload evidence file');
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error in uploadEvidenceFile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send one of the listing's documents as an evidence file
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @param {string} category - Evidence category
+ * @param {string} url - Document URL (one of the listing's documents)
+ * @returns {Promise<Object>} - Updated dispute
+ */
+export const addListingDocument = async (user, disputeId, category, url) => {
+  try {
+    return await request(user, `/${disputeId}/files/${category}/from-listing`, { method: 'POST', body: { url } });
+  } catch (error) {
+    console.error('Error in addListingDocument:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an evidence file
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @param {string} category - Evidence category
+ * @returns {Promise<Object>} - Updated dispute
+ */
+export const removeEvidenceFile = async (user, disputeId, category) => {
+  try {
+    return await request(user, `/${disputeId}/files/${category}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error in removeEvidenceFile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Submit the evidence to Stripe (once per dispute)
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} - Updated dispute
+ */
+export const submitEvidence = async (user, disputeId) => {
+  try {
+    return await request(user, `/${disputeId}/submit`, { method: 'POST' });
+  } catch (error) {
+    console.error('Error in submitEvidence:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,21 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/listings', 'Listing request failed');
+
+/**
+ * Create a listing, or save changes to an existing one
+ * @param {Object} user - Firebase user (the listing's vendor)
+ * @param {string|null} listingId - The ID of the listing, or null for a new one
+ * @param {Object} listing - Listing fields
+ * @returns {Promise<Object>} - Saved listing
+ */
+export const saveListing = async (user, listingId, listing) => {
+  try {
+    return listingId
+      ? await request(user, `/${listingId}`, { method: 'PUT', body: listing })
+      : await request(user, '', { method: 'POST', body: listing });
+  } catch (error) {
+    console.error('Error in saveListing:', error);
+    throw error;
+  }
+};
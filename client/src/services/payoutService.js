@@ -0,0 +1,59 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/stripe', 'Payout request failed');
+
+/**
+ * Get the vendor's Stripe Connect account status
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Object>} - { accountId, chargesEnabled, payoutsEnabled, detailsSubmitted, requirementsDue, payoutsOnHold }
+ */
+export const getConnectAccount = async (user) => {
+  try {
+    return await request(user, '/connect/account');
+  } catch (error) {
+    console.error('Error in getConnectAccount:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a Stripe-hosted link to set up (or finish setting up) payouts
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Object>} - { url, expiresAt, accountId }
+ */
+export const createOnboardingLink = async (user) => {
+  try {
+    return await request(user, '/connect/onboarding-link', { method: 'POST' });
+  } catch (error) {
+    console.error('Error in createOnboardingLink:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the vendor's Stripe balance and payouts
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Object>} - { accountId, balance: { available, pending }, payouts }
+ */
+export const getPayouts = async (user) => {
+  try {
+    return await request(user, '/payouts');
+  } catch (error) {
+    console.error('Error in getPayouts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get what the vendor is owed according to the platform's ledger
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Object>} - { vendorId, balances: [{ currency, payableCents, payable, accounts }], entryCount }
+ */
+export const getLedgerBalance = async (user) => {
+  try {
+    return await request(user, '/ledger/balance');
+  } catch (error) {
+    console.error('Error in getLedgerBalance:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,66 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/promo-codes', 'Promo code request failed');
+
+/**
+ * Get the vendor's promo codes
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Array>} - Promo codes, newest first
+ */
+export const getPromoCodes = async (user) => {
+  try {
+    return await request(user, '');
+  } catch (error) {
+    console.error('Error in getPromoCodes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get redemptions and discounts given per promo code
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Object>} - { codes, totals }
+ */
+export const getPromoCodeReport = async (user) => {
+  try {
+    return await request(user, '/report');
+  } catch (error) {
+    console.error('Error in getPromoCodeReport:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a promo code, or save changes to an existing one
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {Object} promoCode - { id?, code, description, discountType, value, minSpend,
+ *   startsAt, endsAt, maxRedemptions, maxRedemptionsPerCustomer, listingIds, isActive }
+ * @returns {Promise<Object>} - Saved promo code
+ */
+export const savePromoCode = async (user, promoCode) => {
+  try {
+    const { id, ...body } = promoCode;
+    
+    return id
+      ? await request(user, `/${id}`, { method: 'PUT', body })
+      : await request(user, '', { method: 'POST', body });
+  } catch (error) {
+    console.error('Error in savePromoCode:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a promo code that has not been redeemed
+ * @param {Object} user - Firebase user (the vendor)
+ * @param {string} promoCodeId - The ID of the promo code
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const deletePromoCode = async (user, promoCodeId) => {
+  try {
+    return await request(user, `/${promoCodeId}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error in deletePromoCode:', error);
+    throw error;
+  }
+};
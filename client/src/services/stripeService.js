@@ -1,31 +1,17 @@
-import { db } from '../config/firebase';
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/stripe', 'Failed to create payment intent');
 
 /**
- * Create a payment intent with Stripe
+ * Create a payment intent with Stripe, or get back the booking's open one.
+ * The server charges the booking's own total, so no amount is sent.
+ * @param {Object} user - Firebase user (the customer)
  * @param {string} bookingId - The ID of the booking
- * @param {number} amount - Payment amount in dollars
- * @returns {Promise<string>} - Client secret for payment intent
+ * @returns {Promise<Object>} - { clientSecret, amount, totalAmount, instalment, paymentSchedule, lineItems, holdExpiresAt, holdRemainingSeconds }
  */
-export const createPaymentIntent = async (bookingId, amount) => {
+export const createPaymentIntent = async (user, bookingId) => {
   try {
-    const response = await fetch('/api/stripe/create-payment-intent', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        bookingId,
-        amount
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || 'Failed to create payment intent');
-    }
-    
-    const data = await response.json();
-    return data.clientSecret;
+    return await request(user, '/create-payment-intent', { method: 'POST', body: { bookingId } });
   } catch (error) {
     console.error('Error in createPaymentIntent:', error);
     throw error;
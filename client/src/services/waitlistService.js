@@ -0,0 +1,17 @@
+import { createApiClient } from './apiClient';
+
+const request = createApiClient('/api/waitlist', 'Waitlist request failed');
+
+/**
+ * Count the customers waiting on each of the vendor's listings
+ * @param {Object} user - Firebase user (the vendor)
+ * @returns {Promise<Array>} - [{ listingId, waiting, offered }]
+ */
+export const getWaitlistDepth = async (user) => {
+  try {
+    return await request(user, '/depth');
+  } catch (error) {
+    console.error('Error in getWaitlistDepth:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Time zone display helpers. Bookings store UTC ISO strings plus the
+ * listing's IANA time zone; these format them for a given zone.
+ */
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone (e.g. 'Europe/London')
+ */
+export const getBrowserTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+};
+
+/**
+ * Format a date in a time zone
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} [timeZone] - IANA time zone (defaults to the browser's)
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+export const formatInTimeZone = (date, timeZone, options = {}) => {
+  if (!date) return '';
+  
+  return new Intl.DateTimeFormat(undefined, {
+    timeZone: timeZone || getBrowserTimeZone(),
+    ...options
+  }).format(new Date(date));
+};
+
+/**
+ * Format the calendar date of a time in a zone (e.g. 'Mar 10, 2030')
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} Formatted date
+ */
+export const formatDateInTimeZone = (date, timeZone) => {
+  return formatInTimeZone(date, timeZone, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Format a start/end pair as a time range with the zone's abbreviation
+ * (e.g. '9:00 AM - 10:00 AM EDT')
+ * @param {Date|string} start - Start time
+ * @param {Date|string} end - End time
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} Formatted time range
+ */
+export const formatTimeRangeInTimeZone = (start, end, timeZone) => {
+  const startTime = formatInTimeZone(start, timeZone, { hour: 'numeric', minute: '2-digit' });
+  const endTime = formatInTimeZone(end, timeZone, {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  
+  return `${startTime} - ${endTime}`;
+};
+
+/**
+ * Check whether two zones show the same wall-clock time at an instant
+ * @param {string} zoneA - IANA time zone
+ * @param {string} zoneB - IANA time zone
+ * @param {Date|string} [date] - Instant to compare at
+ * @returns {boolean} Whether the zones currently match
+ */
+export const isSameWallClock = (zoneA, zoneB, date = new Date()) => {
+  const options = { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' };
+  
+  return formatInTimeZone(date, zoneA, options) === formatInTimeZone(date, zoneB, options);
+};
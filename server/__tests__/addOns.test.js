@@ -0,0 +1,101 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const AddOnService = require('../services/addOnService');
+const BookingService = require('../services/bookingService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+let bike;
+let helmet;
+let paddle;
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', { title: 'Bike tour', price: 40, holdMinutes: 0 });
+  await FirebaseService.createDocument('listings', { vendorId: 'v2', title: 'Kayak', price: 30, status: 'active' }, 'l2');
+  
+  bike = await AddOnService.createAddOn('l1', 'v1', { name: 'E-bike upgrade', price: 12.5, maxQuantity: 4 });
+  helmet = await AddOnService.createAddOn('l1', 'v1', { name: 'Helmet', price: 3, isActive: false });
+  paddle = await AddOnService.createAddOn('l2', 'v2', { name: 'Spare paddle', price: 5 });
+});
+
+describe('AddOnService', () => {
+  it('only lets the listing\'s vendor add and change its add-ons', async () => {
+    await expect(AddOnService.createAddOn('l1', 'v2', { name: 'Map', price: 1 })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(AddOnService.updateAddOn('l2', bike.id, 'v2', { price: 1 })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(AddOnService.createAddOn('l1', 'v1', { name: 'Map', price: -1 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  it('lists only active add-ons unless asked for all of them', async () => {
+    expect((await AddOnService.getListingAddOns('l1')).map(addOn => addOn.name)).toEqual(['E-bike upgrade']);
+    expect(await AddOnService.getListingAddOns('l1', { includeInactive: true })).toHaveLength(2);
+  });
+});
+
+describe('booking with add-ons', () => {
+  it('prices add-ons from the add-on, not the request, as line items', async () => {
+    const booking = await BookingService.createBooking({
+      listingId: 'l1',
+      userId: 'c1',
+      ...slot(2),
+      addOns: [{ serviceId: bike.id, quantity: 2, price: 0 }]
+    });
+    
+    expect(booking.lineItems).toEqual([
+      expect.objectContaining({ type: 'base', amount: 40 }),
+      expect.objectContaining({ type: 'add_on', description: 'E-bike upgrade', unitPrice: 12.5, quantity: 2, amount: 25 })
+    ]);
+    expect(booking.totalAmount).toBe(65);
+  });
+  
+  it('turns down switched-off add-ons, other listings\' add-ons and quantities over the limit', async () => {
+    const book = (addOns, days) => BookingService.createBooking({ listingId: 'l1', userId: 'c1', ...slot(days), addOns });
+    
+    await expect(book([{ serviceId: helmet.id }], 3)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book([{ serviceId: paddle.id }], 3)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book([{ serviceId: bike.id, quantity: 5 }], 4)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book([{ serviceId: bike.id }, { serviceId: bike.id }], 5)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('BookingService.updateBooking', () => {
+  const createPaidBooking = (id, fields = {}) => FirebaseService.createDocument('bookings', {
+    listingId: 'l1',
+    vendorId: 'v1',
+    userId: 'c1',
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    totalAmount: 100,
+    ...slot(10),
+    payments: [{ paymentIntentId: `pi_${id}`, type: 'booking', amountCents: 10000, refundedCents: 0 }],
+    ...fields
+  }, id);
+  
+  it('keeps the price of a paid booking at least what was paid', async () => {
+    await createPaidBooking('b_paid');
+    
+    await expect(BookingService.updateBooking('b_paid', { totalAmount: 99.99 })).rejects.toMatchObject({ statusCode: 400 });
+    expect((await FirebaseService.getDocument('bookings', 'b_paid')).totalAmount).toBe(100);
+  });
+  
+  it('counts refunds, and bookings paid before payments were itemised', async () => {
+    await createPaidBooking('b_refunded', {
+      paymentStatus: 'partially_refunded',
+      payments: [{ paymentIntentId: 'pi_refunded', type: 'booking', amountCents: 10000, refundedCents: 3000 }]
+    });
+    await createPaidBooking('b_legacy', { payments: undefined, stripePaymentId: 'pi_legacy' });
+    
+    await expect(BookingService.updateBooking('b_refunded', { totalAmount: 70 })).resolves.toMatchObject({ totalAmount: 70 });
+    await expect(BookingService.updateBooking('b_legacy', { totalAmount: 80 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  it('leaves the caller\'s update alone', async () => {
+    await createPaidBooking('b_notes');
+    const updateData = { notes: 'Bring water' };
+    
+    await BookingService.updateBooking('b_notes', updateData);
+    
+    expect(updateData).toEqual({ notes: 'Bring water' });
+  });
+});
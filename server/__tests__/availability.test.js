@@ -0,0 +1,107 @@
+process.env.DATA_STORE = 'memory';
+
+const AvailabilityService = require('../services/availabilityService');
+const BookingService = require('../services/bookingService');
+const { silenceConsole, createListing } = require('./helpers/fixtures');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Midnight UTC a number of days from now
+const day = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(0, 0, 0, 0);
+  
+  return date;
+};
+
+const at = (days, hour) => new Date(day(days).getTime() + hour * 60 * 60 * 1000).toISOString();
+const dateKey = (days) => day(days).toISOString().slice(0, 10);
+const freeSlots = async (listingId, days) =>
+  (await BookingService.getFreeSlots(listingId, at(days, 0), at(days + 1, 0))).slots.map(slot => slot.startTime);
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('studio', {
+    title: 'Recording studio',
+    price: 50,
+    availability: {
+      weeklyHours: Object.fromEntries(DAYS.map(name => [name, [{ start: '09:00', end: '12:00' }]])),
+      exceptions: [{ date: dateKey(4), hours: [{ start: '14:00', end: '16:00' }] }],
+      blackouts: [{ startDate: dateKey(5), endDate: dateKey(6) }],
+      maxAdvanceDays: 30
+    }
+  });
+  await createListing('cabin', { title: 'Cabin', price: 120, pricing: { model: 'daily' } });
+  await createListing('hall', {
+    title: 'Party hall',
+    price: 40,
+    pricing: { model: 'hourly' },
+    availability: {
+      weeklyHours: Object.fromEntries(DAYS.map(name => [name, [{ start: '18:00', end: '24:00' }, { start: '00:00', end: '03:00' }]]))
+    }
+  });
+});
+
+describe('AvailabilityService.validateRules', () => {
+  it('accepts well formed rules', () => {
+    expect(AvailabilityService.validateRules({
+      weeklyHours: { monday: [{ start: '09:00', end: '17:00' }], sunday: [] },
+      blackouts: [{ startDate: '2030-12-24', endDate: '2030-12-26' }],
+      bufferAfterMinutes: 15
+    })).toBeNull();
+  });
+  
+  it('turns down bad days, times, dates and numbers', () => {
+    expect(AvailabilityService.validateRules({ weeklyHours: { funday: [] } })).toMatch(/Unknown day/);
+    expect(AvailabilityService.validateRules({ weeklyHours: { monday: [{ start: '9am', end: '17:00' }] } })).toMatch(/HH:MM/);
+    expect(AvailabilityService.validateRules({ weeklyHours: { monday: [{ start: '17:00', end: '09:00' }] } })).toMatch(/end after/);
+    expect(AvailabilityService.validateRules({ blackouts: [{ startDate: '2030-12-26', endDate: '2030-12-24' }] })).toMatch(/Blackout/);
+    expect(AvailabilityService.validateRules({ minNoticeMinutes: -5 })).toMatch(/non-negative/);
+    expect(AvailabilityService.validateRules({ slotDurationMinutes: 0 })).toMatch(/greater than zero/);
+  });
+});
+
+describe('free slots', () => {
+  it('offers slots within the weekly hours', async () => {
+    await expect(freeSlots('studio', 2)).resolves.toEqual([at(2, 9), at(2, 10), at(2, 11)]);
+  });
+  
+  it('uses a date\'s exception hours instead, and nothing on blackout dates', async () => {
+    await expect(freeSlots('studio', 4)).resolves.toEqual([at(4, 14), at(4, 15)]);
+    await expect(freeSlots('studio', 5)).resolves.toEqual([]);
+    await expect(freeSlots('studio', 6)).resolves.toEqual([]);
+  });
+  
+  it('leaves out booked slots', async () => {
+    await BookingService.createBooking({ listingId: 'studio', userId: 'c1', startTime: at(3, 10), endTime: at(3, 11) });
+    
+    await expect(freeSlots('studio', 3)).resolves.toEqual([at(3, 9), at(3, 11)]);
+  });
+  
+  it('won\'t book outside the rules', async () => {
+    const book = (startTime, endTime) => BookingService.createBooking({ listingId: 'studio', userId: 'c1', startTime, endTime });
+    
+    await expect(book(at(7, 12), at(7, 13))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book(at(5, 9), at(5, 10))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book(at(40, 9), at(40, 10))).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('bookings across midnight', () => {
+  const book = (listingId, startTime, endTime) => BookingService.createBooking({ listingId, userId: 'c1', startTime, endTime });
+  
+  it('books a daily listing for several days', async () => {
+    await expect(book('cabin', at(2, 14), at(4, 11))).resolves.toMatchObject({ totalAmount: 240 });
+  });
+  
+  it('books an hourly listing past midnight when the next day opens at midnight', async () => {
+    await expect(book('hall', at(2, 22), at(3, 2))).resolves.toMatchObject({ totalAmount: 160 });
+  });
+  
+  it('won\'t book through hours the listing is closed', async () => {
+    await expect(book('hall', at(3, 22), at(4, 4))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book('studio', at(8, 11), at(9, 10))).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,71 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const { canTransition, getAllowedTransitions, isTerminalStatus } = require('../utils/bookingStatus');
+const { slot, silenceConsole, createListing, bookingFactory } = require('./helpers/fixtures');
+
+const createBooking = bookingFactory({ status: 'pending', totalAmount: 40, statusHistory: [], ...slot(3) });
+
+beforeAll(() => {
+  silenceConsole();
+});
+
+describe('booking lifecycle rules', () => {
+  it('says who may make each move', () => {
+    expect(canTransition('pending', 'confirmed', 'vendor')).toBe(true);
+    expect(canTransition('pending', 'confirmed', 'customer')).toBe(false);
+    expect(canTransition('pending', 'expired', 'system')).toBe(true);
+    expect(canTransition('completed', 'cancelled', 'vendor')).toBe(false);
+    expect(getAllowedTransitions('pending', 'customer')).toEqual(['cancelled']);
+    expect(isTerminalStatus('cancelled')).toBe(true);
+    expect(isTerminalStatus('confirmed')).toBe(false);
+  });
+});
+
+describe('BookingService.transitionStatus', () => {
+  it('records each change in the booking\'s history', async () => {
+    await createBooking('b_confirm');
+    
+    const booking = await BookingService.transitionStatus('b_confirm', 'confirmed', { userId: 'v1' }, { reason: 'See you then' });
+    
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toEqual([
+      expect.objectContaining({ from: 'pending', to: 'confirmed', changedBy: 'v1', role: 'vendor', reason: 'See you then' })
+    ]);
+  });
+  
+  it('turns down moves the actor may not make, or that skip the lifecycle', async () => {
+    await createBooking('b_rules');
+    
+    await expect(BookingService.transitionStatus('b_rules', 'confirmed', { userId: 'c1' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(BookingService.transitionStatus('b_rules', 'confirmed', { userId: 'c2' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(BookingService.transitionStatus('b_rules', 'completed', { userId: 'v1' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(BookingService.transitionStatus('b_rules', 'pending', { userId: 'v1' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(BookingService.transitionStatus('b_rules', 'paid', { userId: 'v1' })).rejects.toMatchObject({ statusCode: 400 });
+    
+    expect((await FirebaseService.getDocument('bookings', 'b_rules')).statusHistory).toEqual([]);
+  });
+  
+  it('won\'t start, complete or mark a no-show before the booking starts', async () => {
+    await createBooking('b_early', { status: 'confirmed' });
+    await createBooking('b_started', { status: 'confirmed', ...slot(-1) });
+    
+    await expect(BookingService.transitionStatus('b_early', 'in_progress', { userId: 'v1' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(BookingService.transitionStatus('b_early', 'no_show', { userId: 'v1' })).rejects.toMatchObject({ statusCode: 400 });
+    
+    await BookingService.transitionStatus('b_started', 'in_progress', { userId: 'v1' });
+    const booking = await BookingService.transitionStatus('b_started', 'completed', { userId: 'v1' });
+    
+    expect(booking.statusHistory.map(entry => entry.to)).toEqual(['in_progress', 'completed']);
+  });
+  
+  it('starts a new booking as pending with a first history entry', async () => {
+    await createListing('l1', { title: 'Boat', price: 40 });
+    
+    const booking = await BookingService.createBooking({ listingId: 'l1', userId: 'c1', ...slot(8) });
+    
+    expect(booking).toMatchObject({ status: 'pending', paymentStatus: 'pending' });
+    expect(booking.statusHistory).toEqual([expect.objectContaining({ from: null, to: 'pending', changedBy: 'c1', role: 'customer' })]);
+  });
+});
@@ -0,0 +1,67 @@
+process.env.DATA_STORE = 'memory';
+
+const request = require('supertest');
+const app = require('../index');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', { title: 'Tennis court', price: 30 });
+});
+
+describe('bookings API', () => {
+  let bookingId;
+  
+  it('needs a login', async () => {
+    const res = await request(app).post('/api/bookings').send({ listingId: 'l1', ...slot(2) });
+    
+    expect(res.status).toBe(401);
+  });
+  
+  it('books through the service, pricing from the listing rather than the request', async () => {
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer c1')
+      .send({ listingId: 'l1', ...slot(2), totalAmount: 1, status: 'confirmed' });
+    
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ listingId: 'l1', vendorId: 'v1', userId: 'c1', totalAmount: 30, status: 'pending' });
+    bookingId = res.body.id;
+  });
+  
+  it('checks the request before it reaches the service', async () => {
+    const res = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', 'Bearer c1')
+      .send({ listingId: 'l1', startTime: slot(3).endTime, endTime: slot(3).startTime });
+    
+    expect(res.status).toBe(400);
+  });
+  
+  it('shows a booking only to its customer and vendor', async () => {
+    const get = (uid) => request(app).get(`/api/bookings/${bookingId}`).set('Authorization', `Bearer ${uid}`);
+    
+    expect((await get('c1')).status).toBe(200);
+    expect((await get('v1')).status).toBe(200);
+    expect((await get('c2')).status).toBe(403);
+    expect((await request(app).get('/api/bookings/missing').set('Authorization', 'Bearer v1')).status).toBe(404);
+  });
+  
+  it('lists a vendor\'s bookings and a customer\'s own', async () => {
+    const vendor = await request(app).get('/api/bookings').set('Authorization', 'Bearer v1');
+    const customer = await request(app).get('/api/bookings/mine').set('Authorization', 'Bearer c1');
+    
+    expect(vendor.body.map(booking => booking.id)).toEqual([bookingId]);
+    expect(customer.body.map(booking => booking.id)).toEqual([bookingId]);
+  });
+  
+  it('leaves status changes to the lifecycle endpoints', async () => {
+    const res = await request(app)
+      .put(`/api/bookings/${bookingId}`)
+      .set('Authorization', 'Bearer v1')
+      .send({ status: 'completed' });
+    
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,76 @@
+process.env.DATA_STORE = 'memory';
+
+const request = require('supertest');
+const app = require('../index');
+const FirebaseService = require('../services/firebaseService');
+const { foldLine, parseCalendar } = require('../utils/ical');
+const { slot, silenceConsole, bookingFactory } = require('./helpers/fixtures');
+
+const createBooking = bookingFactory({ customerName: 'Grace' });
+
+const createFeed = (listingId) => request(app)
+  .post('/api/calendar/feeds')
+  .set('Authorization', 'Bearer v1')
+  .send(listingId ? { listingId } : {});
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await FirebaseService.createDocument('users', { company: 'Harbour Sports' }, 'v1');
+  await FirebaseService.createDocument('listings', { vendorId: 'v1', title: 'Kayak, single', timezone: 'Europe/London' }, 'kayak');
+  await FirebaseService.createDocument('listings', { vendorId: 'v1', title: 'Paddleboard' }, 'board');
+  await FirebaseService.createDocument('listings', { vendorId: 'v2', title: 'Someone else\'s' }, 'other');
+  await createBooking('b_kayak', { listingId: 'kayak', ...slot(2), notes: 'Bring a wetsuit; size M' });
+  await createBooking('b_board', { listingId: 'board', ...slot(3), status: 'cancelled' });
+});
+
+describe('calendar feeds', () => {
+  it('serves the vendor\'s bookings as iCalendar events', async () => {
+    const { body: feed } = await createFeed();
+    const res = await request(app).get(`/api/calendar/feeds/${feed.id}.ics`);
+    
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(res.text).toContain('SUMMARY:Kayak\\, single - Grace\r\n');
+    
+    const { name, events } = parseCalendar(res.text);
+    
+    expect(name).toBe('Harbour Sports');
+    expect(events.map(event => [event.uid, event.summary, event.status])).toEqual([
+      ['booking-b_kayak@vendor-saas-mvp', 'Kayak, single - Grace', 'CONFIRMED'],
+      ['booking-b_board@vendor-saas-mvp', 'Paddleboard - Grace (cancelled)', 'CANCELLED']
+    ]);
+    expect(events[0].start.toISOString()).toBe(slot(2).startTime);
+  });
+  
+  it('limits a listing\'s feed to that listing, in its time zone', async () => {
+    const { body: feed } = await createFeed('kayak');
+    const res = await request(app).get(`/api/calendar/feeds/${feed.id}.ics`);
+    
+    expect(res.text).toContain('X-WR-TIMEZONE:Europe/London');
+    expect(parseCalendar(res.text).events.map(event => event.uid)).toEqual(['booking-b_kayak@vendor-saas-mvp']);
+    expect((await createFeed('other')).status).toBe(403);
+  });
+  
+  it('stops serving a feed once it\'s rotated or revoked', async () => {
+    const { body: first } = await createFeed('board');
+    const { body: second } = await createFeed('board');
+    
+    expect((await request(app).get(`/api/calendar/feeds/${first.id}.ics`)).status).toBe(404);
+    
+    const revoke = (uid) => request(app).delete(`/api/calendar/feeds/${second.id}`).set('Authorization', `Bearer ${uid}`);
+    
+    expect((await revoke('v2')).status).toBe(404);
+    expect((await revoke('v1')).status).toBe(200);
+    expect((await request(app).get(`/api/calendar/feeds/${second.id}.ics`)).status).toBe(404);
+  });
+  
+  it('folds long lines without splitting a character', () => {
+    const lines = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+    
+    expect(lines).toHaveLength(2);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines[1].startsWith(' ')).toBe(true);
+  });
+});
@@ -0,0 +1,81 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const CalendarImportService = require('../services/calendarImportService');
+const { formatDateTime } = require('../utils/ical');
+const { slot, silenceConsole } = require('./helpers/fixtures');
+
+const event = (uid, time, ...properties) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTART:${formatDateTime(time.startTime)}`,
+  `DTEND:${formatDateTime(time.endTime)}`,
+  ...properties,
+  'END:VEVENT'
+];
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Personal',
+  ...events.flat(),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const blockTimes = async (vendorId) =>
+  (await CalendarImportService.getBusyBlocks(vendorId, slot(0).startTime, slot(60).startTime)).map(block => block.startTime);
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await FirebaseService.createDocument('users', { timezone: 'UTC' }, 'v1');
+  await FirebaseService.createDocument('listings', { vendorId: 'v1', title: 'Guided walk', price: 25, status: 'active' }, 'walk');
+});
+
+describe('CalendarImportService', () => {
+  it('imports busy events, leaving out cancelled and free ones', async () => {
+    const source = await CalendarImportService.importFile('v1', calendar(
+      event('dentist', slot(2), 'SUMMARY:Dentist'),
+      event('cancelled', slot(3), 'STATUS:CANCELLED'),
+      event('reminder', slot(4), 'TRANSP:TRANSPARENT')
+    ));
+    
+    expect(source).toMatchObject({ name: 'Personal', type: 'file', blockCount: 1, lastSyncWarning: null });
+    await expect(blockTimes('v1')).resolves.toEqual([slot(2).startTime]);
+  });
+  
+  it('expands recurring events, with their exceptions and moved occurrences', async () => {
+    const sources = await CalendarImportService.getSources('v1');
+    
+    await CalendarImportService.replaceFile('v1', sources[0].id, calendar(
+      event('gym', slot(5, 7), 'RRULE:FREQ=WEEKLY;COUNT=3', `EXDATE:${formatDateTime(slot(12, 7).startTime)}`),
+      event('gym', slot(19, 18), `RECURRENCE-ID:${formatDateTime(slot(19, 7).startTime)}`)
+    ));
+    
+    await expect(blockTimes('v1')).resolves.toEqual([slot(5, 7).startTime, slot(19, 18).startTime]);
+  });
+  
+  it('stops customers booking over the vendor\'s busy time', async () => {
+    const book = (time) => BookingService.createBooking({ listingId: 'walk', userId: 'c1', ...time });
+    
+    await expect(book(slot(5, 7))).rejects.toMatchObject({ statusCode: 409 });
+    await expect(book(slot(5, 9))).resolves.toMatchObject({ status: 'pending' });
+  });
+  
+  it('turns down files that aren\'t calendars, and other vendors\' sources', async () => {
+    const [source] = await CalendarImportService.getSources('v1');
+    
+    await expect(CalendarImportService.importFile('v1', 'name,start\nDentist,today')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(CalendarImportService.deleteSource('v2', source.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+  
+  it('releases the busy time when the calendar is disconnected', async () => {
+    const [source] = await CalendarImportService.getSources('v1');
+    
+    await CalendarImportService.deleteSource('v1', source.id);
+    
+    await expect(blockTimes('v1')).resolves.toEqual([]);
+    await expect(CalendarImportService.getSources('v1')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { retrieve: jest.fn(), cancel: jest.fn() },
+  refunds: { create: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const {
+  validateCancellationPolicy,
+  resolveCancellationPolicy,
+  calculateRefund
+} = require('../utils/cancellationPolicy');
+const { silenceConsole, bookingFactory } = require('./helpers/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An hour-long booking starting a number of hours from now
+const hoursAhead = (hours) => {
+  const start = new Date(Date.now() + hours * HOUR_MS);
+  
+  return { startTime: start.toISOString(), endTime: new Date(start.getTime() + HOUR_MS).toISOString() };
+};
+
+const createBooking = bookingFactory((id) => ({
+  paymentStatus: 'paid',
+  totalAmount: 80,
+  stripePaymentId: `pi_${id}`,
+  payments: [{ paymentIntentId: `pi_${id}`, type: 'booking', amountCents: 8000, refundedCents: 0 }],
+  cancellationPolicy: resolveCancellationPolicy('moderate'),
+  ...hoursAhead(30)
+}));
+
+beforeAll(() => {
+  silenceConsole();
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({
+    id, amount: 8000, application_fee_amount: 400, transfer_data: { destination: 'acct_1' }, metadata: {}
+  }));
+  stripe.refunds.create.mockImplementation(async (params) => ({ id: `re_${params.payment_intent}`, status: 'succeeded' }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('cancellation policies', () => {
+  it('accepts presets and well formed custom tiers', () => {
+    expect(validateCancellationPolicy('strict')).toBeNull();
+    expect(validateCancellationPolicy({ tiers: [{ minHoursBefore: 12, refundPercent: 75 }] })).toBeNull();
+    expect(validateCancellationPolicy('lenient')).toMatch(/must be one of/);
+    expect(validateCancellationPolicy({ tiers: [] })).toMatch(/tiers/);
+    expect(validateCancellationPolicy({ tiers: [{ minHoursBefore: 12, refundPercent: 120 }] })).toMatch(/refundPercent/);
+    expect(validateCancellationPolicy({
+      tiers: [{ minHoursBefore: 12, refundPercent: 50 }, { minHoursBefore: 12, refundPercent: 20 }]
+    })).toMatch(/different/);
+  });
+  
+  it('refunds by how long before the start the customer cancels', () => {
+    const policy = resolveCancellationPolicy('moderate');
+    const refund = (hours, byVendor = false, fields = {}) =>
+      calculateRefund(policy, { totalAmount: 80, ...hoursAhead(hours), ...fields }, { byVendor }).refundAmount;
+    
+    expect(refund(72)).toBe(80);
+    expect(refund(30)).toBe(40);
+    expect(refund(10)).toBe(0);
+    expect(refund(10, true)).toBe(80);
+    expect(refund(72, false, { refundedCents: 6000 })).toBe(20);
+  });
+  
+  it('refunds in full when a listing has no policy', () => {
+    expect(resolveCancellationPolicy(null).tiers).toEqual([{ minHoursBefore: 0, refundPercent: 100 }]);
+  });
+});
+
+describe('cancelling a paid booking', () => {
+  it('quotes and then refunds the policy\'s share', async () => {
+    await createBooking('b_moderate');
+    
+    await expect(BookingService.getCancellationQuote('b_moderate', 'c1')).resolves.toMatchObject({
+      refundPercent: 50, refundAmount: 40, initiatedBy: 'customer'
+    });
+    
+    const booking = await BookingService.cancelBooking('b_moderate', 'c1', 'Plans changed');
+    
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_b_moderate', amount: 4000 }),
+      expect.anything()
+    );
+    expect(booking).toMatchObject({
+      status: 'cancelled',
+      paymentStatus: 'partially_refunded',
+      cancellationRefund: { refundAmount: 40, status: 'refunded' }
+    });
+  });
+  
+  it('refunds nothing for an unpaid booking', async () => {
+    await createBooking('b_unpaid', { paymentStatus: 'pending', stripePaymentId: null, payments: [] });
+    
+    const booking = await BookingService.cancelBooking('b_unpaid', 'c1');
+    
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(booking.cancellationRefund).toMatchObject({ refundAmount: 0, status: 'not_required' });
+  });
+  
+  it('records a refund that Stripe turns down, and won\'t cancel past bookings', async () => {
+    await createBooking('b_failed', hoursAhead(72));
+    await createBooking('b_past', hoursAhead(-2));
+    stripe.refunds.create.mockRejectedValue(new Error('Charge already refunded'));
+    
+    const booking = await BookingService.cancelBooking('b_failed', 'c1');
+    
+    expect(booking).toMatchObject({ status: 'cancelled', cancellationRefund: { status: 'failed', error: 'Charge already refunded' } });
+    await expect(BookingService.cancelBooking('b_past', 'c1')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('BookingService.refundPayment', () => {
+  it('sends one refund when the vendor asks twice at once', async () => {
+    await createBooking('b_double');
+    
+    const results = await Promise.allSettled([
+      BookingService.refundPayment('b_double', 'v1', { amount: 30 }),
+      BookingService.refundPayment('b_double', 'v1', { amount: 30 })
+    ]);
+    
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_b_double', amount: 3000 }),
+      { idempotencyKey: 'refund_b_double_0_pi_b_double' }
+    );
+    await expect(FirebaseService.getDocument('bookings', 'b_double')).resolves.toMatchObject({
+      paymentStatus: 'partially_refunded',
+      refundedCents: 3000,
+      refundClaim: { status: 'refunded' }
+    });
+  });
+  
+  it('refunds once for a repeated client key, and only for the booking\'s vendor', async () => {
+    await createBooking('b_keyed');
+    
+    await BookingService.refundPayment('b_keyed', 'v1', { amount: 20, idempotencyKey: 'click_1' });
+    await BookingService.refundPayment('b_keyed', 'v1', { amount: 20, idempotencyKey: 'click_1' });
+    
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    await expect(BookingService.refundPayment('b_keyed', 'v2')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
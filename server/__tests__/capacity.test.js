@@ -0,0 +1,46 @@
+process.env.DATA_STORE = 'memory';
+
+const BookingService = require('../services/bookingService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const book = (partySize, time = slot(3)) => BookingService.createBooking({ listingId: 'class', userId: 'c1', partySize, ...time });
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('class', { title: 'Yoga class', price: 15, pricePerSeat: true, capacity: 6 });
+});
+
+describe('capacity listings', () => {
+  it('fills a class seat by seat, charging each seat', async () => {
+    const booking = await book(4);
+    
+    expect(booking).toMatchObject({ partySize: 4, totalAmount: 60 });
+    expect(booking.lineItems[0]).toMatchObject({ unitPrice: 15, quantity: 4 });
+    await expect(BookingService.getSlotAvailability('class', slot(3).startTime, slot(3).endTime, { partySize: 2 }))
+      .resolves.toEqual({ available: true, capacity: 6, remainingSeats: 2 });
+  });
+  
+  it('turns down a party bigger than the seats left, or than the class', async () => {
+    await expect(book(3)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(book(7, slot(4))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book(0, slot(4))).rejects.toMatchObject({ statusCode: 400 });
+    
+    await expect(book(2)).resolves.toMatchObject({ partySize: 2 });
+    await expect(book(1)).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('gives seats back when a booking is cancelled', async () => {
+    const booking = await book(6, slot(5));
+    
+    await BookingService.cancelBooking(booking.id, 'c1');
+    
+    await expect(book(6, slot(5))).resolves.toMatchObject({ partySize: 6 });
+  });
+  
+  it('validates a listing\'s capacity', () => {
+    expect(BookingService.validateCapacity(1)).toBeNull();
+    expect(BookingService.validateCapacity(0)).toMatch(/capacity/);
+    expect(BookingService.validateCapacity(2.5)).toMatch(/capacity/);
+  });
+});
@@ -0,0 +1,207 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  accounts: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn() },
+  accountLinks: { create: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const ConnectService = require('../services/connectService');
+const { silenceConsole } = require('./helpers/fixtures');
+
+const urls = { returnUrl: 'https://app.test/profile?onboarding=return', refreshUrl: 'https://app.test/profile?onboarding=refresh' };
+
+const account = (id, fields = {}) => ({
+  id,
+  charges_enabled: false,
+  payouts_enabled: false,
+  details_submitted: false,
+  requirements: { currently_due: ['external_account'] },
+  metadata: {},
+  ...fields
+});
+
+beforeAll(() => {
+  silenceConsole('error', 'log');
+});
+
+beforeEach(() => {
+  stripe.accounts.create.mockImplementation(async (params) => account('acct_new', { metadata: params.metadata }));
+  stripe.accountLinks.create.mockResolvedValue({ url: 'https://connect.stripe.test/setup', expires_at: 1800000000 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ConnectService.createOnboardingLink', () => {
+  it('creates the vendor\'s Express account once, keyed by vendor', async () => {
+    await FirebaseService.createDocument('users', { email: 'vendor@example.com' }, 'v_new');
+    
+    const link = await ConnectService.createOnboardingLink('v_new', urls);
+    
+    expect(link).toEqual({ url: 'https://connect.stripe.test/setup', expiresAt: '2027-01-15T08:00:00.000Z', accountId: 'acct_new' });
+    expect(stripe.accounts.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'express', email: 'vendor@example.com', metadata: { vendorId: 'v_new' } }),
+      { idempotencyKey: 'connect_account_v_new' }
+    );
+    expect(await FirebaseService.getDocument('users', 'v_new')).toMatchObject({
+      stripeAccountId: 'acct_new',
+      stripeAccountStatus: { chargesEnabled: false, requirementsDue: ['external_account'] }
+    });
+    
+    await ConnectService.createOnboardingLink('v_new', urls);
+    
+    expect(stripe.accounts.create).toHaveBeenCalledTimes(1);
+    expect(stripe.accountLinks.create).toHaveBeenLastCalledWith(expect.objectContaining({ account: 'acct_new', type: 'account_onboarding' }));
+  });
+});
+
+describe('Connect account status', () => {
+  it('follows account.updated webhooks, and ignores accounts that aren\'t a vendor\'s', async () => {
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_ready' }, 'v_ready');
+    
+    await expect(ConnectService.processAccountUpdate(account('acct_ready', { charges_enabled: true, payouts_enabled: true })))
+      .resolves.toBe(true);
+    await expect(ConnectService.processAccountUpdate(account('acct_unknown'))).resolves.toBe(false);
+    
+    expect((await FirebaseService.getDocument('users', 'v_ready')).stripeAccountStatus).toMatchObject({
+      chargesEnabled: true,
+      payoutsEnabled: true
+    });
+  });
+  
+  it('only sends payments to a vendor who can take charges', async () => {
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_ok', stripeAccountStatus: { chargesEnabled: true } }, 'v_ok');
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_todo', stripeAccountStatus: { chargesEnabled: false } }, 'v_todo');
+    
+    await expect(ConnectService.getDestinationAccount('v_ok')).resolves.toBe('acct_ok');
+    await expect(ConnectService.getDestinationAccount('v_todo')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(ConnectService.getDestinationAccount('v_missing')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('payout holds', () => {
+  it('keeps holds added at the same time, and resumes payouts once the last is released', async () => {
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_held' }, 'v_held');
+    stripe.accounts.retrieve.mockResolvedValue(account('acct_held', {
+      settings: { payouts: { schedule: { interval: 'weekly', delay_days: 7, weekly_anchor: 'friday' } } }
+    }));
+    
+    const added = await Promise.all([
+      ConnectService.holdPayouts('v_held', 'dp_1'),
+      ConnectService.holdPayouts('v_held', 'dp_2'),
+      ConnectService.holdPayouts('v_held', 'dp_1')
+    ]);
+    
+    expect(added.filter(Boolean)).toHaveLength(2);
+    expect(await FirebaseService.getDocument('users', 'v_held')).toMatchObject({
+      payoutHolds: ['dp_1', 'dp_2'],
+      heldPayoutSchedule: { interval: 'weekly', delay_days: 7, weekly_anchor: 'friday' }
+    });
+    // Holds made before Stripe has the manual schedule each set it
+    stripe.accounts.update.mock.calls.forEach(call => expect(call).toEqual(['acct_held', {
+      settings: { payouts: { schedule: { interval: 'manual' } } }
+    }]));
+    expect(await FirebaseService.getDocument('users', 'v_held')).toMatchObject({ payoutScheduleHeld: true });
+    
+    stripe.accounts.update.mockClear();
+    await ConnectService.holdPayouts('v_held', 'dp_2');
+    await ConnectService.holdPayouts('v_held', 'dp_3');
+    await ConnectService.releasePayoutHold('v_held', 'dp_3');
+    
+    expect(stripe.accounts.update).not.toHaveBeenCalled();
+    
+    const released = await Promise.all([
+      ConnectService.releasePayoutHold('v_held', 'dp_1'),
+      ConnectService.releasePayoutHold('v_held', 'dp_1')
+    ]);
+    
+    expect(released).toEqual([true, false]);
+    expect(stripe.accounts.update).not.toHaveBeenCalled();
+    
+    await ConnectService.releasePayoutHold('v_held', 'dp_2');
+    
+    expect(stripe.accounts.update).toHaveBeenLastCalledWith('acct_held', {
+      settings: { payouts: { schedule: { interval: 'weekly', delay_days: 7, weekly_anchor: 'friday' } } }
+    });
+    expect(await FirebaseService.getDocument('users', 'v_held')).toMatchObject({ payoutHolds: [], heldPayoutSchedule: null });
+  });
+  
+  it('sets the manual schedule when a hold is retried after Stripe turned it down', async () => {
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_retry' }, 'v_retry');
+    stripe.accounts.retrieve.mockResolvedValue(account('acct_retry', {
+      settings: { payouts: { schedule: { interval: 'daily', delay_days: 2 } } }
+    }));
+    stripe.accounts.update.mockRejectedValueOnce(new Error('Stripe unavailable'));
+    
+    await expect(ConnectService.holdPayouts('v_retry', 'dp_1')).rejects.toThrow('Stripe unavailable');
+    await expect(ConnectService.holdPayouts('v_retry', 'dp_1')).resolves.toBe(false);
+    
+    expect(stripe.accounts.update).toHaveBeenCalledTimes(2);
+    expect(await FirebaseService.getDocument('users', 'v_retry')).toMatchObject({
+      payoutHolds: ['dp_1'],
+      heldPayoutSchedule: { interval: 'daily', delay_days: 2 },
+      payoutScheduleHeld: true
+    });
+  });
+  
+  it('keeps the saved schedule until Stripe has it back, and sets it when the release is retried', async () => {
+    const monthly = { interval: 'monthly', delay_days: 3, monthly_anchor: 1 };
+    
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_restore' }, 'v_restore');
+    stripe.accounts.retrieve.mockResolvedValue(account('acct_restore', { settings: { payouts: { schedule: monthly } } }));
+    await ConnectService.holdPayouts('v_restore', 'dp_1');
+    
+    stripe.accounts.update.mockClear();
+    stripe.accounts.update.mockRejectedValueOnce(new Error('Stripe unavailable'));
+    
+    await expect(ConnectService.releasePayoutHold('v_restore', 'dp_1')).rejects.toThrow('Stripe unavailable');
+    expect(await FirebaseService.getDocument('users', 'v_restore')).toMatchObject({
+      payoutHolds: [],
+      heldPayoutSchedule: monthly,
+      payoutScheduleHeld: true,
+      payoutRestorePending: true
+    });
+    
+    // A replayed webhook finds no hold to release, but finishes the restore
+    await expect(ConnectService.releasePayoutHold('v_restore', 'dp_1')).resolves.toBe(false);
+    
+    expect(stripe.accounts.update).toHaveBeenCalledTimes(2);
+    expect(stripe.accounts.update).toHaveBeenLastCalledWith('acct_restore', { settings: { payouts: { schedule: monthly } } });
+    expect(await FirebaseService.getDocument('users', 'v_restore')).toMatchObject({
+      heldPayoutSchedule: null,
+      payoutScheduleHeld: false,
+      payoutRestorePending: false
+    });
+  });
+  
+  it('keeps the saved schedule when a new hold comes in before a failed restore is retried', async () => {
+    const weekly = { interval: 'weekly', delay_days: 7, weekly_anchor: 'monday' };
+    
+    await FirebaseService.createDocument('users', { stripeAccountId: 'acct_again' }, 'v_again');
+    stripe.accounts.retrieve.mockResolvedValue(account('acct_again', { settings: { payouts: { schedule: weekly } } }));
+    await ConnectService.holdPayouts('v_again', 'dp_1');
+    stripe.accounts.update.mockRejectedValueOnce(new Error('Stripe unavailable'));
+    await expect(ConnectService.releasePayoutHold('v_again', 'dp_1')).rejects.toThrow('Stripe unavailable');
+    
+    // Stripe still has the manual schedule, which is what it reads back now
+    stripe.accounts.retrieve.mockResolvedValue(account('acct_again', { settings: { payouts: { schedule: { interval: 'manual' } } } }));
+    stripe.accounts.update.mockClear();
+    
+    await expect(ConnectService.holdPayouts('v_again', 'dp_2')).resolves.toBe(true);
+    await expect(ConnectService.releasePayoutHold('v_again', 'dp_1')).resolves.toBe(false);
+    
+    expect(stripe.accounts.update).not.toHaveBeenCalled();
+    expect(await FirebaseService.getDocument('users', 'v_again')).toMatchObject({
+      payoutHolds: ['dp_2'],
+      heldPayoutSchedule: weekly,
+      payoutRestorePending: false
+    });
+    
+    await ConnectService.releasePayoutHold('v_again', 'dp_2');
+    
+    expect(stripe.accounts.update).toHaveBeenLastCalledWith('acct_again', { settings: { payouts: { schedule: weekly } } });
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatDateKey,
+  startOfDay,
+  endOfMonth,
+  addDays,
+  daysBetween
+} = require('../utils/dateutils');
+
+const NEW_YORK = 'America/New_York';
+const LONDON = 'Europe/London';
+
+describe('dateutils in a time zone', () => {
+  it('knows IANA zone names', () => {
+    expect(isValidTimeZone(LONDON)).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+  
+  it('reads a zone\'s offset either side of a DST change', () => {
+    expect(getTimeZoneOffset('2026-07-01T12:00:00Z', LONDON)).toBe(60 * 60 * 1000);
+    expect(getTimeZoneOffset('2026-12-01T12:00:00Z', LONDON)).toBe(0);
+  });
+  
+  it('turns wall-clock times into instants, including skipped and repeated hours', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, LONDON).toISOString()).toBe('2026-07-01T08:00:00.000Z');
+    
+    // 01:30 doesn't happen on 29 March in London; it moves past the gap
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, LONDON).toISOString())
+      .toBe('2026-03-29T01:30:00.000Z');
+    
+    // 01:30 happens twice on 25 October; the earlier one is used
+    expect(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, LONDON).toISOString())
+      .toBe('2026-10-25T00:30:00.000Z');
+  });
+  
+  it('finds the listing\'s midnight and the next day across a DST change', () => {
+    const start = startOfDay(new Date('2026-11-01T15:00:00Z'), NEW_YORK);
+    
+    expect(start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+    expect(addDays(start, 1, NEW_YORK).toISOString()).toBe('2026-11-02T05:00:00.000Z');
+    expect(formatDateKey(new Date('2026-11-02T03:00:00Z'), NEW_YORK)).toBe('2026-11-01');
+  });
+  
+  it('counts calendar days and months in the zone', () => {
+    expect(daysBetween('2026-10-31T12:00:00Z', '2026-11-02T12:00:00Z', NEW_YORK)).toBe(2);
+    expect(daysBetween('2026-11-02T03:00:00Z', '2026-11-02T06:00:00Z', NEW_YORK)).toBe(1);
+    expect(endOfMonth('2026-02-10T12:00:00Z', NEW_YORK).toISOString()).toBe('2026-03-01T04:59:59.999Z');
+  });
+});
@@ -0,0 +1,221 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { retrieve: jest.fn() },
+  accounts: { retrieve: jest.fn(), update: jest.fn() },
+  charges: { retrieve: jest.fn() },
+  transfers: { createReversal: jest.fn() },
+  files: { create: jest.fn() },
+  disputes: { update: jest.fn() }
+}));
+
+const request = require('supertest');
+const stripe = require('../config/stripeConfig');
+const app = require('../index');
+const FirebaseService = require('../services/firebaseService');
+const DisputeService = require('../services/disputeService');
+const { silenceConsole, createListing, bookingFactory } = require('./helpers/fixtures');
+
+const weekly = { interval: 'weekly', delay_days: 7, weekly_anchor: 'friday' };
+const dueBy = Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60;
+
+const dispute = (id, bookingId, fields = {}) => ({
+  id,
+  status: 'needs_response',
+  reason: 'product_not_received',
+  amount: 10000,
+  currency: 'usd',
+  charge: `ch_${bookingId}`,
+  payment_intent: `pi_${bookingId}`,
+  evidence_details: { due_by: dueBy, has_evidence: false, submission_count: 0 },
+  balance_transactions: [],
+  ...fields
+});
+
+const createBooking = bookingFactory((id) => ({
+  status: 'completed',
+  paymentStatus: 'paid',
+  startTime: '2026-09-01T10:00:00.000Z',
+  endTime: '2026-09-01T11:00:00.000Z',
+  createdAt: '2026-08-01T09:00:00.000Z',
+  stripePaymentId: `pi_${id}`,
+  payments: [{ paymentIntentId: `pi_${id}`, type: 'booking', amountCents: 10000, amount: 100, refundedCents: 0, refundedAmount: 0 }]
+}));
+
+const getBooking = (id) => FirebaseService.getDocument('bookings', id);
+
+let reversals;
+
+beforeAll(async () => {
+  silenceConsole('error', 'log');
+  
+  await FirebaseService.createDocument('users', { stripeAccountId: 'acct_1' }, 'v1');
+  await FirebaseService.createDocument('users', { name: 'Ada Lovelace', email: 'ada@example.com' }, 'c1');
+  await createListing('l1', {
+    title: 'Sailing lesson',
+    description: 'Two hours on the water',
+    price: 100,
+    documents: ['https://firebasestorage.googleapis.com/v0/b/app/o/documents%2Fv1%2Fwaiver.pdf?alt=media']
+  });
+});
+
+beforeEach(() => {
+  reversals = [];
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({ id, metadata: { bookingId: id.replace(/^pi_/, '') } }));
+  stripe.accounts.retrieve.mockResolvedValue({ id: 'acct_1', settings: { payouts: { schedule: weekly } } });
+  stripe.charges.retrieve.mockImplementation(async (id) => ({
+    id,
+    transfer: { id: `tr_${id}`, amount: 9500, amount_reversed: 0, reversals: { data: reversals } }
+  }));
+  stripe.transfers.createReversal.mockImplementation(async (transferId, params) => {
+    const reversal = { id: `trr_${reversals.length + 1}`, amount: params.amount, metadata: params.metadata };
+    reversals.push(reversal);
+    return reversal;
+  });
+  stripe.files.create.mockImplementation(async (params) => ({ id: `file_${params.file.name}` }));
+  stripe.disputes.update.mockImplementation(async (id, params) => ({
+    ...dispute(id, 'b_workspace'),
+    status: 'under_review',
+    evidence_details: { due_by: dueBy, has_evidence: true, submission_count: 1 },
+    evidence: params.evidence
+  }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('dispute webhooks', () => {
+  it('flags the booking and holds the vendor\'s payouts once', async () => {
+    await createBooking('b_open');
+    
+    await expect(DisputeService.processDisputeCreated(dispute('dp_open', 'b_open'))).resolves.toBe(true);
+    await expect(DisputeService.processDisputeCreated(dispute('dp_open', 'b_open'))).resolves.toBe(false);
+    
+    expect(await getBooking('b_open')).toMatchObject({
+      paymentStatus: 'disputed',
+      dispute: { id: 'dp_open', status: 'needs_response', amountCents: 10000, previousPaymentStatus: 'paid' }
+    });
+    expect(await FirebaseService.getDocument('disputes', 'dp_open')).toMatchObject({
+      bookingId: 'b_open',
+      vendorId: 'v1',
+      customerId: 'c1',
+      dueBy: new Date(dueBy * 1000).toISOString(),
+      closedAt: null
+    });
+    expect(stripe.accounts.update).toHaveBeenCalledTimes(1);
+    expect(stripe.accounts.update).toHaveBeenCalledWith('acct_1', { settings: { payouts: { schedule: { interval: 'manual' } } } });
+    
+    await DisputeService.processDisputeUpdated(dispute('dp_open', 'b_open', { status: 'under_review' }));
+    
+    expect((await getBooking('b_open')).dispute.status).toBe('under_review');
+  });
+  
+  it('puts the booking back and releases its payout hold when the dispute is won', async () => {
+    await createBooking('b_won');
+    await DisputeService.processDisputeCreated(dispute('dp_won', 'b_won'));
+    
+    await expect(DisputeService.processDisputeClosed(dispute('dp_won', 'b_won', { status: 'won' }))).resolves.toBe(true);
+    
+    expect(await getBooking('b_won')).toMatchObject({ paymentStatus: 'paid', dispute: { status: 'won' } });
+    expect(stripe.transfers.createReversal).not.toHaveBeenCalled();
+    // The dispute still open keeps the vendor's payouts held
+    expect(await FirebaseService.getDocument('users', 'v1')).toMatchObject({ payoutHolds: ['dp_open'], heldPayoutSchedule: weekly });
+    expect(stripe.accounts.update).not.toHaveBeenCalled();
+  });
+  
+  it('refunds a lost dispute and takes it back from the vendor\'s transfer once', async () => {
+    await createBooking('b_lost');
+    await DisputeService.processDisputeCreated(dispute('dp_lost', 'b_lost'));
+    
+    const lost = dispute('dp_lost', 'b_lost', { status: 'lost', balance_transactions: [{ fee: 1500 }] });
+    
+    await expect(DisputeService.processDisputeClosed(lost)).resolves.toBe(true);
+    await expect(DisputeService.processDisputeClosed(lost)).resolves.toBe(false);
+    
+    expect(stripe.transfers.createReversal).toHaveBeenCalledTimes(1);
+    expect(stripe.transfers.createReversal).toHaveBeenCalledWith(
+      'tr_ch_b_lost',
+      { amount: 9500, metadata: { disputeId: 'dp_lost' } },
+      { idempotencyKey: 'dispute_reversal_dp_lost' }
+    );
+    expect(await getBooking('b_lost')).toMatchObject({ paymentStatus: 'refunded', refundedCents: 10000, dispute: { status: 'lost' } });
+    expect(await FirebaseService.getDocument('transactions', 'dispute_dp_lost')).toMatchObject({
+      type: 'dispute',
+      amountCents: -10000,
+      feeCents: -500,
+      stripeTransferReversalId: 'trr_1'
+    });
+  });
+});
+
+describe('disputes workspace', () => {
+  const api = (method, path, uid = 'v1') => request(app)[method](`/api/disputes${path}`).set('Authorization', `Bearer ${uid}`);
+  
+  beforeAll(async () => {
+    await createBooking('b_workspace', { customerName: 'Ada Lovelace' });
+    await DisputeService.processDisputeCreated(dispute('dp_workspace', 'b_workspace'));
+  });
+  
+  it('shows a vendor their own disputes, with the booking record', async () => {
+    const list = await api('get', '?status=open');
+    
+    expect(list.status).toBe(200);
+    expect(list.body.map(stored => stored.id)).toContain('dp_workspace');
+    expect((await api('get', '/dp_workspace', 'v2')).status).toBe(403);
+    expect((await api('get', '/dp_missing')).status).toBe(404);
+    
+    const res = await api('get', '/dp_workspace');
+    
+    expect(res.body.booking).toMatchObject({ id: 'b_workspace', listingTitle: 'Sailing lesson', customerName: 'Ada Lovelace' });
+    expect(res.body.listingDocuments).toHaveLength(1);
+    expect(res.body.bookingRecord).toMatchObject({ customer_name: 'Ada Lovelace', service_date: '2026-09-01' });
+  });
+  
+  it('checks the evidence text and files', async () => {
+    expect((await api('put', '/dp_workspace/evidence').send({ notes: 'Hi' })).status).toBe(400);
+    expect((await api('put', '/dp_workspace/evidence').send({ cancellationRebuttal: 42 })).status).toBe(400);
+    expect((await api('put', '/dp_workspace/files/receipt').set('Content-Type', 'application/pdf').send(Buffer.alloc(0))).status)
+      .toBe(400);
+    expect((await api('put', '/dp_workspace/files/selfie').set('Content-Type', 'image/png').send(Buffer.from('png'))).status)
+      .toBe(400);
+    expect((await api('post', '/dp_workspace/files/receipt/from-listing').send({ url: 'https://example.com/receipt.pdf' })).status)
+      .toBe(404);
+    expect((await api('delete', '/dp_workspace/files/receipt')).status).toBe(404);
+    expect(stripe.files.create).not.toHaveBeenCalled();
+  });
+  
+  it('sends the vendor\'s text and files with the booking record, once', async () => {
+    await api('put', '/dp_workspace/evidence').send({ cancellationRebuttal: '  The lesson went ahead.  ', uncategorizedText: 'Photos attached' });
+    
+    const upload = await api('put', '/dp_workspace/files/service_documentation?name=logbook.pdf')
+      .set('Content-Type', 'application/pdf')
+      .send(Buffer.from('%PDF-1.4'));
+    
+    expect(upload.status).toBe(200);
+    expect(upload.body.evidenceFiles.service_documentation).toMatchObject({ stripeFileId: 'file_logbook.pdf', size: 8, source: 'upload' });
+    expect(stripe.files.create).toHaveBeenCalledWith({
+      purpose: 'dispute_evidence',
+      file: { data: expect.any(Buffer), name: 'logbook.pdf', type: 'application/pdf' }
+    });
+    
+    const res = await api('post', '/dp_workspace/submit');
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'under_review', hasEvidence: true });
+    
+    const [, { evidence, submit }] = stripe.disputes.update.mock.calls[0];
+    
+    expect(submit).toBe(true);
+    expect(evidence).toMatchObject({
+      customer_name: 'Ada Lovelace',
+      customer_email_address: 'ada@example.com',
+      cancellation_rebuttal: 'The lesson went ahead.',
+      service_documentation: 'file_logbook.pdf',
+      product_description: 'Sailing lesson\n\nTwo hours on the water'
+    });
+    expect(evidence.uncategorized_text).toMatch(/^Photos attached\n\nBooking record \(booking b_workspace\)/);
+    expect((await api('post', '/dp_workspace/submit')).status).toBe(409);
+    expect((await api('put', '/dp_workspace/evidence').send({ uncategorizedText: 'More' })).status).toBe(409);
+  });
+});
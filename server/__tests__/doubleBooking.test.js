@@ -0,0 +1,67 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const shift = (time, minutes) => new Date(new Date(time).getTime() + minutes * 60 * 1000).toISOString();
+
+const book = (listingId, userId, time) => BookingService.createBooking({ listingId, userId, ...time });
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('room', { title: 'Meeting room', price: 20 });
+  await createListing('massage', {
+    vendorId: 'v2',
+    title: 'Massage',
+    price: 60,
+    availability: { bufferAfterMinutes: 30 }
+  });
+});
+
+describe('BookingService.createBooking', () => {
+  it('lets only one of several customers racing for a slot have it', async () => {
+    const results = await Promise.allSettled(['c1', 'c2', 'c3', 'c4'].map(userId => book('room', userId, slot(2))));
+    
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => expect(result.reason.statusCode).toBe(409));
+    await expect(FirebaseService.queryDocuments('bookings', [['listingId', '==', 'room']])).resolves.toHaveLength(1);
+  });
+  
+  it('turns down overlapping times but takes back-to-back ones', async () => {
+    const { startTime, endTime } = slot(2);
+    
+    await expect(book('room', 'c5', { startTime: shift(startTime, 30), endTime: shift(endTime, 30) }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(book('room', 'c5', { startTime: endTime, endTime: shift(endTime, 60) }))
+      .resolves.toMatchObject({ status: 'pending' });
+  });
+  
+  it('keeps the listing\'s buffer free after each booking', async () => {
+    const { startTime, endTime } = slot(3);
+    await book('massage', 'c1', { startTime, endTime });
+    
+    await expect(book('massage', 'c2', { startTime: endTime, endTime: shift(endTime, 60) }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(book('massage', 'c2', { startTime: shift(endTime, 30), endTime: shift(endTime, 90) }))
+      .resolves.toMatchObject({ status: 'pending' });
+  });
+  
+  it('gives the slot back once the booking is cancelled', async () => {
+    const booking = await book('room', 'c1', slot(4));
+    
+    await BookingService.cancelBooking(booking.id, 'c1');
+    
+    await expect(book('room', 'c2', slot(4))).resolves.toMatchObject({ userId: 'c2' });
+  });
+  
+  it('turns down past times, unknown listings and times that end before they start', async () => {
+    await expect(book('room', 'c1', slot(-1))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book('missing', 'c1', slot(5))).rejects.toMatchObject({ statusCode: 404 });
+    await expect(book('room', 'c1', { startTime: slot(5).endTime, endTime: slot(5).startTime }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
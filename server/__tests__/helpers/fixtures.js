@@ -0,0 +1,63 @@
+const FirebaseService = require('../../services/firebaseService');
+
+/**
+ * An hour starting at the given UTC hour, a number of days from now
+ * @param {number} days - Days from today
+ * @param {number} [hour=10] - UTC hour the slot starts at
+ * @returns {Object} { startTime, endTime } as ISO strings
+ */
+const slot = (days, hour = 10) => {
+  const start = new Date();
+  start.setUTCDate(start.getUTCDate() + days);
+  start.setUTCHours(hour, 0, 0, 0);
+  
+  return { startTime: start.toISOString(), endTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString() };
+};
+
+/**
+ * Keep what the services log out of the test output
+ * @param {...string} methods - Console methods to silence (error when none are given)
+ */
+const silenceConsole = (...methods) => {
+  (methods.length ? methods : ['error']).forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+};
+
+/**
+ * Create an active listing in UTC
+ * @param {string} id - Listing ID
+ * @param {Object} fields - Listing fields (at least title and price)
+ * @returns {Promise<Object>} Created listing
+ */
+const createListing = (id, fields) => FirebaseService.createDocument('listings', {
+  vendorId: 'v1',
+  status: 'active',
+  timezone: 'UTC',
+  ...fields
+}, id);
+
+/**
+ * Make a function creating bookings, each a confirmed, unpaid $100 booking of
+ * listing l1 by customer c1 with vendor v1 unless the defaults or the call
+ * say otherwise
+ * @param {Object|Function} [defaults] - Fields every booking it creates has,
+ *   or (id) => fields for defaults that depend on the booking's ID
+ * @returns {Function} (id, fields) => Promise of the created booking
+ */
+const bookingFactory = (defaults = {}) => (id, fields = {}) => FirebaseService.createDocument('bookings', {
+  listingId: 'l1',
+  vendorId: 'v1',
+  userId: 'c1',
+  status: 'confirmed',
+  paymentStatus: 'pending',
+  totalAmount: 100,
+  ...slot(5),
+  ...(typeof defaults === 'function' ? defaults(id) : defaults),
+  ...fields
+}, id);
+
+module.exports = {
+  slot,
+  silenceConsole,
+  createListing,
+  bookingFactory
+};
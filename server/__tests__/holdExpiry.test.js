@@ -0,0 +1,94 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { retrieve: jest.fn(), cancel: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const book = (listingId, time) => BookingService.createBooking({ listingId, userId: 'c1', ...time });
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('room', { vendorId: 'v1', title: 'Escape room', price: 90, holdMinutes: 30 });
+  await createListing('free', { vendorId: 'v2', title: 'Open day', price: 0, holdMinutes: 30 });
+  await createListing('no_hold', { vendorId: 'v3', title: 'Consultation', price: 50, holdMinutes: 0 });
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({ id, status: 'requires_payment_method' }));
+  stripe.paymentIntents.cancel.mockImplementation(async (id) => ({ id, status: 'canceled' }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('booking holds', () => {
+  it('holds an unpaid booking\'s slot for the listing\'s hold window', async () => {
+    const booking = await book('room', slot(2));
+    
+    expect(new Date(booking.holdExpiresAt) - new Date(booking.createdAt)).toBe(30 * 60 * 1000);
+    expect(BookingService.getHoldRemainingSeconds(booking, new Date(booking.createdAt))).toBe(30 * 60);
+    expect(BookingService.getHoldRemainingSeconds({ ...booking, paymentStatus: 'paid' })).toBeNull();
+  });
+  
+  it('doesn\'t hold free bookings or listings that switch holds off', async () => {
+    await expect(book('free', slot(2))).resolves.toMatchObject({ holdExpiresAt: null });
+    await expect(book('no_hold', slot(2))).resolves.toMatchObject({ holdExpiresAt: null });
+  });
+  
+  it('validates a listing\'s hold window', () => {
+    expect(BookingService.validateHoldMinutes(0)).toBeNull();
+    expect(BookingService.validateHoldMinutes(-1)).toMatch(/holdMinutes/);
+    expect(BookingService.validateHoldMinutes(1.5)).toMatch(/holdMinutes/);
+  });
+});
+
+describe('BookingService.expireUnpaidHolds', () => {
+  it('expires lapsed holds, cancelling their payment and freeing the slot', async () => {
+    const booking = await book('room', slot(3));
+    await FirebaseService.updateDocument('bookings', booking.id, { stripePaymentIntentId: 'pi_open' });
+    
+    await expect(BookingService.expireUnpaidHolds(inMinutes(10))).resolves.toEqual({ expired: 0, skipped: 0 });
+    
+    const result = await BookingService.expireUnpaidHolds(inMinutes(31));
+    
+    expect(result.expired).toBeGreaterThanOrEqual(1);
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_open');
+    
+    const expired = await FirebaseService.getDocument('bookings', booking.id);
+    
+    expect(expired.status).toBe('expired');
+    expect(expired.statusHistory.pop()).toMatchObject({ to: 'expired', role: 'system', reason: 'Payment hold expired' });
+    expect(BookingService.getHoldRemainingSeconds(expired)).toBe(0);
+    await expect(book('room', slot(3))).resolves.toMatchObject({ status: 'pending' });
+  });
+  
+  it('leaves a booking whose payment is already going through', async () => {
+    const booking = await book('room', slot(4));
+    await FirebaseService.updateDocument('bookings', booking.id, { stripePaymentIntentId: 'pi_processing' });
+    stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({ id, status: 'processing' }));
+    
+    const result = await BookingService.expireUnpaidHolds(inMinutes(31));
+    
+    expect(result.skipped).toBeGreaterThanOrEqual(1);
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    expect((await FirebaseService.getDocument('bookings', booking.id)).status).toBe('pending');
+  });
+  
+  it('leaves a booking that was paid before the job reached it', async () => {
+    const booking = await book('room', slot(5));
+    await FirebaseService.updateDocument('bookings', booking.id, { paymentStatus: 'paid', stripePaymentId: 'pi_paid' });
+    
+    await BookingService.expireUnpaidHolds(inMinutes(31));
+    
+    expect((await FirebaseService.getDocument('bookings', booking.id)).status).toBe('pending');
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  LEDGER_ACCOUNT,
+  buildPaymentLines,
+  buildRefundLines,
+  buildDisputeLines,
+  buildPayoutLines,
+  reverseLines,
+  validateLines,
+  sumBalances
+} = require('../utils/ledger');
+
+const entry = (lines, currency = 'usd') => ({ currency, lines });
+
+describe('ledger lines', () => {
+  it('balances every kind of entry', () => {
+    const entries = [
+      buildPaymentLines({ amountCents: 10000, feeCents: 500, stripeFeeCents: 320 }),
+      buildPaymentLines({ amountCents: 1, feeCents: 1 }),
+      buildRefundLines({ amountCents: 2501, feeCents: 125 }),
+      buildDisputeLines({ amountCents: 6000, stripeFeeCents: 1500 }),
+      buildDisputeLines({ amountCents: 6000, vendorCents: 4000 }),
+      buildPayoutLines(9180)
+    ];
+    
+    for (const lines of entries) {
+      expect(validateLines(lines)).toBeNull();
+      expect(validateLines(reverseLines(lines))).toBeNull();
+    }
+  });
+  
+  it('leaves out lines that move nothing', () => {
+    expect(buildPaymentLines({ amountCents: 10000 })).toEqual([
+      { account: LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, debitCents: 10000, creditCents: 0 },
+      { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, debitCents: 0, creditCents: 10000 }
+    ]);
+    expect(buildDisputeLines({ stripeFeeCents: 1500 })).toHaveLength(2);
+  });
+  
+  it('books what a lost dispute\'s transfer reversal did not cover to the platform', () => {
+    expect(buildDisputeLines({ amountCents: 6000, vendorCents: 4000 })).toEqual([
+      { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, debitCents: 4000, creditCents: 0 },
+      { account: LEDGER_ACCOUNT.REFUNDS, debitCents: 2000, creditCents: 0 },
+      { account: LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, debitCents: 0, creditCents: 6000 }
+    ]);
+  });
+});
+
+describe('validateLines', () => {
+  it('rejects an entry that does not balance', () => {
+    expect(validateLines([
+      { account: LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, debitCents: 100, creditCents: 0 },
+      { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, debitCents: 0, creditCents: 99 }
+    ])).toMatch(/does not balance/);
+  });
+  
+  it('rejects unknown accounts, fractions of a cent and two-sided lines', () => {
+    const payable = { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, debitCents: 0, creditCents: 100 };
+    
+    expect(validateLines([{ account: 'cash', debitCents: 100, creditCents: 0 }, payable])).toMatch(/Unknown/);
+    expect(validateLines([
+      { account: LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, debitCents: 99.5, creditCents: 0 },
+      { ...payable, creditCents: 99.5 }
+    ])).toMatch(/whole number/);
+    expect(validateLines([
+      { account: LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, debitCents: 100, creditCents: 100 },
+      payable
+    ])).toMatch(/whole number/);
+    expect(validateLines([payable])).toMatch(/two lines/);
+  });
+});
+
+describe('sumBalances', () => {
+  it('follows what the vendor is owed through a payment, refund and payout', () => {
+    const balances = sumBalances([
+      entry(buildPaymentLines({ amountCents: 10000, feeCents: 500, stripeFeeCents: 320 })),
+      entry(buildRefundLines({ amountCents: 2000, feeCents: 100 })),
+      entry(buildPayoutLines(5000)),
+      entry(buildPayoutLines(700), 'eur')
+    ]);
+    
+    expect(balances.usd).toEqual({
+      [LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE]: 10000 - 320 - 2000 - 5000,
+      [LEDGER_ACCOUNT.VENDOR_PAYABLE]: 9500 - 1900 - 5000,
+      [LEDGER_ACCOUNT.PLATFORM_FEE_REVENUE]: 500,
+      [LEDGER_ACCOUNT.STRIPE_FEES]: 320,
+      [LEDGER_ACCOUNT.REFUNDS]: 100
+    });
+    expect(balances.eur[LEDGER_ACCOUNT.VENDOR_PAYABLE]).toBe(-700);
+  });
+});
@@ -0,0 +1,44 @@
+process.env.DATA_STORE = 'memory';
+
+const request = require('supertest');
+const app = require('../index');
+const { silenceConsole } = require('./helpers/fixtures');
+
+const listing = { title: 'Pottery class', description: 'Two hours at the wheel', price: 45, timezone: 'Europe/London' };
+
+beforeAll(() => {
+  silenceConsole();
+});
+
+describe('listings API', () => {
+  let listingId;
+  
+  it('creates a listing for the signed-in vendor', async () => {
+    const res = await request(app).post('/api/listings').set('Authorization', 'Bearer v1').send(listing);
+    
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ ...listing, vendorId: 'v1', status: 'pending' });
+    listingId = res.body.id;
+  });
+  
+  it('checks an update the same way as a new listing', async () => {
+    const put = (body) => request(app).put(`/api/listings/${listingId}`).set('Authorization', 'Bearer v1').send(body);
+    
+    expect((await put({ ...listing, title: '' })).status).toBe(400);
+    expect((await put({ ...listing, price: -5 })).status).toBe(400);
+    expect((await put({ ...listing, timezone: 'Mars/Olympus' })).status).toBe(400);
+    expect((await put({ ...listing, holdMinutes: -1 })).status).toBe(400);
+    expect((await put({ ...listing, capacity: 0 })).status).toBe(400);
+    
+    const res = await put({ ...listing, price: '50', capacity: 8 });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: listingId, price: 50, capacity: 8 });
+  });
+  
+  it('only lets the listing\'s vendor update it', async () => {
+    const res = await request(app).put(`/api/listings/${listingId}`).set('Authorization', 'Bearer v2').send(listing);
+    
+    expect(res.status).toBe(403);
+  });
+});
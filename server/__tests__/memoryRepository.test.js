@@ -0,0 +1,71 @@
+const MemoryRepository = require('../repositories/memoryRepository');
+
+describe('MemoryRepository', () => {
+  let repository;
+  
+  beforeEach(() => {
+    repository = new MemoryRepository({
+      listings: {
+        l1: { title: 'Court', price: 30, address: { city: 'Leeds' }, tags: ['outdoor'] },
+        l2: { title: 'Studio', price: 80, address: { city: 'York' }, tags: ['indoor'] },
+        l3: { title: 'Hall', price: 50 }
+      }
+    });
+  });
+  
+  it('hands out copies, so callers can\'t change stored documents', async () => {
+    const listing = await repository.get('listings', 'l1');
+    listing.address.city = 'Hull';
+    
+    expect((await repository.get('listings', 'l1')).address.city).toBe('Leeds');
+    await expect(repository.get('listings', 'missing')).resolves.toBeNull();
+  });
+  
+  it('queries like Firestore, skipping documents without the field', async () => {
+    const titles = (docs) => docs.map(doc => doc.title);
+    
+    expect(titles(await repository.query('listings', [['address.city', '==', 'York']]))).toEqual(['Studio']);
+    expect(titles(await repository.query('listings', [['tags', 'array-contains', 'outdoor']]))).toEqual(['Court']);
+    expect(titles(await repository.query('listings', [['address.city', '!=', 'York']]))).toEqual(['Court']);
+    expect(titles(await repository.query('listings', [['price', '>=', 50]], {
+      orderByField: 'price',
+      orderByDirection: 'desc',
+      limit: 1
+    }))).toEqual(['Studio']);
+    await expect(repository.query('listings', [['price', '~', 1]])).rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+  
+  it('fails an update of a missing document, and a batch containing one, without writing anything', async () => {
+    await expect(repository.update('listings', 'missing', { price: 1 })).rejects.toMatchObject({ code: 'not-found' });
+    await expect(repository.batchWrite([
+      { type: 'update', collection: 'listings', id: 'l1', data: { price: 35 } },
+      { type: 'update', collection: 'listings', id: 'missing', data: { price: 1 } }
+    ])).rejects.toMatchObject({ code: 'not-found' });
+    
+    expect((await repository.get('listings', 'l1')).price).toBe(30);
+  });
+  
+  it('runs transactions one at a time, so read-then-write doesn\'t lose updates', async () => {
+    const increment = () => repository.runTransaction(async (tx) => {
+      const listing = await tx.get('listings', 'l3');
+      await new Promise(resolve => setImmediate(resolve));
+      tx.update('listings', 'l3', { price: listing.price + 1 });
+    });
+    
+    await Promise.all([increment(), increment(), increment()]);
+    
+    expect((await repository.get('listings', 'l3')).price).toBe(53);
+  });
+  
+  it('drops a failed transaction\'s writes and keeps running later ones', async () => {
+    await expect(repository.runTransaction(async (tx) => {
+      tx.update('listings', 'l1', { price: 0 });
+      throw new Error('Changed my mind');
+    })).rejects.toThrow('Changed my mind');
+    
+    const created = await repository.runTransaction(async (tx) => tx.create('listings', { title: 'Pool' }));
+    
+    expect((await repository.get('listings', 'l1')).price).toBe(30);
+    expect(await repository.get('listings', created.id)).toEqual({ id: created.id, title: 'Pool' });
+  });
+});
@@ -0,0 +1,197 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { retrieve: jest.fn() },
+  refunds: { create: jest.fn(), list: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const StripeService = require('../services/stripeService');
+const { silenceConsole, bookingFactory } = require('./helpers/fixtures');
+
+const createBooking = bookingFactory((id) => ({ stripePaymentIntentId: `pi_${id}` }));
+
+const paid = (id) => ({
+  paymentStatus: 'paid',
+  stripePaymentId: `pi_${id}`,
+  payments: [{ paymentIntentId: `pi_${id}`, type: 'booking', amountCents: 10000, amount: 100, refundedCents: 0, refundedAmount: 0 }]
+});
+
+const paymentIntent = (id, bookingId, fields = {}) => ({
+  id,
+  amount: 10000,
+  currency: 'usd',
+  application_fee_amount: 500,
+  transfer_data: { destination: 'acct_1' },
+  status: 'succeeded',
+  metadata: { bookingId, vendorId: 'v1' },
+  ...fields
+});
+
+const refund = (id, bookingId, fields = {}) => ({
+  id,
+  amount: 2500,
+  currency: 'usd',
+  status: 'succeeded',
+  payment_intent: `pi_${bookingId}`,
+  metadata: {},
+  ...fields
+});
+
+const getBooking = (id) => FirebaseService.getDocument('bookings', id);
+
+beforeAll(() => {
+  silenceConsole('error', 'log');
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => paymentIntent(id, id.replace(/^pi_/, '')));
+  stripe.refunds.create.mockImplementation(async (params) => ({
+    id: `re_${params.payment_intent}`,
+    status: 'succeeded',
+    amount: 10000
+  }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('StripeService.processPaymentIntentUpdate', () => {
+  it('follows the booking\'s payment intent until it is paid', async () => {
+    await createBooking('b_update');
+    
+    await expect(StripeService.processPaymentIntentUpdate(paymentIntent('pi_b_update', 'b_update'), 'processing'))
+      .resolves.toBe(true);
+    expect((await getBooking('b_update')).paymentStatus).toBe('processing');
+    
+    // An update for an intent the booking has moved on from is stale
+    await expect(StripeService.processPaymentIntentUpdate(paymentIntent('pi_old', 'b_update'), 'failed'))
+      .resolves.toBe(false);
+    
+    await FirebaseService.updateDocument('bookings', 'b_update', paid('b_update'));
+    
+    // A failure arriving after the payment went through changes nothing
+    await expect(StripeService.processPaymentIntentUpdate(paymentIntent('pi_b_update', 'b_update'), 'failed'))
+      .resolves.toBe(false);
+    expect((await getBooking('b_update')).paymentStatus).toBe('paid');
+    await expect(StripeService.processPaymentIntentUpdate(paymentIntent('pi_none', 'b_missing'), 'failed'))
+      .resolves.toBe(false);
+  });
+  
+  it('marks an instalment failed, and lets a cancelled one be paid with a new intent', async () => {
+    await createBooking('b_instalment', {
+      paymentStatus: 'deposit_paid',
+      paymentSchedule: [
+        { id: 'deposit', type: 'deposit', amountCents: 2500, status: 'paid', stripePaymentId: 'pi_deposit' },
+        { id: 'balance', type: 'balance', amountCents: 7500, status: 'pending', stripePaymentIntentId: 'pi_balance' }
+      ]
+    });
+    const balance = paymentIntent('pi_balance', 'b_instalment', {
+      metadata: { bookingId: 'b_instalment', instalmentId: 'balance' }
+    });
+    
+    await StripeService.processPaymentIntentUpdate(balance, 'failed');
+    
+    let booking = await getBooking('b_instalment');
+    
+    expect(booking.paymentStatus).toBe('deposit_paid');
+    expect(booking.paymentSchedule[1]).toMatchObject({ status: 'failed', stripePaymentIntentId: 'pi_balance' });
+    
+    await StripeService.processPaymentIntentUpdate(balance, 'canceled');
+    booking = await getBooking('b_instalment');
+    
+    expect(booking.paymentSchedule[1]).toMatchObject({ status: 'pending', stripePaymentIntentId: null });
+  });
+});
+
+describe('refunds made outside the platform', () => {
+  it('records a refund from the Stripe dashboard once', async () => {
+    await createBooking('b_dashboard', paid('b_dashboard'));
+    stripe.refunds.list.mockResolvedValue({ data: [refund('re_dashboard', 'b_dashboard')] });
+    
+    await expect(StripeService.processChargeRefunded({ id: 'ch_dashboard' })).resolves.toBe(1);
+    await expect(StripeService.processChargeRefunded({ id: 'ch_dashboard' })).resolves.toBe(0);
+    
+    expect(stripe.refunds.list).toHaveBeenCalledWith({ charge: 'ch_dashboard', limit: 100 });
+    expect(await getBooking('b_dashboard')).toMatchObject({
+      paymentStatus: 'partially_refunded',
+      refundedCents: 2500,
+      refundId: 're_dashboard'
+    });
+    expect(await FirebaseService.getDocument('transactions', 'refund_re_dashboard')).toMatchObject({
+      type: 'refund',
+      source: 'stripe',
+      amountCents: -2500,
+      status: 'completed'
+    });
+  });
+  
+  it('leaves refunds made by the platform to refundBooking', async () => {
+    await createBooking('b_platform', paid('b_platform'));
+    
+    await expect(StripeService.syncRefund(refund('re_platform', 'b_platform', {
+      metadata: { bookingId: 'b_platform', source: 'platform' }
+    }))).resolves.toBe(false);
+    expect((await getBooking('b_platform')).paymentStatus).toBe('paid');
+  });
+  
+  it('undoes a recorded refund that fails', async () => {
+    await createBooking('b_failed', paid('b_failed'));
+    await StripeService.syncRefund(refund('re_failed', 'b_failed'));
+    
+    const failed = refund('re_failed', 'b_failed', { status: 'failed', failure_reason: 'expired_or_canceled_card' });
+    
+    await expect(StripeService.syncRefund(failed)).resolves.toBe(true);
+    await expect(StripeService.syncRefund(failed)).resolves.toBe(false);
+    
+    const booking = await getBooking('b_failed');
+    
+    expect(booking).toMatchObject({ paymentStatus: 'paid', refundedCents: 0 });
+    expect(booking.payments[0].refundedCents).toBe(0);
+    expect(await FirebaseService.getDocument('transactions', 'refund_re_failed')).toMatchObject({
+      status: 'failed',
+      failureReason: 'expired_or_canceled_card'
+    });
+  });
+});
+
+describe('payments a booking can\'t take', () => {
+  it('refunds a payment that lands after the booking was cancelled', async () => {
+    await createBooking('b_cancelled', { status: 'cancelled' });
+    
+    const late = paymentIntent('pi_b_cancelled', 'b_cancelled');
+    
+    await StripeService.processSuccessfulPayment(late);
+    await expect(StripeService.processSuccessfulPayment(late)).resolves.toBeNull();
+    
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_b_cancelled' }),
+      { idempotencyKey: 'unwanted_pi_b_cancelled' }
+    );
+    
+    const booking = await getBooking('b_cancelled');
+    
+    expect(booking.paymentStatus).toBe('pending');
+    expect(booking.payments).toEqual([expect.objectContaining({
+      paymentIntentId: 'pi_b_cancelled',
+      refundedCents: 10000,
+      refundReason: 'booking_cancelled'
+    })]);
+  });
+  
+  it('refunds a second payment for a booking that is already paid', async () => {
+    await createBooking('b_twice', paid('b_twice'));
+    
+    const transaction = await StripeService.processSuccessfulPayment(paymentIntent('pi_twice', 'b_twice'));
+    
+    expect(transaction).toMatchObject({ refundReason: 'duplicate_payment', amountCents: 10000 });
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_twice' }),
+      { idempotencyKey: 'unwanted_pi_twice' }
+    );
+    expect((await getBooking('b_twice')).paymentStatus).toBe('paid');
+  });
+});
@@ -0,0 +1,169 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const StripeService = require('../services/stripeService');
+const {
+  validateDepositPolicy,
+  buildPaymentSchedule,
+  rebalancePaymentSchedule,
+  getNextInstalment,
+  getPaidCents
+} = require('../utils/paymentSchedule');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const deposit = { type: 'percent', value: 25, balanceDueDays: 7 };
+const now = new Date('2030-01-01T00:00:00.000Z');
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', {
+    title: 'Wedding photography',
+    price: 100,
+    deposit
+  });
+  await FirebaseService.createDocument('users', {
+    stripeAccountId: 'acct_1',
+    stripeAccountStatus: { chargesEnabled: true }
+  }, 'v1');
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.create.mockImplementation(async (params) => ({
+    id: `pi_${params.metadata.instalmentId}`, client_secret: 'secret', status: 'requires_payment_method', ...params
+  }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('deposit policies', () => {
+  it('validates a listing\'s deposit settings', () => {
+    expect(validateDepositPolicy(deposit)).toBeNull();
+    expect(validateDepositPolicy({ type: 'fixed', value: 50, balanceDueDays: 0 })).toBeNull();
+    expect(validateDepositPolicy([])).toMatch(/object/);
+    expect(validateDepositPolicy({ ...deposit, type: 'half' })).toMatch(/deposit.type/);
+    expect(validateDepositPolicy({ ...deposit, value: 0 })).toMatch(/deposit.value/);
+    expect(validateDepositPolicy({ ...deposit, value: 100 })).toMatch(/less than 100/);
+    expect(validateDepositPolicy({ ...deposit, balanceDueDays: 1.5 })).toMatch(/balanceDueDays/);
+    expect(validateDepositPolicy({ ...deposit, balanceDueDays: 366 })).toMatch(/balanceDueDays/);
+  });
+});
+
+describe('buildPaymentSchedule', () => {
+  it('splits the total into a deposit due now and a balance due before the start', () => {
+    const schedule = buildPaymentSchedule(deposit, 99.99, '2030-02-01T10:00:00.000Z', now);
+    
+    expect(schedule).toEqual([
+      { id: 'deposit', type: 'deposit', amountCents: 2500, amount: 25, dueAt: now.toISOString(), status: 'pending' },
+      { id: 'balance', type: 'balance', amountCents: 7499, amount: 74.99, dueAt: '2030-01-25T10:00:00.000Z', status: 'pending' }
+    ]);
+    expect(buildPaymentSchedule({ type: 'fixed', value: 30, balanceDueDays: 0 }, 100, '2030-01-02T10:00:00.000Z', now)
+      .map(instalment => instalment.amountCents)).toEqual([3000, 7000]);
+  });
+  
+  it('has the booking paid in full when there is nothing to split', () => {
+    expect(buildPaymentSchedule(null, 100, '2030-02-01T10:00:00.000Z', now)).toBeNull();
+    expect(buildPaymentSchedule(deposit, 0, '2030-02-01T10:00:00.000Z', now)).toBeNull();
+    expect(buildPaymentSchedule({ type: 'fixed', value: 100, balanceDueDays: 7 }, 100, '2030-02-01T10:00:00.000Z', now)).toBeNull();
+    // The balance would already be due
+    expect(buildPaymentSchedule(deposit, 100, '2030-01-05T10:00:00.000Z', now)).toBeNull();
+  });
+});
+
+describe('rebalancePaymentSchedule', () => {
+  const booking = {
+    totalAmount: 100,
+    startTime: '2030-02-01T10:00:00.000Z',
+    depositPolicy: deposit,
+    paymentSchedule: buildPaymentSchedule(deposit, 100, '2030-02-01T10:00:00.000Z', now)
+      .map(instalment => ({ ...instalment, stripePaymentIntentId: `pi_${instalment.id}` }))
+  };
+  
+  it('moves an unpaid deposit and the balance with the price, dropping their payment intents', () => {
+    const schedule = rebalancePaymentSchedule({ ...booking, totalAmount: 200, startTime: '2030-03-01T10:00:00.000Z' });
+    
+    expect(schedule[0]).toMatchObject({ amountCents: 5000, status: 'pending' });
+    expect(schedule[0].stripePaymentIntentId).toBeUndefined();
+    expect(schedule[1]).toMatchObject({ amountCents: 15000, dueAt: '2030-02-22T10:00:00.000Z' });
+  });
+  
+  it('keeps a paid deposit, and leaves nothing to pay when the price drops to it', () => {
+    const paid = {
+      ...booking,
+      paymentSchedule: booking.paymentSchedule.map(instalment => (
+        instalment.type === 'deposit' ? { ...instalment, status: 'paid' } : instalment
+      ))
+    };
+    
+    expect(rebalancePaymentSchedule({ ...paid, totalAmount: 40 }).map(({ amountCents, status }) => ({ amountCents, status })))
+      .toEqual([{ amountCents: 2500, status: 'paid' }, { amountCents: 1500, status: 'pending' }]);
+    expect(rebalancePaymentSchedule({ ...paid, totalAmount: 25 })[1]).toMatchObject({ amountCents: 0, status: 'not_required' });
+    // Only the start time changed, so the balance keeps its payment intent
+    expect(rebalancePaymentSchedule({ ...paid, startTime: '2030-02-08T10:00:00.000Z' })[1])
+      .toMatchObject({ amountCents: 7500, stripePaymentIntentId: 'pi_balance', dueAt: '2030-02-01T10:00:00.000Z' });
+  });
+});
+
+describe('paying a booking in instalments', () => {
+  it('gives a booking far enough ahead a schedule, and a booking soon a single payment', async () => {
+    const later = await BookingService.createBooking({ listingId: 'l1', userId: 'c1', ...slot(30) });
+    const soon = await BookingService.createBooking({ listingId: 'l1', userId: 'c1', ...slot(3) });
+    
+    expect(later.depositPolicy).toEqual(deposit);
+    expect(later.paymentSchedule.map(instalment => [instalment.id, instalment.amountCents])).toEqual([['deposit', 2500], ['balance', 7500]]);
+    expect(soon).toMatchObject({ depositPolicy: null, paymentSchedule: null });
+  });
+  
+  it('is deposit_paid once the deposit lands, and paid once the balance does', async () => {
+    const { id: bookingId } = await BookingService.createBooking({ listingId: 'l1', userId: 'c1', ...slot(40) });
+    
+    const pay = async () => {
+      const booking = await FirebaseService.getDocument('bookings', bookingId);
+      const instalment = getNextInstalment(booking);
+      
+      await StripeService.createPaymentIntent({
+        bookingId,
+        amount: instalment.amount,
+        vendorId: 'v1',
+        userId: 'c1',
+        instalmentId: instalment.id,
+        paymentSchedule: booking.paymentSchedule
+      });
+      
+      const paymentIntent = { ...(await stripe.paymentIntents.create.mock.results.at(-1).value), status: 'succeeded' };
+      
+      await StripeService.processSuccessfulPayment(paymentIntent);
+      // Running it again for the same payment (a webhook retry) changes nothing
+      await expect(StripeService.processSuccessfulPayment(paymentIntent)).resolves.toBeNull();
+      
+      return await FirebaseService.getDocument('bookings', bookingId);
+    };
+    
+    const afterDeposit = await pay();
+    
+    expect(stripe.paymentIntents.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      amount: 2500,
+      description: `Deposit for booking #${bookingId}`,
+      metadata: expect.objectContaining({ instalmentId: 'deposit' })
+    }));
+    expect(afterDeposit).toMatchObject({ paymentStatus: 'deposit_paid', holdExpiresAt: null });
+    expect(afterDeposit.paymentSchedule.map(instalment => instalment.status)).toEqual(['paid', 'pending']);
+    expect(getPaidCents(afterDeposit)).toBe(2500);
+    
+    const afterBalance = await pay();
+    
+    expect(stripe.paymentIntents.create).toHaveBeenLastCalledWith(expect.objectContaining({ amount: 7500 }));
+    expect(afterBalance.paymentStatus).toBe('paid');
+    expect(afterBalance.payments.map(payment => payment.type)).toEqual(['deposit', 'balance']);
+    expect(getNextInstalment(afterBalance)).toBeNull();
+    expect(getPaidCents(afterBalance)).toBe(10000);
+  });
+});
@@ -0,0 +1,57 @@
+const {
+  validateFeePolicy,
+  mergeFeePolicies,
+  calculateFeeCents
+} = require('../utils/platformFee');
+
+describe('calculateFeeCents', () => {
+  it('takes the percentage, rounded to the cent, plus the fixed part', () => {
+    expect(calculateFeeCents(10000, { percent: 5, fixedCents: 0 })).toBe(500);
+    expect(calculateFeeCents(1999, { percent: 5, fixedCents: 30 })).toBe(130);
+    expect(calculateFeeCents(1010, { percent: 2.5, fixedCents: 0 })).toBe(25);
+  });
+  
+  it('keeps the fee between the minimum and the maximum', () => {
+    const policy = { percent: 10, fixedCents: 0, minCents: 50, maxCents: 2000 };
+    
+    expect(calculateFeeCents(100, policy)).toBe(50);
+    expect(calculateFeeCents(100000, policy)).toBe(2000);
+    expect(calculateFeeCents(100000, { ...policy, maxCents: null })).toBe(10000);
+  });
+  
+  it('never takes more than the payment', () => {
+    expect(calculateFeeCents(40, { percent: 5, fixedCents: 30, minCents: 50 })).toBe(40);
+  });
+  
+  it('takes nothing from an empty payment', () => {
+    expect(calculateFeeCents(0, { percent: 5, fixedCents: 30 })).toBe(0);
+    expect(calculateFeeCents(-100, { percent: 5, fixedCents: 30 })).toBe(0);
+  });
+});
+
+describe('mergeFeePolicies', () => {
+  it('lets the most specific override win field by field', () => {
+    const base = { percent: 5, fixedCents: 30, minCents: 0, maxCents: null };
+    
+    expect(mergeFeePolicies(base, { percent: 4 }, { fixedCents: 0, label: 'ignored' }, null)).toEqual({
+      percent: 4,
+      fixedCents: 0,
+      minCents: 0,
+      maxCents: null
+    });
+  });
+});
+
+describe('validateFeePolicy', () => {
+  it('accepts a full policy and a partial override', () => {
+    expect(validateFeePolicy({ percent: 5, fixedCents: 30, minCents: 50, maxCents: 2000 })).toBeNull();
+    expect(validateFeePolicy({ maxCents: null })).toBeNull();
+  });
+  
+  it('rejects amounts that are not whole cents, and a minimum above the maximum', () => {
+    expect(validateFeePolicy({ percent: 101 })).toMatch(/percent/);
+    expect(validateFeePolicy({ fixedCents: 2.5 })).toMatch(/fixedCents/);
+    expect(validateFeePolicy({ minCents: 500, maxCents: 100 })).toMatch(/minCents/);
+    expect(validateFeePolicy([])).toMatch(/object/);
+  });
+});
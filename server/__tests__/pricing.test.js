@@ -0,0 +1,102 @@
+const { quoteBasePrice, validatePricing } = require('../utils/pricing');
+
+const NEW_YORK = 'America/New_York';
+
+const quote = (listing, startTime, endTime, timeZone = NEW_YORK) =>
+  quoteBasePrice({ title: 'Cabin', price: 100, ...listing }, { startTime, endTime }, timeZone);
+
+const total = (result) => result.lineItems.reduce((cents, item) => cents + Math.round(item.amount * 100), 0) / 100;
+
+describe('quoteBasePrice', () => {
+  describe('daily', () => {
+    const daily = { pricing: { model: 'daily' } };
+    
+    it('counts days on the listing\'s clock when the clocks go back', () => {
+      // Sat 31 Oct 10:00 EDT to Mon 2 Nov 10:00 EST is 49 hours but two days
+      const result = quote(daily, '2026-10-31T14:00:00Z', '2026-11-02T15:00:00Z');
+      
+      expect(result.lineItems[0].description).toBe('Cabin · 2 days at $100.00/day');
+      expect(total(result)).toBe(200);
+    });
+    
+    it('counts days on the listing\'s clock when the clocks go forward', () => {
+      // Sat 7 Mar 10:00 EST to Mon 9 Mar 10:00 EDT is 47 hours
+      expect(total(quote(daily, '2026-03-07T15:00:00Z', '2026-03-09T14:00:00Z'))).toBe(200);
+    });
+    
+    it('counts days from the start time, not calendar dates', () => {
+      // 22:00 Mon to 02:00 Tue crosses midnight but lasts less than a day
+      const result = quote(daily, '2026-06-02T02:00:00Z', '2026-06-02T06:00:00Z');
+      
+      expect(result.lineItems[0].description).toBe('Cabin · 1 day at $100.00/day');
+      expect(total(quote(daily, '2026-06-02T02:00:00Z', '2026-06-03T02:01:00Z'))).toBe(200);
+    });
+    
+    it('charges a started day as a whole one', () => {
+      expect(total(quote(daily, '2026-10-31T14:00:00Z', '2026-11-02T15:01:00Z'))).toBe(300);
+      expect(total(quote(daily, '2026-06-01T14:00:00Z', '2026-06-01T15:00:00Z'))).toBe(100);
+    });
+    
+    it('charges each day at its own rate', () => {
+      const result = quote(
+        { pricing: { model: 'daily', weekend: { price: 150 } } },
+        '2026-06-05T14:00:00Z',
+        '2026-06-08T14:00:00Z'
+      );
+      
+      // Fri, Sat, Sun
+      expect(result.lineItems.map(item => item.description)).toEqual([
+        'Cabin · 1 day at $100.00/day',
+        'Cabin · 2 days at $150.00/day (weekend rate)'
+      ]);
+      expect(total(result)).toBe(400);
+    });
+  });
+  
+  describe('hourly', () => {
+    it('charges the hours that passed, not the wall-clock difference, across a DST change', () => {
+      // 22:00 EDT on Sat 31 Oct to 04:00 EST on Sun 1 Nov is 7 hours
+      const result = quote({ price: 10, pricing: { model: 'hourly' } }, '2026-11-01T02:00:00Z', '2026-11-01T09:00:00Z');
+      
+      expect(total(result)).toBe(70);
+    });
+    
+    it('prorates to the minute and splits at the listing\'s midnight', () => {
+      const result = quote(
+        { price: 20, pricing: { model: 'hourly', weekend: { price: 30 } } },
+        '2026-06-06T03:00:00Z',
+        '2026-06-06T04:30:00Z'
+      );
+      
+      // Fri 23:00 to Sat 00:30 in New York: an hour on Friday, half an hour on Saturday
+      expect(total(result)).toBe(35);
+      expect(result.lineItems).toHaveLength(2);
+    });
+  });
+  
+  it('uses a season over the weekend rate, by the listing\'s date', () => {
+    const listing = {
+      pricing: {
+        model: 'flat',
+        weekend: { price: 150 },
+        seasons: [{ name: 'Summer', startDate: '2026-06-01', endDate: '2026-08-31', price: 180 }]
+      }
+    };
+    
+    // 23:30 on 31 May in New York is already 1 June in UTC
+    expect(total(quote(listing, '2026-06-01T03:30:00Z', '2026-06-01T04:00:00Z'))).toBe(150);
+    expect(total(quote(listing, '2026-06-01T14:00:00Z', '2026-06-01T15:00:00Z'))).toBe(180);
+  });
+  
+  it('picks the first tier long enough for the booking', () => {
+    const listing = { pricing: { model: 'tiered', tiers: [{ upToMinutes: 60, price: 50 }, { upToMinutes: 180, price: 120 }] } };
+    
+    expect(total(quote(listing, '2026-06-01T14:00:00Z', '2026-06-01T15:00:00Z'))).toBe(50);
+    expect(total(quote(listing, '2026-06-01T14:00:00Z', '2026-06-01T16:00:00Z'))).toBe(120);
+    expect(quote(listing, '2026-06-01T14:00:00Z', '2026-06-01T18:00:00Z').error).toMatch(/No price/);
+  });
+  
+  it('rejects an unknown model', () => {
+    expect(validatePricing({ model: 'weekly' })).toMatch(/pricing.model/);
+  });
+});
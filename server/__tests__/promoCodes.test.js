@@ -0,0 +1,82 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const PromoCodeService = require('../services/promoCodeService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const book = (userId, promoCode, days, listingId = 'bike') =>
+  BookingService.createBooking({ listingId, userId, promoCode, ...slot(days) });
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('bike', { title: 'Bike hire', price: 40 });
+  await createListing('tandem', { title: 'Tandem hire', price: 70 });
+  await FirebaseService.createDocument('listings', { vendorId: 'v2', title: 'Canoe', price: 30 }, 'canoe');
+});
+
+describe('PromoCodeService', () => {
+  it('stores codes upper case and checks them', async () => {
+    await expect(PromoCodeService.createPromoCode('v1', { code: ' spring25 ', discountType: 'percent', value: 25 }))
+      .resolves.toMatchObject({ code: 'SPRING25', isActive: true, redemptionCount: 0 });
+    
+    await expect(PromoCodeService.createPromoCode('v1', { code: 'SPRING25', discountType: 'fixed', value: 5 }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(PromoCodeService.createPromoCode('v1', { code: 'HALF', discountType: 'percent', value: 150 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(PromoCodeService.createPromoCode('v1', { code: 'CANOE', discountType: 'fixed', value: 5, listingIds: ['canoe'] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('booking with a promo code', () => {
+  it('adds the discount as a line item', async () => {
+    const booking = await book('c1', 'spring25', 2);
+    
+    expect(booking.lineItems).toEqual([
+      expect.objectContaining({ type: 'base', amount: 40 }),
+      expect.objectContaining({ type: 'discount', description: 'Promo code SPRING25 (25% off)', amount: -10 })
+    ]);
+    expect(booking).toMatchObject({ totalAmount: 30, promotion: { code: 'SPRING25', discountType: 'percent', value: 25 } });
+  });
+  
+  it('never takes a booking below zero', async () => {
+    await PromoCodeService.createPromoCode('v1', { code: 'FIFTY', discountType: 'fixed', value: 50 });
+    
+    await expect(book('c1', 'FIFTY', 3)).resolves.toMatchObject({ totalAmount: 0 });
+  });
+  
+  it('turns down codes for other listings, under the minimum spend, or out of date', async () => {
+    await PromoCodeService.createPromoCode('v1', { code: 'TANDEM', discountType: 'fixed', value: 10, listingIds: ['tandem'] });
+    await PromoCodeService.createPromoCode('v1', { code: 'BIGSPEND', discountType: 'fixed', value: 10, minSpend: 60 });
+    await PromoCodeService.createPromoCode('v1', { code: 'LASTYEAR', discountType: 'fixed', value: 10, endsAt: '2020-01-01T00:00:00Z' });
+    
+    await expect(book('c1', 'TANDEM', 4)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book('c1', 'TANDEM', 4, 'tandem')).resolves.toMatchObject({ totalAmount: 60 });
+    await expect(book('c1', 'BIGSPEND', 5)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book('c1', 'LASTYEAR', 5)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book('c1', 'NOSUCHCODE', 5)).rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+  it('lets a single-use code be used once, even by customers booking at the same time', async () => {
+    await PromoCodeService.createPromoCode('v1', { code: 'ONCE', discountType: 'fixed', value: 5, maxRedemptions: 1 });
+    
+    const results = await Promise.allSettled([book('c2', 'ONCE', 6), book('c3', 'ONCE', 7)]);
+    
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+  });
+  
+  it('frees the use again when an unpaid booking is cancelled', async () => {
+    await PromoCodeService.createPromoCode('v1', { code: 'PERSON', discountType: 'fixed', value: 5, maxRedemptionsPerCustomer: 1 });
+    const booking = await book('c4', 'PERSON', 8);
+    
+    await expect(book('c4', 'PERSON', 9)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(book('c5', 'PERSON', 9)).resolves.toMatchObject({ totalAmount: 35 });
+    
+    await BookingService.cancelBooking(booking.id, 'c4');
+    
+    await expect(book('c4', 'PERSON', 10)).resolves.toMatchObject({ totalAmount: 35 });
+  });
+});
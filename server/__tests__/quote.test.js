@@ -0,0 +1,47 @@
+process.env.DATA_STORE = 'memory';
+
+const request = require('supertest');
+const app = require('../index');
+const FirebaseService = require('../services/firebaseService');
+const { silenceConsole, createListing } = require('./helpers/fixtures');
+
+const body = { startTime: '2026-06-01T14:00:00Z', endTime: '2026-06-01T15:00:00Z' };
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', { title: 'Studio', price: 100 });
+  await FirebaseService.createDocument('promo_codes', {
+    vendorId: 'v1',
+    code: 'SPRING',
+    discountType: 'percent',
+    value: 10,
+    isActive: true,
+    redemptionCount: 0
+  }, 'p1');
+});
+
+describe('POST /api/listings/:id/quote', () => {
+  it('quotes a price without a login', async () => {
+    const res = await request(app).post('/api/listings/l1/quote').send(body);
+    
+    expect(res.status).toBe(200);
+    expect(res.body.totalAmount).toBe(100);
+  });
+  
+  it('needs a login to check a promo code', async () => {
+    const res = await request(app).post('/api/listings/l1/quote').send({ ...body, promoCode: 'spring' });
+    
+    expect(res.status).toBe(401);
+  });
+  
+  it('applies a promo code for a signed-in customer', async () => {
+    const res = await request(app)
+      .post('/api/listings/l1/quote')
+      .set('Authorization', 'Bearer c1')
+      .send({ ...body, promoCode: 'spring' });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalAmount: 90, promotion: { code: 'SPRING' } });
+  });
+});
@@ -0,0 +1,137 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { list: jest.fn(), retrieve: jest.fn() },
+  charges: { retrieve: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const ReconciliationService = require('../services/reconciliationService');
+const { validateLines } = require('../utils/ledger');
+const { silenceConsole, bookingFactory } = require('./helpers/fixtures');
+
+const PERIOD = { from: '2026-06-01T00:00:00Z', to: '2026-06-02T00:00:00Z' };
+const created = Date.parse('2026-06-01T12:00:00Z') / 1000;
+
+// Stripe's list is auto-paginated with for await
+const listOf = (items) => ({
+  async *[Symbol.asyncIterator]() {
+    yield* items;
+  }
+});
+
+const succeeded = (id, bookingId) => ({
+  id,
+  status: 'succeeded',
+  amount: 10000,
+  amount_received: 10000,
+  application_fee_amount: 500,
+  currency: 'usd',
+  created,
+  latest_charge: { id: `ch_${id}`, amount_refunded: 0 },
+  metadata: { bookingId, vendorId: 'v1' }
+});
+
+const createBooking = bookingFactory();
+
+beforeAll(() => {
+  silenceConsole('error', 'log');
+});
+
+beforeEach(() => {
+  stripe.charges.retrieve.mockResolvedValue({ balance_transaction: { fee: 320 } });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ReconciliationService.runReconciliation', () => {
+  it('reports a payment the booking never recorded, and leaves it alone without repair', async () => {
+    await createBooking('b_report', { stripePaymentIntentId: 'pi_report' });
+    stripe.paymentIntents.list.mockReturnValue(listOf([succeeded('pi_report', 'b_report')]));
+    
+    const report = await ReconciliationService.runReconciliation(PERIOD, 'admin');
+    
+    expect(report).toMatchObject({ mismatchCount: 1, repairedCount: 0, summary: { paid_not_recorded: 1 } });
+    expect(report.mismatches[0]).toMatchObject({ bookingId: 'b_report', repairable: true, repaired: false });
+    expect((await FirebaseService.getDocument('bookings', 'b_report')).paymentStatus).toBe('pending');
+  });
+  
+  it('repairs it by recording the payment, its transaction and a balanced ledger entry', async () => {
+    await createBooking('b_repair', { stripePaymentIntentId: 'pi_repair' });
+    stripe.paymentIntents.list.mockReturnValue(listOf([succeeded('pi_repair', 'b_repair')]));
+    
+    const report = await ReconciliationService.runReconciliation({ ...PERIOD, repair: true }, 'admin');
+    
+    expect(report).toMatchObject({ mismatchCount: 1, repairedCount: 1 });
+    expect(report.mismatches[0]).toMatchObject({ type: 'paid_not_recorded', repaired: true, repairError: null });
+    
+    const booking = await FirebaseService.getDocument('bookings', 'b_repair');
+    const transaction = await FirebaseService.getDocument('transactions', 'payment_pi_repair');
+    const entry = await FirebaseService.getDocument('ledger_entries', 'payment_pi_repair');
+    
+    expect(booking).toMatchObject({ paymentStatus: 'paid', stripePaymentId: 'pi_repair' });
+    expect(booking.payments).toEqual([expect.objectContaining({ paymentIntentId: 'pi_repair', amountCents: 10000 })]);
+    expect(transaction).toMatchObject({ amountCents: 10000, feeCents: 500, status: 'completed' });
+    expect(validateLines(entry.lines)).toBeNull();
+    
+    // Nothing is left to repair the next time round
+    stripe.paymentIntents.list.mockReturnValue(listOf([succeeded('pi_repair', 'b_repair')]));
+    
+    const rerun = await ReconciliationService.runReconciliation({ ...PERIOD, repair: true }, 'admin');
+    
+    expect(rerun.mismatchCount).toBe(0);
+  });
+  
+  it('puts an unpaid booking\'s status back in step with a cancelled payment intent', async () => {
+    await createBooking('b_status', { stripePaymentIntentId: 'pi_status' });
+    stripe.paymentIntents.list.mockReturnValue(listOf([{
+      id: 'pi_status',
+      status: 'canceled',
+      amount: 10000,
+      created,
+      metadata: { bookingId: 'b_status', vendorId: 'v1' }
+    }]));
+    
+    const report = await ReconciliationService.runReconciliation({ ...PERIOD, repair: true }, 'admin');
+    
+    expect(report.mismatches[0]).toMatchObject({ type: 'status_mismatch', expected: 'canceled', actual: 'pending', repaired: true });
+    expect((await FirebaseService.getDocument('bookings', 'b_status')).paymentStatus).toBe('canceled');
+  });
+  
+  it('does not repair an amount that differs from what Stripe charged', async () => {
+    await createBooking('b_amount', {
+      paymentStatus: 'paid',
+      stripePaymentIntentId: 'pi_amount',
+      stripePaymentId: 'pi_amount',
+      payments: [{ paymentIntentId: 'pi_amount', type: 'booking', amountCents: 9000, amount: 90, refundedCents: 0, refundedAmount: 0 }]
+    });
+    await FirebaseService.createDocument('transactions', {
+      bookingId: 'b_amount',
+      vendorId: 'v1',
+      amountCents: 9000,
+      feeCents: 500,
+      stripePaymentId: 'pi_amount',
+      status: 'completed',
+      createdAt: '2026-06-01T12:00:00.000Z'
+    }, 'payment_pi_amount');
+    stripe.paymentIntents.list.mockReturnValue(listOf([succeeded('pi_amount', 'b_amount')]));
+    
+    const report = await ReconciliationService.runReconciliation({ ...PERIOD, repair: true }, 'admin');
+    const amountMismatch = report.mismatches.find(mismatch => mismatch.type === 'amount_mismatch');
+    
+    expect(amountMismatch).toMatchObject({
+      expected: { amountCents: 10000, feeCents: 500 },
+      actual: { amountCents: 9000, feeCents: 500 },
+      repairable: false,
+      repaired: false
+    });
+  });
+  
+  it('rejects a period longer than a month', async () => {
+    await expect(ReconciliationService.runReconciliation({ from: '2026-01-01', to: '2026-03-01' }, 'admin'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,130 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const { expandRecurrence, validateRecurrenceRule } = require('../utils/recurrence');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const NEW_YORK = 'America/New_York';
+
+const weekly = (count) => ({ frequency: 'weekly', count });
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', { title: 'Piano lesson', price: 35 });
+});
+
+describe('validateRecurrenceRule', () => {
+  it('needs a known frequency and an end', () => {
+    expect(validateRecurrenceRule(weekly(4))).toBeNull();
+    expect(validateRecurrenceRule({ frequency: 'hourly', count: 4 })).toMatch(/frequency/);
+    expect(validateRecurrenceRule({ frequency: 'weekly' })).toMatch(/count or an until/);
+    expect(validateRecurrenceRule({ frequency: 'weekly', count: 101 })).toMatch(/count/);
+    expect(validateRecurrenceRule({ frequency: 'daily', count: 2, byWeekday: ['MO'] })).toMatch(/byWeekday/);
+    expect(validateRecurrenceRule({ frequency: 'monthly', count: 2, byWeekday: ['9MO'] })).toMatch(/byWeekday/);
+  });
+});
+
+describe('expandRecurrence', () => {
+  it('keeps a weekly booking at the same wall-clock time across DST', () => {
+    const occurrences = expandRecurrence(
+      { frequency: 'weekly', count: 3 },
+      '2026-10-24T13:00:00Z',
+      '2026-10-24T14:00:00Z',
+      NEW_YORK
+    );
+    
+    // 09:00 EDT, 09:00 EDT, then 09:00 EST
+    expect(occurrences).toEqual([
+      { startTime: '2026-10-24T13:00:00.000Z', endTime: '2026-10-24T14:00:00.000Z' },
+      { startTime: '2026-10-31T13:00:00.000Z', endTime: '2026-10-31T14:00:00.000Z' },
+      { startTime: '2026-11-07T14:00:00.000Z', endTime: '2026-11-07T15:00:00.000Z' }
+    ]);
+  });
+  
+  it('repeats on the chosen weekdays until the last day', () => {
+    const occurrences = expandRecurrence(
+      { frequency: 'weekly', byWeekday: ['MO', 'WE'], until: '2026-06-10' },
+      '2026-06-01T13:00:00Z',
+      '2026-06-01T14:00:00Z',
+      NEW_YORK
+    );
+    
+    expect(occurrences.map(occurrence => occurrence.startTime.slice(0, 10))).toEqual([
+      '2026-06-01', '2026-06-03', '2026-06-08', '2026-06-10'
+    ]);
+  });
+  
+  it('skips months without the day, and finds the last Friday of a month', () => {
+    const monthly = expandRecurrence(
+      { frequency: 'monthly', count: 3 },
+      '2026-01-31T15:00:00Z',
+      '2026-01-31T16:00:00Z',
+      NEW_YORK
+    );
+    const lastFriday = expandRecurrence(
+      { frequency: 'monthly', byWeekday: ['-1FR'], count: 2 },
+      '2026-01-30T15:00:00Z',
+      '2026-01-30T16:00:00Z',
+      NEW_YORK
+    );
+    
+    expect(monthly.map(occurrence => occurrence.startTime.slice(0, 10))).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    expect(lastFriday.map(occurrence => occurrence.startTime.slice(0, 10))).toEqual(['2026-01-30', '2026-02-27']);
+  });
+});
+
+describe('booking series', () => {
+  it('books every occurrence for a customer, pending and priced', async () => {
+    const { series, bookings, skipped } = await BookingService.createSeries(
+      { listingId: 'l1', ...slot(2) }, weekly(3), { userId: 'c1', name: 'Ada' }
+    );
+    
+    expect(skipped).toEqual([]);
+    expect(bookings.map(booking => booking.startTime)).toEqual([slot(2).startTime, slot(9).startTime, slot(16).startTime]);
+    bookings.forEach(booking => expect(booking).toMatchObject({
+      seriesId: series.id, userId: 'c1', customerName: 'Ada', status: 'pending', totalAmount: 35
+    }));
+  });
+  
+  it('writes nothing when an occurrence is taken, unless asked to skip it', async () => {
+    await BookingService.createBooking({ listingId: 'l1', userId: 'c2', ...slot(10, 14) });
+    const first = { listingId: 'l1', ...slot(3, 14) };
+    
+    await expect(BookingService.createSeries(first, weekly(3), { userId: 'c3' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(FirebaseService.queryDocuments('bookings', [['userId', '==', 'c3']])).resolves.toEqual([]);
+    
+    const { bookings, skipped } = await BookingService.createSeries(first, weekly(3), { userId: 'c3' }, { skipConflicts: true });
+    
+    expect(bookings).toHaveLength(2);
+    expect(skipped).toEqual([expect.objectContaining({ startTime: slot(10, 14).startTime })]);
+  });
+  
+  it('confirms a vendor\'s series for a named client straight away', async () => {
+    await expect(BookingService.createSeries({ listingId: 'l1', ...slot(4, 16) }, weekly(2), { userId: 'v1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    
+    const { bookings } = await BookingService.createSeries(
+      { listingId: 'l1', ...slot(4, 16), customerName: 'Regular client' }, weekly(2), { userId: 'v1' }
+    );
+    
+    expect(bookings.map(booking => booking.status)).toEqual(['confirmed', 'confirmed']);
+  });
+  
+  it('skips one date, then cancels the rest of the series', async () => {
+    const { series } = await BookingService.createSeries({ listingId: 'l1', ...slot(5, 8) }, weekly(3), { userId: 'c4' });
+    const skipDate = slot(12).startTime.slice(0, 10);
+    
+    const skipped = await BookingService.skipSeriesOccurrence(series.id, skipDate, 'c4', 'Holiday');
+    
+    expect(skipped.skippedDates).toContain(skipDate);
+    expect(skipped.bookings.map(booking => booking.status)).toEqual(['pending', 'cancelled', 'pending']);
+    
+    const cancelled = await BookingService.cancelSeries(series.id, 'c4');
+    
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.bookings.every(booking => booking.status === 'cancelled')).toBe(true);
+    await expect(BookingService.getSeries(series.id, 'c5')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
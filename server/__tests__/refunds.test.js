@@ -0,0 +1,148 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { retrieve: jest.fn() },
+  refunds: { create: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const StripeService = require('../services/stripeService');
+const { validateLines } = require('../utils/ledger');
+const { silenceConsole } = require('./helpers/fixtures');
+
+// Destination charges: $100 with a $5 fee, and a $30.03 deposit with a $1.50 fee
+const paymentIntents = {
+  pi_full: { id: 'pi_full', amount: 10000, application_fee_amount: 500, transfer_data: { destination: 'acct_1' }, metadata: { bookingId: 'b_full' } },
+  pi_deposit: { id: 'pi_deposit', amount: 3003, application_fee_amount: 150, transfer_data: { destination: 'acct_1' }, metadata: { bookingId: 'b_split' } },
+  pi_balance: { id: 'pi_balance', amount: 7007, application_fee_amount: 350, transfer_data: { destination: 'acct_1' }, metadata: { bookingId: 'b_split' } },
+  pi_platform: { id: 'pi_platform', amount: 10000, application_fee_amount: null, transfer_data: null, metadata: { bookingId: 'b_platform' } }
+};
+
+let refundCount = 0;
+
+beforeAll(() => {
+  silenceConsole();
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => paymentIntents[id]);
+  stripe.refunds.create.mockImplementation(async (params) => ({
+    id: `re_${++refundCount}`,
+    status: 'succeeded',
+    amount: params.amount || paymentIntents[params.payment_intent].amount
+  }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+const payment = (paymentIntent, type) => ({
+  paymentIntentId: paymentIntent.id,
+  type,
+  amountCents: paymentIntent.amount,
+  amount: paymentIntent.amount / 100,
+  refundedCents: 0,
+  refundedAmount: 0
+});
+
+describe('StripeService.processRefund', () => {
+  it('gives back the whole platform fee with a full refund', async () => {
+    const refund = await StripeService.processRefund({ paymentIntentId: 'pi_full' });
+    
+    expect(refund.feeCents).toBe(500);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+      payment_intent: 'pi_full',
+      amount: undefined,
+      reverse_transfer: true,
+      refund_application_fee: true
+    }), undefined);
+  });
+  
+  it('gives back the refunded share of the fee, rounded to the cent', async () => {
+    const refund = await StripeService.processRefund({ paymentIntentId: 'pi_deposit', amount: 10.01, idempotencyKey: 'key_1' });
+    
+    // 150 * 1001 / 3003 = 50
+    expect(refund.feeCents).toBe(50);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 1001 }), { idempotencyKey: 'key_1' });
+  });
+  
+  it('gives back no fee on a charge that was not a destination charge', async () => {
+    const refund = await StripeService.processRefund({ paymentIntentId: 'pi_platform', amount: 25 });
+    
+    expect(refund.feeCents).toBe(0);
+    expect(stripe.refunds.create.mock.calls[0][0]).not.toHaveProperty('reverse_transfer');
+  });
+});
+
+describe('StripeService.refundBooking', () => {
+  const getRefundTransactions = async (bookingId) => (await FirebaseService.queryDocuments('transactions', [
+    ['bookingId', '==', bookingId]
+  ])).filter(transaction => transaction.type === 'refund');
+  
+  it('refunds the newest payment first, each with its own fee share, across payment intents', async () => {
+    const booking = await FirebaseService.createDocument('bookings', {
+      vendorId: 'v1',
+      totalAmount: 100.1,
+      paymentStatus: 'paid',
+      stripePaymentId: 'pi_deposit',
+      payments: [payment(paymentIntents.pi_deposit, 'deposit'), payment(paymentIntents.pi_balance, 'balance')]
+    }, 'b_split');
+    
+    const { refunds, updateData } = await StripeService.refundBooking(booking, { amount: 80 });
+    
+    expect(stripe.refunds.create.mock.calls.map(([params]) => [params.payment_intent, params.amount])).toEqual([
+      ['pi_balance', 7007],
+      ['pi_deposit', 993]
+    ]);
+    // 350 for all of the balance; 150 * 993 / 3003 = 49.6
+    expect(refunds.map(refund => refund.feeCents)).toEqual([350, 50]);
+    expect(updateData).toMatchObject({ paymentStatus: 'partially_refunded', refundedCents: 8000, refundedAmount: 80 });
+    expect(updateData.payments.map(entry => entry.refundedCents)).toEqual([993, 7007]);
+    
+    const transactions = await getRefundTransactions('b_split');
+    const byPayment = Object.fromEntries(transactions.map(transaction => [transaction.stripePaymentId, transaction]));
+    
+    expect(byPayment.pi_balance).toMatchObject({ amountCents: -7007, feeCents: -350, netCents: -6657 });
+    expect(byPayment.pi_deposit).toMatchObject({ amountCents: -993, feeCents: -50, netCents: -943 });
+    
+    for (const transaction of transactions) {
+      const entry = await FirebaseService.getDocument('ledger_entries', transaction.id);
+      
+      expect(validateLines(entry.lines)).toBeNull();
+    }
+  });
+  
+  it('refunds what is left, and reads amounts kept in dollars on older bookings', async () => {
+    const booking = await FirebaseService.createDocument('bookings', {
+      vendorId: 'v1',
+      totalAmount: 100,
+      paymentStatus: 'partially_refunded',
+      stripePaymentId: 'pi_full',
+      refundedAmount: 20,
+      payments: [{ paymentIntentId: 'pi_full', type: 'booking', amount: 100, refundedAmount: 20 }]
+    }, 'b_full');
+    
+    const { refund, updateData } = await StripeService.refundBooking(booking);
+    
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 8000 }), undefined);
+    expect(refund.feeCents).toBe(400);
+    expect(updateData).toMatchObject({ paymentStatus: 'refunded', refundedCents: 10000 });
+    expect(updateData.payments[0]).toMatchObject({ amountCents: 10000, refundedCents: 10000, refundedAmount: 100 });
+  });
+  
+  it('refuses to refund more than was paid', async () => {
+    const booking = {
+      id: 'b_over',
+      vendorId: 'v1',
+      totalAmount: 100,
+      paymentStatus: 'paid',
+      stripePaymentId: 'pi_full',
+      payments: [payment(paymentIntents.pi_full, 'booking')]
+    };
+    
+    await expect(StripeService.refundBooking(booking, { amount: 100.01 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
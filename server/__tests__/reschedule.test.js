@@ -0,0 +1,137 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../config/stripeConfig', () => ({
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() },
+  refunds: { create: jest.fn() }
+}));
+
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const RescheduleService = require('../services/rescheduleService');
+const StripeService = require('../services/stripeService');
+const { slot, silenceConsole, createListing, bookingFactory } = require('./helpers/fixtures');
+
+const createBooking = bookingFactory({
+  lineItems: [{ type: 'base', description: 'Lesson', unitPrice: 100, quantity: 1, amount: 100 }]
+});
+
+const paid = (id) => ({
+  paymentStatus: 'paid',
+  stripePaymentId: `pi_${id}`,
+  payments: [{ paymentIntentId: `pi_${id}`, type: 'booking', amountCents: 10000, refundedCents: 0 }]
+});
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('l1', { title: 'Lesson', price: 100, rescheduleLimit: 1 });
+  await FirebaseService.createDocument('users', {
+    stripeAccountId: 'acct_1',
+    stripeAccountStatus: { chargesEnabled: true }
+  }, 'v1');
+});
+
+beforeEach(() => {
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({
+    id, amount: 10000, application_fee_amount: 500, transfer_data: { destination: 'acct_1' }, metadata: {}
+  }));
+  stripe.refunds.create.mockImplementation(async (params) => ({ id: `re_${params.payment_intent}`, status: 'succeeded' }));
+  stripe.paymentIntents.create.mockImplementation(async (params) => ({
+    id: 'pi_charge', client_secret: 'secret', status: 'requires_payment_method', ...params
+  }));
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('RescheduleService', () => {
+  it('lets only the customer ask, and only for a free time', async () => {
+    await createBooking('b_ask');
+    await createBooking('b_other', slot(6));
+    
+    await expect(RescheduleService.requestReschedule('b_ask', 'v1', slot(7))).rejects.toMatchObject({ statusCode: 403 });
+    await expect(RescheduleService.requestReschedule('b_ask', 'c1', slot(6))).rejects.toMatchObject({ statusCode: 409 });
+    
+    const booking = await RescheduleService.requestReschedule('b_ask', 'c1', { ...slot(7), reason: 'Away' });
+    
+    expect(booking.rescheduleRequest).toMatchObject({ status: 'pending', reason: 'Away', newTotal: 100, priceDifference: 0 });
+    await expect(RescheduleService.requestReschedule('b_ask', 'c1', slot(8))).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('moves an unpaid booking when the vendor accepts, up to the listing\'s limit', async () => {
+    await createBooking('b_move');
+    await RescheduleService.requestReschedule('b_move', 'c1', slot(9));
+    
+    await expect(RescheduleService.acceptRescheduleRequest('b_move', 'c1')).rejects.toMatchObject({ statusCode: 403 });
+    
+    const booking = await RescheduleService.acceptRescheduleRequest('b_move', 'v1', { totalAmount: 90 });
+    
+    expect(booking).toMatchObject({ ...slot(9), totalAmount: 90, rescheduleCount: 1 });
+    expect(booking.rescheduleRequest).toMatchObject({ status: 'accepted', previousStartTime: slot(5).startTime });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    await expect(RescheduleService.requestReschedule('b_move', 'c1', slot(10))).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('leaves the booking where it is when the request is rejected or withdrawn', async () => {
+    await createBooking('b_reject');
+    await RescheduleService.requestReschedule('b_reject', 'c1', slot(11));
+    
+    await expect(RescheduleService.withdrawRescheduleRequest('b_reject', 'v1')).rejects.toMatchObject({ statusCode: 403 });
+    
+    const booking = await RescheduleService.rejectRescheduleRequest('b_reject', 'v1', 'Fully booked');
+    
+    expect(booking).toMatchObject({ startTime: slot(5).startTime, rescheduleRequest: { status: 'rejected' } });
+    await expect(RescheduleService.acceptRescheduleRequest('b_reject', 'v1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('refunds a cheaper reschedule of a paid booking under a fixed idempotency key', async () => {
+    await createBooking('b_refund', paid('b_refund'));
+    
+    const { rescheduleRequest: request } = await RescheduleService.requestReschedule('b_refund', 'c1', slot(12));
+    const booking = await RescheduleService.acceptRescheduleRequest('b_refund', 'v1', { totalAmount: 80 });
+    
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_b_refund', amount: 2000 }),
+      { idempotencyKey: `refund_b_refund_reschedule_${request.id}_pi_b_refund` }
+    );
+    expect(booking).toMatchObject({ totalAmount: 80, paymentStatus: 'paid', rescheduleRequest: { settlement: { status: 'refunded' } } });
+  });
+  
+  it('charges for a dearer reschedule, and prices the booking from its line items once paid', async () => {
+    await createBooking('b_charge', paid('b_charge'));
+    await RescheduleService.requestReschedule('b_charge', 'c1', slot(13));
+    
+    const accepted = await RescheduleService.acceptRescheduleRequest('b_charge', 'v1', { totalAmount: 130 });
+    
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 3000 }));
+    expect(accepted).toMatchObject({ totalAmount: 100, rescheduleRequest: { settlement: { status: 'awaiting_payment' } } });
+    
+    const paymentIntent = await stripe.paymentIntents.create.mock.results[0].value;
+    
+    await StripeService.processReschedulePayment(paymentIntent);
+    await StripeService.processReschedulePayment(paymentIntent);
+    
+    const booking = await FirebaseService.getDocument('bookings', 'b_charge');
+    
+    expect(booking.totalAmount).toBe(130);
+    expect(booking.lineItems.reduce((sum, item) => sum + item.amount, 0)).toBe(130);
+    expect(booking.payments.map(payment => payment.amountCents)).toEqual([10000, 3000]);
+    expect(booking.rescheduleRequest.settlement.status).toBe('paid');
+  });
+});
+
+describe('BookingService.cancelBooking', () => {
+  it('refunds a cancelled booking under a fixed idempotency key', async () => {
+    await createBooking('b_cancel', paid('b_cancel'));
+    
+    const booking = await BookingService.cancelBooking('b_cancel', 'v1', 'Weather');
+    
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_b_cancel', amount: 10000 }),
+      { idempotencyKey: 'refund_b_cancel_cancellation_pi_b_cancel' }
+    );
+    expect(booking).toMatchObject({ status: 'cancelled', paymentStatus: 'refunded' });
+  });
+});
@@ -0,0 +1,75 @@
+process.env.DATA_STORE = 'memory';
+
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
+const WaitlistService = require('../services/waitlistService');
+const { slot, silenceConsole, createListing } = require('./helpers/fixtures');
+
+const book = (userId, time) => BookingService.createBooking({ listingId: 'court', userId, ...time });
+const join = (userId, time) => WaitlistService.joinWaitlist({ listingId: 'court', userId, ...time });
+const getEntry = (id) => FirebaseService.getDocument('waitlist_entries', id);
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await createListing('court', { title: 'Squash court', price: 12 });
+});
+
+describe('WaitlistService', () => {
+  let taken;
+  let first;
+  let second;
+  
+  it('only queues customers for times that are taken, once each', async () => {
+    await expect(join('c2', slot(2))).rejects.toMatchObject({ statusCode: 409 });
+    
+    taken = await book('c1', slot(2));
+    first = await join('c2', slot(2));
+    second = await join('c3', slot(2));
+    
+    expect([first.position, second.position]).toEqual([1, 2]);
+    await expect(join('c2', slot(2))).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('offers a freed time to the longest-waiting customer and holds it for them', async () => {
+    await expect(WaitlistService.processWaitlists()).resolves.toEqual({ offered: 0, expired: 0 });
+    
+    await BookingService.cancelBooking(taken.id, 'c1');
+    
+    await expect(WaitlistService.processWaitlists()).resolves.toEqual({ offered: 1, expired: 0 });
+    expect(await getEntry(first.id)).toMatchObject({ status: 'offered', claimToken: expect.any(String) });
+    expect((await getEntry(second.id)).status).toBe('waiting');
+    await expect(book('c4', slot(2))).rejects.toMatchObject({ statusCode: 409 });
+  });
+  
+  it('books the offer once, however many times it is claimed', async () => {
+    const { claimToken } = await getEntry(first.id);
+    
+    await expect(WaitlistService.claimOffer(claimToken, 'c3')).rejects.toMatchObject({ statusCode: 403 });
+    
+    const claims = await Promise.allSettled([
+      WaitlistService.claimOffer(claimToken, 'c2'),
+      WaitlistService.claimOffer(claimToken, 'c2')
+    ]);
+    const booked = claims.filter(claim => claim.status === 'fulfilled');
+    
+    expect(booked).toHaveLength(1);
+    expect(booked[0].value).toMatchObject({ userId: 'c2', status: 'pending', ...slot(2) });
+    expect(claims.find(claim => claim.status === 'rejected').reason.statusCode).toBe(409);
+    expect(await getEntry(first.id)).toMatchObject({ status: 'claimed', bookingId: booked[0].value.id });
+  });
+  
+  it('passes an unclaimed offer on to the next customer once it lapses', async () => {
+    const booking = await book('c5', slot(3));
+    const waiting = [await join('c6', slot(3)), await join('c7', slot(3))];
+    
+    await BookingService.cancelBooking(booking.id, 'c5');
+    await WaitlistService.processWaitlists();
+    
+    const later = new Date(Date.now() + 31 * 60 * 1000);
+    
+    await expect(WaitlistService.processWaitlists(later)).resolves.toEqual({ offered: 1, expired: 1 });
+    expect((await getEntry(waiting[0].id)).status).toBe('expired');
+    expect((await getEntry(waiting[1].id)).status).toBe('offered');
+  });
+});
@@ -0,0 +1,143 @@
+process.env.DATA_STORE = 'memory';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+jest.mock('../config/stripeConfig', () => ({
+  webhooks: { constructEvent: jest.fn() }
+}));
+
+const request = require('supertest');
+const stripe = require('../config/stripeConfig');
+const app = require('../index');
+const FirebaseService = require('../services/firebaseService');
+const StripeService = require('../services/stripeService');
+const WebhookService = require('../services/webhookService');
+const { silenceConsole } = require('./helpers/fixtures');
+
+const event = (id, type = 'payment_intent.succeeded') => ({
+  id,
+  type,
+  created: 1800000000,
+  livemode: false,
+  data: { object: { id: `pi_${id}`, metadata: {} } }
+});
+
+const deliver = (body) => request(app)
+  .post('/api/stripe/webhook')
+  .set('Stripe-Signature', 't=1,v1=signed')
+  .set('Content-Type', 'application/json')
+  .send(JSON.stringify(body));
+
+beforeAll(async () => {
+  silenceConsole();
+  
+  await FirebaseService.createDocument('users', { role: 'admin' }, 'admin1');
+});
+
+let handler;
+
+beforeEach(() => {
+  stripe.webhooks.constructEvent.mockImplementation((payload) => JSON.parse(payload.toString()));
+  handler = jest.spyOn(StripeService, 'processSuccessfulPayment').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Stripe webhook endpoint', () => {
+  it('turns down a delivery without a valid signature', async () => {
+    stripe.webhooks.constructEvent.mockImplementation(() => {
+      throw new Error('No signatures found matching the expected signature');
+    });
+    
+    const res = await deliver(event('evt_forged'));
+    
+    expect(res.status).toBe(400);
+    expect(await FirebaseService.getDocument('stripe_events', 'evt_forged')).toBeNull();
+  });
+  
+  it('runs an event once, however often Stripe delivers it', async () => {
+    const responses = await Promise.all([deliver(event('evt_once')), deliver(event('evt_once'))]);
+    
+    expect(responses.map(res => res.status)).toEqual([200, 200]);
+    expect((await deliver(event('evt_once'))).status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ id: 'pi_evt_once', metadata: {} });
+    expect(await FirebaseService.getDocument('stripe_events', 'evt_once')).toMatchObject({
+      type: 'payment_intent.succeeded',
+      status: 'processed',
+      attempts: 1,
+      stripeCreatedAt: '2027-01-15T08:00:00.000Z'
+    });
+  });
+  
+  it('acknowledges event types it has no handler for', async () => {
+    expect((await deliver(event('evt_other', 'customer.created'))).status).toBe(200);
+    expect((await FirebaseService.getDocument('stripe_events', 'evt_other')).status).toBe('ignored');
+  });
+  
+  it('keeps a failed event\'s error, and lets Stripe\'s retry run it again', async () => {
+    handler.mockRejectedValueOnce(new Error('Booking not found'));
+    
+    expect((await deliver(event('evt_retry'))).status).toBe(500);
+    expect(await FirebaseService.getDocument('stripe_events', 'evt_retry')).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      error: 'Booking not found'
+    });
+    
+    expect((await deliver(event('evt_retry'))).status).toBe(200);
+    expect(await FirebaseService.getDocument('stripe_events', 'evt_retry')).toMatchObject({
+      status: 'processed',
+      attempts: 2,
+      error: null
+    });
+  });
+});
+
+describe('replaying Stripe events', () => {
+  it('lets only admins list and replay events', async () => {
+    expect((await request(app).get('/api/admin/stripe-events').set('Authorization', 'Bearer v1')).status).toBe(403);
+    expect((await request(app).post('/api/admin/stripe-events/evt_once/replay').set('Authorization', 'Bearer v1')).status)
+      .toBe(403);
+  });
+  
+  it('replays a failed event, but not one that is done with or unknown', async () => {
+    handler.mockRejectedValueOnce(new Error('Stripe is down'));
+    
+    await deliver(event('evt_replay'));
+    
+    const failed = await request(app).get('/api/admin/stripe-events?status=failed').set('Authorization', 'Bearer admin1');
+    
+    expect(failed.status).toBe(200);
+    expect(failed.body.map(stored => stored.id)).toContain('evt_replay');
+    
+    const replay = (id) => request(app).post(`/api/admin/stripe-events/${id}/replay`).set('Authorization', 'Bearer admin1');
+    const res = await replay('evt_replay');
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 'evt_replay', status: 'processed', attempts: 2, duplicate: false });
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect((await replay('evt_replay')).status).toBe(409);
+    expect((await replay('evt_missing')).status).toBe(404);
+  });
+  
+  it('takes over an attempt that has been processing for too long', async () => {
+    await FirebaseService.createDocument('stripe_events', {
+      type: 'payment_intent.succeeded',
+      object: event('evt_stuck').data.object,
+      status: 'processing',
+      attempts: 1,
+      lastAttemptAt: new Date().toISOString()
+    }, 'evt_stuck');
+    
+    await expect(WebhookService.replayEvent('evt_stuck')).rejects.toMatchObject({ statusCode: 409 });
+    
+    await FirebaseService.updateDocument('stripe_events', 'evt_stuck', {
+      lastAttemptAt: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+    });
+    
+    await expect(WebhookService.replayEvent('evt_stuck')).resolves.toMatchObject({ status: 'processed', attempts: 2 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Data store selection
+ * Set DATA_STORE=memory to run the API without a Firebase project
+ * (local development and tests). Defaults to Firestore.
+ */
+const DATA_STORE = (process.env.DATA_STORE || 'firestore').toLowerCase();
+
+const SUPPORTED_STORES = ['firestore', 'memory'];
+
+if (!SUPPORTED_STORES.includes(DATA_STORE)) {
+  throw new Error(`Unsupported DATA_STORE "${DATA_STORE}" (expected one of: ${SUPPORTED_STORES.join(', ')})`);
+}
+
+// The memory store trusts any bearer token, so it must never serve real traffic
+if (DATA_STORE === 'memory' && process.env.NODE_ENV === 'production') {
+  throw new Error('DATA_STORE=memory cannot be used in production');
+}
+
+module.exports = {
+  DATA_STORE,
+  isMemoryStore: DATA_STORE === 'memory'
+};
@@ -1,10 +1,17 @@
 const admin = require('firebase-admin');
-const serviceAccount = require('./serviceAccountKey.json');
+const { isMemoryStore } = require('./dataStore');
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
+let db = null;
 
-const db = admin.firestore();
+// The in-memory data store runs without Firebase credentials
+if (!isMemoryStore) {
+  const serviceAccount = require('./serviceAccountKey.json');
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+  });
+
+  db = admin.firestore();
+}
 
 module.exports = { admin, db };
@@ -0,0 +1,97 @@
+const AddOnService = require('../services/addOnService');
+const { handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Get a listing's active add-ons (public, for the booking form)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getListingAddOns = async (req, res) => {
+  try {
+    const addOns = await AddOnService.getListingAddOns(req.params.id);
+    
+    res.status(200).json(addOns);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get add-ons');
+  }
+};
+
+/**
+ * Get all of a listing's add-ons, including inactive ones (vendor)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getManagedAddOns = async (req, res) => {
+  try {
+    await AddOnService.getOwnedListing(req.params.id, req.user.uid);
+    
+    const addOns = await AddOnService.getListingAddOns(req.params.id, { includeInactive: true });
+    
+    res.status(200).json(addOns);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get add-ons');
+  }
+};
+
+/**
+ * Add an add-on to a listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createAddOn = async (req, res) => {
+  try {
+    const { name, description, price, isActive, maxQuantity } = req.body;
+    
+    const addOn = await AddOnService.createAddOn(req.params.id, req.user.uid, {
+      name,
+      description,
+      price,
+      isActive,
+      maxQuantity
+    });
+    
+    res.status(201).json(addOn);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to create add-on');
+  }
+};
+
+/**
+ * Update one of a listing's add-ons
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAddOn = async (req, res) => {
+  try {
+    const addOn = await AddOnService.updateAddOn(
+      req.params.id, req.params.addOnId, req.user.uid, req.body
+    );
+    
+    res.status(200).json(addOn);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to update add-on');
+  }
+};
+
+/**
+ * Remove an add-on from a listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAddOn = async (req, res) => {
+  try {
+    await AddOnService.deleteAddOn(req.params.id, req.params.addOnId, req.user.uid);
+    
+    res.status(200).json({ message: 'Add-on deleted successfully' });
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to delete add-on');
+  }
+};
+
+module.exports = {
+  getListingAddOns,
+  getManagedAddOns,
+  createAddOn,
+  updateAddOn,
+  deleteAddOn
+};
@@ -0,0 +1,92 @@
+const WebhookService = require('../services/webhookService');
+const ReconciliationService = require('../services/reconciliationService');
+const { handleError, handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Get stored Stripe webhook events, optionally only those with a status
+ * (e.g. failed) or of a type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStripeEvents = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+    const events = await WebhookService.getEvents({ status, type, limit });
+    
+    res.status(200).json(events);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get Stripe events');
+  }
+};
+
+/**
+ * Run a failed Stripe webhook event again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const replayStripeEvent = async (req, res) => {
+  try {
+    const event = await WebhookService.replayEvent(req.params.id);
+    
+    res.status(200).json(event);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to replay Stripe event');
+  }
+};
+
+/**
+ * Reconcile a period with Stripe now, optionally repairing what can be
+ * repaired
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const { from, to, repair } = req.body;
+    const report = await ReconciliationService.runReconciliation({ from, to, repair }, req.user.uid);
+    
+    res.status(201).json(report);
+  } catch (error) {
+    handleError(error, res, 'Failed to run reconciliation');
+  }
+};
+
+/**
+ * Get reconciliation reports, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReconciliationReports = async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+    const reports = await ReconciliationService.getReports({ limit });
+    
+    res.status(200).json(reports);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get reconciliation reports');
+  }
+};
+
+/**
+ * Get a reconciliation report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await ReconciliationService.getReport(req.params.id);
+    
+    res.status(200).json(report);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get reconciliation report');
+  }
+};
+
+module.exports = {
+  getStripeEvents,
+  replayStripeEvent,
+  runReconciliation,
+  getReconciliationReports,
+  getReconciliationReport
+};
@@ -1,5 +1,31 @@
-const { db } = require('../config/firebase');
+const BookingService = require('../services/bookingService');
+const RescheduleService = require('../services/rescheduleService');
+const FirebaseService = require('../services/firebaseService');
 const { handleFirestoreError } = require('../utils/errorHandler');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+
+// Booking fields a vendor may edit directly
+const EDITABLE_FIELDS = [
+  'startTime', 'endTime', 'notes', 'customerName',
+  'customerEmail', 'customerPhone', 'totalAmount', 'partySize'
+];
+
+/**
+ * Pick the editable booking fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Update data
+ */
+const pickEditableFields = (body) => {
+  const updateData = {};
+  
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      updateData[field] = body[field];
+    }
+  });
+  
+  return updateData;
+};
 
 /**
  * Get all bookings for the current vendor
@@ -8,16 +34,9 @@ const { handleFirestoreError } = require('../utils/errorHandler');
  */
 const getVendorBookings = async (req, res) => {
   try {
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef.where('vendorId', '==', req.user.uid).get();
-    
-    const bookings = [];
-    snapshot.forEach(doc => {
-      bookings.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const bookings = await FirebaseService.queryDocuments('bookings', [
+      ['vendorId', '==', req.user.uid]
+    ]);
     
     res.status(200).json(bookings);
   } catch (error) {
@@ -32,16 +51,46 @@ const getVendorBookings = async (req, res) => {
  */
 const getCustomerBookings = async (req, res) => {
   try {
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef.where('userId', '==', req.user.uid).get();
+    const bookings = await FirebaseService.queryDocuments('bookings', [
+      ['userId', '==', req.user.uid]
+    ]);
     
-    const bookings = [];
-    snapshot.forEach(doc => {
-      bookings.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    res.status(200).json(bookings);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get bookings');
+  }
+};
+
+/**
+ * Get upcoming bookings for the current vendor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUpcomingBookings = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const bookings = await BookingService.getUpcomingBookings(req.user.uid, limit);
+    
+    res.status(200).json(bookings);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get upcoming bookings');
+  }
+};
+
+/**
+ * Get the current vendor's bookings within a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBookingsInDateRange = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+    
+    const bookings = await BookingService.getBookingsInDateRange(req.user.uid, startDate, endDate);
     
     res.status(200).json(bookings);
   } catch (error) {
@@ -49,6 +98,50 @@ const getCustomerBookings = async (req, res) => {
   }
 };
 
+/**
+ * Get booking metrics for the current vendor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBookingMetrics = async (req, res) => {
+  try {
+    const metrics = await BookingService.getBookingMetrics(req.user.uid);
+    
+    res.status(200).json(metrics);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get booking metrics');
+  }
+};
+
+/**
+ * Check whether a time slot is free for a listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const checkAvailability = async (req, res) => {
+  try {
+    const { listingId, startTime, endTime, partySize } = req.query;
+    
+    if (!listingId || !startTime || !endTime) {
+      return res.status(400).json({ error: 'listingId, startTime and endTime are required' });
+    }
+    
+    const seats = partySize ? Number(partySize) : 1;
+    
+    if (!Number.isInteger(seats) || seats < 1) {
+      return res.status(400).json({ error: 'partySize must be a whole number of 1 or more' });
+    }
+    
+    const { available, capacity, remainingSeats } = await BookingService.getSlotAvailability(
+      listingId, startTime, endTime, { partySize: seats }
+    );
+    
+    res.status(200).json({ listingId, startTime, endTime, available, capacity, remainingSeats });
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to check availability');
+  }
+};
+
 /**
  * Get a single booking by ID
  * @param {Object} req - Express request object
@@ -56,22 +149,21 @@ const getCustomerBookings = async (req, res) => {
  */
 const getBookingById = async (req, res) => {
   try {
-    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+    const booking = await FirebaseService.getDocument('bookings', req.params.id);
     
-    if (!bookingDoc.exists) {
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
-    const bookingData = bookingDoc.data();
-    
     // Check if user is authorized (either vendor or customer)
-    if (bookingData.vendorId !== req.user.uid && bookingData.userId !== req.user.uid) {
+    if (booking.vendorId !== req.user.uid && booking.userId !== req.user.uid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
+    // Computed here so the payment countdown doesn't depend on the browser's clock
     res.status(200).json({
-      id: bookingDoc.id,
-      ...bookingData
+      ...booking,
+      holdRemainingSeconds: BookingService.getHoldRemainingSeconds(booking)
     });
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to get booking');
@@ -85,52 +177,37 @@ const getBookingById = async (req, res) => {
  */
 const createBooking = async (req, res) => {
   try {
-    const { 
-      listingId, 
-      startTime, 
-      endTime, 
-      customerName, 
-      customerEmail, 
-      customerPhone, 
-      notes 
+    const {
+      listingId,
+      startTime,
+      endTime,
+      customerName,
+      customerEmail,
+      customerPhone,
+      customerTimezone,
+      notes,
+      partySize,
+      addOns,
+      promoCode
     } = req.body;
     
-    // Get the listing to validate and get price
-    const listingDoc = await db.collection('listings').doc(listingId).get();
-    
-    if (!listingDoc.exists) {
-      return res.status(404).json({ error: 'Listing not found' });
-    }
-    
-    const listingData = listingDoc.data();
-    
-    if (listingData.status !== 'active') {
-      return res.status(400).json({ error: 'This listing is not currently active' });
-    }
-    
-    // Create the booking
-    const newBooking = {
+    // Price and status are decided by the service, never by the client
+    const booking = await BookingService.createBooking({
       listingId,
-      vendorId: listingData.vendorId,
       userId: req.user.uid,
       customerName: customerName || req.user.name || '',
       customerEmail: customerEmail || req.user.email || '',
       customerPhone: customerPhone || '',
+      customerTimezone: customerTimezone || null,
       startTime,
       endTime,
-      status: 'pending',
       notes: notes || '',
-      totalAmount: listingData.price,
-      paymentStatus: 'pending',
-      createdAt: new Date().toISOString()
-    };
-    
-    const docRef = await db.collection('bookings').add(newBooking);
-    
-    res.status(201).json({
-      id: docRef.id,
-      ...newBooking
+      partySize,
+      addOns,
+      promoCode
     });
+    
+    res.status(201).json(booking);
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to create booking');
   }
@@ -143,102 +220,379 @@ const createBooking = async (req, res) => {
  */
 const updateBooking = async (req, res) => {
   try {
-    const bookingRef = db.collection('bookings').doc(req.params.id);
-    const bookingDoc = await bookingRef.get();
+    const booking = await FirebaseService.getDocument('bookings', req.params.id);
     
-    if (!bookingDoc.exists) {
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
-    const bookingData = bookingDoc.data();
-    
     // Check if user is authorized (vendor)
-    if (bookingData.vendorId !== req.user.uid) {
+    if (booking.vendorId !== req.user.uid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    // Update fields
-    const updateData = {};
-    const allowedFields = [
-      'status', 'startTime', 'endTime', 'notes', 'customerName',
-      'customerEmail', 'customerPhone', 'totalAmount'
-    ];
-    
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
-      }
-    });
-    
-    updateData.updatedAt = new Date().toISOString();
+    // Status changes go through the dedicated lifecycle endpoints
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        error: 'Use the confirm, decline, start, complete, no-show or cancel endpoints to change status'
+      });
+    }
     
-    await bookingRef.update(updateData);
+    const updatedBooking = await BookingService.updateBooking(req.params.id, pickEditableFields(req.body));
     
-    res.status(200).json({
-      id: req.params.id,
-      ...bookingData,
-      ...updateData
-    });
+    res.status(200).json(updatedBooking);
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to update booking');
   }
 };
 
 /**
- * Cancel a booking (customer action)
+ * Cancel a booking (customer or vendor action)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const cancelBooking = async (req, res) => {
   try {
-    const bookingRef = db.collection('bookings').doc(req.params.id);
-    const bookingDoc = await bookingRef.get();
+    const booking = await BookingService.cancelBooking(
+      req.params.id,
+      req.user.uid,
+      req.body.reason || ''
+    );
     
-    if (!bookingDoc.exists) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
+    res.status(200).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to cancel booking');
+  }
+};
+
+/**
+ * Preview the refund for cancelling a booking now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCancellationQuote = async (req, res) => {
+  try {
+    const quote = await BookingService.getCancellationQuote(req.params.id, req.user.uid);
     
-    const bookingData = bookingDoc.data();
+    res.status(200).json(quote);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get cancellation quote');
+  }
+};
+
+/**
+ * Create a recurring booking series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createBookingSeries = async (req, res) => {
+  try {
+    const {
+      listingId,
+      startTime,
+      endTime,
+      customerId,
+      customerName,
+      customerEmail,
+      customerPhone,
+      customerTimezone,
+      notes,
+      partySize,
+      addOns,
+      recurrence,
+      skipConflicts
+    } = req.body;
     
-    // Check if user is authorized (customer who made the booking)
-    if (bookingData.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
+    if (!recurrence) {
+      return res.status(400).json({ error: 'recurrence is required' });
     }
     
-    // Check if the booking is already cancelled
-    if (bookingData.status === 'cancelled') {
-      return res.status(400).json({ error: 'Booking is already cancelled' });
+    if (req.body.promoCode) {
+      return res.status(400).json({ error: 'Promo codes can only be used on single bookings' });
+    }
+    
+    const result = await BookingService.createSeries(
+      {
+        listingId,
+        startTime,
+        endTime,
+        customerName,
+        customerEmail,
+        customerPhone,
+        customerTimezone,
+        notes,
+        partySize,
+        addOns
+      },
+      recurrence,
+      { userId: req.user.uid, name: req.user.name, email: req.user.email },
+      { customerId, skipConflicts: skipConflicts === true }
+    );
+    
+    res.status(201).json(result);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to create booking series');
+  }
+};
+
+/**
+ * Get a booking series with its occurrences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBookingSeries = async (req, res) => {
+  try {
+    const series = await BookingService.getSeries(req.params.seriesId, req.user.uid);
+    
+    res.status(200).json(series);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get booking series');
+  }
+};
+
+/**
+ * Edit this, following or all occurrences of a series (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateBookingSeries = async (req, res) => {
+  try {
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        error: 'Use the series cancel or skip endpoints to change occurrence status'
+      });
     }
     
-    // Check if the booking is in the past
-    const now = new Date();
-    const bookingStart = new Date(bookingData.startTime);
-    if (bookingStart < now) {
-      return res.status(400).json({ error: 'Cannot cancel past bookings' });
+    // Seats are checked per booking, so party size is changed one occurrence at a time
+    if (req.body.partySize !== undefined) {
+      return res.status(400).json({ error: 'Change the party size on individual occurrences' });
     }
     
-    // Update status to cancelled
-    await bookingRef.update({
-      status: 'cancelled',
-      updatedAt: new Date().toISOString()
+    const series = await BookingService.updateSeries(
+      req.params.seriesId,
+      req.user.uid,
+      pickEditableFields(req.body),
+      { scope: req.body.scope, bookingId: req.body.bookingId }
+    );
+    
+    res.status(200).json(series);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to update booking series');
+  }
+};
+
+/**
+ * Cancel every upcoming occurrence of a series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelBookingSeries = async (req, res) => {
+  try {
+    const series = await BookingService.cancelSeries(
+      req.params.seriesId,
+      req.user.uid,
+      req.body.reason || ''
+    );
+    
+    res.status(200).json(series);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to cancel booking series');
+  }
+};
+
+/**
+ * Get a booking's reschedule request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRescheduleRequest = async (req, res) => {
+  try {
+    const result = await RescheduleService.getRescheduleRequest(req.params.id, req.user.uid);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get reschedule request');
+  }
+};
+
+/**
+ * Ask to move a booking to a new time (customer action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestReschedule = async (req, res) => {
+  try {
+    const booking = await RescheduleService.requestReschedule(req.params.id, req.user.uid, {
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      reason: req.body.reason || ''
     });
     
-    res.status(200).json({
-      id: req.params.id,
-      ...bookingData,
-      status: 'cancelled',
-      updatedAt: new Date().toISOString()
+    res.status(201).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to request reschedule');
+  }
+};
+
+/**
+ * Accept a reschedule request (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptReschedule = async (req, res) => {
+  try {
+    const booking = await RescheduleService.acceptRescheduleRequest(req.params.id, req.user.uid, {
+      totalAmount: req.body.totalAmount,
+      reason: req.body.reason || ''
     });
+    
+    res.status(200).json(booking);
   } catch (error) {
-    handleFirestoreError(error, res, 'Failed to cancel booking');
+    handleFirestoreError(error, res, 'Failed to accept reschedule request');
   }
 };
 
+/**
+ * Reject a reschedule request (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectReschedule = async (req, res) => {
+  try {
+    const booking = await RescheduleService.rejectRescheduleRequest(
+      req.params.id,
+      req.user.uid,
+      req.body.reason || ''
+    );
+    
+    res.status(200).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to reject reschedule request');
+  }
+};
+
+/**
+ * Withdraw a pending reschedule request (customer action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const withdrawReschedule = async (req, res) => {
+  try {
+    const booking = await RescheduleService.withdrawRescheduleRequest(req.params.id, req.user.uid);
+    
+    res.status(200).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to withdraw reschedule request');
+  }
+};
+
+/**
+ * Skip a single date of a series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const skipSeriesOccurrence = async (req, res) => {
+  try {
+    const series = await BookingService.skipSeriesOccurrence(
+      req.params.seriesId,
+      req.body.date,
+      req.user.uid,
+      req.body.reason || ''
+    );
+    
+    res.status(200).json(series);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to skip occurrence');
+  }
+};
+
+/**
+ * Move a booking to a new status on behalf of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} status - Target status
+ * @param {string} defaultMessage - Error message for unexpected failures
+ */
+const transitionBooking = async (req, res, status, defaultMessage) => {
+  try {
+    const booking = await BookingService.transitionStatus(
+      req.params.id,
+      status,
+      { userId: req.user.uid },
+      { reason: req.body.reason || '' }
+    );
+    
+    res.status(200).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, defaultMessage);
+  }
+};
+
+/**
+ * Confirm a pending booking (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const confirmBooking = (req, res) =>
+  transitionBooking(req, res, BOOKING_STATUS.CONFIRMED, 'Failed to confirm booking');
+
+/**
+ * Decline a pending booking (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const declineBooking = (req, res) =>
+  transitionBooking(req, res, BOOKING_STATUS.DECLINED, 'Failed to decline booking');
+
+/**
+ * Mark a confirmed booking as in progress (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startBooking = (req, res) =>
+  transitionBooking(req, res, BOOKING_STATUS.IN_PROGRESS, 'Failed to start booking');
+
+/**
+ * Mark a booking as completed (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const completeBooking = (req, res) =>
+  transitionBooking(req, res, BOOKING_STATUS.COMPLETED, 'Failed to complete booking');
+
+/**
+ * Mark a confirmed booking as a no-show (vendor action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markNoShow = (req, res) =>
+  transitionBooking(req, res, BOOKING_STATUS.NO_SHOW, 'Failed to mark booking as no-show');
+
 module.exports = {
   getVendorBookings,
   getCustomerBookings,
+  getUpcomingBookings,
+  getBookingsInDateRange,
+  getBookingMetrics,
+  checkAvailability,
   getBookingById,
   createBooking,
   updateBooking,
-  cancelBooking
+  cancelBooking,
+  getCancellationQuote,
+  getRescheduleRequest,
+  requestReschedule,
+  acceptReschedule,
+  rejectReschedule,
+  withdrawReschedule,
+  createBookingSeries,
+  getBookingSeries,
+  updateBookingSeries,
+  cancelBookingSeries,
+  skipSeriesOccurrence,
+  confirmBooking,
+  declineBooking,
+  startBooking,
+  completeBooking,
+  markNoShow
 };
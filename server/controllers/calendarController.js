@@ -0,0 +1,232 @@
+const CalendarFeedService = require('../services/calendarFeedService');
+const CalendarImportService = require('../services/calendarImportService');
+const { AppError, handleFirestoreError } = require('../utils/errorHandler');
+
+// Longest range of busy blocks returned in one request
+const MAX_BUSY_RANGE_DAYS = 62;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the public subscription URLs for a feed
+ * @param {Object} req - Express request object
+ * @param {Object} feed - Feed document
+ * @returns {Object} Feed with url and webcalUrl
+ */
+const withFeedUrls = (req, feed) => {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl.replace(/\/$/, '')}/api/calendar/feeds/${feed.id}.ics`;
+  
+  return {
+    ...feed,
+    url,
+    webcalUrl: url.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+/**
+ * Get the current vendor's calendar feeds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCalendarFeeds = async (req, res) => {
+  try {
+    const feeds = await CalendarFeedService.getFeeds(req.user.uid);
+    
+    res.status(200).json(feeds.map(feed => withFeedUrls(req, feed)));
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get calendar feeds');
+  }
+};
+
+/**
+ * Create (or rotate) a calendar feed for the current vendor or one of their listings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCalendarFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.createFeed(req.user.uid, req.body.listingId || null);
+    
+    res.status(201).json(withFeedUrls(req, feed));
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to create calendar feed');
+  }
+};
+
+/**
+ * Revoke one of the current vendor's calendar feeds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCalendarFeed = async (req, res) => {
+  try {
+    await CalendarFeedService.revokeFeed(req.user.uid, req.params.token);
+    
+    res.status(200).json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to revoke calendar feed');
+  }
+};
+
+/**
+ * Serve a calendar feed as iCalendar data (the token authorizes the request)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCalendarFeedIcs = async (req, res) => {
+  try {
+    const calendar = await CalendarFeedService.renderFeed(req.params.token);
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="bookings.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get calendar feed');
+  }
+};
+
+/**
+ * Get the current vendor's connected external calendars
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCalendarSources = async (req, res) => {
+  try {
+    const sources = await CalendarImportService.getSources(req.user.uid);
+    
+    res.status(200).json(sources);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get calendar sources');
+  }
+};
+
+/**
+ * Connect an external calendar by its ICS URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addCalendarSource = async (req, res) => {
+  try {
+    const { url, name } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    
+    const source = await CalendarImportService.addUrlSource(req.user.uid, { url, name });
+    
+    res.status(201).json(source);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to add calendar source');
+  }
+};
+
+/**
+ * Import an uploaded .ics file (sent as the raw request body)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const uploadCalendarFile = async (req, res) => {
+  try {
+    const source = await CalendarImportService.importFile(
+      req.user.uid, req.body, req.query.name || null
+    );
+    
+    res.status(201).json(source);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to import calendar file');
+  }
+};
+
+/**
+ * Replace an uploaded calendar with a new .ics file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const replaceCalendarFile = async (req, res) => {
+  try {
+    const source = await CalendarImportService.replaceFile(req.user.uid, req.params.id, req.body);
+    
+    res.status(200).json(source);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to import calendar file');
+  }
+};
+
+/**
+ * Refetch a calendar connected by URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const syncCalendarSource = async (req, res) => {
+  try {
+    const source = await CalendarImportService.syncSource(req.user.uid, req.params.id);
+    
+    res.status(200).json(source);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to sync calendar source');
+  }
+};
+
+/**
+ * Disconnect an external calendar and release its busy time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCalendarSource = async (req, res) => {
+  try {
+    await CalendarImportService.deleteSource(req.user.uid, req.params.id);
+    
+    res.status(200).json({ message: 'Calendar source removed' });
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to remove calendar source');
+  }
+};
+
+/**
+ * Get the current vendor's imported busy time between two dates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBusyBlocks = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 31 * DAY_MS);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new AppError('Invalid date format', 400);
+    }
+    
+    if (from >= to) {
+      throw new AppError('to must be after from', 400);
+    }
+    
+    if (to - from > MAX_BUSY_RANGE_DAYS * DAY_MS) {
+      throw new AppError(`Date range cannot exceed ${MAX_BUSY_RANGE_DAYS} days`, 400);
+    }
+    
+    const blocks = await CalendarImportService.getBusyBlocks(req.user.uid, from, to);
+    
+    res.status(200).json(blocks);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get busy time');
+  }
+};
+
+module.exports = {
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeedIcs,
+  getCalendarSources,
+  addCalendarSource,
+  uploadCalendarFile,
+  replaceCalendarFile,
+  syncCalendarSource,
+  deleteCalendarSource,
+  getBusyBlocks
+};
@@ -0,0 +1,67 @@
+const ConnectService = require('../services/connectService');
+const { handleError } = require('../utils/errorHandler');
+
+/**
+ * Get the base URL of the web app, which Stripe sends vendors back to
+ * @param {Object} req - Express request object
+ * @returns {string} Base URL without a trailing slash
+ */
+const getAppUrl = (req) =>
+  (process.env.PUBLIC_APP_URL || req.get('origin') || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+/**
+ * Create a Stripe Connect onboarding link for the current vendor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createOnboardingLink = async (req, res) => {
+  try {
+    // Onboarding starts from, and comes back to, the vendor's profile
+    const profileUrl = `${getAppUrl(req)}/profile`;
+    const link = await ConnectService.createOnboardingLink(req.user.uid, {
+      returnUrl: `${profileUrl}?onboarding=return`,
+      refreshUrl: `${profileUrl}?onboarding=refresh`
+    });
+    
+    res.status(201).json(link);
+  } catch (error) {
+    handleError(error, res, 'Failed to create onboarding link');
+  }
+};
+
+/**
+ * Get the current vendor's Stripe Connect account status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccountStatus = async (req, res) => {
+  try {
+    const status = await ConnectService.getAccountStatus(req.user.uid);
+    
+    res.status(200).json(status);
+  } catch (error) {
+    handleError(error, res, 'Failed to get payout account');
+  }
+};
+
+/**
+ * Get the current vendor's Stripe balance and payouts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+    const payouts = await ConnectService.getPayouts(req.user.uid, { limit });
+    
+    res.status(200).json(payouts);
+  } catch (error) {
+    handleError(error, res, 'Failed to get payouts');
+  }
+};
+
+module.exports = {
+  createOnboardingLink,
+  getAccountStatus,
+  getPayouts
+};
@@ -0,0 +1,126 @@
+const DisputeService = require('../services/disputeService');
+const { handleError, handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Get the current vendor's disputes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDisputes = async (req, res) => {
+  try {
+    const disputes = await DisputeService.getVendorDisputes(req.user.uid, { status: req.query.status });
+    
+    res.status(200).json(disputes);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get disputes');
+  }
+};
+
+/**
+ * Get a dispute with its booking, the listing's documents and the booking
+ * record sent as evidence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDispute = async (req, res) => {
+  try {
+    const details = await DisputeService.getDisputeDetails(req.params.id, req.user.uid);
+    
+    res.status(200).json(details);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get dispute');
+  }
+};
+
+/**
+ * Save the vendor's evidence text
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const saveEvidence = async (req, res) => {
+  try {
+    const dispute = await DisputeService.saveEvidence(req.params.id, req.user.uid, req.body);
+    
+    res.status(200).json(dispute);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to save evidence');
+  }
+};
+
+/**
+ * Upload an evidence file (sent as the raw request body)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const uploadEvidenceFile = async (req, res) => {
+  try {
+    const dispute = await DisputeService.addEvidenceFile(req.params.id, req.user.uid, {
+      category: req.params.category,
+      name: req.query.name || null,
+      type: req.get('Content-Type'),
+      data: req.body
+    });
+    
+    res.status(200).json(dispute);
+  } catch (error) {
+    handleError(error, res, 'Failed to upload evidence file');
+  }
+};
+
+/**
+ * Send one of the listing's documents as an evidence file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addListingDocument = async (req, res) => {
+  try {
+    const dispute = await DisputeService.addListingDocument(req.params.id, req.user.uid, {
+      url: req.body.url,
+      category: req.params.category
+    });
+    
+    res.status(200).json(dispute);
+  } catch (error) {
+    handleError(error, res, 'Failed to add listing document');
+  }
+};
+
+/**
+ * Remove an evidence file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeEvidenceFile = async (req, res) => {
+  try {
+    const dispute = await DisputeService.removeEvidenceFile(req.params.id, req.user.uid, req.params.category);
+    
+    res.status(200).json(dispute);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to remove evidence file');
+  }
+};
+
+/**
+ * Submit the evidence to Stripe
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const submitEvidence = async (req, res) => {
+  try {
+    const dispute = await DisputeService.submitEvidence(req.params.id, req.user.uid);
+    
+    res.status(200).json(dispute);
+  } catch (error) {
+    handleError(error, res, 'Failed to submit evidence');
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDispute,
+  saveEvidence,
+  uploadEvidenceFile,
+  addListingDocument,
+  removeEvidenceFile,
+  submitEvidence
+};
@@ -0,0 +1,54 @@
+const LedgerService = require('../services/ledgerService');
+const { handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Get the current vendor's ledger entries, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLedgerEntries = async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+    const entries = await LedgerService.getVendorEntries(req.user.uid, { limit });
+    
+    res.status(200).json(entries);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get ledger entries');
+  }
+};
+
+/**
+ * Get the current vendor's balances from the ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLedgerBalance = async (req, res) => {
+  try {
+    const balance = await LedgerService.getVendorBalance(req.user.uid);
+    
+    res.status(200).json(balance);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get ledger balance');
+  }
+};
+
+/**
+ * Get any vendor's balances from the ledger (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVendorLedgerBalance = async (req, res) => {
+  try {
+    const balance = await LedgerService.getVendorBalance(req.params.vendorId);
+    
+    res.status(200).json(balance);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get ledger balance');
+  }
+};
+
+module.exports = {
+  getLedgerEntries,
+  getLedgerBalance,
+  getVendorLedgerBalance
+};
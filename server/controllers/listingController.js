@@ -1,5 +1,7 @@
-const { db } = require('../config/firebase');
+const FirebaseService = require('../services/firebaseService');
+const BookingService = require('../services/bookingService');
 const { handleFirestoreError } = require('../utils/errorHandler');
+const { BLOCKING_STATUSES } = require('../utils/bookingStatus');
 
 /**
  * Get all listings for current vendor
@@ -8,16 +10,9 @@ const { handleFirestoreError } = require('../utils/errorHandler');
  */
 const getVendorListings = async (req, res) => {
   try {
-    const listingsRef = db.collection('listings');
-    const snapshot = await listingsRef.where('vendorId', '==', req.user.uid).get();
-    
-    const listings = [];
-    snapshot.forEach(doc => {
-      listings.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const listings = await FirebaseService.queryDocuments('listings', [
+      ['vendorId', '==', req.user.uid]
+    ]);
     
     res.status(200).json(listings);
   } catch (error) {
@@ -32,16 +27,13 @@ const getVendorListings = async (req, res) => {
  */
 const getListingById = async (req, res) => {
   try {
-    const listingDoc = await db.collection('listings').doc(req.params.id).get();
+    const listing = await FirebaseService.getDocument('listings', req.params.id);
     
-    if (!listingDoc.exists) {
+    if (!listing) {
       return res.status(404).json({ error: 'Listing not found' });
     }
     
-    res.status(200).json({
-      id: listingDoc.id,
-      ...listingDoc.data()
-    });
+    res.status(200).json(listing);
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to get listing');
   }
@@ -54,7 +46,24 @@ const getListingById = async (req, res) => {
  */
 const createListing = async (req, res) => {
   try {
-    const { title, description, price, category, status, images, documents } = req.body;
+    const {
+      title,
+      description,
+      price,
+      category,
+      status,
+      images,
+      documents,
+      availability,
+      timezone,
+      holdMinutes,
+      cancellationPolicy,
+      rescheduleLimit,
+      capacity,
+      pricePerSeat,
+      pricing,
+      deposit
+    } = req.body;
     
     const newListing = {
       title,
@@ -64,17 +73,23 @@ const createListing = async (req, res) => {
       status: status || 'pending',
       images: images || [],
       documents: documents || [],
+      availability: availability || null,
+      timezone: timezone || null,
+      holdMinutes: holdMinutes ?? null,
+      cancellationPolicy: cancellationPolicy || null,
+      rescheduleLimit: rescheduleLimit ?? null,
+      capacity: capacity ?? 1,
+      pricePerSeat: pricePerSeat === true,
+      pricing: pricing || null,
+      deposit: deposit || null,
       vendorId: req.user.uid,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    const docRef = await db.collection('listings').add(newListing);
+    const listing = await FirebaseService.createDocument('listings', newListing);
     
-    res.status(201).json({
-      id: docRef.id,
-      ...newListing
-    });
+    res.status(201).json(listing);
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to create listing');
   }
@@ -87,25 +102,24 @@ const createListing = async (req, res) => {
  */
 const updateListing = async (req, res) => {
   try {
-    const listingRef = db.collection('listings').doc(req.params.id);
-    const listingDoc = await listingRef.get();
+    const listing = await FirebaseService.getDocument('listings', req.params.id);
     
-    if (!listingDoc.exists) {
+    if (!listing) {
       return res.status(404).json({ error: 'Listing not found' });
     }
     
-    const listingData = listingDoc.data();
-    
     // Check if user is authorized (vendor)
-    if (listingData.vendorId !== req.user.uid) {
+    if (listing.vendorId !== req.user.uid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
     // Update fields
     const updateData = {};
     const allowedFields = [
-      'title', 'description', 'price', 'category', 
-      'status', 'images', 'documents'
+      'title', 'description', 'price', 'category',
+      'status', 'images', 'documents', 'availability', 'timezone',
+      'holdMinutes', 'cancellationPolicy', 'rescheduleLimit',
+      'capacity', 'pricePerSeat', 'pricing', 'deposit'
     ];
     
     allowedFields.forEach(field => {
@@ -120,11 +134,10 @@ const updateListing = async (req, res) => {
     
     updateData.updatedAt = new Date().toISOString();
     
-    await listingRef.update(updateData);
+    await FirebaseService.updateDocument('listings', req.params.id, updateData);
     
     res.status(200).json({
-      id: req.params.id,
-      ...listingData,
+      ...listing,
       ...updateData
     });
   } catch (error) {
@@ -132,6 +145,69 @@ const updateListing = async (req, res) => {
   }
 };
 
+/**
+ * Get free booking slots for a listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getListingAvailability = async (req, res) => {
+  try {
+    const { from, to, duration, partySize } = req.query;
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+    
+    const durationMinutes = duration ? parseInt(duration, 10) : null;
+    
+    if (duration && (!durationMinutes || durationMinutes <= 0)) {
+      return res.status(400).json({ error: 'duration must be a positive number of minutes' });
+    }
+    
+    const seats = partySize ? Number(partySize) : 1;
+    
+    if (!Number.isInteger(seats) || seats < 1) {
+      return res.status(400).json({ error: 'partySize must be a whole number of 1 or more' });
+    }
+    
+    const availability = await BookingService.getFreeSlots(req.params.id, from, to, durationMinutes, seats);
+    
+    res.status(200).json(availability);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get listing availability');
+  }
+};
+
+/**
+ * Quote the price of a proposed booking, itemised as it would be charged.
+ * Anyone can quote; checking a promo code needs a login (see routes/listings)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getListingQuote = async (req, res) => {
+  try {
+    const { startTime, endTime, partySize, addOns, promoCode } = req.body;
+    
+    if (!startTime || !endTime) {
+      return res.status(400).json({ error: 'startTime and endTime are required' });
+    }
+    
+    const quote = await BookingService.quoteBooking({
+      listingId: req.params.id,
+      startTime,
+      endTime,
+      partySize,
+      addOns,
+      promoCode,
+      userId: req.user ? req.user.uid : null
+    });
+    
+    res.status(200).json(quote);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to quote listing');
+  }
+};
+
 /**
  * Delete a listing
  * @param {Object} req - Express request object
@@ -139,35 +215,31 @@ const updateListing = async (req, res) => {
  */
 const deleteListing = async (req, res) => {
   try {
-    const listingRef = db.collection('listings').doc(req.params.id);
-    const listingDoc = await listingRef.get();
+    const listing = await FirebaseService.getDocument('listings', req.params.id);
     
-    if (!listingDoc.exists) {
+    if (!listing) {
       return res.status(404).json({ error: 'Listing not found' });
     }
     
-    const listingData = listingDoc.data();
-    
     // Check if user is authorized (vendor)
-    if (listingData.vendorId !== req.user.uid) {
+    if (listing.vendorId !== req.user.uid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
     // Check if there are any active bookings
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef
-      .where('listingId', '==', req.params.id)
-      .where('status', '!=', 'cancelled')
-      .get();
-    
-    if (!snapshot.empty) {
-      return res.status(400).json({ 
-        error: 'Cannot delete listing with active bookings' 
+    const activeBookings = await FirebaseService.queryDocuments('bookings', [
+      ['listingId', '==', req.params.id],
+      ['status', 'in', BLOCKING_STATUSES]
+    ], { limit: 1 });
+    
+    if (activeBookings.length > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete listing with active bookings'
       });
     }
     
     // Delete the listing
-    await listingRef.delete();
+    await FirebaseService.deleteDocument('listings', req.params.id);
     
     res.status(200).json({ message: 'Listing deleted successfully' });
   } catch (error) {
@@ -180,5 +252,7 @@ module.exports = {
   getListingById,
   createListing,
   updateListing,
+  getListingAvailability,
+  getListingQuote,
   deleteListing
 };
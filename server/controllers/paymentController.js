@@ -1,68 +1,97 @@
 const stripe = require('../config/stripeConfig');
-const { db } = require('../config/firebase');
-const { handleFirestoreError } = require('../utils/errorHandler');
+const FirebaseService = require('../services/firebaseService');
+const StripeService = require('../services/stripeService');
+const WebhookService = require('../services/webhookService');
+const BookingService = require('../services/bookingService');
+const { handleError, handleFirestoreError } = require('../utils/errorHandler');
+const { INSTALMENT_STATUS, getNextInstalment, getInstalmentCents } = require('../utils/paymentSchedule');
+const { toCents } = require('../utils/lineItems');
+const { PAYMENT_STATUS, UNPAID_PAYMENT_STATUSES } = require('../utils/paymentStatus');
+const { PAYABLE_STATUSES } = require('../utils/bookingStatus');
 
 /**
- * Create a payment intent with Stripe
+ * Create a payment intent with Stripe: for the whole booking, or for the
+ * next instalment of a booking with a payment schedule
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const createPaymentIntent = async (req, res) => {
   try {
-    const { bookingId, amount, customerId } = req.body;
+    const { bookingId, customerId } = req.body;
     
-    if (!bookingId || !amount) {
+    if (!bookingId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
     // Get the booking from Firestore
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
+    const booking = await FirebaseService.getDocument('bookings', bookingId);
     
-    if (!bookingDoc.exists) {
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
-    const bookingData = bookingDoc.data();
-    
     // Make sure the vendor is the authenticated user or the customer is the authenticated user
-    if (bookingData.vendorId !== req.user.uid && bookingData.userId !== req.user.uid) {
+    if (booking.vendorId !== req.user.uid && booking.userId !== req.user.uid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    // Calculate application fee (platform fee)
-    const applicationFeeAmount = Math.round(amount * 0.05); // 5% platform fee
-    
-    // Create a payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents for Stripe
-      currency: 'usd',
-      application_fee_amount: applicationFeeAmount,
-      metadata: {
-        bookingId,
-        vendorId: bookingData.vendorId,
-        customerId: bookingData.userId
-      },
-      // If you have a Stripe Customer ID already, use it
-      customer: customerId || undefined,
-      // This enables automatic payment methods for the customer
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+    // An expired hold has released its slot, so it can no longer be paid
+    const holdRemainingSeconds = BookingService.getHoldRemainingSeconds(booking);
+    
+    if (holdRemainingSeconds === 0) {
+      return res.status(409).json({ error: 'The hold on this booking has expired' });
+    }
+    
+    // A cancelled, declined or finished booking can't be paid any more
+    if (!PAYABLE_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ error: `This booking is ${booking.status} and can no longer be paid` });
+    }
+    
+    // A failed or cancelled attempt can be retried; a paid deposit leaves the balance to pay
+    const instalment = getNextInstalment(booking);
+    
+    if (booking.paymentStatus === PAYMENT_STATUS.PROCESSING ||
+        (instalment && instalment.status === INSTALMENT_STATUS.PROCESSING)) {
+      return res.status(409).json({ error: 'A payment for this booking is already being processed' });
+    }
     
-    // Update booking with paymentIntentId
-    await bookingRef.update({
-      stripePaymentIntentId: paymentIntent.id,
-      paymentStatus: 'pending'
+    const awaitingPayment = UNPAID_PAYMENT_STATUSES.includes(booking.paymentStatus) ||
+      (booking.paymentStatus === PAYMENT_STATUS.DEPOSIT_PAID && instalment);
+    
+    if (!awaitingPayment) {
+      return res.status(409).json({ error: 'This booking is not awaiting payment' });
+    }
+    
+    const amount = (instalment ? getInstalmentCents(instalment) : toCents(booking.totalAmount)) / 100;
+    
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'This booking has nothing to pay' });
+    }
+    
+    // Charge the amount worked out by the server, never an amount from the browser
+    const paymentIntent = await StripeService.createPaymentIntent({
+      bookingId,
+      amount,
+      vendorId: booking.vendorId,
+      userId: booking.userId,
+      customerId,
+      instalmentId: instalment ? instalment.id : undefined,
+      paymentSchedule: booking.paymentSchedule,
+      openPaymentIntentId: instalment ? instalment.stripePaymentIntentId : booking.stripePaymentIntentId
     });
     
     res.status(200).json({
-      clientSecret: paymentIntent.client_secret
+      clientSecret: paymentIntent.clientSecret,
+      amount,
+      totalAmount: booking.totalAmount,
+      instalment: instalment || null,
+      paymentSchedule: booking.paymentSchedule || null,
+      lineItems: booking.lineItems || [],
+      holdExpiresAt: booking.holdExpiresAt || null,
+      holdRemainingSeconds
     });
   } catch (error) {
-    console.error('Error creating payment intent:', error);
-    res.status(500).json({ error: 'Failed to create payment' });
+    handleError(error, res, 'Failed to create payment');
   }
 };
 
@@ -73,18 +102,11 @@ const createPaymentIntent = async (req, res) => {
  */
 const getTransactions = async (req, res) => {
   try {
-    const transactionsRef = db.collection('transactions');
-    const snapshot = await transactionsRef
-      .where('vendorId', '==', req.user.uid)
-      .orderBy('createdAt', 'desc')
-      .get();
-    
-    const transactions = [];
-    snapshot.forEach(doc => {
-      transactions.push({
-        id: doc.id,
-        ...doc.data()
-      });
+    const transactions = await FirebaseService.queryDocuments('transactions', [
+      ['vendorId', '==', req.user.uid]
+    ], {
+      orderByField: 'createdAt',
+      orderByDirection: 'desc'
     });
     
     res.status(200).json(transactions);
@@ -93,6 +115,29 @@ const getTransactions = async (req, res) => {
   }
 };
 
+/**
+ * Verify a webhook event's signature. Events about connected accounts come
+ * from a separate Connect endpoint with its own signing secret, so either
+ * secret is accepted.
+ * @param {Buffer} payload - Raw request body
+ * @param {string} sig - Stripe-Signature header
+ * @returns {Object} Stripe event
+ */
+const constructWebhookEvent = (payload, sig) => {
+  const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+  let lastError;
+  
+  for (const secret of secrets) {
+    try {
+      return stripe.webhooks.constructEvent(payload, sig, secret);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  
+  throw lastError || new Error('No webhook signing secret configured');
+};
+
 /**
  * Handle webhook events from Stripe
  * @param {Object} req - Express request object
@@ -100,99 +145,32 @@ const getTransactions = async (req, res) => {
  */
 const handleWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
   
   let event;
   
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = constructWebhookEvent(req.body, sig);
   } catch (err) {
     console.error(`Webhook Error: ${err.message}`);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
   
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      await handleSuccessfulPayment(paymentIntent);
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      await handleFailedPayment(failedPayment);
-      break;
-    default:
-      console.log(`Unhandled event type ${event.type}`);
-  }
-  
-  // Return a 200 response to acknowledge receipt of the event
-  res.status(200).send();
-};
-
-/**
- * Internal helper to handle successful payments
- * @param {Object} paymentIntent - Stripe payment intent object
- */
-const handleSuccessfulPayment = async (paymentIntent) => {
+  // Store and process the event once; repeated deliveries are acknowledged
+  // without running it again
   try {
-    const { bookingId, vendorId } = paymentIntent.metadata;
+    const result = await WebhookService.handleEvent(event);
     
-    // Get the booking
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
-    
-    if (!bookingDoc.exists) {
-      throw new Error('Booking not found');
+    if (result.status === 'failed') {
+      // Stripe retries the delivery; the event can also be replayed by an admin
+      return res.status(500).json({ error: `Failed to process ${event.type}` });
     }
-    
-    const bookingData = bookingDoc.data();
-    
-    // Update booking status
-    await bookingRef.update({
-      paymentStatus: 'paid',
-      stripePaymentId: paymentIntent.id
-    });
-    
-    // Create transaction record
-    const amount = paymentIntent.amount / 100; // Convert from cents
-    const fee = amount * 0.05; // 5% platform fee
-    const net = amount - fee;
-    
-    await db.collection('transactions').add({
-      bookingId,
-      vendorId,
-      amount,
-      fee,
-      net,
-      stripePaymentId: paymentIntent.id,
-      status: 'completed',
-      createdAt: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('Error handling successful payment:', error);
-  }
-};
-
-/**
- * Internal helper to handle failed payments
- * @param {Object} paymentIntent - Stripe payment intent object
- */
-const handleFailedPayment = async (paymentIntent) => {
-  try {
-    const { bookingId } = paymentIntent.metadata;
-    
-    // Get the booking
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    
-    // Update booking status
-    await bookingRef.update({
-      paymentStatus: 'failed'
-    });
-    
   } catch (error) {
-    console.error('Error handling failed payment:', error);
+    console.error(`Error handling ${event.type}:`, error);
+    return res.status(500).json({ error: 'Failed to store webhook event' });
   }
+  
+  // Return a 200 response to acknowledge receipt of the event
+  res.status(200).send();
 };
 
 /**
@@ -208,46 +186,23 @@ const refundPayment = async (req, res) => {
       return res.status(400).json({ error: 'Booking ID is required' });
     }
     
-    // Get the booking
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
-    
-    if (!bookingDoc.exists) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-    
-    const bookingData = bookingDoc.data();
-    
-    // Check if user is authorized (vendor)
-    if (bookingData.vendorId !== req.user.uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-    
-    // Check if the booking has a payment
-    if (!bookingData.stripePaymentId) {
-      return res.status(400).json({ error: 'No payment found for this booking' });
-    }
-    
-    // Check if the payment status is paid
-    if (bookingData.paymentStatus !== 'paid') {
-      return res.status(400).json({ error: 'Cannot refund a booking that is not paid' });
-    }
-    
-    // Create the refund in Stripe
-    const refundAmount = amount ? Math.round(amount * 100) : undefined; // Convert to cents if provided
-    
-    const refund = await stripe.refunds.create({
-      payment_intent: bookingData.stripePaymentId,
-      amount: refundAmount, // If not provided, refund the entire amount
-      reason: reason || 'requested_by_customer'
-    });
-    
-    // Update booking status
-    await bookingRef.update({
-      paymentStatus: refundAmount ? 'partially_refunded' : 'refunded',
-      refundId: refund.id,
-      updatedAt: new Date().toISOString()
+    // The refund is claimed on the booking before Stripe is asked, so a
+    // double click or a concurrent request can't refund twice
+    const booking = await BookingService.refundPayment(bookingId, req.user.uid, {
+      amount,
+      reason,
+      idempotencyKey: req.get('Idempotency-Key')
     });
     
-    // Create transaction record for the refund
-    const refundAmountValue = refundAmount ? refundAmount / 100 : booking
+    res.status(200).json(booking);
+  } catch (error) {
+    handleError(error, res, 'Failed to refund payment');
+  }
+};
+
+module.exports = {
+  createPaymentIntent,
+  getTransactions,
+  handleWebhook,
+  refundPayment
+};
@@ -0,0 +1,85 @@
+const PromoCodeService = require('../services/promoCodeService');
+const { handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Get the current vendor's promo codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const promoCodes = await PromoCodeService.getVendorPromoCodes(req.user.uid);
+    
+    res.status(200).json(promoCodes);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get promo codes');
+  }
+};
+
+/**
+ * Get redemptions and discounts given per promo code for the current vendor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromoCodeReport = async (req, res) => {
+  try {
+    const report = await PromoCodeService.getPromoCodeReport(req.user.uid);
+    
+    res.status(200).json(report);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get promo code report');
+  }
+};
+
+/**
+ * Create a promo code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCodeService.createPromoCode(req.user.uid, req.body);
+    
+    res.status(201).json(promoCode);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to create promo code');
+  }
+};
+
+/**
+ * Update a promo code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCodeService.updatePromoCode(req.params.id, req.user.uid, req.body);
+    
+    res.status(200).json(promoCode);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to update promo code');
+  }
+};
+
+/**
+ * Delete a promo code that has not been redeemed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePromoCode = async (req, res) => {
+  try {
+    await PromoCodeService.deletePromoCode(req.params.id, req.user.uid);
+    
+    res.status(200).json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to delete promo code');
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeReport,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
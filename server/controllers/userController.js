@@ -1,5 +1,13 @@
-const { admin, db } = require('../config/firebase');
+const FirebaseService = require('../services/firebaseService');
 const { handleFirestoreError } = require('../utils/errorHandler');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+const { toCents } = require('../utils/lineItems');
+const {
+  DEFAULT_TIMEZONE,
+  startOfMonth,
+  formatDateKey,
+  getZonedParts
+} = require('../utils/dateutils');
 
 /**
  * Get current user profile
@@ -8,17 +16,13 @@ const { handleFirestoreError } = require('../utils/errorHandler');
  */
 const getCurrentUser = async (req, res) => {
   try {
-    const userRef = db.collection('users').doc(req.user.uid);
-    const userDoc = await userRef.get();
+    const user = await FirebaseService.getDocument('users', req.user.uid);
     
-    if (!userDoc.exists) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.status(200).json({
-      id: userDoc.id,
-      ...userDoc.data()
-    });
+    res.status(200).json(user);
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to get user profile');
   }
@@ -31,17 +35,17 @@ const getCurrentUser = async (req, res) => {
  */
 const updateCurrentUser = async (req, res) => {
   try {
-    const userRef = db.collection('users').doc(req.user.uid);
-    const userDoc = await userRef.get();
+    const user = await FirebaseService.getDocument('users', req.user.uid);
     
-    if (!userDoc.exists) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
     // Update fields
     const updateData = {};
     const allowedFields = [
-      'displayName', 'phone', 'address', 'company', 'companyLogo'
+      'displayName', 'phone', 'address', 'company', 'companyLogo',
+      'availability', 'timezone'
     ];
     
     allowedFields.forEach(field => {
@@ -52,18 +56,17 @@ const updateCurrentUser = async (req, res) => {
     
     updateData.updatedAt = new Date().toISOString();
     
-    await userRef.update(updateData);
+    await FirebaseService.updateDocument('users', req.user.uid, updateData);
     
     // If display name is updated, also update in Auth
     if (updateData.displayName) {
-      await admin.auth().updateUser(req.user.uid, {
+      await FirebaseService.updateUserAuth(req.user.uid, {
         displayName: updateData.displayName
       });
     }
     
     res.status(200).json({
-      id: req.user.uid,
-      ...userDoc.data(),
+      ...user,
       ...updateData
     });
   } catch (error) {
@@ -79,21 +82,18 @@ const updateCurrentUser = async (req, res) => {
 const getVendorProfile = async (req, res) => {
   try {
     const vendorId = req.params.id;
-    const userRef = db.collection('users').doc(vendorId);
-    const userDoc = await userRef.get();
+    const user = await FirebaseService.getDocument('users', vendorId);
     
-    if (!userDoc.exists) {
+    if (!user) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
     
-    const userData = userDoc.data();
-    
     // Only return public fields
     const publicData = {
       id: vendorId,
-      displayName: userData.displayName,
-      company: userData.company,
-      companyLogo: userData.companyLogo,
+      displayName: user.displayName,
+      company: user.company,
+      companyLogo: user.companyLogo,
     };
     
     res.status(200).json(publicData);
@@ -115,7 +115,7 @@ const updatePassword = async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
     
-    await admin.auth().updateUser(req.user.uid, {
+    await FirebaseService.updateUserAuth(req.user.uid, {
       password: newPassword
     });
     
@@ -135,66 +135,87 @@ const getDashboardMetrics = async (req, res) => {
   try {
     const vendorId = req.user.uid;
     const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     
-    // Get listings
-    const listingsQuery = await db.collection('listings')
-      .where('vendorId', '==', vendorId)
-      .get();
+    // Month boundaries follow the vendor's time zone, not the server's
+    const vendor = await FirebaseService.getDocument('users', vendorId);
+    const timeZone = (vendor && vendor.timezone) || DEFAULT_TIMEZONE;
+    const monthStart = startOfMonth(now, timeZone);
     
-    const totalListings = listingsQuery.size;
-    let activeListings = 0;
+    // Get listings
+    const listings = await FirebaseService.queryDocuments('listings', [
+      ['vendorId', '==', vendorId]
+    ]);
     
-    listingsQuery.forEach(doc => {
-      if (doc.data().status === 'active') {
-        activeListings++;
-      }
-    });
+    const totalListings = listings.length;
+    const activeListings = listings.filter(listing => listing.status === 'active').length;
     
     // Get bookings
-    const bookingsQuery = await db.collection('bookings')
-      .where('vendorId', '==', vendorId)
-      .get();
+    const bookings = await FirebaseService.queryDocuments('bookings', [
+      ['vendorId', '==', vendorId]
+    ]);
     
-    const totalBookings = bookingsQuery.size;
+    const totalBookings = bookings.length;
     let pendingBookings = 0;
     let completedBookings = 0;
     
-    bookingsQuery.forEach(doc => {
-      const data = doc.data();
-      if (data.status === 'pending') {
+    bookings.forEach(booking => {
+      if (booking.status === BOOKING_STATUS.PENDING) {
         pendingBookings++;
-      } else if (data.status === 'completed') {
+      } else if (booking.status === BOOKING_STATUS.COMPLETED) {
         completedBookings++;
       }
     });
     
     // Get transactions
-    const transactionsQuery = await db.collection('transactions')
-      .where('vendorId', '==', vendorId)
-      .get();
-    
-    let totalRevenue = 0;
-    let currentMonthRevenue = 0;
-    
-    transactionsQuery.forEach(doc => {
-      const data = doc.data();
-      totalRevenue += data.amount || 0;
+    const transactions = await FirebaseService.queryDocuments('transactions', [
+      ['vendorId', '==', vendorId]
+    ]);
+    
+    // Added up in cents; older transactions only have a dollar amount
+    let totalRevenueCents = 0;
+    let currentMonthRevenueCents = 0;
+    const revenueCentsByMonthKey = {};
+    
+    transactions.forEach(transaction => {
+      const amountCents = Number.isInteger(transaction.amountCents)
+        ? transaction.amountCents
+        : toCents(transaction.amount);
+      
+      totalRevenueCents += amountCents;
       
-      const transactionDate = new Date(data.createdAt);
-      if (transactionDate >= startOfMonth) {
-        currentMonthRevenue += data.amount || 0;
+      const transactionDate = new Date(transaction.createdAt);
+      if (transactionDate >= monthStart) {
+        currentMonthRevenueCents += amountCents;
       }
+      
+      const monthKey = formatDateKey(transactionDate, timeZone).slice(0, 7);
+      revenueCentsByMonthKey[monthKey] = (revenueCentsByMonthKey[monthKey] || 0) + amountCents;
     });
     
+    // Revenue for the last six calendar months (YYYY-MM), oldest first
+    const { year, month } = getZonedParts(now, timeZone);
+    const revenueByMonth = [];
+    
+    for (let i = 5; i >= 0; i--) {
+      const monthIndex = year * 12 + (month - 1) - i;
+      const monthKey = `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+      
+      revenueByMonth.push({
+        month: monthKey,
+        revenue: (revenueCentsByMonthKey[monthKey] || 0) / 100
+      });
+    }
+    
     res.status(200).json({
       totalListings,
       activeListings,
       totalBookings,
       pendingBookings,
       completedBookings,
-      totalRevenue,
-      currentMonthRevenue
+      totalRevenue: totalRevenueCents / 100,
+      currentMonthRevenue: currentMonthRevenueCents / 100,
+      revenueByMonth,
+      timezone: timeZone
     });
   } catch (error) {
     handleFirestoreError(error, res, 'Failed to get dashboard metrics');
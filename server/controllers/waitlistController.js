@@ -0,0 +1,161 @@
+const WaitlistService = require('../services/waitlistService');
+const { handleFirestoreError } = require('../utils/errorHandler');
+
+/**
+ * Replace the claim token of an offered entry with its claim link
+ * @param {Object} req - Express request object
+ * @param {Object} entry - Waitlist entry
+ * @returns {Object} Entry with claimUrl
+ */
+const withClaimUrl = (req, { claimToken, ...entry }) => {
+  if (!claimToken || entry.status !== 'offered') {
+    return entry;
+  }
+  
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  
+  return {
+    ...entry,
+    claimUrl: `${baseUrl.replace(/\/$/, '')}/api/waitlist/offers/${claimToken}`
+  };
+};
+
+/**
+ * Join the waitlist for a time on a listing (customer action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const {
+      listingId,
+      startTime,
+      endTime,
+      customerName,
+      customerEmail,
+      customerPhone,
+      customerTimezone,
+      notes,
+      partySize,
+      addOns
+    } = req.body;
+    
+    const entry = await WaitlistService.joinWaitlist({
+      listingId,
+      userId: req.user.uid,
+      customerName: customerName || req.user.name || '',
+      customerEmail: customerEmail || req.user.email || '',
+      customerPhone,
+      customerTimezone,
+      startTime,
+      endTime,
+      notes,
+      partySize,
+      addOns
+    });
+    
+    res.status(201).json(entry);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to join waitlist');
+  }
+};
+
+/**
+ * Get the current customer's waitlist entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyWaitlistEntries = async (req, res) => {
+  try {
+    const entries = await WaitlistService.getCustomerEntries(req.user.uid);
+    
+    res.status(200).json(entries.map(entry => withClaimUrl(req, entry)));
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get waitlist entries');
+  }
+};
+
+/**
+ * Leave a waitlist (customer action)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistService.leaveWaitlist(req.params.id, req.user.uid);
+    
+    res.status(200).json(withClaimUrl(req, entry));
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to leave waitlist');
+  }
+};
+
+/**
+ * Get the number of customers waiting on each of the current vendor's listings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWaitlistDepth = async (req, res) => {
+  try {
+    const depth = await WaitlistService.getWaitlistDepth(req.user.uid);
+    
+    res.status(200).json(depth);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get waitlist depth');
+  }
+};
+
+/**
+ * Get the waitlist of one of the current vendor's listings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getListingWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistService.getListingWaitlist(req.params.listingId, req.user.uid);
+    
+    res.status(200).json(entries);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get listing waitlist');
+  }
+};
+
+/**
+ * Get a slot offer from its claim link (public; the token is the credential)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWaitlistOffer = async (req, res) => {
+  try {
+    const offer = await WaitlistService.getOffer(req.params.token);
+    
+    res.status(200).json(offer);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to get waitlist offer');
+  }
+};
+
+/**
+ * Claim an offered slot, booking it for the current customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const claimWaitlistOffer = async (req, res) => {
+  try {
+    const booking = await WaitlistService.claimOffer(req.params.token, req.user.uid);
+    
+    res.status(201).json(booking);
+  } catch (error) {
+    handleFirestoreError(error, res, 'Failed to claim waitlist offer');
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist,
+  getWaitlistDepth,
+  getListingWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer
+};
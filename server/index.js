@@ -3,28 +3,41 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { verifyAuth } = require('./middleware/auth');
+const SchedulerService = require('./services/schedulerService');
 
 // Import routes
+const adminRoutes = require('./routes/admin');
 const bookingRoutes = require('./routes/bookings');
+const calendarRoutes = require('./routes/calendar');
+const disputeRoutes = require('./routes/disputes');
 const listingRoutes = require('./routes/listings');
+const promoCodeRoutes = require('./routes/promoCodes');
 const stripeRoutes = require('./routes/stripe');
 const userRoutes = require('./routes/users');
+const waitlistRoutes = require('./routes/waitlist');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
+
+// Webhook endpoint needs raw body for signature verification, so it is
+// parsed before express.json() (which then leaves it alone)
+app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
+
 app.use(express.json());
 
 // Routes
+app.use('/api/admin', adminRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/disputes', disputeRoutes);
 app.use('/api/listings', listingRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
 app.use('/api/stripe', stripeRoutes);
 app.use('/api/users', userRoutes);
-
-// Webhook endpoint needs raw body
-app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/waitlist', waitlistRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -41,6 +54,16 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start listening only when run directly, so tests can import the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+
+  // Background jobs (booking hold expiry, calendar sync, waitlist offers)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    SchedulerService.start();
+  }
+}
+
+module.exports = app;
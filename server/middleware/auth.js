@@ -1,4 +1,6 @@
 const { admin } = require('../config/firebase');
+const { isMemoryStore } = require('../config/dataStore');
+const FirebaseService = require('../services/firebaseService');
 
 // Middleware to verify Firebase auth token
 const verifyAuth = async (req, res, next) => {
@@ -9,6 +11,12 @@ const verifyAuth = async (req, res, next) => {
       return res.status(401).json({ error: 'Unauthorized: No token provided' });
     }
     
+    // Offline mode has no Firebase Auth: the bearer token is the user ID
+    if (isMemoryStore) {
+      req.user = { uid: idToken };
+      return next();
+    }
+    
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     req.user = decodedToken;
     
@@ -19,4 +27,21 @@ const verifyAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyAuth };
+// Middleware to let only platform admins through (use after verifyAuth);
+// the role is read from the user's profile
+const requireAdmin = async (req, res, next) => {
+  try {
+    const profile = await FirebaseService.getDocument('users', req.user.uid);
+    
+    if (!profile || profile.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Admins only' });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+module.exports = { verifyAuth, requireAdmin };
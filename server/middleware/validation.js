@@ -1,11 +1,23 @@
+const AvailabilityService = require('../services/availabilityService');
+const BookingService = require('../services/bookingService');
+const RescheduleService = require('../services/rescheduleService');
+const { isValidTimeZone } = require('../utils/dateutils');
+const { validateCancellationPolicy } = require('../utils/cancellationPolicy');
+const { validatePricing } = require('../utils/pricing');
+const { validateDepositPolicy } = require('../utils/paymentSchedule');
+
 // Validate booking data
 const validateBookingData = (req, res, next) => {
-  const { listingId, startTime, endTime } = req.body;
+  const { listingId, startTime, endTime, partySize } = req.body;
   
   if (!listingId || !startTime || !endTime) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
+  if (partySize !== undefined && (!Number.isInteger(partySize) || partySize < 1)) {
+    return res.status(400).json({ error: 'partySize must be a whole number of 1 or more' });
+  }
+  
   // Validate time format
   try {
     const start = new Date(startTime);
@@ -34,10 +46,142 @@ const validateListingData = (req, res, next) => {
     return res.status(400).json({ error: 'Price must be a positive number' });
   }
   
+  validateAvailabilityRules(req, res, next);
+};
+
+// Validate availability rules when present (listing or vendor profile)
+const validateAvailabilityRules = (req, res, next) => {
+  const { availability } = req.body;
+  
+  if (availability !== undefined && availability !== null) {
+    const error = AvailabilityService.validateRules(availability);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  next();
+};
+
+// Validate IANA time zone fields when present (listing, vendor profile, booking)
+const validateTimezone = (req, res, next) => {
+  const fields = ['timezone', 'customerTimezone'];
+  
+  for (const field of fields) {
+    const value = req.body[field];
+    
+    if (value !== undefined && value !== null && !isValidTimeZone(value)) {
+      return res.status(400).json({ error: `${field} must be an IANA time zone such as Europe/London` });
+    }
+  }
+  
+  next();
+};
+
+// Validate the unpaid booking hold window when present (listing)
+const validateHoldMinutes = (req, res, next) => {
+  const { holdMinutes } = req.body;
+  
+  if (holdMinutes !== undefined && holdMinutes !== null) {
+    const error = BookingService.validateHoldMinutes(holdMinutes);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  next();
+};
+
+// Validate the cancellation policy when present (listing)
+const validateCancellationPolicyData = (req, res, next) => {
+  const { cancellationPolicy } = req.body;
+  
+  if (cancellationPolicy !== undefined && cancellationPolicy !== null) {
+    const error = validateCancellationPolicy(cancellationPolicy);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  next();
+};
+
+// Validate the reschedule limit when present (listing)
+const validateRescheduleLimit = (req, res, next) => {
+  const { rescheduleLimit } = req.body;
+  
+  if (rescheduleLimit !== undefined && rescheduleLimit !== null) {
+    const error = RescheduleService.validateRescheduleLimit(rescheduleLimit);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  next();
+};
+
+// Validate the seat capacity and per-seat pricing when present (listing)
+const validateCapacity = (req, res, next) => {
+  const { capacity, pricePerSeat } = req.body;
+  
+  if (capacity !== undefined && capacity !== null) {
+    const error = BookingService.validateCapacity(capacity);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  if (pricePerSeat !== undefined && typeof pricePerSeat !== 'boolean') {
+    return res.status(400).json({ error: 'pricePerSeat must be true or false' });
+  }
+  
+  next();
+};
+
+// Validate the pricing model when present (listing)
+const validatePricingData = (req, res, next) => {
+  const { pricing } = req.body;
+  
+  if (pricing !== undefined && pricing !== null) {
+    const error = validatePricing(pricing);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
+  next();
+};
+
+// Validate the deposit settings when present (listing)
+const validateDepositData = (req, res, next) => {
+  const { deposit } = req.body;
+  
+  if (deposit !== undefined && deposit !== null) {
+    const error = validateDepositPolicy(deposit);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  }
+  
   next();
 };
 
 module.exports = {
   validateBookingData,
-  validateListingData
+  validateListingData,
+  validateAvailabilityRules,
+  validateTimezone,
+  validateHoldMinutes,
+  validateCancellationPolicyData,
+  validateRescheduleLimit,
+  validateCapacity,
+  validatePricingData,
+  validateDepositData
 };
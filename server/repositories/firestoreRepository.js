@@ -0,0 +1,211 @@
+const { db } = require('../config/firebase');
+
+/**
+ * Convert a query snapshot into plain documents with IDs
+ * @param {Object} snapshot - Firestore query snapshot
+ * @returns {Array} Array of documents
+ */
+const snapshotToDocuments = (snapshot) => {
+  const documents = [];
+  snapshot.forEach(doc => {
+    documents.push({
+      id: doc.id,
+      ...doc.data()
+    });
+  });
+
+  return documents;
+};
+
+/**
+ * Repository backed by Cloud Firestore
+ */
+class FirestoreRepository {
+  /**
+   * Create a document in a collection
+   * @param {string} collection - Collection name
+   * @param {Object} data - Document data
+   * @param {string} [id] - Optional document ID
+   * @returns {Promise<Object>} Created document with ID
+   */
+  async create(collection, data, id = null) {
+    let docRef;
+
+    if (id) {
+      // Create with specific ID
+      docRef = db.collection(collection).doc(id);
+      await docRef.set(data);
+    } else {
+      // Auto-generate ID
+      docRef = await db.collection(collection).add(data);
+    }
+
+    return {
+      id: docRef.id,
+      ...data
+    };
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} Document data or null if not found
+   */
+  async get(collection, id) {
+    const doc = await db.collection(collection).doc(id).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  /**
+   * Update fields of an existing document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} data - Data to update
+   * @returns {Promise<boolean>} Success status
+   */
+  async update(collection, id, data) {
+    await db.collection(collection).doc(id).update(data);
+    return true;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(collection, id) {
+    await db.collection(collection).doc(id).delete();
+    return true;
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collection - Collection name
+   * @param {Array} conditions - Array of condition arrays [field, operator, value]
+   * @param {Object} [options] - Query options
+   * @param {string} [options.orderByField] - Field to order by
+   * @param {string} [options.orderByDirection] - Order direction ('asc' or 'desc')
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @returns {Promise<Array>} Array of documents
+   */
+  async query(collection, conditions = [], options = {}) {
+    const snapshot = await this.buildQuery(collection, conditions, options).get();
+    return snapshotToDocuments(snapshot);
+  }
+
+  /**
+   * Build a Firestore query from [field, operator, value] conditions
+   * @param {string} collection - Collection name
+   * @param {Array} conditions - Array of condition arrays [field, operator, value]
+   * @param {Object} [options] - Query options (see query)
+   * @returns {Object} Firestore query
+   */
+  buildQuery(collection, conditions = [], options = {}) {
+    let query = db.collection(collection);
+
+    // Apply conditions
+    conditions.forEach(([field, operator, value]) => {
+      query = query.where(field, operator, value);
+    });
+
+    // Apply ordering
+    if (options.orderByField) {
+      const direction = options.orderByDirection || 'asc';
+      query = query.orderBy(options.orderByField, direction);
+    }
+
+    // Apply limit
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    return query;
+  }
+
+  /**
+   * Apply multiple write operations atomically
+   * @param {Array} operations - Array of operations
+   * @param {string} operations[].type - Operation type (create, update, delete)
+   * @param {string} operations[].collection - Collection name
+   * @param {string} [operations[].id] - Document ID (generated for creates when omitted)
+   * @param {Object} [operations[].data] - Document data (for create/update)
+   * @returns {Promise<boolean>} Success status
+   */
+  async batchWrite(operations) {
+    const batch = db.batch();
+
+    operations.forEach(op => {
+      const collectionRef = db.collection(op.collection);
+      const docRef = op.id ? collectionRef.doc(op.id) : collectionRef.doc();
+
+      switch (op.type) {
+        case 'create':
+          batch.set(docRef, op.data);
+          break;
+        case 'update':
+          batch.update(docRef, op.data);
+          break;
+        case 'delete':
+          batch.delete(docRef);
+          break;
+        default:
+          throw new Error(`Invalid operation type: ${op.type}`);
+      }
+    });
+
+    await batch.commit();
+    return true;
+  }
+
+  /**
+   * Run a function inside a Firestore transaction.
+   * All reads must happen before any writes, and Firestore may call the
+   * function again when the documents it read change underneath it.
+   * @param {Function} updateFunction - async (tx) => result, where tx exposes
+   *   get, query, create, set, update and delete with repository-style arguments
+   * @returns {Promise<*>} Result of updateFunction
+   */
+  async runTransaction(updateFunction) {
+    return db.runTransaction(async (transaction) => {
+      const tx = {
+        get: async (collection, id) => {
+          const doc = await transaction.get(db.collection(collection).doc(id));
+          return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        },
+        query: async (collection, conditions = [], options = {}) => {
+          const snapshot = await transaction.get(this.buildQuery(collection, conditions, options));
+          return snapshotToDocuments(snapshot);
+        },
+        create: (collection, data, id = null) => {
+          const collectionRef = db.collection(collection);
+          const docRef = id ? collectionRef.doc(id) : collectionRef.doc();
+          transaction.set(docRef, data);
+          return { id: docRef.id, ...data };
+        },
+        set: (collection, id, data) => {
+          transaction.set(db.collection(collection).doc(id), data);
+        },
+        update: (collection, id, data) => {
+          transaction.update(db.collection(collection).doc(id), data);
+        },
+        delete: (collection, id) => {
+          transaction.delete(db.collection(collection).doc(id));
+        }
+      };
+
+      return updateFunction(tx);
+    });
+  }
+}
+
+module.exports = FirestoreRepository;
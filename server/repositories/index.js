@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { isMemoryStore } = require('../config/dataStore');
+
+/**
+ * Load optional seed data for the in-memory store from DATA_STORE_SEED
+ * (a JSON file shaped { collection: { id: data } })
+ * @returns {Object} Seed data
+ */
+const loadSeed = () => {
+  const seedFile = process.env.DATA_STORE_SEED;
+
+  if (!seedFile) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(path.resolve(seedFile), 'utf8'));
+};
+
+let repository;
+
+if (isMemoryStore) {
+  const MemoryRepository = require('./memoryRepository');
+  repository = new MemoryRepository(loadSeed());
+} else {
+  const FirestoreRepository = require('./firestoreRepository');
+  repository = new FirestoreRepository();
+}
+
+module.exports = repository;
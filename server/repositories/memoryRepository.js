@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a 20 character ID in the same alphabet Firestore uses
+ * @returns {string} Document ID
+ */
+const generateId = () => {
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    id += AUTO_ID_CHARS[bytes[i] % AUTO_ID_CHARS.length];
+  }
+
+  return id;
+};
+
+/**
+ * Deep copy plain document data so callers never share references with the store
+ * @param {Object} data - Document data
+ * @returns {Object} Copied data
+ */
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+/**
+ * Create an error shaped like a Firestore error so handleFirestoreError maps it
+ * @param {string} code - Firestore error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+const storeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Read a possibly nested field ('address.city') from a document
+ * @param {Object} doc - Document data
+ * @param {string} field - Field path
+ * @returns {*} Field value or undefined
+ */
+const getField = (doc, field) => {
+  return field.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    doc
+  );
+};
+
+/**
+ * Compare two field values for ordering and range conditions
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Evaluate a single [field, operator, value] condition against a document
+ * @param {Object} doc - Document data (including id)
+ * @param {Array} condition - Condition tuple
+ * @returns {boolean} Whether the document matches
+ */
+const matchesCondition = (doc, [field, operator, value]) => {
+  const fieldValue = getField(doc, field);
+
+  // Like Firestore, documents missing the field never match a filter on it
+  if (fieldValue === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case '==':
+      return isEqual(fieldValue, value);
+    case '!=':
+      return fieldValue !== null && !isEqual(fieldValue, value);
+    case '<':
+      return compareValues(fieldValue, value) < 0;
+    case '<=':
+      return compareValues(fieldValue, value) <= 0;
+    case '>':
+      return compareValues(fieldValue, value) > 0;
+    case '>=':
+      return compareValues(fieldValue, value) >= 0;
+    case 'in':
+      return value.some(candidate => isEqual(fieldValue, candidate));
+    case 'not-in':
+      return fieldValue !== null && !value.some(candidate => isEqual(fieldValue, candidate));
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some(item => isEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) &&
+        fieldValue.some(item => value.some(candidate => isEqual(item, candidate)));
+    default:
+      throw storeError('invalid-argument', `Invalid query operator: ${operator}`);
+  }
+};
+
+/**
+ * Repository that keeps every collection in process memory.
+ * Used for local development and tests; data is lost when the process exits.
+ */
+class MemoryRepository {
+  /**
+   * @param {Object} [seed] - Initial data as { collection: { id: data } }
+   */
+  constructor(seed = {}) {
+    this.collections = new Map();
+    this.transactionQueue = Promise.resolve();
+
+    Object.entries(seed).forEach(([collection, documents]) => {
+      Object.entries(documents).forEach(([id, data]) => {
+        this.getCollection(collection).set(id, clone(data));
+      });
+    });
+  }
+
+  /**
+   * Get (and lazily create) the map holding a collection
+   * @param {string} collection - Collection name
+   * @returns {Map} Map of document ID to data
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Remove all data from the store
+   */
+  clear() {
+    this.collections.clear();
+  }
+
+  /**
+   * Create a document in a collection
+   * @param {string} collection - Collection name
+   * @param {Object} data - Document data
+   * @param {string} [id] - Optional document ID
+   * @returns {Promise<Object>} Created document with ID
+   */
+  async create(collection, data, id = null) {
+    const docId = id || generateId();
+    this.getCollection(collection).set(docId, clone(data));
+
+    return {
+      id: docId,
+      ...data
+    };
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} Document data or null if not found
+   */
+  async get(collection, id) {
+    const data = this.getCollection(collection).get(id);
+
+    if (!data) {
+      return null;
+    }
+
+    return {
+      id,
+      ...clone(data)
+    };
+  }
+
+  /**
+   * Update fields of an existing document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} data - Data to update
+   * @returns {Promise<boolean>} Success status
+   */
+  async update(collection, id, data) {
+    const documents = this.getCollection(collection);
+
+    if (!documents.has(id)) {
+      throw storeError('not-found', `No document to update: ${collection}/${id}`);
+    }
+
+    documents.set(id, { ...documents.get(id), ...clone(data) });
+    return true;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(collection, id) {
+    this.getCollection(collection).delete(id);
+    return true;
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collection - Collection name
+   * @param {Array} conditions - Array of condition arrays [field, operator, value]
+   * @param {Object} [options] - Query options
+   * @param {string} [options.orderByField] - Field to order by
+   * @param {string} [options.orderByDirection] - Order direction ('asc' or 'desc')
+   * @param {number} [options.limit] - Maximum number of documents to return
+   * @returns {Promise<Array>} Array of documents
+   */
+  async query(collection, conditions = [], options = {}) {
+    let documents = Array.from(this.getCollection(collection).entries())
+      .map(([id, data]) => ({ id, ...clone(data) }))
+      .filter(doc => conditions.every(condition => matchesCondition(doc, condition)));
+
+    // Apply ordering (documents without the field are excluded, as in Firestore)
+    if (options.orderByField) {
+      const field = options.orderByField;
+      const direction = options.orderByDirection === 'desc' ? -1 : 1;
+
+      documents = documents
+        .filter(doc => getField(doc, field) !== undefined)
+        .sort((a, b) => direction * compareValues(getField(a, field), getField(b, field)));
+    }
+
+    // Apply limit
+    if (options.limit) {
+      documents = documents.slice(0, options.limit);
+    }
+
+    return documents;
+  }
+
+  /**
+   * Apply multiple write operations atomically
+   * @param {Array} operations - Array of operations
+   * @param {string} operations[].type - Operation type (create, update, delete)
+   * @param {string} operations[].collection - Collection name
+   * @param {string} [operations[].id] - Document ID (generated for creates when omitted)
+   * @param {Object} [operations[].data] - Document data (for create/update)
+   * @returns {Promise<boolean>} Success status
+   */
+  async batchWrite(operations) {
+    // Validate every operation before touching the store so a bad batch changes nothing
+    operations.forEach(op => {
+      if (!['create', 'update', 'delete'].includes(op.type)) {
+        throw new Error(`Invalid operation type: ${op.type}`);
+      }
+
+      if (op.type === 'update' && !this.getCollection(op.collection).has(op.id)) {
+        throw storeError('not-found', `No document to update: ${op.collection}/${op.id}`);
+      }
+    });
+
+    operations.forEach(op => {
+      const documents = this.getCollection(op.collection);
+
+      switch (op.type) {
+        case 'create':
+          documents.set(op.id || generateId(), clone(op.data));
+          break;
+        case 'update':
+          documents.set(op.id, { ...documents.get(op.id), ...clone(op.data) });
+          break;
+        case 'delete':
+          documents.delete(op.id);
+          break;
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Run a function as a transaction. Transactions are executed one at a time
+   * and their writes are staged and applied atomically once the function
+   * resolves, so a read-check-write sequence cannot interleave with another.
+   * @param {Function} updateFunction - async (tx) => result, where tx exposes
+   *   get, query, create, set, update and delete with repository-style arguments
+   * @returns {Promise<*>} Result of updateFunction
+   */
+  async runTransaction(updateFunction) {
+    const run = this.transactionQueue.then(async () => {
+      const writes = [];
+      const tx = {
+        get: (collection, id) => this.get(collection, id),
+        query: (collection, conditions, options) => this.query(collection, conditions, options),
+        create: (collection, data, id = null) => {
+          const docId = id || generateId();
+          writes.push({ type: 'create', collection, id: docId, data });
+          return { id: docId, ...data };
+        },
+        set: (collection, id, data) => {
+          writes.push({ type: 'create', collection, id, data });
+        },
+        update: (collection, id, data) => {
+          writes.push({ type: 'update', collection, id, data });
+        },
+        delete: (collection, id) => {
+          writes.push({ type: 'delete', collection, id });
+        }
+      };
+
+      const result = await updateFunction(tx);
+      await this.batchWrite(writes);
+      return result;
+    });
+
+    // Keep the queue alive after a failed transaction
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = MemoryRepository;
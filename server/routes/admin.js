@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuth, requireAdmin } = require('../middleware/auth');
+const adminController = require('../controllers/adminController');
+const ledgerController = require('../controllers/ledgerController');
+
+// Stored Stripe webhook events (e.g. ?status=failed)
+router.get('/stripe-events', verifyAuth, requireAdmin, adminController.getStripeEvents);
+
+// Run a failed Stripe webhook event again
+router.post('/stripe-events/:id/replay', verifyAuth, requireAdmin, adminController.replayStripeEvent);
+
+// A vendor's balances from the ledger
+router.get('/ledger/vendors/:vendorId/balance', verifyAuth, requireAdmin, ledgerController.getVendorLedgerBalance);
+
+// Stripe reconciliation reports (the nightly run and manual ones)
+router.get('/reconciliation-reports', verifyAuth, requireAdmin, adminController.getReconciliationReports);
+router.get('/reconciliation-reports/:id', verifyAuth, requireAdmin, adminController.getReconciliationReport);
+
+// Reconcile a period with Stripe now ({ from, to, repair })
+router.post('/reconciliation-reports', verifyAuth, requireAdmin, adminController.runReconciliation);
+
+module.exports = router;
@@ -1,142 +1,61 @@
 const express = require('express');
 const router = express.Router();
-const { db } = require('../config/firebase');
 const { verifyAuth } = require('../middleware/auth');
-const { validateBookingData } = require('../middleware/validation');
+const { validateBookingData, validateTimezone } = require('../middleware/validation');
+const bookingController = require('../controllers/bookingController');
 
 // Get all bookings for current vendor
-router.get('/', verifyAuth, async (req, res) => {
-  try {
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef.where('vendorId', '==', req.user.uid).get();
-    
-    const bookings = [];
-    snapshot.forEach(doc => {
-      bookings.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-    
-    res.status(200).json(bookings);
-  } catch (error) {
-    console.error('Error getting bookings:', error);
-    res.status(500).json({ error: 'Failed to get bookings' });
-  }
-});
+router.get('/', verifyAuth, bookingController.getVendorBookings);
+
+// Get bookings made by the current customer
+router.get('/mine', verifyAuth, bookingController.getCustomerBookings);
+
+// Get upcoming bookings for current vendor
+router.get('/upcoming', verifyAuth, bookingController.getUpcomingBookings);
+
+// Get bookings for current vendor within a date range
+router.get('/range', verifyAuth, bookingController.getBookingsInDateRange);
+
+// Get booking metrics for current vendor
+router.get('/metrics', verifyAuth, bookingController.getBookingMetrics);
+
+// Check whether a time slot is available for a listing
+router.get('/availability', verifyAuth, bookingController.checkAvailability);
+
+// Recurring booking series
+router.post('/series', verifyAuth, validateBookingData, validateTimezone, bookingController.createBookingSeries);
+router.get('/series/:seriesId', verifyAuth, bookingController.getBookingSeries);
+router.put('/series/:seriesId', verifyAuth, bookingController.updateBookingSeries);
+router.post('/series/:seriesId/cancel', verifyAuth, bookingController.cancelBookingSeries);
+router.post('/series/:seriesId/skip', verifyAuth, bookingController.skipSeriesOccurrence);
 
 // Get a single booking
-router.get('/:id', verifyAuth, async (req, res) => {
-  try {
-    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
-    
-    if (!bookingDoc.exists) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-    
-    const bookingData = bookingDoc.data();
-    
-    // Check if user is authorized (either vendor or customer)
-    if (bookingData.vendorId !== req.user.uid && bookingData.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-    
-    res.status(200).json({
-      id: bookingDoc.id,
-      ...bookingData
-    });
-  } catch (error) {
-    console.error('Error getting booking:', error);
-    res.status(500).json({ error: 'Failed to get booking' });
-  }
-});
+router.get('/:id', verifyAuth, bookingController.getBookingById);
 
 // Create a new booking
-router.post('/', verifyAuth, validateBookingData, async (req, res) => {
-  try {
-    const { listingId, startTime, endTime, customerName, customerEmail, customerPhone, notes } = req.body;
-    
-    // Get the listing to validate and get price
-    const listingDoc = await db.collection('listings').doc(listingId).get();
-    
-    if (!listingDoc.exists) {
-      return res.status(404).json({ error: 'Listing not found' });
-    }
-    
-    const listingData = listingDoc.data();
-    
-    // Create the booking
-    const newBooking = {
-      listingId,
-      vendorId: listingData.vendorId,
-      userId: req.user.uid,
-      customerName: customerName || req.user.name || '',
-      customerEmail: customerEmail || req.user.email || '',
-      customerPhone: customerPhone || '',
-      startTime,
-      endTime,
-      status: 'pending',
-      notes: notes || '',
-      totalAmount: listingData.price,
-      paymentStatus: 'pending',
-      createdAt: new Date().toISOString()
-    };
-    
-    const docRef = await db.collection('bookings').add(newBooking);
-    
-    res.status(201).json({
-      id: docRef.id,
-      ...newBooking
-    });
-  } catch (error) {
-    console.error('Error creating booking:', error);
-    res.status(500).json({ error: 'Failed to create booking' });
-  }
-});
+router.post('/', verifyAuth, validateBookingData, validateTimezone, bookingController.createBooking);
 
 // Update a booking
-router.put('/:id', verifyAuth, async (req, res) => {
-  try {
-    const bookingRef = db.collection('bookings').doc(req.params.id);
-    const bookingDoc = await bookingRef.get();
-    
-    if (!bookingDoc.exists) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-    
-    const bookingData = bookingDoc.data();
-    
-    // Check if user is authorized (vendor)
-    if (bookingData.vendorId !== req.user.uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-    
-    // Update fields
-    const updateData = {};
-    const allowedFields = [
-      'status', 'startTime', 'endTime', 'notes', 'customerName',
-      'customerEmail', 'customerPhone'
-    ];
-    
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
-      }
-    });
-    
-    updateData.updatedAt = new Date().toISOString();
-    
-    await bookingRef.update(updateData);
-    
-    res.status(200).json({
-      id: req.params.id,
-      ...bookingData,
-      ...updateData
-    });
-  } catch (error) {
-    console.error('Error updating booking:', error);
-    res.status(500).json({ error: 'Failed to update booking' });
-  }
-});
+router.put('/:id', verifyAuth, bookingController.updateBooking);
+
+// Preview the refund for cancelling a booking
+router.get('/:id/cancellation-quote', verifyAuth, bookingController.getCancellationQuote);
+
+// Cancel a booking (refunds according to the listing's cancellation policy)
+router.post('/:id/cancel', verifyAuth, bookingController.cancelBooking);
+
+// Reschedule requests (customer asks, vendor accepts or rejects)
+router.get('/:id/reschedule-request', verifyAuth, bookingController.getRescheduleRequest);
+router.post('/:id/reschedule-request', verifyAuth, bookingController.requestReschedule);
+router.delete('/:id/reschedule-request', verifyAuth, bookingController.withdrawReschedule);
+router.post('/:id/reschedule-request/accept', verifyAuth, bookingController.acceptReschedule);
+router.post('/:id/reschedule-request/reject', verifyAuth, bookingController.rejectReschedule);
+
+// Booking lifecycle transitions (vendor actions)
+router.post('/:id/confirm', verifyAuth, bookingController.confirmBooking);
+router.post('/:id/decline', verifyAuth, bookingController.declineBooking);
+router.post('/:id/start', verifyAuth, bookingController.startBooking);
+router.post('/:id/complete', verifyAuth, bookingController.completeBooking);
+router.post('/:id/no-show', verifyAuth, bookingController.markNoShow);
 
 module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const calendarController = require('../controllers/calendarController');
+
+// Uploaded .ics files are sent as the raw request body
+const icsBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' });
+
+// Get the current vendor's calendar feeds
+router.get('/feeds', verifyAuth, calendarController.getCalendarFeeds);
+
+// Create (or rotate) a calendar feed
+router.post('/feeds', verifyAuth, calendarController.createCalendarFeed);
+
+// Revoke a calendar feed
+router.delete('/feeds/:token', verifyAuth, calendarController.deleteCalendarFeed);
+
+// iCalendar subscription URL (public; the secret token is the credential)
+router.get('/feeds/:token.ics', calendarController.getCalendarFeedIcs);
+
+// Get the current vendor's connected external calendars
+router.get('/sources', verifyAuth, calendarController.getCalendarSources);
+
+// Connect an external calendar by URL
+router.post('/sources', verifyAuth, calendarController.addCalendarSource);
+
+// Import an uploaded .ics file
+router.post('/sources/upload', verifyAuth, icsBody, calendarController.uploadCalendarFile);
+
+// Replace an uploaded calendar with a new file
+router.put('/sources/:id/upload', verifyAuth, icsBody, calendarController.replaceCalendarFile);
+
+// Refetch a calendar connected by URL
+router.post('/sources/:id/sync', verifyAuth, calendarController.syncCalendarSource);
+
+// Disconnect an external calendar
+router.delete('/sources/:id', verifyAuth, calendarController.deleteCalendarSource);
+
+// Get imported busy time
+router.get('/busy-blocks', verifyAuth, calendarController.getBusyBlocks);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const disputeController = require('../controllers/disputeController');
+
+// Evidence files are sent as the raw request body
+const evidenceFileBody = express.raw({ type: ['application/pdf', 'image/jpeg', 'image/png'], limit: '5mb' });
+
+// Get the current vendor's disputes
+router.get('/', verifyAuth, disputeController.getDisputes);
+
+// Get a dispute and what is needed to respond to it
+router.get('/:id', verifyAuth, disputeController.getDispute);
+
+// Save the evidence text
+router.put('/:id/evidence', verifyAuth, disputeController.saveEvidence);
+
+// Upload an evidence file, or use one of the listing's documents
+router.put('/:id/files/:category', verifyAuth, evidenceFileBody, disputeController.uploadEvidenceFile);
+router.post('/:id/files/:category/from-listing', verifyAuth, disputeController.addListingDocument);
+
+// Remove an evidence file
+router.delete('/:id/files/:category', verifyAuth, disputeController.removeEvidenceFile);
+
+// Submit the evidence to Stripe
+router.post('/:id/submit', verifyAuth, disputeController.submitEvidence);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const promoCodeController = require('../controllers/promoCodeController');
+
+// Get the current vendor's promo codes
+router.get('/', verifyAuth, promoCodeController.getPromoCodes);
+
+// Get redemptions and discounts per promo code
+router.get('/report', verifyAuth, promoCodeController.getPromoCodeReport);
+
+// Create, update and delete promo codes
+router.post('/', verifyAuth, promoCodeController.createPromoCode);
+router.put('/:id', verifyAuth, promoCodeController.updatePromoCode);
+router.delete('/:id', verifyAuth, promoCodeController.deletePromoCode);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const { validateBookingData, validateTimezone } = require('../middleware/validation');
+const waitlistController = require('../controllers/waitlistController');
+
+// Join the waitlist for a time on a listing
+router.post('/', verifyAuth, validateBookingData, validateTimezone, waitlistController.joinWaitlist);
+
+// Get the current customer's waitlist entries
+router.get('/mine', verifyAuth, waitlistController.getMyWaitlistEntries);
+
+// Get waitlist depth per listing for the current vendor
+router.get('/depth', verifyAuth, waitlistController.getWaitlistDepth);
+
+// Get the waitlist of one of the current vendor's listings
+router.get('/listings/:listingId', verifyAuth, waitlistController.getListingWaitlist);
+
+// Slot offers (claim link is public; claiming needs the waitlisted customer)
+router.get('/offers/:token', waitlistController.getWaitlistOffer);
+router.post('/offers/:token/claim', verifyAuth, waitlistController.claimWaitlistOffer);
+
+// Leave a waitlist
+router.delete('/:id', verifyAuth, waitlistController.leaveWaitlist);
+
+module.exports = router;
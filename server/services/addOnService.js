@@ -0,0 +1,279 @@
+const FirebaseService = require('./firebaseService');
+const { AppError } = require('../utils/errorHandler');
+const { LINE_ITEM_TYPE, createLineItem } = require('../utils/lineItems');
+
+// Add-ons keep the collection the dashboard has always written them to
+const ADD_ON_COLLECTION = 'services';
+
+const MAX_ADD_ONS_PER_LISTING = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Units of one add-on a booking can take unless the add-on sets maxQuantity
+const DEFAULT_MAX_QUANTITY = 1;
+const MAX_QUANTITY_LIMIT = 100;
+
+/**
+ * Service for listing add-ons: optional extras (equipment hire, express
+ * delivery, ...) a vendor offers with a listing and a customer picks when
+ * booking. Picked add-ons become booking line items priced on the server.
+ */
+class AddOnService {
+  /**
+   * Get a listing's add-ons, oldest first
+   * @param {string} listingId - Listing ID
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeInactive=false] - Include add-ons the vendor switched off
+   * @returns {Promise<Array>} Add-ons
+   */
+  static async getListingAddOns(listingId, options = {}) {
+    try {
+      const addOns = await FirebaseService.queryDocuments(ADD_ON_COLLECTION, [
+        ['listingId', '==', listingId]
+      ]);
+      
+      return addOns
+        .filter(addOn => options.includeInactive || addOn.isActive !== false)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    } catch (error) {
+      console.error('Error getting listing add-ons:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add an add-on to a listing (vendor action)
+   * @param {string} listingId - Listing ID
+   * @param {string} vendorId - Vendor's user ID (for authorization)
+   * @param {Object} data - { name, description, price, isActive, maxQuantity }
+   * @returns {Promise<Object>} Created add-on
+   */
+  static async createAddOn(listingId, vendorId, data) {
+    try {
+      await AddOnService.getOwnedListing(listingId, vendorId);
+      
+      const error = AddOnService.validateAddOnData(data);
+      
+      if (error) {
+        throw new AppError(error, 400);
+      }
+      
+      const existing = await AddOnService.getListingAddOns(listingId, { includeInactive: true });
+      
+      if (existing.length >= MAX_ADD_ONS_PER_LISTING) {
+        throw new AppError(`A listing can have at most ${MAX_ADD_ONS_PER_LISTING} add-ons`, 409);
+      }
+      
+      const now = new Date().toISOString();
+      
+      return await FirebaseService.createDocument(ADD_ON_COLLECTION, {
+        listingId,
+        vendorId,
+        name: data.name.trim(),
+        description: (data.description || '').trim(),
+        price: Number(data.price),
+        isActive: data.isActive !== false,
+        maxQuantity: data.maxQuantity ?? DEFAULT_MAX_QUANTITY,
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error creating add-on:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update an add-on (vendor action). Bookings already made keep the price
+   * they were booked at.
+   * @param {string} listingId - Listing ID
+   * @param {string} addOnId - Add-on ID
+   * @param {string} vendorId - Vendor's user ID (for authorization)
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated add-on
+   */
+  static async updateAddOn(listingId, addOnId, vendorId, data) {
+    try {
+      await AddOnService.getOwnedListing(listingId, vendorId);
+      const addOn = await AddOnService.getAddOn(listingId, addOnId);
+      
+      const updateData = {};
+      
+      ['name', 'description', 'price', 'isActive', 'maxQuantity'].forEach(field => {
+        if (data[field] !== undefined) {
+          updateData[field] = data[field];
+        }
+      });
+      
+      const error = AddOnService.validateAddOnData({ ...addOn, ...updateData });
+      
+      if (error) {
+        throw new AppError(error, 400);
+      }
+      
+      if (updateData.name !== undefined) {
+        updateData.name = updateData.name.trim();
+      }
+      
+      if (updateData.description !== undefined) {
+        updateData.description = (updateData.description || '').trim();
+      }
+      
+      if (updateData.price !== undefined) {
+        updateData.price = Number(updateData.price);
+      }
+      
+      updateData.updatedAt = new Date().toISOString();
+      
+      await FirebaseService.updateDocument(ADD_ON_COLLECTION, addOnId, updateData);
+      
+      return { ...addOn, ...updateData };
+    } catch (error) {
+      console.error('Error updating add-on:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove an add-on from a listing (vendor action). Bookings keep their
+   * line items.
+   * @param {string} listingId - Listing ID
+   * @param {string} addOnId - Add-on ID
+   * @param {string} vendorId - Vendor's user ID (for authorization)
+   * @returns {Promise<void>}
+   */
+  static async deleteAddOn(listingId, addOnId, vendorId) {
+    try {
+      await AddOnService.getOwnedListing(listingId, vendorId);
+      await AddOnService.getAddOn(listingId, addOnId);
+      
+      await FirebaseService.deleteDocument(ADD_ON_COLLECTION, addOnId);
+    } catch (error) {
+      console.error('Error deleting add-on:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Turn a customer's add-on picks into priced line items. Prices come from
+   * the add-on documents, never from the request.
+   * @param {Object} tx - Transaction handle (see FirebaseService.runTransaction)
+   * @param {string} listingId - Listing being booked
+   * @param {Array} [selections] - [{ serviceId, quantity }]
+   * @returns {Promise<Array>} Add-on line items
+   */
+  static async resolveAddOnLineItems(tx, listingId, selections) {
+    if (selections === undefined || selections === null) {
+      return [];
+    }
+    
+    if (!Array.isArray(selections) || selections.length > MAX_ADD_ONS_PER_LISTING) {
+      throw new AppError('addOns must be a list of { serviceId, quantity }', 400);
+    }
+    
+    const seen = new Set();
+    const lineItems = [];
+    
+    for (const selection of selections) {
+      const serviceId = selection && selection.serviceId;
+      const quantity = selection && selection.quantity !== undefined ? selection.quantity : 1;
+      
+      if (typeof serviceId !== 'string' || !serviceId) {
+        throw new AppError('Each add-on needs a serviceId', 400);
+      }
+      
+      if (seen.has(serviceId)) {
+        throw new AppError('Each add-on can only be picked once; set its quantity instead', 400);
+      }
+      
+      seen.add(serviceId);
+      
+      const addOn = await tx.get(ADD_ON_COLLECTION, serviceId);
+      
+      if (!addOn || addOn.listingId !== listingId || addOn.isActive === false) {
+        throw new AppError(`Add-on ${serviceId} is not available for this listing`, 400);
+      }
+      
+      const maxQuantity = addOn.maxQuantity || DEFAULT_MAX_QUANTITY;
+      
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+        throw new AppError(`Quantity for ${addOn.name} must be a whole number from 1 to ${maxQuantity}`, 400);
+      }
+      
+      lineItems.push(createLineItem(LINE_ITEM_TYPE.ADD_ON, addOn.name, addOn.price, quantity, { serviceId }));
+    }
+    
+    return lineItems;
+  }
+  
+  /**
+   * Validate add-on fields
+   * @param {Object} data - { name, description, price, isActive, maxQuantity }
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateAddOnData(data) {
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH) {
+      return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    
+    if (data.description !== undefined && data.description !== null &&
+        (typeof data.description !== 'string' || data.description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    
+    const price = Number(data.price);
+    
+    if (data.price === undefined || data.price === null || data.price === '' || !Number.isFinite(price) || price < 0) {
+      return 'price must be a number of 0 or more';
+    }
+    
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+      return 'isActive must be true or false';
+    }
+    
+    if (data.maxQuantity !== undefined && data.maxQuantity !== null &&
+        (!Number.isInteger(data.maxQuantity) || data.maxQuantity < 1 || data.maxQuantity > MAX_QUANTITY_LIMIT)) {
+      return `maxQuantity must be a whole number from 1 to ${MAX_QUANTITY_LIMIT}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get a listing, checking the vendor owns it
+   * @param {string} listingId - Listing ID
+   * @param {string} vendorId - Vendor's user ID
+   * @returns {Promise<Object>} Listing
+   */
+  static async getOwnedListing(listingId, vendorId) {
+    const listing = await FirebaseService.getDocument('listings', listingId);
+    
+    if (!listing) {
+      throw new AppError('Listing not found', 404);
+    }
+    
+    if (listing.vendorId !== vendorId) {
+      throw new AppError('Unauthorized', 403);
+    }
+    
+    return listing;
+  }
+  
+  /**
+   * Get one of a listing's add-ons
+   * @param {string} listingId - Listing ID
+   * @param {string} addOnId - Add-on ID
+   * @returns {Promise<Object>} Add-on
+   */
+  static async getAddOn(listingId, addOnId) {
+    const addOn = await FirebaseService.getDocument(ADD_ON_COLLECTION, addOnId);
+    
+    if (!addOn || addOn.listingId !== listingId) {
+      throw new AppError('Add-on not found', 404);
+    }
+    
+    return addOn;
+  }
+}
+
+module.exports = AddOnService;
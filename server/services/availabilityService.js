@@ -0,0 +1,335 @@
+const FirebaseService = require('./firebaseService');
+const { AppError } = require('../utils/errorHandler');
+const {
+  DEFAULT_TIMEZONE,
+  formatDateKey,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('../utils/dateutils');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Rules applied when neither the listing nor the vendor sets them.
+ * weeklyHours: null means the listing is open around the clock.
+ * Hours and dates are wall-clock values in the listing's time zone.
+ */
+const DEFAULT_RULES = {
+  weeklyHours: null,
+  exceptions: [],
+  blackouts: [],
+  minNoticeMinutes: 0,
+  maxAdvanceDays: null,
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 0,
+  slotDurationMinutes: 60
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert an 'HH:MM' string to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validate a list of { start: 'HH:MM', end: 'HH:MM' } intervals
+ * @param {Array} intervals - Opening intervals
+ * @param {string} label - Name used in error messages
+ * @returns {string|null} Error message or null if valid
+ */
+const validateIntervals = (intervals, label) => {
+  if (!Array.isArray(intervals)) {
+    return `${label} must be an array of { start, end } times`;
+  }
+  
+  for (const interval of intervals) {
+    if (!interval || !TIME_PATTERN.test(interval.start) || !TIME_PATTERN.test(interval.end)) {
+      return `${label} times must use HH:MM format`;
+    }
+    
+    if (toMinutes(interval.start) >= toMinutes(interval.end)) {
+      return `${label} intervals must end after they start`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Service for vendor availability rules (opening hours, blackout dates,
+ * notice and advance windows, buffers) and free-slot calculation
+ */
+class AvailabilityService {
+  /**
+   * Merge the vendor's default rules with the listing's own rules
+   * @param {Object} listing - Listing document
+   * @param {Object} [vendor] - Vendor user document
+   * @returns {Object} Effective availability rules, including the time zone they apply in
+   *   and the listing's capacity
+   */
+  static resolveRules(listing, vendor = null) {
+    return {
+      ...DEFAULT_RULES,
+      ...((vendor && vendor.availability) || {}),
+      ...((listing && listing.availability) || {}),
+      timezone: AvailabilityService.resolveTimeZone(listing, vendor),
+      capacity: AvailabilityService.resolveCapacity(listing)
+    };
+  }
+  
+  /**
+   * Get how many seats a listing has at a time (1 for exclusive resources)
+   * @param {Object} listing - Listing document
+   * @returns {number} Capacity
+   */
+  static resolveCapacity(listing) {
+    return listing && Number.isInteger(listing.capacity) && listing.capacity > 1 ? listing.capacity : 1;
+  }
+  
+  /**
+   * Get the IANA time zone a listing operates in
+   * (the listing's own zone, then the vendor's, then the server default)
+   * @param {Object} listing - Listing document
+   * @param {Object} [vendor] - Vendor user document
+   * @returns {string} IANA time zone
+   */
+  static resolveTimeZone(listing, vendor = null) {
+    return (listing && listing.timezone) || (vendor && vendor.timezone) || DEFAULT_TIMEZONE;
+  }
+  
+  /**
+   * Load a listing and its vendor and resolve the effective rules
+   * @param {string} listingId - Listing ID
+   * @param {Object} [tx] - Optional transaction handle to read through
+   * @returns {Promise<Object>} { listing, rules }
+   */
+  static async loadListingRules(listingId, tx = null) {
+    const reader = tx || { get: (collection, id) => FirebaseService.getDocument(collection, id) };
+    const listing = await reader.get('listings', listingId);
+    
+    if (!listing) {
+      throw new AppError('Listing not found', 404);
+    }
+    
+    const vendor = listing.vendorId ? await reader.get('users', listing.vendorId) : null;
+    
+    return {
+      listing,
+      rules: AvailabilityService.resolveRules(listing, vendor)
+    };
+  }
+  
+  /**
+   * Validate an availability rules object supplied by a vendor
+   * @param {Object} rules - Availability rules
+   * @returns {string|null} Error message or null if valid
+   */
+  static validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'Availability must be an object';
+    }
+    
+    if (rules.weeklyHours !== undefined && rules.weeklyHours !== null) {
+      if (typeof rules.weeklyHours !== 'object') {
+        return 'weeklyHours must map days of the week to opening intervals';
+      }
+      
+      for (const [day, intervals] of Object.entries(rules.weeklyHours)) {
+        if (!DAYS_OF_WEEK.includes(day)) {
+          return `Unknown day in weeklyHours: ${day}`;
+        }
+        
+        const error = validateIntervals(intervals, `weeklyHours.${day}`);
+        if (error) return error;
+      }
+    }
+    
+    if (rules.exceptions !== undefined) {
+      if (!Array.isArray(rules.exceptions)) {
+        return 'exceptions must be an array';
+      }
+      
+      for (const exception of rules.exceptions) {
+        if (!exception || !DATE_PATTERN.test(exception.date)) {
+          return 'Each exception needs a date in YYYY-MM-DD format';
+        }
+        
+        const error = validateIntervals(exception.hours || [], `exceptions ${exception.date}`);
+        if (error) return error;
+      }
+    }
+    
+    if (rules.blackouts !== undefined) {
+      if (!Array.isArray(rules.blackouts)) {
+        return 'blackouts must be an array';
+      }
+      
+      for (const blackout of rules.blackouts) {
+        if (!blackout || !DATE_PATTERN.test(blackout.startDate) || !DATE_PATTERN.test(blackout.endDate)) {
+          return 'Each blackout needs startDate and endDate in YYYY-MM-DD format';
+        }
+        
+        if (blackout.startDate > blackout.endDate) {
+          return 'Blackout endDate must not be before startDate';
+        }
+      }
+    }
+    
+    const numericFields = [
+      'minNoticeMinutes', 'maxAdvanceDays', 'bufferBeforeMinutes',
+      'bufferAfterMinutes', 'slotDurationMinutes'
+    ];
+    
+    for (const field of numericFields) {
+      const value = rules[field];
+      
+      if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+    
+    if (rules.slotDurationMinutes === 0) {
+      return 'slotDurationMinutes must be greater than zero';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the opening intervals for the calendar day containing a date
+   * @param {Object} rules - Effective availability rules
+   * @param {Date} date - Any time on the day
+   * @returns {Array} Array of { start: Date, end: Date }
+   */
+  static getOpeningIntervals(rules, date) {
+    const timeZone = rules.timezone || DEFAULT_TIMEZONE;
+    const { year, month, day, weekday } = getZonedParts(new Date(date), timeZone);
+    const dateKey = formatDateKey(new Date(date), timeZone);
+    
+    // Blackout dates close the whole day
+    const blackedOut = rules.blackouts.some(
+      blackout => dateKey >= blackout.startDate && dateKey <= blackout.endDate
+    );
+    
+    if (blackedOut) {
+      return [];
+    }
+    
+    // A per-date exception replaces the weekly hours for that day
+    const exception = rules.exceptions.find(item => item.date === dateKey);
+    let intervals;
+    
+    if (exception) {
+      intervals = exception.hours || [];
+    } else if (rules.weeklyHours) {
+      intervals = rules.weeklyHours[DAYS_OF_WEEK[weekday]] || [];
+    } else {
+      intervals = [{ start: '00:00', end: '24:00' }];
+    }
+    
+    // Build each boundary from the wall-clock time so DST days keep their hours
+    return intervals.map(interval => ({
+      start: zonedTimeToUtc({ year, month, day, minute: toMinutes(interval.start) }, timeZone),
+      end: zonedTimeToUtc({ year, month, day, minute: toMinutes(interval.end) }, timeZone)
+    }));
+  }
+  
+  /**
+   * Check a proposed booking window against the rules (not other bookings)
+   * @param {Object} rules - Effective availability rules
+   * @param {string|Date} startTime - Start time
+   * @param {string|Date} endTime - End time
+   * @param {Date} [now] - Current time
+   * @returns {string|null} Reason the window is not allowed, or null
+   */
+  static checkRules(rules, startTime, endTime, now = new Date()) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    
+    if (start.getTime() < now.getTime() + (rules.minNoticeMinutes || 0) * MINUTE_MS) {
+      return rules.minNoticeMinutes
+        ? `Bookings require at least ${rules.minNoticeMinutes} minutes notice`
+        : 'Cannot book a time in the past';
+    }
+    
+    if (rules.maxAdvanceDays !== null && rules.maxAdvanceDays !== undefined &&
+        start.getTime() > now.getTime() + rules.maxAdvanceDays * DAY_MS) {
+      return `Bookings can be made at most ${rules.maxAdvanceDays} days in advance`;
+    }
+    
+    if (!AvailabilityService.isOpenThroughout(rules, start, end)) {
+      return 'The requested time is outside the listing\'s available hours';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check the listing is open for the whole of a window. A window may run
+   * through back-to-back opening intervals, so a booking can carry on past
+   * midnight into the next day's hours (e.g. a two-day booking of a listing
+   * open around the clock).
+   * @param {Object} rules - Effective availability rules
+   * @param {Date} start - Start of the window
+   * @param {Date} end - End of the window
+   * @returns {boolean} True if the listing is open throughout
+   */
+  static isOpenThroughout(rules, start, end) {
+    let interval = AvailabilityService.getOpeningIntervals(rules, start).find(
+      candidate => start >= candidate.start && start < candidate.end
+    );
+    
+    while (interval) {
+      if (end <= interval.end) {
+        return true;
+      }
+      
+      const reached = interval.end.getTime();
+      
+      // The interval starting where this one ends; on the next day if this one runs to midnight
+      interval = AvailabilityService.getOpeningIntervals(rules, interval.end).find(
+        candidate => candidate.start.getTime() === reached
+      );
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Throw a 400 if a proposed booking window breaks the rules
+   * @param {Object} rules - Effective availability rules
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   */
+  static assertWithinRules(rules, startTime, endTime) {
+    const reason = AvailabilityService.checkRules(rules, startTime, endTime);
+    
+    if (reason) {
+      throw new AppError(reason, 400);
+    }
+  }
+  
+  /**
+   * Buffers around each booking, in milliseconds
+   * @param {Object} rules - Effective availability rules
+   * @returns {Object} { before, after }
+   */
+  static getBuffers(rules) {
+    return {
+      before: (rules.bufferBeforeMinutes || 0) * MINUTE_MS,
+      after: (rules.bufferAfterMinutes || 0) * MINUTE_MS
+    };
+  }
+}
+
+module.exports = AvailabilityService;
@@ -1,223 +1,1965 @@
-const { db } = require('../config/firebase');
 const FirebaseService = require('./firebaseService');
+const AvailabilityService = require('./availabilityService');
+const CalendarImportService = require('./calendarImportService');
+const StripeService = require('./stripeService');
+const AddOnService = require('./addOnService');
+const PromoCodeService = require('./promoCodeService');
+const { AppError } = require('../utils/errorHandler');
+const {
+  addDays,
+  startOfDay,
+  formatDateKey,
+  daysBetween,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('../utils/dateutils');
+const { validateRecurrenceRule, expandRecurrence } = require('../utils/recurrence');
+const { resolveCancellationPolicy, calculateRefund } = require('../utils/cancellationPolicy');
+const { LINE_ITEM_TYPE, toCents, sumLineItems, adjustLineItems } = require('../utils/lineItems');
+const { quoteBasePrice } = require('../utils/pricing');
+const {
+  buildPaymentSchedule,
+  rebalancePaymentSchedule,
+  getPaidCents,
+  getRefundedCents,
+  getOpenPaymentIntentIds
+} = require('../utils/paymentSchedule');
+const {
+  BOOKING_STATUS,
+  ACTOR_ROLE,
+  TRANSITIONS,
+  BLOCKING_STATUSES,
+  REQUIRES_STARTED,
+  isValidStatus,
+  canTransition
+} = require('../utils/bookingStatus');
+const {
+  PAYMENT_STATUS,
+  UNPAID_PAYMENT_STATUSES,
+  SECURED_PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES
+} = require('../utils/paymentStatus');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Conflict with time imported from the vendor's external calendars. The
+// event itself is never returned, since it may be private to the vendor.
+const BUSY_TIME_MESSAGE = "The requested time overlaps the vendor's unavailable time";
+
+// How long an unpaid customer booking holds its slot when the listing doesn't
+// set holdMinutes. A listing can set 0 to hold until the vendor responds.
+const DEFAULT_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 15);
+const MAX_HOLD_MINUTES = 7 * 24 * 60;
+
+// How long a vendor's refund claims a booking before another request may
+// retry it (a claim is normally settled within the request)
+const REFUND_CLAIM_MINUTES = 5;
+
+// Statuses that free up an unpaid booking's promo code redemption
+const RELEASES_PROMOTION = [
+  BOOKING_STATUS.CANCELLED,
+  BOOKING_STATUS.DECLINED,
+  BOOKING_STATUS.EXPIRED
+];
+
+// Longest range the free-slot endpoint will expand in one request
+const MAX_SLOT_RANGE_DAYS = 62;
+
+// Per-listing lock documents; every booking write on a listing touches its
+// lock so concurrent transactions on the same listing conflict and retry
+const LOCK_COLLECTION = 'booking_locks';
+
+// Waitlist entries; an open slot offer holds its slot until claimed or lapsed
+const WAITLIST_COLLECTION = 'waitlist_entries';
+
+// Recurring booking series; each occurrence is a booking with a seriesId
+const SERIES_COLLECTION = 'booking_series';
+
+const SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+// Which occurrences a series edit applies to
+const SERIES_EDIT_SCOPES = ['this', 'following', 'all'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Largest capacity a listing can declare
+const MAX_CAPACITY = 1000;
+
+/**
+ * Seats a booking takes (older bookings have no partySize and take one)
+ * @param {Object} booking - Booking, or a waitlist hold
+ * @returns {number} Party size
+ */
+const getPartySize = (booking) =>
+  (Number.isInteger(booking.partySize) && booking.partySize > 0 ? booking.partySize : 1);
+
+/**
+ * Measure the move between two instants as calendar days plus a change in
+ * wall-clock time of day, so it can be replayed on other dates across DST
+ * @param {string|Date} from - Original time
+ * @param {string|Date} to - New time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { days, milliseconds }
+ */
+const getWallClockShift = (from, to, timeZone) => {
+  const fromParts = getZonedParts(from, timeZone);
+  const toParts = getZonedParts(to, timeZone);
+  const timeOfDay = parts =>
+    ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + parts.millisecond;
+  const direction = new Date(to) < new Date(from) ? -1 : 1;
+  
+  return {
+    days: direction * daysBetween(from, to, timeZone),
+    milliseconds: timeOfDay(toParts) - timeOfDay(fromParts)
+  };
+};
+
+/**
+ * Apply a shift from getWallClockShift to a time
+ * @param {string|Date} date - Time to move
+ * @param {Object} shift - { days, milliseconds }
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Moved time (ISO string)
+ */
+const applyWallClockShift = (date, shift, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  
+  return zonedTimeToUtc({
+    ...parts,
+    day: parts.day + shift.days,
+    millisecond: parts.millisecond + shift.milliseconds
+  }, timeZone).toISOString();
+};
 
 /**
  * Service for booking operations
  */
 class BookingService {
   /**
-   * Create a new booking
-   * @param {Object} bookingData - Booking data
-   * @returns {Promise<Object>} Created booking
+   * Create a new booking
+   * The listing check, availability rules, overlap check and write run in one
+   * transaction so two customers cannot take the same slot concurrently.
+   * The price is worked out here from the listing, the add-ons picked and
+   * any promo code, and stored as line items alongside totalAmount. When the
+   * listing asks for a deposit, the booking gets a payment schedule.
+   * @param {Object} bookingData - Booking data
+   * @param {Array} [bookingData.addOns] - Add-ons picked ([{ serviceId, quantity }])
+   * @param {string} [bookingData.promoCode] - Promo code the customer entered
+   * @param {string} [bookingData.waitlistEntryId] - Waitlist offer being claimed; it is
+   *   checked and marked claimed in the same transaction, so it can only be claimed once
+   * @returns {Promise<Object>} Created booking
+   */
+  static async createBooking(bookingData) {
+    try {
+      BookingService.validateTimeRange(bookingData.startTime, bookingData.endTime);
+      
+      return await FirebaseService.runTransaction(async (tx) => {
+        const waitlistEntry = bookingData.waitlistEntryId
+          ? await BookingService.getClaimableWaitlistEntry(tx, bookingData.waitlistEntryId, bookingData.userId)
+          : null;
+        
+        // Load the listing (404 if missing) and its availability rules
+        const { listing, rules } = await AvailabilityService.loadListingRules(bookingData.listingId, tx);
+        
+        // Check if the listing is active
+        if (listing.status !== 'active') {
+          throw new AppError('Listing is not active', 400);
+        }
+        
+        const partySize = BookingService.resolvePartySize(bookingData.partySize, rules.capacity);
+        const { addOns, promoCode, ...bookingFields } = bookingData;
+        const addOnLineItems = await AddOnService.resolveAddOnLineItems(tx, bookingData.listingId, addOns);
+        
+        // Check opening hours, blackouts, notice and advance windows
+        AvailabilityService.assertWithinRules(rules, bookingData.startTime, bookingData.endTime);
+        
+        // Check if the requested time slot is available (a claimed waitlist
+        // offer doesn't count against its own slot)
+        await BookingService.assertSlotAvailable(
+          tx,
+          bookingData.listingId,
+          bookingData.startTime,
+          bookingData.endTime,
+          bookingData.waitlistEntryId || null,
+          rules,
+          partySize
+        );
+        await BookingService.assertVendorNotBusy(
+          tx, listing.vendorId, bookingData.startTime, bookingData.endTime, rules
+        );
+        
+        // Create the booking (every booking starts its lifecycle as pending)
+        const createdAt = new Date();
+        const now = createdAt.toISOString();
+        let lineItems = BookingService.buildLineItems(listing, rules, { ...bookingData, partySize }, addOnLineItems);
+        const applied = promoCode
+          ? await PromoCodeService.applyPromoCode(tx, {
+            code: promoCode, listing, userId: bookingData.userId, lineItems, now: createdAt
+          })
+          : null;
+        
+        if (applied) {
+          lineItems = [...lineItems, applied.lineItem];
+        }
+        
+        const totalAmount = sumLineItems(lineItems);
+        const paymentSchedule = buildPaymentSchedule(listing.deposit, totalAmount, bookingData.startTime, createdAt);
+        const newBooking = {
+          ...bookingFields,
+          vendorId: listing.vendorId,
+          partySize,
+          lineItems,
+          totalAmount,
+          promotion: applied ? applied.promotion : null,
+          // The deposit settings agreed at booking time, like the cancellation policy
+          depositPolicy: paymentSchedule ? listing.deposit : null,
+          paymentSchedule,
+          // Unpaid bookings release their slot when the hold runs out
+          holdExpiresAt: BookingService.getHoldExpiresAt(listing, totalAmount, createdAt),
+          timezone: rules.timezone,
+          customerTimezone: bookingData.customerTimezone || null,
+          // The policy agreed at booking time applies even if the listing's changes later
+          cancellationPolicy: resolveCancellationPolicy(listing.cancellationPolicy),
+          status: BOOKING_STATUS.PENDING,
+          statusHistory: [
+            BookingService.buildStatusHistoryEntry(
+              null, BOOKING_STATUS.PENDING, bookingData.userId, ACTOR_ROLE.CUSTOMER, '', now
+            )
+          ],
+          paymentStatus: PAYMENT_STATUS.PENDING,
+          createdAt: now
+        };
+        
+        BookingService.touchListingLock(tx, bookingData.listingId);
+        const booking = tx.create('bookings', newBooking);
+        
+        if (applied) {
+          PromoCodeService.redeemPromoCode(tx, applied.promoCode, booking, -applied.lineItem.amount);
+        }
+        
+        if (waitlistEntry) {
+          tx.update(WAITLIST_COLLECTION, bookingData.waitlistEntryId, {
+            status: 'claimed',
+            bookingId: booking.id,
+            claimedAt: now,
+            updatedAt: now
+          });
+        }
+        
+        return booking;
+      });
+    } catch (error) {
+      console.error('Error creating booking:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check if a time slot is available
+   * @param {string} listingId - Listing ID
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {string} [excludeBookingId] - Booking to ignore (when moving it)
+   * @param {number} [partySize=1] - Seats wanted
+   * @returns {Promise<boolean>} Availability status
+   */
+  static async checkAvailability(listingId, startTime, endTime, excludeBookingId = null, partySize = 1) {
+    const { available } = await BookingService.getSlotAvailability(listingId, startTime, endTime, {
+      excludeBookingId,
+      partySize
+    });
+    
+    return available;
+  }
+  
+  /**
+   * Check a time slot and count the seats left in it
+   * @param {string} listingId - Listing ID
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {Object} [options] - Check options
+   * @param {string} [options.excludeBookingId] - Booking to ignore (when moving it)
+   * @param {number} [options.partySize=1] - Seats wanted
+   * @returns {Promise<Object>} { available, capacity, remainingSeats }
+   */
+  static async getSlotAvailability(listingId, startTime, endTime, options = {}) {
+    try {
+      const { excludeBookingId = null, partySize = 1 } = options;
+      
+      BookingService.validateTimeRange(startTime, endTime);
+      
+      // Check opening hours, blackouts, notice and advance windows
+      const { listing, rules } = await AvailabilityService.loadListingRules(listingId);
+      
+      if (AvailabilityService.checkRules(rules, startTime, endTime)) {
+        return { available: false, capacity: rules.capacity, remainingSeats: 0 };
+      }
+      
+      // Count the seats held by overlapping bookings and check imported busy
+      // time (including buffer time)
+      const buffers = AvailabilityService.getBuffers(rules);
+      const [bookings, busyBlocks] = await Promise.all([
+        BookingService.getBlockingBookings(listingId),
+        BookingService.getBusyBlocks(listing.vendorId, startTime, endTime, buffers)
+      ]);
+      const remainingSeats = BookingService.findOverlappingBooking(busyBlocks, startTime, endTime, null, buffers)
+        ? 0
+        : rules.capacity - BookingService.getSeatsTaken(bookings, startTime, endTime, excludeBookingId, buffers);
+      
+      return {
+        available: remainingSeats >= partySize,
+        capacity: rules.capacity,
+        remainingSeats: Math.max(0, remainingSeats)
+      };
+    } catch (error) {
+      console.error('Error checking availability:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the bookings on a listing that occupy their time slot, along with
+   * open waitlist offers
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array>} Bookings and waitlist holds
+   */
+  static async getBlockingBookings(listingId) {
+    const [bookings, holds] = await Promise.all([
+      FirebaseService.queryDocuments('bookings', [
+        ['listingId', '==', listingId],
+        ['status', 'in', BLOCKING_STATUSES]
+      ]),
+      BookingService.getWaitlistHolds(listingId)
+    ]);
+    
+    return [...bookings, ...holds];
+  }
+  
+  /**
+   * Read a waitlist offer being claimed, as part of the booking transaction
+   * @param {Object} tx - Transaction handle from FirebaseService.runTransaction
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} userId - User claiming (must be the waitlisted customer)
+   * @returns {Promise<Object>} Waitlist entry
+   * @throws {AppError} 404, 403, or 409 if the offer isn't open any more
+   */
+  static async getClaimableWaitlistEntry(tx, entryId, userId) {
+    const entry = await tx.get(WAITLIST_COLLECTION, entryId);
+    
+    if (!entry) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+    
+    if (entry.userId !== userId) {
+      throw new AppError('This offer belongs to another customer', 403);
+    }
+    
+    if (entry.status !== 'offered') {
+      throw new AppError(`This offer is ${entry.status}`, 409);
+    }
+    
+    if (new Date(entry.offerExpiresAt) <= new Date()) {
+      throw new AppError('This offer has expired', 409);
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Get the slots held by open waitlist offers on a listing, shaped like
+   * bookings so they can be checked with findOverlappingBooking
+   * @param {string} listingId - Listing ID
+   * @param {Object} [tx] - Transaction handle from FirebaseService.runTransaction
+   * @returns {Promise<Array>} { id (waitlist entry ID), startTime, endTime, partySize, waitlistOffer }
+   */
+  static async getWaitlistHolds(listingId, tx = null) {
+    const conditions = [
+      ['listingId', '==', listingId],
+      ['status', '==', 'offered']
+    ];
+    const entries = tx
+      ? await tx.query(WAITLIST_COLLECTION, conditions)
+      : await FirebaseService.queryDocuments(WAITLIST_COLLECTION, conditions);
+    const now = new Date();
+    
+    // Lapsed offers stop holding the slot even before the scheduler closes them
+    return entries
+      .filter(entry => new Date(entry.offerExpiresAt) > now)
+      .map(entry => ({
+        id: entry.id,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        partySize: getPartySize(entry),
+        waitlistOffer: true
+      }));
+  }
+  
+  /**
+   * List bookable slots for a listing between two dates
+   * @param {string} listingId - Listing ID
+   * @param {string} from - Range start (ISO string)
+   * @param {string} to - Range end (ISO string)
+   * @param {number} [durationMinutes] - Slot length (defaults to the listing's slotDurationMinutes)
+   * @param {number} [partySize=1] - Seats wanted; slots with fewer seats left are left out
+   * @returns {Promise<Object>} { listingId, from, to, durationMinutes, capacity, slots }
+   */
+  static async getFreeSlots(listingId, from, to, durationMinutes = null, partySize = 1) {
+    try {
+      const rangeStart = new Date(from);
+      const rangeEnd = new Date(to);
+      
+      if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+        throw new AppError('Invalid date format', 400);
+      }
+      
+      if (rangeStart >= rangeEnd) {
+        throw new AppError('to must be after from', 400);
+      }
+      
+      if (rangeEnd - rangeStart > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+        throw new AppError(`Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`, 400);
+      }
+      
+      const { listing, rules } = await AvailabilityService.loadListingRules(listingId);
+      const duration = durationMinutes || rules.slotDurationMinutes;
+      const durationMs = duration * MINUTE_MS;
+      const buffers = AvailabilityService.getBuffers(rules);
+      const [bookings, busyBlocks] = await Promise.all([
+        BookingService.getBlockingBookings(listingId),
+        BookingService.getBusyBlocks(listing.vendorId, rangeStart, rangeEnd, buffers)
+      ]);
+      const now = new Date();
+      
+      const slots = [];
+      
+      // Walk the calendar days in the listing's time zone
+      for (
+        let day = startOfDay(rangeStart, rules.timezone);
+        day < rangeEnd;
+        day = addDays(day, 1, rules.timezone)
+      ) {
+        AvailabilityService.getOpeningIntervals(rules, day).forEach(interval => {
+          for (
+            let slotStart = interval.start.getTime();
+            slotStart + durationMs <= interval.end.getTime();
+            slotStart += durationMs
+          ) {
+            const slotEnd = slotStart + durationMs;
+            
+            if (slotStart < rangeStart.getTime() || slotEnd > rangeEnd.getTime()) {
+              continue;
+            }
+            
+            const startTime = new Date(slotStart).toISOString();
+            const endTime = new Date(slotEnd).toISOString();
+            
+            if (AvailabilityService.checkRules(rules, startTime, endTime, now)) {
+              continue;
+            }
+            
+            if (BookingService.findOverlappingBooking(busyBlocks, startTime, endTime, null, buffers)) {
+              continue;
+            }
+            
+            const remainingSeats = rules.capacity -
+              BookingService.getSeatsTaken(bookings, startTime, endTime, null, buffers);
+            
+            if (remainingSeats >= partySize) {
+              slots.push({ startTime, endTime, remainingSeats });
+            }
+          }
+        });
+      }
+      
+      return {
+        listingId,
+        timezone: rules.timezone,
+        from: rangeStart.toISOString(),
+        to: rangeEnd.toISOString(),
+        durationMinutes: duration,
+        capacity: rules.capacity,
+        slots
+      };
+    } catch (error) {
+      console.error('Error getting free slots:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate that a time range is well formed
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   */
+  static validateTimeRange(startTime, endTime) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new AppError('Invalid date format', 400);
+    }
+    
+    if (start >= end) {
+      throw new AppError('End time must be after start time', 400);
+    }
+  }
+  
+  /**
+   * Find the first booking that overlaps a time range.
+   * Every booking occupies its window plus the buffer before and after it,
+   * and occupied windows may not overlap.
+   * @param {Array} bookings - Bookings to check against
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {string} [excludeBookingId] - Booking to ignore (when rescheduling it)
+   * @param {Object} [buffers] - { before, after } in milliseconds
+   * @returns {Object|null} Overlapping booking or null
+   */
+  static findOverlappingBooking(bookings, startTime, endTime, excludeBookingId = null, buffers = {}) {
+    const before = buffers.before || 0;
+    const after = buffers.after || 0;
+    const start = new Date(startTime).getTime() - before;
+    const end = new Date(endTime).getTime() + after;
+    
+    return bookings.find(booking => {
+      if (booking.id === excludeBookingId) {
+        return false;
+      }
+      
+      const bookingStart = new Date(booking.startTime).getTime() - before;
+      const bookingEnd = new Date(booking.endTime).getTime() + after;
+      
+      return start < bookingEnd && end > bookingStart;
+    }) || null;
+  }
+  
+  /**
+   * Count the seats taken at the busiest moment of a time range. Bookings
+   * occupy their window plus the buffers, as in findOverlappingBooking.
+   * @param {Array} bookings - Bookings to count
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {string} [excludeBookingId] - Booking to ignore (when rescheduling it)
+   * @param {Object} [buffers] - { before, after } in milliseconds
+   * @returns {number} Most seats taken at any one time
+   */
+  static getSeatsTaken(bookings, startTime, endTime, excludeBookingId = null, buffers = {}) {
+    const before = buffers.before || 0;
+    const after = buffers.after || 0;
+    const start = new Date(startTime).getTime() - before;
+    const end = new Date(endTime).getTime() + after;
+    const windows = bookings
+      .filter(booking => booking.id !== excludeBookingId)
+      .map(booking => ({
+        start: new Date(booking.startTime).getTime() - before,
+        end: new Date(booking.endTime).getTime() + after,
+        seats: getPartySize(booking)
+      }))
+      .filter(window => start < window.end && end > window.start);
+    
+    // The peak is reached where the range or one of the bookings starts
+    return [start, ...windows.map(window => Math.max(window.start, start))]
+      .reduce((peak, point) => Math.max(peak, windows
+        .filter(window => window.start <= point && point < window.end)
+        .reduce((seats, window) => seats + window.seats, 0)), 0);
+  }
+  
+  /**
+   * Find a booking that leaves too few seats for a party. On single-seat
+   * listings this is any overlapping booking.
+   * @param {Array} bookings - Bookings to check against
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {string} [excludeBookingId] - Booking to ignore (when rescheduling it)
+   * @param {Object} [buffers] - { before, after } in milliseconds
+   * @param {Object} [seats] - { capacity, partySize }
+   * @returns {Object|null} Conflicting booking or null
+   */
+  static findSeatConflict(bookings, startTime, endTime, excludeBookingId = null, buffers = {}, seats = {}) {
+    const capacity = seats.capacity || 1;
+    const partySize = seats.partySize || 1;
+    const overlapping = BookingService.findOverlappingBooking(
+      bookings, startTime, endTime, excludeBookingId, buffers
+    );
+    
+    if (capacity <= 1 || !overlapping) {
+      return overlapping;
+    }
+    
+    const seatsTaken = BookingService.getSeatsTaken(bookings, startTime, endTime, excludeBookingId, buffers);
+    
+    return seatsTaken + partySize > capacity ? overlapping : null;
+  }
+  
+  /**
+   * Inside a transaction, throw a 409 if the slot overlaps another booking.
+   * Reads the listing lock first so the check is serialized per listing.
+   * @param {Object} tx - Transaction handle from FirebaseService.runTransaction
+   * @param {string} listingId - Listing ID
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {string} [excludeBookingId] - Booking to ignore (when rescheduling it)
+   * @param {Object} [rules] - Effective availability rules (for buffer time and capacity)
+   * @param {number} [partySize=1] - Seats wanted
+   */
+  static async assertSlotAvailable(tx, listingId, startTime, endTime, excludeBookingId = null, rules = {}, partySize = 1) {
+    const bookings = await BookingService.getLockedBlockingBookings(tx, listingId);
+    const buffers = AvailabilityService.getBuffers(rules);
+    const capacity = rules.capacity || 1;
+    
+    const conflict = BookingService.findSeatConflict(
+      bookings, startTime, endTime, excludeBookingId, buffers, { capacity, partySize }
+    );
+    
+    if (conflict) {
+      const conflictingBooking = {
+        id: conflict.id,
+        startTime: conflict.startTime,
+        endTime: conflict.endTime
+      };
+      
+      if (capacity > 1) {
+        const remainingSeats = Math.max(
+          0, capacity - BookingService.getSeatsTaken(bookings, startTime, endTime, excludeBookingId, buffers)
+        );
+        
+        throw new AppError(`Only ${remainingSeats} of ${capacity} seats are left at the requested time`, 409, {
+          remainingSeats,
+          conflictingBooking
+        });
+      }
+      
+      throw new AppError('The requested time slot is not available', 409, { conflictingBooking });
+    }
+  }
+  
+  /**
+   * Inside a transaction, read the listing lock and the bookings and
+   * waitlist offers that hold slots on the listing, so the caller's checks
+   * are serialized per listing
+   * @param {Object} tx - Transaction handle from FirebaseService.runTransaction
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array>} Bookings and waitlist holds
+   */
+  static async getLockedBlockingBookings(tx, listingId) {
+    await tx.get(LOCK_COLLECTION, listingId);
+    
+    const bookings = await tx.query('bookings', [
+      ['listingId', '==', listingId],
+      ['status', 'in', BLOCKING_STATUSES]
+    ]);
+    const holds = await BookingService.getWaitlistHolds(listingId, tx);
+    
+    return [...bookings, ...holds];
+  }
+  
+  /**
+   * Get a vendor's imported busy blocks that could conflict with a time
+   * range, widened by the buffers so they can be checked with findOverlappingBooking
+   * @param {string} vendorId - Vendor ID
+   * @param {Date|string} startTime - Range start
+   * @param {Date|string} endTime - Range end
+   * @param {Object} [buffers] - { before, after } in milliseconds
+   * @param {Object} [tx] - Transaction handle from FirebaseService.runTransaction
+   * @returns {Promise<Array>} Busy blocks
+   */
+  static async getBusyBlocks(vendorId, startTime, endTime, buffers = {}, tx = null) {
+    const padding = (buffers.before || 0) + (buffers.after || 0);
+    
+    return CalendarImportService.getBusyBlocks(
+      vendorId,
+      new Date(new Date(startTime).getTime() - padding),
+      new Date(new Date(endTime).getTime() + padding),
+      tx
+    );
+  }
+  
+  /**
+   * Inside a transaction, throw a 409 if the slot overlaps time imported
+   * from the vendor's external calendars
+   * @param {Object} tx - Transaction handle from FirebaseService.runTransaction
+   * @param {string} vendorId - Vendor ID
+   * @param {string} startTime - Start time (ISO string)
+   * @param {string} endTime - End time (ISO string)
+   * @param {Object} [rules] - Effective availability rules (for buffer time)
+   */
+  static async assertVendorNotBusy(tx, vendorId, startTime, endTime, rules = {}) {
+    const buffers = AvailabilityService.getBuffers(rules);
+    const busyBlocks = await BookingService.getBusyBlocks(vendorId, startTime, endTime, buffers, tx);
+    const busy = BookingService.findOverlappingBooking(busyBlocks, startTime, endTime, null, buffers);
+    
+    if (busy) {
+      throw new AppError(BUSY_TIME_MESSAGE, 409, {
+        busyBlock: {
+          startTime: busy.startTime,
+          endTime: busy.endTime
+        }
+      });
+    }
+  }
+  
+  /**
+   * Write the listing lock inside a transaction (call after all reads)
+   * @param {Object} tx - Transaction handle from FirebaseService.runTransaction
+   * @param {string} listingId - Listing ID
+   */
+  static touchListingLock(tx, listingId) {
+    tx.set(LOCK_COLLECTION, listingId, {
+      listingId,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Update a booking
+   * Rescheduling re-checks availability and writes in one transaction.
+   * @param {string} bookingId - Booking ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} [options] - Update options
+   * @param {Function} [options.guard] - (booking) => void; may throw to block the update
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async updateBooking(bookingId, updateData, options = {}) {
+    try {
+      if (updateData.status !== undefined || updateData.statusHistory !== undefined) {
+        throw new AppError('Booking status can only be changed through status transitions', 400);
+      }
+      
+      const updatedAt = new Date().toISOString();
+      
+      await FirebaseService.runTransaction(async (tx) => {
+        // Work on a copy: the caller's object is left alone, and a retried
+        // transaction starts again from what was asked for
+        let changes = { ...updateData, updatedAt };
+        
+        // Get the current booking
+        const booking = await tx.get('bookings', bookingId);
+        
+        if (!booking) {
+          throw new AppError('Booking not found', 404);
+        }
+        
+        if (options.guard) {
+          options.guard(booking);
+        }
+        
+        // If updating times or party size, check the new slot is available (excluding this booking)
+        if (changes.startTime || changes.endTime || changes.partySize !== undefined) {
+          if (!BLOCKING_STATUSES.includes(booking.status)) {
+            throw new AppError(`Cannot reschedule a ${booking.status} booking`, 409);
+          }
+          
+          const startTime = changes.startTime || booking.startTime;
+          const endTime = changes.endTime || booking.endTime;
+          
+          BookingService.validateTimeRange(startTime, endTime);
+          
+          const { listing, rules } = await AvailabilityService.loadListingRules(booking.listingId, tx);
+          const partySize = BookingService.resolvePartySize(
+            changes.partySize !== undefined ? changes.partySize : getPartySize(booking),
+            rules.capacity
+          );
+          
+          // Reprice an unpaid booking for its new time and party size unless
+          // the caller set the price
+          if (changes.totalAmount === undefined && changes.lineItems === undefined &&
+              booking.paymentStatus === PAYMENT_STATUS.PENDING) {
+            const lineItems = BookingService.repriceLineItems(listing, rules, booking, { startTime, endTime, partySize });
+            
+            changes = { ...changes, lineItems, totalAmount: sumLineItems(lineItems) };
+          }
+          
+          AvailabilityService.assertWithinRules(rules, startTime, endTime);
+          
+          await BookingService.assertSlotAvailable(
+            tx, booking.listingId, startTime, endTime, bookingId, rules, partySize
+          );
+          await BookingService.assertVendorNotBusy(tx, booking.vendorId, startTime, endTime, rules);
+          BookingService.touchListingLock(tx, booking.listingId);
+        }
+        
+        // A total set by hand is kept itemised as an adjustment
+        if (changes.totalAmount !== undefined && !changes.lineItems && booking.lineItems) {
+          changes = { ...changes, lineItems: adjustLineItems(booking.lineItems, changes.totalAmount) };
+        }
+        
+        // Whatever the customer has paid (less refunds) stays covered by the price
+        if (changes.totalAmount !== undefined) {
+          const paidCents = StripeService.getBookingPayments(booking)
+            .reduce((cents, payment) => cents + payment.amountCents - payment.refundedCents, 0);
+          
+          if (toCents(changes.totalAmount) < paidCents) {
+            throw new AppError('The price cannot be less than the amount already paid', 400);
+          }
+        }
+        
+        // Unpaid instalments follow the new price and start time
+        if (booking.paymentSchedule && (changes.totalAmount !== undefined || changes.startTime)) {
+          changes = { ...changes, paymentSchedule: rebalancePaymentSchedule({ ...booking, ...changes }) };
+        }
+        
+        tx.update('bookings', bookingId, changes);
+      });
+      
+      // Get and return the updated booking
+      return await FirebaseService.getDocument('bookings', bookingId);
+    } catch (error) {
+      console.error('Error updating booking:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel a booking. A paid booking is refunded according to the
+   * cancellation policy it was booked under (in full when the vendor cancels),
+   * and the policy applied is recorded in cancellationRefund. A failed refund
+   * doesn't undo the cancellation; it is recorded for the vendor to retry.
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} cancelReason - Reason for cancellation
+   * @returns {Promise<Object>} Cancelled booking
+   */
+  static async cancelBooking(bookingId, userId, cancelReason = '') {
+    try {
+      const cancelledAt = new Date();
+      const now = cancelledAt.toISOString();
+      const policy = await BookingService.getCancellationPolicy(bookingId);
+      let refundAmount = 0;
+      
+      const booking = await BookingService.transitionStatus(bookingId, BOOKING_STATUS.CANCELLED, { userId }, {
+        reason: cancelReason,
+        guard: (current) => {
+          // Check if the booking is in the past
+          if (new Date(current.startTime) < cancelledAt) {
+            throw new AppError('Cannot cancel past bookings', 400);
+          }
+        },
+        extraData: (current, role) => {
+          const refund = BookingService.calculateCancellationRefund(current, policy, role, cancelledAt);
+          refundAmount = refund.refundAmount;
+          
+          return {
+            cancelReason: cancelReason,
+            cancelledBy: userId,
+            cancelledAt: now,
+            cancellationRefund: {
+              ...refund,
+              status: refundAmount > 0 ? 'pending' : 'not_required'
+            }
+          };
+        }
+      });
+      
+      // A balance (or first payment) still open can no longer be paid
+      for (const paymentIntentId of getOpenPaymentIntentIds(booking)) {
+        try {
+          await StripeService.cancelPaymentIntent(paymentIntentId);
+        } catch (error) {
+          console.error(`Error cancelling payment ${paymentIntentId} of booking ${bookingId}:`, error);
+        }
+      }
+      
+      if (refundAmount === 0) {
+        return booking;
+      }
+      
+      try {
+        await StripeService.refundBooking(booking, {
+          amount: refundAmount,
+          reason: 'requested_by_customer',
+          idempotencyKey: `refund_${bookingId}_cancellation`,
+          extraData: {
+            cancellationRefund: { ...booking.cancellationRefund, status: 'refunded' }
+          }
+        });
+      } catch (error) {
+        console.error(`Error refunding cancelled booking ${bookingId}:`, error);
+        
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          cancellationRefund: {
+            ...booking.cancellationRefund,
+            status: 'failed',
+            error: error.message
+          }
+        });
+      }
+      
+      return await FirebaseService.getDocument('bookings', bookingId);
+    } catch (error) {
+      console.error('Error cancelling booking:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Preview what cancelling a booking now would refund
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - User ID (vendor or customer of the booking)
+   * @returns {Promise<Object>} Refund details (see calculateCancellationRefund)
+   */
+  static async getCancellationQuote(bookingId, userId) {
+    try {
+      const booking = await FirebaseService.getDocument('bookings', bookingId);
+      
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      
+      const role = BookingService.getActorRole(booking, userId);
+      
+      if (!canTransition(booking.status, BOOKING_STATUS.CANCELLED, role)) {
+        throw new AppError(`Cannot cancel a ${booking.status} booking`, 409);
+      }
+      
+      const policy = booking.cancellationPolicy || await BookingService.getCancellationPolicy(bookingId);
+      
+      return BookingService.calculateCancellationRefund(booking, policy, role, new Date());
+    } catch (error) {
+      console.error('Error getting cancellation quote:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Refund a booking's payment at its vendor's request (everything not yet
+   * refunded when no amount is given). The refund is first claimed on the
+   * booking in a transaction, so a repeated or concurrent request can't send
+   * Stripe a second refund. Without a key from the client the Stripe
+   * idempotency key is taken from the amount refunded so far, so requests
+   * made against the same booking state share one.
+   * @param {string} bookingId - Booking ID
+   * @param {string} vendorId - Vendor ID (for authorization)
+   * @param {Object} [refundData] - Refund details
+   * @param {number} [refundData.amount] - Amount to refund
+   * @param {string} [refundData.reason] - Stripe refund reason
+   * @param {string} [refundData.idempotencyKey] - Client's key for this refund;
+   *   repeating a finished refund's key returns the booking without refunding again
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async refundPayment(bookingId, vendorId, refundData = {}) {
+    try {
+      const { amount, reason, idempotencyKey } = refundData;
+      const claimedAt = new Date();
+      let claim = null;
+      
+      const booking = await FirebaseService.runTransaction(async (tx) => {
+        claim = null;
+        
+        const current = await tx.get('bookings', bookingId);
+        
+        if (!current) {
+          throw new AppError('Booking not found', 404);
+        }
+        
+        if (current.vendorId !== vendorId) {
+          throw new AppError('Unauthorized', 403);
+        }
+        
+        const key = idempotencyKey
+          ? `refund_${bookingId}_${idempotencyKey}`
+          : `refund_${bookingId}_${getRefundedCents(current)}`;
+        const previous = current.refundClaim;
+        
+        if (idempotencyKey && previous && previous.key === key && previous.status === 'refunded') {
+          return current;
+        }
+        
+        if (previous && previous.status === 'pending' &&
+            claimedAt - new Date(previous.claimedAt) < REFUND_CLAIM_MINUTES * MINUTE_MS) {
+          throw new AppError('A refund of this booking is already in progress', 409);
+        }
+        
+        if (!current.stripePaymentId) {
+          throw new AppError('No payment found for this booking', 400);
+        }
+        
+        // The booking must be paid, at least its deposit (and not refunded in full)
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+          throw new AppError('Cannot refund a booking that is not paid', 400);
+        }
+        
+        claim = { key, status: 'pending', claimedAt: claimedAt.toISOString() };
+        tx.update('bookings', bookingId, { refundClaim: claim });
+        
+        return { ...current, refundClaim: claim };
+      });
+      
+      if (!claim) {
+        return booking;
+      }
+      
+      try {
+        await StripeService.refundBooking(booking, {
+          amount,
+          reason,
+          idempotencyKey: claim.key,
+          extraData: { refundClaim: { ...claim, status: 'refunded' } }
+        });
+      } catch (error) {
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          refundClaim: { ...claim, status: 'failed', error: error.message }
+        });
+        throw error;
+      }
+      
+      return await FirebaseService.getDocument('bookings', bookingId);
+    } catch (error) {
+      console.error('Error refunding booking payment:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the cancellation policy for a booking: the one recorded when it was
+   * booked, or the listing's current policy for older bookings
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} Resolved policy ({ name, tiers })
    */
-  static async createBooking(bookingData) {
+  static async getCancellationPolicy(bookingId) {
+    const booking = await FirebaseService.getDocument('bookings', bookingId);
+    
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+    
+    if (booking.cancellationPolicy) {
+      return booking.cancellationPolicy;
+    }
+    
+    const listing = await FirebaseService.getDocument('listings', booking.listingId);
+    
+    return resolveCancellationPolicy(listing && listing.cancellationPolicy);
+  }
+  
+  /**
+   * Work out the refund for cancelling a booking. Only money actually paid
+   * is refunded, so unpaid bookings always come out at 0.
+   * @param {Object} booking - Booking document
+   * @param {Object} policy - Resolved policy ({ name, tiers })
+   * @param {string} role - Who is cancelling (vendor or customer)
+   * @param {Date} cancelledAt - Cancellation time
+   * @returns {Object} { policy, initiatedBy, hoursBeforeStart, refundPercent, refundAmount, tier }
+   */
+  static calculateCancellationRefund(booking, policy, role, cancelledAt) {
+    const refund = calculateRefund(policy, booking, {
+      byVendor: role === ACTOR_ROLE.VENDOR,
+      cancelledAt
+    });
+    const paid = REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus) && Boolean(booking.stripePaymentId);
+    
+    return {
+      policy,
+      initiatedBy: role,
+      hoursBeforeStart: refund.hoursBeforeStart,
+      refundPercent: refund.refundPercent,
+      refundAmount: paid ? refund.refundAmount : 0,
+      tier: refund.tier
+    };
+  }
+  
+  /**
+   * Create a recurring booking series
+   * The recurrence rule is expanded into occurrences and every occurrence is
+   * checked against the availability rules and existing bookings in one
+   * transaction, so the series is written in full or not at all.
+   * A vendor booking a regular client on their own listing creates confirmed
+   * occurrences; a customer's series starts pending like any other booking.
+   * Occurrences are paid for in full, without a deposit.
+   * @param {Object} bookingData - First occurrence (listingId, startTime, endTime, customer fields,
+   *   notes, partySize, addOns)
+   * @param {Object} recurrence - Recurrence rule (see utils/recurrence)
+   * @param {Object} actor - User creating the series ({ userId, name, email })
+   * @param {Object} [options] - Series options
+   * @param {string} [options.customerId] - Client's user ID when the vendor books for them
+   * @param {boolean} [options.skipConflicts=false] - Leave out unavailable occurrences instead of failing
+   * @returns {Promise<Object>} { series, bookings, skipped }
+   */
+  static async createSeries(bookingData, recurrence, actor, options = {}) {
     try {
-      // Check if the listing exists
-      const listing = await FirebaseService.getDocument('listings', bookingData.listingId);
+      BookingService.validateTimeRange(bookingData.startTime, bookingData.endTime);
       
-      if (!listing) {
-        throw new Error('Listing not found');
+      const ruleError = validateRecurrenceRule(recurrence);
+      
+      if (ruleError) {
+        throw new AppError(ruleError, 400);
       }
       
-      // Check if the listing is active
+      return await FirebaseService.runTransaction(async (tx) => {
+        const { listing, rules } = await AvailabilityService.loadListingRules(bookingData.listingId, tx);
+        
+        if (listing.status !== 'active') {
+          throw new AppError('Listing is not active', 400);
+        }
+        
+        // Repeat on the listing's wall-clock time
+        const occurrences = expandRecurrence(
+          recurrence, bookingData.startTime, bookingData.endTime, rules.timezone
+        );
+        
+        const role = listing.vendorId === actor.userId ? ACTOR_ROLE.VENDOR : ACTOR_ROLE.CUSTOMER;
+        const customer = role === ACTOR_ROLE.VENDOR
+          ? {
+            userId: options.customerId || null,
+            customerName: bookingData.customerName || '',
+            customerEmail: bookingData.customerEmail || ''
+          }
+          : {
+            userId: actor.userId,
+            customerName: bookingData.customerName || actor.name || '',
+            customerEmail: bookingData.customerEmail || actor.email || ''
+          };
+        
+        if (role === ACTOR_ROLE.VENDOR && !customer.customerName) {
+          throw new AppError('customerName is required when booking a series for a client', 400);
+        }
+        
+        const partySize = BookingService.resolvePartySize(bookingData.partySize, rules.capacity);
+        const addOnLineItems = await AddOnService.resolveAddOnLineItems(tx, bookingData.listingId, bookingData.addOns);
+        const existing = await BookingService.getLockedBlockingBookings(tx, bookingData.listingId);
+        const buffers = AvailabilityService.getBuffers(rules);
+        const busyBlocks = occurrences.length > 0
+          ? await BookingService.getBusyBlocks(
+            listing.vendorId,
+            occurrences[0].startTime,
+            occurrences[occurrences.length - 1].endTime,
+            buffers,
+            tx
+          )
+          : [];
+        const now = new Date();
+        const accepted = [];
+        const skipped = [];
+        
+        // Check each occurrence against the rules, existing bookings, the
+        // vendor's busy time and the occurrences accepted before it
+        occurrences.forEach(occurrence => {
+          const reason = AvailabilityService.checkRules(rules, occurrence.startTime, occurrence.endTime, now);
+          const conflict = !reason && BookingService.findSeatConflict(
+            [...existing, ...accepted], occurrence.startTime, occurrence.endTime, null, buffers,
+            { capacity: rules.capacity, partySize }
+          );
+          const busy = !reason && !conflict && BookingService.findOverlappingBooking(
+            busyBlocks, occurrence.startTime, occurrence.endTime, null, buffers
+          );
+          
+          if (reason || conflict || busy) {
+            skipped.push({
+              date: formatDateKey(occurrence.startTime, rules.timezone),
+              startTime: occurrence.startTime,
+              endTime: occurrence.endTime,
+              reason: reason || (busy ? BUSY_TIME_MESSAGE : 'The requested time slot is not available'),
+              conflictingBooking: conflict
+                ? { id: conflict.id, startTime: conflict.startTime, endTime: conflict.endTime }
+                : null,
+              busyBlock: busy ? { startTime: busy.startTime, endTime: busy.endTime } : null
+            });
+          } else {
+            accepted.push({ ...occurrence, partySize });
+          }
+        });
+        
+        if (skipped.length > 0 && (!options.skipConflicts || accepted.length === 0)) {
+          throw new AppError('Some occurrences of the series are not available', 409, { conflicts: skipped });
+        }
+        
+        const createdAt = now.toISOString();
+        const status = role === ACTOR_ROLE.VENDOR ? BOOKING_STATUS.CONFIRMED : BOOKING_STATUS.PENDING;
+        
+        const series = tx.create(SERIES_COLLECTION, {
+          listingId: bookingData.listingId,
+          vendorId: listing.vendorId,
+          ...customer,
+          customerPhone: bookingData.customerPhone || '',
+          notes: bookingData.notes || '',
+          recurrence,
+          timezone: rules.timezone,
+          startTime: bookingData.startTime,
+          endTime: bookingData.endTime,
+          skippedDates: skipped.map(occurrence => occurrence.date),
+          status: SERIES_STATUS.ACTIVE,
+          createdBy: actor.userId,
+          createdAt
+        });
+        
+        // Each occurrence is priced for its own date (weekend and seasonal rates)
+        const priced = accepted.map(occurrence => {
+          const lineItems = BookingService.buildLineItems(listing, rules, occurrence, addOnLineItems);
+          return { occurrence, lineItems, totalAmount: sumLineItems(lineItems) };
+        });
+        
+        // A customer's occurrences are unpaid, so they hold their slots like a
+        // single booking does; a vendor's are confirmed straight away
+        const bookings = priced.map(({ occurrence, lineItems, totalAmount }) => tx.create('bookings', {
+          listingId: bookingData.listingId,
+          vendorId: listing.vendorId,
+          ...customer,
+          customerPhone: bookingData.customerPhone || '',
+          notes: bookingData.notes || '',
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          seriesId: series.id,
+          occurrenceDate: formatDateKey(occurrence.startTime, rules.timezone),
+          timezone: rules.timezone,
+          customerTimezone: bookingData.customerTimezone || null,
+          partySize,
+          lineItems,
+          totalAmount,
+          holdExpiresAt: status === BOOKING_STATUS.PENDING
+            ? BookingService.getHoldExpiresAt(listing, totalAmount, now)
+            : null,
+          cancellationPolicy: resolveCancellationPolicy(listing.cancellationPolicy),
+          status,
+          statusHistory: [
+            BookingService.buildStatusHistoryEntry(null, status, actor.userId, role, '', createdAt)
+          ],
+          paymentStatus: PAYMENT_STATUS.PENDING,
+          createdAt
+        }));
+        
+        BookingService.touchListingLock(tx, bookingData.listingId);
+        return { series, bookings, skipped };
+      });
+    } catch (error) {
+      console.error('Error creating booking series:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate a listing's capacity setting
+   * @param {number} capacity - Seats available at a time
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateCapacity(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+      return `capacity must be a whole number from 1 to ${MAX_CAPACITY}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check a requested party size against a listing's capacity
+   * @param {number} [partySize] - Seats wanted (defaults to 1)
+   * @param {number} capacity - Listing capacity
+   * @returns {number} Party size
+   */
+  static resolvePartySize(partySize, capacity) {
+    if (partySize === undefined || partySize === null) {
+      return 1;
+    }
+    
+    if (!Number.isInteger(partySize) || partySize < 1) {
+      throw new AppError('partySize must be a whole number of 1 or more', 400);
+    }
+    
+    if (partySize > capacity) {
+      throw new AppError(`partySize cannot exceed the listing's capacity of ${capacity}`, 400);
+    }
+    
+    return partySize;
+  }
+  
+  /**
+   * Itemise a booking's price: the base price from the listing's pricing
+   * model (per seat when the listing is priced per seat) followed by any add-ons
+   * @param {Object} listing - Listing document
+   * @param {Object} rules - Effective availability rules (for the time zone)
+   * @param {Object} booking - { startTime, endTime, partySize }
+   * @param {Array} [addOnLineItems] - Priced add-ons (see AddOnService.resolveAddOnLineItems)
+   * @returns {Array} Line items
+   */
+  static buildLineItems(listing, rules, booking, addOnLineItems = []) {
+    const { lineItems, error } = quoteBasePrice(listing, booking, rules.timezone);
+    
+    if (error) {
+      throw new AppError(error, 400);
+    }
+    
+    return [...lineItems, ...addOnLineItems];
+  }
+  
+  /**
+   * Reprice a booking's base price for a new time or party size, keeping the
+   * add-ons and adjustments it was booked with. A promo code discount is
+   * worked out again for the new price.
+   * @param {Object} listing - Listing document
+   * @param {Object} rules - Effective availability rules (for the time zone)
+   * @param {Object} booking - Booking as it is now
+   * @param {Object} changes - { startTime, endTime, partySize } after the change
+   * @returns {Array} Line items
+   */
+  static repriceLineItems(listing, rules, booking, changes) {
+    const lineItems = [
+      ...BookingService.buildLineItems(listing, rules, changes),
+      ...(booking.lineItems || []).filter(
+        item => item.type !== LINE_ITEM_TYPE.BASE && item.type !== LINE_ITEM_TYPE.DISCOUNT
+      )
+    ];
+    
+    return booking.promotion
+      ? [...lineItems, PromoCodeService.buildDiscountLineItem(booking.promotion, lineItems)]
+      : lineItems;
+  }
+  
+  /**
+   * Quote the price of a proposed booking without making it. A promo code is
+   * checked but not redeemed. Nothing is written, so the reads run outside a
+   * transaction and a quote never waits on (or holds up) a booking.
+   * @param {Object} quoteData - { listingId, startTime, endTime, partySize, addOns, promoCode }
+   * @param {string} [quoteData.userId] - Customer asking, for per-customer promo code limits
+   * @returns {Promise<Object>} { listingId, startTime, endTime, partySize, lineItems, totalAmount, promotion }
+   */
+  static async quoteBooking(quoteData) {
+    try {
+      const { listingId, startTime, endTime } = quoteData;
+      const reader = {
+        get: (collection, id) => FirebaseService.getDocument(collection, id),
+        query: (collection, conditions, options) => FirebaseService.queryDocuments(collection, conditions, options)
+      };
+      
+      BookingService.validateTimeRange(startTime, endTime);
+      
+      const { listing, rules } = await AvailabilityService.loadListingRules(listingId);
+      
       if (listing.status !== 'active') {
-        throw new Error('Listing is not active');
+        throw new AppError('Listing is not active', 400);
       }
       
-      // Check if the requested time slot is available
-      const isAvailable = await BookingService.checkAvailability(
-        bookingData.listingId,
-        bookingData.startTime,
-        bookingData.endTime
-      );
+      const partySize = BookingService.resolvePartySize(quoteData.partySize, rules.capacity);
+      const addOnLineItems = await AddOnService.resolveAddOnLineItems(reader, listingId, quoteData.addOns);
+      let lineItems = BookingService.buildLineItems(listing, rules, { startTime, endTime, partySize }, addOnLineItems);
+      const applied = quoteData.promoCode
+        ? await PromoCodeService.applyPromoCode(reader, {
+          code: quoteData.promoCode, listing, userId: quoteData.userId || null, lineItems
+        })
+        : null;
       
-      if (!isAvailable) {
-        throw new Error('The requested time slot is not available');
+      if (applied) {
+        lineItems = [...lineItems, applied.lineItem];
       }
       
-      // Create the booking
-      const newBooking = {
-        ...bookingData,
-        vendorId: listing.vendorId,
-        totalAmount: bookingData.totalAmount || listing.price,
-        status: bookingData.status || 'pending',
-        paymentStatus: 'pending',
-        createdAt: new Date().toISOString()
+      return {
+        listingId,
+        startTime,
+        endTime,
+        partySize,
+        lineItems,
+        totalAmount: sumLineItems(lineItems),
+        promotion: applied ? applied.promotion : null
       };
+    } catch (error) {
+      console.error('Error quoting booking:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate a listing's holdMinutes setting
+   * @param {number} holdMinutes - Minutes an unpaid booking holds its slot (0 = no expiry)
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateHoldMinutes(holdMinutes) {
+    if (!Number.isInteger(holdMinutes) || holdMinutes < 0 || holdMinutes > MAX_HOLD_MINUTES) {
+      return `holdMinutes must be a whole number from 0 to ${MAX_HOLD_MINUTES}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get how long an unpaid booking on a listing holds its slot
+   * @param {Object} listing - Listing document
+   * @returns {number} Minutes (0 = no expiry)
+   */
+  static getHoldMinutes(listing) {
+    return listing.holdMinutes === undefined || listing.holdMinutes === null
+      ? DEFAULT_HOLD_MINUTES
+      : listing.holdMinutes;
+  }
+  
+  /**
+   * Get when a new unpaid booking's hold on its slot runs out
+   * @param {Object} listing - Listing document
+   * @param {number} totalAmount - Booking total
+   * @param {Date} createdAt - When the booking is made
+   * @returns {string|null} Expiry (ISO string), or null if the booking holds its slot until the vendor responds
+   */
+  static getHoldExpiresAt(listing, totalAmount, createdAt) {
+    const holdMinutes = BookingService.getHoldMinutes(listing);
+    
+    return holdMinutes > 0 && totalAmount > 0
+      ? new Date(createdAt.getTime() + holdMinutes * MINUTE_MS).toISOString()
+      : null;
+  }
+  
+  /**
+   * Get the seconds left on a booking's payment hold
+   * @param {Object} booking - Booking document
+   * @param {Date} [now] - Current time
+   * @returns {number|null} Seconds remaining (0 once expired), or null if the booking isn't on hold
+   */
+  static getHoldRemainingSeconds(booking, now = new Date()) {
+    if (!booking.holdExpiresAt || SECURED_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      return null;
+    }
+    
+    if (booking.status === BOOKING_STATUS.EXPIRED) {
+      return 0;
+    }
+    
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+      return null;
+    }
+    
+    return Math.max(0, Math.ceil((new Date(booking.holdExpiresAt) - now) / 1000));
+  }
+  
+  /**
+   * Expire pending bookings whose payment hold has run out, releasing their
+   * slots. Run by the scheduler; a booking whose payment is already under way
+   * in Stripe is left alone.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { expired, skipped }
+   */
+  static async expireUnpaidHolds(now = new Date()) {
+    try {
+      const candidates = await FirebaseService.queryDocuments('bookings', [
+        ['status', '==', BOOKING_STATUS.PENDING],
+        ['holdExpiresAt', '<=', now.toISOString()]
+      ]);
+      
+      let expired = 0;
+      let skipped = 0;
       
-      // Create in database
-      const createdBooking = await FirebaseService.createDocument('bookings', newBooking);
+      for (const booking of candidates) {
+        try {
+          // Cancel the payment first, so it can't succeed after the slot is released
+          for (const paymentIntentId of getOpenPaymentIntentIds(booking)) {
+            await StripeService.cancelPaymentIntent(paymentIntentId);
+          }
+          
+          await BookingService.transitionStatus(
+            booking.id,
+            BOOKING_STATUS.EXPIRED,
+            { userId: ACTOR_ROLE.SYSTEM, role: ACTOR_ROLE.SYSTEM },
+            {
+              reason: 'Payment hold expired',
+              guard: (current) => {
+                if (SECURED_PAYMENT_STATUSES.includes(current.paymentStatus) || !current.holdExpiresAt ||
+                    new Date(current.holdExpiresAt) > now) {
+                  throw new AppError('Booking hold is no longer expired', 409);
+                }
+              }
+            }
+          );
+          expired++;
+        } catch (error) {
+          console.error(`Error expiring booking ${booking.id}:`, error);
+          skipped++;
+        }
+      }
       
-      return createdBooking;
+      return { expired, skipped };
     } catch (error) {
-      console.error('Error creating booking:', error);
+      console.error('Error expiring booking holds:', error);
       throw error;
     }
   }
-
+  
   /**
-   * Check if a time slot is available
-   * @param {string} listingId - Listing ID
-   * @param {string} startTime - Start time (ISO string)
-   * @param {string} endTime - End time (ISO string)
-   * @returns {Promise<boolean>} Availability status
+   * Get a booking series with its occurrences
+   * @param {string} seriesId - Series ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} Series with a bookings array ordered by start time
    */
-  static async checkAvailability(listingId, startTime, endTime) {
+  static async getSeries(seriesId, userId) {
     try {
-      const start = new Date(startTime);
-      const end = new Date(endTime);
+      const series = await FirebaseService.getDocument(SERIES_COLLECTION, seriesId);
+      
+      if (!series) {
+        throw new AppError('Booking series not found', 404);
+      }
       
-      // Validate times
-      if (start >= end) {
-        throw new Error('End time must be after start time');
+      // Vendor or customer of the series only
+      if (series.vendorId !== userId && series.userId !== userId) {
+        throw new AppError('Unauthorized', 403);
       }
       
-      // Check for overlapping bookings
       const bookings = await FirebaseService.queryDocuments('bookings', [
-        ['listingId', '==', listingId],
-        ['status', 'in', ['pending', 'confirmed']]
+        ['seriesId', '==', seriesId]
       ]);
       
-      // Check each booking for overlap
-      for (const booking of bookings) {
-        const bookingStart = new Date(booking.startTime);
-        const bookingEnd = new Date(booking.endTime);
-        
-        // Check for overlap
-        if (
-          (start >= bookingStart && start < bookingEnd) || // Start time is within existing booking
-          (end > bookingStart && end <= bookingEnd) || // End time is within existing booking
-          (start <= bookingStart && end >= bookingEnd) // New booking completely encompasses existing booking
-        ) {
-          return false; // Overlap found, not available
+      bookings.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      
+      return {
+        ...series,
+        bookings
+      };
+    } catch (error) {
+      console.error('Error getting booking series:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Edit occurrences of a booking series
+   * 'this' edits one occurrence, 'following' edits it and every later
+   * upcoming occurrence, 'all' edits every upcoming occurrence. A new
+   * startTime/endTime is given for the chosen occurrence (the first upcoming
+   * one for 'all') and the same shift is applied to every edited occurrence;
+   * each moved occurrence is re-checked in one transaction.
+   * @param {string} seriesId - Series ID
+   * @param {string} userId - User ID (must be the series' vendor)
+   * @param {Object} updateData - Fields to update (times, notes, customer fields, totalAmount)
+   * @param {Object} options - Edit options
+   * @param {string} options.scope - 'this', 'following' or 'all'
+   * @param {string} [options.bookingId] - Occurrence the edit starts from (required unless scope is 'all')
+   * @returns {Promise<Object>} Updated series with its occurrences
+   */
+  static async updateSeries(seriesId, userId, updateData, options) {
+    try {
+      const { scope, bookingId } = options;
+      const series = await FirebaseService.getDocument(SERIES_COLLECTION, seriesId);
+      
+      if (!series) {
+        throw new AppError('Booking series not found', 404);
+      }
+      
+      if (series.vendorId !== userId) {
+        throw new AppError('Unauthorized', 403);
+      }
+      
+      if (!SERIES_EDIT_SCOPES.includes(scope)) {
+        throw new AppError(`scope must be one of: ${SERIES_EDIT_SCOPES.join(', ')}`, 400);
+      }
+      
+      if (updateData.status !== undefined || updateData.statusHistory !== undefined) {
+        throw new AppError('Booking status can only be changed through status transitions', 400);
+      }
+      
+      if (scope !== 'all' && !bookingId) {
+        throw new AppError('bookingId is required to edit this or following occurrences', 400);
+      }
+      
+      if (scope === 'this') {
+        const booking = await FirebaseService.getDocument('bookings', bookingId);
+        
+        if (!booking || booking.seriesId !== seriesId) {
+          throw new AppError('Occurrence not found in this series', 404);
         }
+        
+        await BookingService.updateBooking(bookingId, updateData);
+      } else {
+        await BookingService.updateSeriesOccurrences(seriesId, updateData, scope, bookingId);
       }
       
-      return true; // No overlaps, time slot is available
+      return await BookingService.getSeries(seriesId, userId);
     } catch (error) {
-      console.error('Error checking availability:', error);
+      console.error('Error updating booking series:', error);
       throw error;
     }
   }
-
+  
   /**
-   * Update a booking
-   * @param {string} bookingId - Booking ID
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object>} Updated booking
+   * Apply a 'following' or 'all' series edit inside a transaction
+   * @param {string} seriesId - Series ID
+   * @param {Object} updateData - Fields to update
+   * @param {string} scope - 'following' or 'all'
+   * @param {string} [bookingId] - Occurrence the edit starts from
    */
-  static async updateBooking(bookingId, updateData) {
-    try {
-      // Get the current booking
-      const booking = await FirebaseService.getDocument('bookings', bookingId);
+  static async updateSeriesOccurrences(seriesId, updateData, scope, bookingId = null) {
+    const { startTime, endTime, ...fields } = updateData;
+    const timeChanged = startTime !== undefined || endTime !== undefined;
+    
+    await FirebaseService.runTransaction(async (tx) => {
+      const series = await tx.get(SERIES_COLLECTION, seriesId);
       
-      if (!booking) {
-        throw new Error('Booking not found');
+      if (!series) {
+        throw new AppError('Booking series not found', 404);
+      }
+      
+      if (series.status === SERIES_STATUS.CANCELLED) {
+        throw new AppError('Cannot edit a cancelled series', 409);
+      }
+      
+      const occurrences = await tx.query('bookings', [['seriesId', '==', seriesId]]);
+      const now = new Date();
+      
+      // Past and finished occurrences are never changed
+      const upcoming = occurrences
+        .filter(booking => BLOCKING_STATUSES.includes(booking.status) && new Date(booking.startTime) > now)
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      
+      const anchor = bookingId
+        ? occurrences.find(booking => booking.id === bookingId)
+        : upcoming[0];
+      
+      if (bookingId && !anchor) {
+        throw new AppError('Occurrence not found in this series', 404);
+      }
+      
+      const affected = scope === 'all'
+        ? upcoming
+        : upcoming.filter(booking => new Date(booking.startTime) >= new Date(anchor.startTime));
+      
+      if (!anchor || affected.length === 0) {
+        throw new AppError('The series has no upcoming occurrences to edit', 409);
       }
       
-      // If updating times, check availability
-      if (updateData.startTime || updateData.endTime) {
-        const startTime = updateData.startTime || booking.startTime;
-        const endTime = updateData.endTime || booking.endTime;
+      let startShift = null;
+      let endShift = null;
+      let timeZone = null;
+      const moves = [];
+      
+      if (timeChanged) {
+        const newStartTime = startTime || anchor.startTime;
+        const newEndTime = endTime || anchor.endTime;
         
-        // Check if the new time slot is available (excluding this booking)
-        const overlappingBookings = await FirebaseService.queryDocuments('bookings', [
-          ['listingId', '==', booking.listingId],
-          ['status', 'in', ['pending', 'confirmed']],
-          ['id', '!=', bookingId]
-        ]);
+        BookingService.validateTimeRange(newStartTime, newEndTime);
         
-        const start = new Date(startTime);
-        const end = new Date(endTime);
+        const { listing, rules } = await AvailabilityService.loadListingRules(series.listingId, tx);
+        timeZone = rules.timezone;
         
-        // Validate times
-        if (start >= end) {
-          throw new Error('End time must be after start time');
-        }
+        // Shifts are replayed in wall-clock time so every occurrence lands on
+        // the same local time even when DST changes between them
+        startShift = getWallClockShift(anchor.startTime, newStartTime, timeZone);
+        endShift = getWallClockShift(anchor.endTime, newEndTime, timeZone);
         
-        // Check each booking for overlap
-        for (const existingBooking of overlappingBookings) {
-          const bookingStart = new Date(existingBooking.startTime);
-          const bookingEnd = new Date(existingBooking.endTime);
+        const existing = await BookingService.getLockedBlockingBookings(tx, series.listingId);
+        const affectedIds = affected.map(booking => booking.id);
+        const others = existing.filter(booking => !affectedIds.includes(booking.id));
+        const buffers = AvailabilityService.getBuffers(rules);
+        
+        const planned = affected.map(booking => {
+          const moved = {
+            id: booking.id,
+            startTime: applyWallClockShift(booking.startTime, startShift, timeZone),
+            endTime: applyWallClockShift(booking.endTime, endShift, timeZone),
+            partySize: getPartySize(booking)
+          };
           
-          // Check for overlap
-          if (
-            (start >= bookingStart && start < bookingEnd) ||
-            (end > bookingStart && end <= bookingEnd) ||
-            (start <= bookingStart && end >= bookingEnd)
-          ) {
-            throw new Error('The requested time slot is not available');
+          BookingService.validateTimeRange(moved.startTime, moved.endTime);
+          
+          // Unpaid occurrences are repriced for their new time unless the edit sets the price
+          if (booking.paymentStatus === PAYMENT_STATUS.PENDING && fields.totalAmount === undefined) {
+            moved.lineItems = BookingService.repriceLineItems(listing, rules, booking, moved);
+          }
+          
+          const reason = AvailabilityService.checkRules(rules, moved.startTime, moved.endTime, now);
+          
+          if (reason) {
+            throw new AppError(`Occurrence on ${booking.occurrenceDate}: ${reason}`, 400, {
+              bookingId: booking.id
+            });
           }
+          
+          return moved;
+        });
+        
+        const busyBlocks = await BookingService.getBusyBlocks(
+          series.vendorId,
+          planned[0].startTime,
+          planned[planned.length - 1].endTime,
+          buffers,
+          tx
+        );
+        
+        affected.forEach((booking, index) => {
+          const moved = planned[index];
+          const conflict = BookingService.findSeatConflict(
+            [...others, ...moves], moved.startTime, moved.endTime, null, buffers,
+            { capacity: rules.capacity, partySize: moved.partySize }
+          );
+          
+          if (conflict) {
+            throw new AppError(`Occurrence on ${booking.occurrenceDate} is not available`, 409, {
+              bookingId: booking.id,
+              conflictingBooking: {
+                id: conflict.id,
+                startTime: conflict.startTime,
+                endTime: conflict.endTime
+              }
+            });
+          }
+          
+          const busy = BookingService.findOverlappingBooking(
+            busyBlocks, moved.startTime, moved.endTime, null, buffers
+          );
+          
+          if (busy) {
+            throw new AppError(`Occurrence on ${booking.occurrenceDate} overlaps the vendor's unavailable time`, 409, {
+              bookingId: booking.id,
+              busyBlock: {
+                startTime: busy.startTime,
+                endTime: busy.endTime
+              }
+            });
+          }
+          
+          moves.push(moved);
+        });
+      }
+      
+      const updatedAt = now.toISOString();
+      
+      affected.forEach(booking => {
+        const move = moves.find(moved => moved.id === booking.id);
+        const lineItems = fields.totalAmount !== undefined && booking.lineItems
+          ? adjustLineItems(booking.lineItems, fields.totalAmount)
+          : move && move.lineItems;
+        
+        tx.update('bookings', booking.id, {
+          ...fields,
+          ...(move ? { startTime: move.startTime, endTime: move.endTime } : {}),
+          ...(lineItems ? { lineItems, totalAmount: sumLineItems(lineItems) } : {}),
+          updatedAt
+        });
+      });
+      
+      if (timeChanged) {
+        BookingService.touchListingLock(tx, series.listingId);
+      }
+      
+      // Keep the series template in step with an edit to every occurrence
+      if (scope === 'all') {
+        tx.update(SERIES_COLLECTION, seriesId, {
+          ...fields,
+          ...(timeChanged ? {
+            startTime: applyWallClockShift(series.startTime, startShift, timeZone),
+            endTime: applyWallClockShift(series.endTime, endShift, timeZone)
+          } : {}),
+          updatedAt
+        });
+      }
+    });
+  }
+  
+  /**
+   * Cancel every upcoming occurrence of a series and close the series
+   * @param {string} seriesId - Series ID
+   * @param {string} userId - User ID (vendor or customer of the series)
+   * @param {string} [cancelReason] - Reason for cancellation
+   * @returns {Promise<Object>} Cancelled series with its occurrences
+   */
+  static async cancelSeries(seriesId, userId, cancelReason = '') {
+    try {
+      const series = await FirebaseService.getDocument(SERIES_COLLECTION, seriesId);
+      
+      if (!series) {
+        throw new AppError('Booking series not found', 404);
+      }
+      
+      BookingService.getActorRole(series, userId);
+      
+      if (series.status === SERIES_STATUS.CANCELLED) {
+        throw new AppError('Booking series is already cancelled', 409);
+      }
+      
+      const now = new Date();
+      const occurrences = await FirebaseService.queryDocuments('bookings', [
+        ['seriesId', '==', seriesId],
+        ['status', 'in', BLOCKING_STATUSES]
+      ]);
+      
+      // Each occurrence goes through the normal cancellation transition
+      for (const booking of occurrences) {
+        if (new Date(booking.startTime) > now) {
+          await BookingService.cancelBooking(booking.id, userId, cancelReason);
         }
       }
       
-      // Add updated timestamp
-      updateData.updatedAt = new Date().toISOString();
+      await FirebaseService.updateDocument(SERIES_COLLECTION, seriesId, {
+        status: SERIES_STATUS.CANCELLED,
+        cancelReason,
+        cancelledBy: userId,
+        cancelledAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+      
+      return await BookingService.getSeries(seriesId, userId);
+    } catch (error) {
+      console.error('Error cancelling booking series:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Skip a single date of a series: cancel that occurrence and record the
+   * date as an exception on the series
+   * @param {string} seriesId - Series ID
+   * @param {string} date - Occurrence date (YYYY-MM-DD)
+   * @param {string} userId - User ID (vendor or customer of the series)
+   * @param {string} [reason] - Reason for skipping
+   * @returns {Promise<Object>} Updated series with its occurrences
+   */
+  static async skipSeriesOccurrence(seriesId, date, userId, reason = '') {
+    try {
+      if (!DATE_KEY_PATTERN.test(date || '')) {
+        throw new AppError('date must be in YYYY-MM-DD format', 400);
+      }
+      
+      const series = await FirebaseService.getDocument(SERIES_COLLECTION, seriesId);
+      
+      if (!series) {
+        throw new AppError('Booking series not found', 404);
+      }
+      
+      BookingService.getActorRole(series, userId);
       
-      // Update the booking
-      await FirebaseService.updateDocument('bookings', bookingId, updateData);
+      const skippedDates = series.skippedDates || [];
       
-      // Get and return the updated booking
-      return await FirebaseService.getDocument('bookings', bookingId);
+      if (skippedDates.includes(date)) {
+        throw new AppError('That date is already skipped', 409);
+      }
+      
+      const [booking] = await FirebaseService.queryDocuments('bookings', [
+        ['seriesId', '==', seriesId],
+        ['occurrenceDate', '==', date]
+      ], { limit: 1 });
+      
+      if (!booking) {
+        throw new AppError('The series has no occurrence on that date', 404);
+      }
+      
+      if (!BLOCKING_STATUSES.includes(booking.status)) {
+        throw new AppError(`Cannot skip a ${booking.status} occurrence`, 409);
+      }
+      
+      await BookingService.cancelBooking(booking.id, userId, reason || 'Skipped');
+      
+      await FirebaseService.updateDocument(SERIES_COLLECTION, seriesId, {
+        skippedDates: [...skippedDates, date].sort(),
+        updatedAt: new Date().toISOString()
+      });
+      
+      return await BookingService.getSeries(seriesId, userId);
     } catch (error) {
-      console.error('Error updating booking:', error);
+      console.error('Error skipping series occurrence:', error);
       throw error;
     }
   }
-
+  
   /**
-   * Cancel a booking
+   * Move a booking to a new lifecycle status and append the change to its
+   * statusHistory, inside a transaction
    * @param {string} bookingId - Booking ID
-   * @param {string} userId - User ID (for authorization)
-   * @param {string} cancelReason - Reason for cancellation
-   * @returns {Promise<Object>} Cancelled booking
+   * @param {string} toStatus - Requested status (see utils/bookingStatus)
+   * @param {Object} actor - Who is making the change
+   * @param {string} actor.userId - User ID ('system' for scheduled jobs)
+   * @param {string} [actor.role] - Role override; derived from the booking when omitted
+   * @param {Object} [options] - Transition options
+   * @param {string} [options.reason] - Reason recorded in the history entry
+   * @param {Object|Function} [options.extraData] - Extra fields written with the status
+   *   change, or (booking, role) => fields to derive them from the current booking
+   * @param {Function} [options.guard] - (booking) => void; may throw to block the change
+   * @returns {Promise<Object>} Updated booking
    */
-  static async cancelBooking(bookingId, userId, cancelReason = '') {
-    try {
-      // Get the booking
-      const booking = await FirebaseService.getDocument('bookings', bookingId);
+  static async transitionStatus(bookingId, toStatus, actor, options = {}) {
+    const { reason = '', extraData = {}, guard } = options;
+    
+    if (!isValidStatus(toStatus)) {
+      throw new AppError(`Unknown booking status: ${toStatus}`, 400);
+    }
+    
+    await FirebaseService.runTransaction(async (tx) => {
+      const booking = await tx.get('bookings', bookingId);
       
       if (!booking) {
-        throw new Error('Booking not found');
+        throw new AppError('Booking not found', 404);
       }
       
-      // Check authorization (must be vendor or the customer who made the booking)
-      if (booking.vendorId !== userId && booking.userId !== userId) {
-        throw new Error('Unauthorized to cancel this booking');
+      const role = actor.role || BookingService.getActorRole(booking, actor.userId);
+      
+      if (booking.status === toStatus) {
+        throw new AppError(`Booking is already ${toStatus}`, 409);
       }
       
-      // Check if the booking is already cancelled
-      if (booking.status === 'cancelled') {
-        throw new Error('Booking is already cancelled');
+      if (!canTransition(booking.status, toStatus, role)) {
+        // The move exists but not for this role
+        if (TRANSITIONS[booking.status] && TRANSITIONS[booking.status][toStatus]) {
+          throw new AppError(`A ${role} cannot mark this booking as ${toStatus}`, 403);
+        }
+        
+        throw new AppError(`Cannot change booking status from ${booking.status} to ${toStatus}`, 409);
       }
       
-      // Check if the booking is in the past
-      const now = new Date();
-      const bookingStart = new Date(booking.startTime);
+      if (REQUIRES_STARTED.includes(toStatus) && new Date(booking.startTime) > new Date()) {
+        throw new AppError(`Booking cannot be marked as ${toStatus} before it starts`, 400);
+      }
       
-      if (bookingStart < now) {
-        throw new Error('Cannot cancel past bookings');
+      if (guard) {
+        guard(booking);
       }
       
-      // Update the booking status
-      const updateData = {
-        status: 'cancelled',
-        cancelReason: cancelReason,
-        cancelledBy: userId,
-        cancelledAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      // A promo code used on a booking that never went ahead can be used again
+      const unpaid = UNPAID_PAYMENT_STATUSES.includes(booking.paymentStatus);
+      const toRelease = RELEASES_PROMOTION.includes(toStatus) && unpaid
+        ? await PromoCodeService.getRedemptionToRelease(tx, booking)
+        : null;
+      const now = new Date().toISOString();
       
-      await FirebaseService.updateDocument('bookings', bookingId, updateData);
+      if (toRelease) {
+        PromoCodeService.releaseRedemption(tx, toRelease);
+      }
       
-      // Get and return the updated booking
-      return await FirebaseService.getDocument('bookings', bookingId);
-    } catch (error) {
-      console.error('Error cancelling booking:', error);
-      throw error;
+      tx.update('bookings', bookingId, {
+        ...(typeof extraData === 'function' ? extraData(booking, role) : extraData),
+        status: toStatus,
+        statusHistory: [
+          ...(booking.statusHistory || []),
+          BookingService.buildStatusHistoryEntry(booking.status, toStatus, actor.userId, role, reason, now)
+        ],
+        updatedAt: now
+      });
+    });
+    
+    return FirebaseService.getDocument('bookings', bookingId);
+  }
+  
+  /**
+   * Work out whether a user acts on a booking as its vendor or its customer
+   * @param {Object} booking - Booking document
+   * @param {string} userId - User ID
+   * @returns {string} Actor role
+   */
+  static getActorRole(booking, userId) {
+    if (booking.vendorId === userId) {
+      return ACTOR_ROLE.VENDOR;
+    }
+    
+    if (booking.userId === userId) {
+      return ACTOR_ROLE.CUSTOMER;
     }
+    
+    throw new AppError('Unauthorized to change this booking', 403);
   }
-
+  
+  /**
+   * Build an entry for a booking's append-only statusHistory
+   * @param {string|null} from - Previous status (null on creation)
+   * @param {string} to - New status
+   * @param {string} changedBy - User ID or 'system'
+   * @param {string} role - Actor role
+   * @param {string} [reason] - Reason for the change
+   * @param {string} [changedAt] - Timestamp (ISO string)
+   * @returns {Object} History entry
+   */
+  static buildStatusHistoryEntry(from, to, changedBy, role, reason = '', changedAt = new Date().toISOString()) {
+    return {
+      from,
+      to,
+      changedBy,
+      role,
+      reason,
+      changedAt
+    };
+  }
+  
   /**
    * Get upcoming bookings for a vendor
    * @param {string} vendorId - Vendor ID
@@ -228,11 +1970,11 @@ class BookingService {
     try {
       const now = new Date().toISOString();
       
-      // Query bookings that haven't started yet and aren't cancelled
+      // Query bookings that haven't started yet and still hold their slot
       const bookings = await FirebaseService.queryDocuments('bookings', [
         ['vendorId', '==', vendorId],
         ['startTime', '>=', now],
-        ['status', '!=', 'cancelled']
+        ['status', 'in', BLOCKING_STATUSES]
       ], {
         orderByField: 'startTime',
         orderByDirection: 'asc',
@@ -245,7 +1987,7 @@ class BookingService {
       throw error;
     }
   }
-
+  
   /**
    * Get bookings for a specific date range
    * @param {string} vendorId - Vendor ID
@@ -271,7 +2013,7 @@ class BookingService {
       throw error;
     }
   }
-
+  
   /**
    * Get booking metrics for a vendor
    * @param {string} vendorId - Vendor ID
@@ -291,18 +2033,24 @@ class BookingService {
       let pendingBookings = 0;
       let confirmedBookings = 0;
       let cancelledBookings = 0;
+      let completedBookings = 0;
+      let noShowBookings = 0;
       let upcomingBookings = 0;
       let pastBookings = 0;
-      let totalRevenue = 0;
+      let revenueCents = 0;
       
       bookings.forEach(booking => {
         // Count by status
-        if (booking.status === 'pending') {
+        if (booking.status === BOOKING_STATUS.PENDING) {
           pendingBookings++;
-        } else if (booking.status === 'confirmed') {
+        } else if (booking.status === BOOKING_STATUS.CONFIRMED) {
           confirmedBookings++;
-        } else if (booking.status === 'cancelled') {
+        } else if (booking.status === BOOKING_STATUS.CANCELLED) {
           cancelledBookings++;
+        } else if (booking.status === BOOKING_STATUS.COMPLETED) {
+          completedBookings++;
+        } else if (booking.status === BOOKING_STATUS.NO_SHOW) {
+          noShowBookings++;
         }
         
         // Count upcoming vs past
@@ -312,9 +2060,9 @@ class BookingService {
           pastBookings++;
         }
         
-        // Calculate revenue (only count paid bookings)
-        if (booking.paymentStatus === 'paid') {
-          totalRevenue += booking.totalAmount || 0;
+        // Calculate revenue (only count money paid, including deposits, less refunds)
+        if (REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+          revenueCents += getPaidCents(booking) - getRefundedCents(booking);
         }
       });
       
@@ -323,9 +2071,11 @@ class BookingService {
         pendingBookings,
         confirmedBookings,
         cancelledBookings,
+        completedBookings,
+        noShowBookings,
         upcomingBookings,
         pastBookings,
-        totalRevenue
+        totalRevenue: revenueCents / 100
       };
     } catch (error) {
       console.error('Error getting booking metrics:', error);
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const FirebaseService = require('./firebaseService');
+const AvailabilityService = require('./availabilityService');
+const { AppError } = require('../utils/errorHandler');
+const { buildCalendar } = require('../utils/ical');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+
+// Feed documents are keyed by their secret token
+const FEED_COLLECTION = 'calendar_feeds';
+
+// How far back a feed includes bookings
+const FEED_HISTORY_DAYS = 90;
+
+// How often subscribing clients are asked to refresh
+const REFRESH_INTERVAL = 'PT15M';
+
+// Domain part of event UIDs; must never change or clients duplicate events
+const UID_DOMAIN = 'vendor-saas-mvp';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking status to VEVENT STATUS
+const EVENT_STATUS = {
+  [BOOKING_STATUS.PENDING]: 'TENTATIVE',
+  [BOOKING_STATUS.CONFIRMED]: 'CONFIRMED',
+  [BOOKING_STATUS.IN_PROGRESS]: 'CONFIRMED',
+  [BOOKING_STATUS.COMPLETED]: 'CONFIRMED',
+  [BOOKING_STATUS.NO_SHOW]: 'CONFIRMED',
+  [BOOKING_STATUS.CANCELLED]: 'CANCELLED',
+  [BOOKING_STATUS.DECLINED]: 'CANCELLED',
+  [BOOKING_STATUS.EXPIRED]: 'CANCELLED'
+};
+
+/**
+ * Service for iCalendar subscription feeds of a vendor's bookings
+ */
+class CalendarFeedService {
+  /**
+   * Create a subscription feed for a vendor, or for one of their listings.
+   * Any existing feed for the same vendor/listing is revoked, so this also
+   * rotates a leaked URL.
+   * @param {string} vendorId - Vendor ID
+   * @param {string} [listingId] - Listing ID (all listings when omitted)
+   * @returns {Promise<Object>} Created feed
+   */
+  static async createFeed(vendorId, listingId = null) {
+    try {
+      if (listingId) {
+        const listing = await FirebaseService.getDocument('listings', listingId);
+        
+        if (!listing) {
+          throw new AppError('Listing not found', 404);
+        }
+        
+        if (listing.vendorId !== vendorId) {
+          throw new AppError('Unauthorized', 403);
+        }
+      }
+      
+      const existingFeeds = await FirebaseService.queryDocuments(FEED_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+      
+      const token = crypto.randomBytes(24).toString('hex');
+      const feed = {
+        vendorId,
+        listingId: listingId || null,
+        createdAt: new Date().toISOString()
+      };
+      
+      await FirebaseService.batchWrite([
+        ...existingFeeds
+          .filter(existing => existing.listingId === feed.listingId)
+          .map(existing => ({ type: 'delete', collection: FEED_COLLECTION, id: existing.id })),
+        { type: 'create', collection: FEED_COLLECTION, id: token, data: feed }
+      ]);
+      
+      return {
+        id: token,
+        ...feed
+      };
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a vendor's subscription feeds
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} Feeds
+   */
+  static async getFeeds(vendorId) {
+    try {
+      return await FirebaseService.queryDocuments(FEED_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+    } catch (error) {
+      console.error('Error getting calendar feeds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a subscription feed; its URL stops working immediately
+   * @param {string} vendorId - Vendor ID (for authorization)
+   * @param {string} token - Feed token
+   * @returns {Promise<boolean>} Success status
+   */
+  static async revokeFeed(vendorId, token) {
+    try {
+      const feed = await FirebaseService.getDocument(FEED_COLLECTION, token);
+      
+      // Other vendors' feeds are reported as missing so tokens cannot be probed
+      if (!feed || feed.vendorId !== vendorId) {
+        throw new AppError('Calendar feed not found', 404);
+      }
+      
+      return await FirebaseService.deleteDocument(FEED_COLLECTION, token);
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render the iCalendar document for a feed token
+   * @param {string} token - Feed token
+   * @returns {Promise<string>} iCalendar data
+   */
+  static async renderFeed(token) {
+    try {
+      const feed = await FirebaseService.getDocument(FEED_COLLECTION, token);
+      
+      if (!feed) {
+        throw new AppError('Calendar feed not found', 404);
+      }
+      
+      const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS).toISOString();
+      
+      const [vendor, listings, vendorBookings] = await Promise.all([
+        FirebaseService.getDocument('users', feed.vendorId),
+        FirebaseService.queryDocuments('listings', [['vendorId', '==', feed.vendorId]]),
+        FirebaseService.queryDocuments('bookings', [
+          ['vendorId', '==', feed.vendorId],
+          ['startTime', '>=', since]
+        ])
+      ]);
+      
+      const listingsById = {};
+      listings.forEach(listing => {
+        listingsById[listing.id] = listing;
+      });
+      
+      const listing = feed.listingId ? listingsById[feed.listingId] : null;
+      
+      // A listing feed outlives neither its listing nor a change of owner
+      if (feed.listingId && !listing) {
+        throw new AppError('Calendar feed not found', 404);
+      }
+      
+      const bookings = feed.listingId
+        ? vendorBookings.filter(booking => booking.listingId === feed.listingId)
+        : vendorBookings;
+      
+      const vendorName = (vendor && (vendor.company || vendor.displayName)) || 'Bookings';
+      
+      return buildCalendar({
+        name: listing ? `${listing.title} - ${vendorName}` : vendorName,
+        timeZone: AvailabilityService.resolveTimeZone(listing, vendor),
+        refreshInterval: REFRESH_INTERVAL,
+        events: bookings.map(booking =>
+          CalendarFeedService.bookingToEvent(booking, listingsById[booking.listingId])
+        )
+      });
+    } catch (error) {
+      console.error('Error rendering calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a booking to VEVENT fields. The UID only depends on the booking ID,
+   * so reschedules and cancellations update the existing calendar entry.
+   * @param {Object} booking - Booking document
+   * @param {Object} [listing] - Listing document
+   * @returns {Object} Event fields for utils/ical
+   */
+  static bookingToEvent(booking, listing = null) {
+    const title = listing ? listing.title : 'Booking';
+    const customer = booking.customerName || 'Customer';
+    const summary = booking.status === BOOKING_STATUS.CONFIRMED
+      ? `${title} - ${customer}`
+      : `${title} - ${customer} (${booking.status.replace('_', ' ')})`;
+    
+    const description = [
+      `Status: ${booking.status}`,
+      `Customer: ${customer}`,
+      booking.customerEmail ? `Email: ${booking.customerEmail}` : null,
+      booking.customerPhone ? `Phone: ${booking.customerPhone}` : null,
+      booking.notes ? `Notes: ${booking.notes}` : null
+    ].filter(Boolean).join('\n');
+    
+    const createdAt = booking.createdAt || booking.startTime;
+    const lastModified = booking.updatedAt || createdAt;
+    
+    return {
+      uid: `booking-${booking.id}@${UID_DOMAIN}`,
+      start: booking.startTime,
+      end: booking.endTime,
+      summary,
+      description,
+      status: EVENT_STATUS[booking.status] || 'TENTATIVE',
+      // Seconds between creation and the last change: grows with every
+      // update, which is all clients need from the revision number
+      sequence: Math.max(Math.floor((new Date(lastModified) - new Date(createdAt)) / 1000), 0),
+      stamp: lastModified,
+      lastModified
+    };
+  }
+}
+
+module.exports = CalendarFeedService;
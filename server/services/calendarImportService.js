@@ -0,0 +1,628 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const FirebaseService = require('./firebaseService');
+const AvailabilityService = require('./availabilityService');
+const { AppError } = require('../utils/errorHandler');
+const { parseCalendar } = require('../utils/ical');
+const { expandRecurrence } = require('../utils/recurrence');
+
+// External calendars a vendor has connected
+const SOURCE_COLLECTION = 'calendar_sources';
+
+// Busy time imported from those calendars, one document per event occurrence
+const BLOCK_COLLECTION = 'busy_blocks';
+
+const SOURCE_TYPE = {
+  URL: 'url',
+  FILE: 'file'
+};
+
+// Imported window around today; events outside it are not stored
+const SYNC_PAST_DAYS = 1;
+const SYNC_FUTURE_DAYS = 365;
+
+// Guards against huge or runaway calendars
+const MAX_BLOCKS_PER_SOURCE = 5000;
+const MAX_RECURRENCE_PERIODS = 20000;
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const MAX_SOURCES_PER_VENDOR = 10;
+
+// URL sources are refetched when their last sync is older than this
+const SYNC_INTERVAL_MINUTES = 30;
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_REDIRECTS = 3;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is private
+ */
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;
+  }
+  
+  const lower = ip.toLowerCase();
+  
+  return lower === '::' || lower === '::1' ||
+    lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+};
+
+/**
+ * dns.lookup replacement that refuses private addresses, so a calendar URL
+ * cannot be used to reach services inside our network
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new AppError('Calendar URL must point to a public address', 400));
+    }
+    
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Validate a calendar URL, mapping webcal:// to https://
+ * @param {string} url - URL entered by the vendor
+ * @returns {string} http(s) URL
+ */
+const normalizeCalendarUrl = (url) => {
+  let parsed;
+  
+  try {
+    parsed = new URL(String(url).trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new AppError('Invalid calendar URL', 400);
+  }
+  
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new AppError('Calendar URL must use http, https or webcal', 400);
+  }
+  
+  if (parsed.username || parsed.password) {
+    throw new AppError('Calendar URL must not contain credentials', 400);
+  }
+  
+  return parsed.toString();
+};
+
+/**
+ * Download an iCalendar document
+ * @param {string} url - http(s) or webcal URL
+ * @param {number} [redirectsLeft] - Redirects still allowed
+ * @returns {Promise<string>} Calendar text
+ */
+const fetchCalendar = (url, redirectsLeft = MAX_REDIRECTS) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const literalAddress = target.hostname.replace(/^\[|\]$/g, '');
+  
+  // IP literals never go through the lookup hook
+  if (net.isIP(literalAddress) && isPrivateAddress(literalAddress)) {
+    return reject(new AppError('Calendar URL must point to a public address', 400));
+  }
+  
+  const request = client.get(target, {
+    lookup: publicLookup,
+    timeout: FETCH_TIMEOUT_MS,
+    headers: { Accept: 'text/calendar, text/plain;q=0.9' }
+  }, (response) => {
+    const { statusCode, headers } = response;
+    
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      
+      if (redirectsLeft === 0) {
+        return reject(new AppError('Calendar URL redirected too many times', 502));
+      }
+      
+      let next;
+      
+      try {
+        next = normalizeCalendarUrl(new URL(headers.location, target).toString());
+      } catch (error) {
+        return reject(error);
+      }
+      
+      return resolve(fetchCalendar(next, redirectsLeft - 1));
+    }
+    
+    if (statusCode !== 200) {
+      response.resume();
+      return reject(new AppError(`Calendar URL returned HTTP ${statusCode}`, 502));
+    }
+    
+    const chunks = [];
+    let size = 0;
+    
+    response.on('data', chunk => {
+      size += chunk.length;
+      
+      if (size > MAX_CALENDAR_BYTES) {
+        request.destroy(new AppError('Calendar is larger than 5 MB', 413));
+        return;
+      }
+      
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+  
+  request.on('timeout', () => {
+    request.destroy(new AppError('Calendar URL timed out', 504));
+  });
+  request.on('error', error => {
+    reject(error instanceof AppError ? error : new AppError(`Could not fetch calendar: ${error.message}`, 502));
+  });
+});
+
+/**
+ * Turn parsed events into busy periods inside a window. Recurring events are
+ * expanded, EXDATEs removed and RECURRENCE-ID overrides applied; cancelled and
+ * transparent (free) events don't block time. Recurring events whose rule we
+ * can't expand keep only their first occurrence.
+ * @param {Array} events - Events from parseCalendar
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Object} { blocks, unsupportedRules, truncated }
+ */
+const expandEvents = (events, from, to) => {
+  const overrides = {};
+  
+  events
+    .filter(event => event.recurrenceId)
+    .forEach(event => {
+      overrides[`${event.uid}|${event.recurrenceId.getTime()}`] = event;
+    });
+  
+  const isBusy = (event) => event.status !== 'CANCELLED' && !event.transparent;
+  const inWindow = (start, end) => start < to && end > from;
+  const blocks = [];
+  let unsupportedRules = 0;
+  
+  const addBlock = (event, start, end) => {
+    blocks.push({
+      uid: event.uid,
+      summary: event.summary,
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      allDay: event.allDay
+    });
+  };
+  
+  events.forEach(event => {
+    if (event.recurrenceId) {
+      // Overrides stand on their own once their original occurrence is removed
+      if (isBusy(event) && inWindow(event.start, event.end)) {
+        addBlock(event, event.start, event.end);
+      }
+      return;
+    }
+    
+    if (!isBusy(event)) {
+      return;
+    }
+    
+    if (event.unsupportedRule) {
+      unsupportedRules++;
+    }
+    
+    const occurrences = event.rule
+      ? expandRecurrence(event.rule, event.start.toISOString(), event.end.toISOString(), event.timeZone, {
+        from,
+        to,
+        maxOccurrences: MAX_BLOCKS_PER_SOURCE,
+        maxPeriods: MAX_RECURRENCE_PERIODS
+      })
+      : [{ startTime: event.start.toISOString(), endTime: event.end.toISOString() }];
+    
+    const excluded = event.exdates.map(date => date.getTime());
+    
+    occurrences.forEach(occurrence => {
+      const start = new Date(occurrence.startTime);
+      const end = new Date(occurrence.endTime);
+      
+      if (excluded.includes(start.getTime()) || overrides[`${event.uid}|${start.getTime()}`]) {
+        return;
+      }
+      
+      if (inWindow(start, end)) {
+        addBlock(event, start, end);
+      }
+    });
+  });
+  
+  blocks.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  
+  return {
+    blocks: blocks.slice(0, MAX_BLOCKS_PER_SOURCE),
+    unsupportedRules,
+    truncated: blocks.length > MAX_BLOCKS_PER_SOURCE
+  };
+};
+
+/**
+ * Service for importing external calendars (.ics) as busy time
+ */
+class CalendarImportService {
+  /**
+   * Connect a calendar by URL and import it
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} sourceData - { url, name }
+   * @returns {Promise<Object>} Source after its first sync
+   */
+  static async addUrlSource(vendorId, sourceData) {
+    try {
+      const url = normalizeCalendarUrl(sourceData.url || '');
+      
+      // Fetch before saving so a bad URL is reported instead of stored
+      const text = await fetchCalendar(url);
+      const source = await CalendarImportService.createSource(vendorId, {
+        type: SOURCE_TYPE.URL,
+        url,
+        name: sourceData.name || null
+      });
+      
+      return await CalendarImportService.importCalendar(source, text);
+    } catch (error) {
+      console.error('Error adding calendar source:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Import an uploaded .ics file as a new source
+   * @param {string} vendorId - Vendor ID
+   * @param {string} text - iCalendar document
+   * @param {string} [name] - Display name (defaults to the calendar's own name)
+   * @returns {Promise<Object>} Source after import
+   */
+  static async importFile(vendorId, text, name = null) {
+    try {
+      CalendarImportService.assertCalendarText(text);
+      
+      const source = await CalendarImportService.createSource(vendorId, {
+        type: SOURCE_TYPE.FILE,
+        url: null,
+        name
+      });
+      
+      return await CalendarImportService.importCalendar(source, text);
+    } catch (error) {
+      console.error('Error importing calendar file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace the busy time of a file source with a new upload
+   * @param {string} vendorId - Vendor ID (for authorization)
+   * @param {string} sourceId - Source ID
+   * @param {string} text - iCalendar document
+   * @returns {Promise<Object>} Source after import
+   */
+  static async replaceFile(vendorId, sourceId, text) {
+    try {
+      const source = await CalendarImportService.getOwnSource(vendorId, sourceId);
+      
+      if (source.type !== SOURCE_TYPE.FILE) {
+        throw new AppError('Only uploaded calendars can be replaced by a file', 400);
+      }
+      
+      CalendarImportService.assertCalendarText(text);
+      
+      return await CalendarImportService.importCalendar(source, text);
+    } catch (error) {
+      console.error('Error replacing calendar file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's connected calendars
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} Sources
+   */
+  static async getSources(vendorId) {
+    try {
+      return await FirebaseService.queryDocuments(SOURCE_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+    } catch (error) {
+      console.error('Error getting calendar sources:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Disconnect a calendar and release its busy time
+   * @param {string} vendorId - Vendor ID (for authorization)
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteSource(vendorId, sourceId) {
+    try {
+      await CalendarImportService.getOwnSource(vendorId, sourceId);
+      
+      const blocks = await FirebaseService.queryDocuments(BLOCK_COLLECTION, [
+        ['sourceId', '==', sourceId]
+      ]);
+      
+      await CalendarImportService.writeInBatches([
+        ...blocks.map(block => ({ type: 'delete', collection: BLOCK_COLLECTION, id: block.id })),
+        { type: 'delete', collection: SOURCE_COLLECTION, id: sourceId }
+      ]);
+      
+      return true;
+    } catch (error) {
+      console.error('Error deleting calendar source:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Refetch a URL source now
+   * @param {string} vendorId - Vendor ID (for authorization)
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object>} Source after sync
+   */
+  static async syncSource(vendorId, sourceId) {
+    try {
+      const source = await CalendarImportService.getOwnSource(vendorId, sourceId);
+      
+      if (source.type !== SOURCE_TYPE.URL) {
+        throw new AppError('Uploaded calendars are updated by uploading a new file', 400);
+      }
+      
+      return await CalendarImportService.syncUrlSource(source);
+    } catch (error) {
+      console.error('Error syncing calendar source:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Refetch every URL source whose last sync is older than the sync interval.
+   * Failures are recorded on the source and don't stop the run.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { synced, failed }
+   */
+  static async syncStaleSources(now = new Date()) {
+    try {
+      const sources = await FirebaseService.queryDocuments(SOURCE_COLLECTION, [
+        ['type', '==', SOURCE_TYPE.URL]
+      ]);
+      const staleBefore = now.getTime() - SYNC_INTERVAL_MINUTES * MINUTE_MS;
+      let synced = 0;
+      let failed = 0;
+      
+      // One at a time keeps memory and outbound connections bounded
+      for (const source of sources) {
+        if (source.lastSyncedAt && new Date(source.lastSyncedAt).getTime() > staleBefore) {
+          continue;
+        }
+        
+        try {
+          await CalendarImportService.syncUrlSource(source);
+          synced++;
+        } catch (error) {
+          failed++;
+        }
+      }
+      
+      return { synced, failed };
+    } catch (error) {
+      console.error('Error syncing calendar sources:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's busy blocks overlapping a time range
+   * @param {string} vendorId - Vendor ID
+   * @param {Date|string} from - Range start
+   * @param {Date|string} to - Range end
+   * @param {Object} [tx] - Transaction handle, to read inside a booking transaction
+   * @returns {Promise<Array>} Busy blocks ordered by start time
+   */
+  static async getBusyBlocks(vendorId, from, to, tx = null) {
+    const rangeStart = new Date(from).toISOString();
+    const rangeEnd = new Date(to).toISOString();
+    const conditions = [
+      ['vendorId', '==', vendorId],
+      ['endTime', '>', rangeStart]
+    ];
+    
+    // Firestore allows a range filter on one field only, so the start is checked here
+    const blocks = tx
+      ? await tx.query(BLOCK_COLLECTION, conditions)
+      : await FirebaseService.queryDocuments(BLOCK_COLLECTION, conditions);
+    
+    return blocks
+      .filter(block => block.startTime < rangeEnd)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+  
+  /**
+   * Get a source, checking it belongs to the vendor
+   * @param {string} vendorId - Vendor ID
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object>} Source
+   */
+  static async getOwnSource(vendorId, sourceId) {
+    const source = await FirebaseService.getDocument(SOURCE_COLLECTION, sourceId);
+    
+    if (!source || source.vendorId !== vendorId) {
+      throw new AppError('Calendar source not found', 404);
+    }
+    
+    return source;
+  }
+  
+  /**
+   * Create a source document, enforcing the per-vendor limit
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} fields - { type, url, name }
+   * @returns {Promise<Object>} Created source
+   */
+  static async createSource(vendorId, fields) {
+    const existing = await FirebaseService.queryDocuments(SOURCE_COLLECTION, [
+      ['vendorId', '==', vendorId]
+    ]);
+    
+    if (existing.length >= MAX_SOURCES_PER_VENDOR) {
+      throw new AppError(`A vendor can connect at most ${MAX_SOURCES_PER_VENDOR} calendars`, 400);
+    }
+    
+    if (fields.url && existing.some(source => source.url === fields.url)) {
+      throw new AppError('This calendar is already connected', 409);
+    }
+    
+    return FirebaseService.createDocument(SOURCE_COLLECTION, {
+      vendorId,
+      ...fields,
+      lastSyncedAt: null,
+      lastSyncError: null,
+      blockCount: 0,
+      createdAt: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Fetch a URL source and import it, recording a failure on the source
+   * @param {Object} source - Source document
+   * @returns {Promise<Object>} Source after sync
+   */
+  static async syncUrlSource(source) {
+    let text;
+    
+    try {
+      text = await fetchCalendar(source.url);
+      CalendarImportService.assertCalendarText(text);
+    } catch (error) {
+      // Keep the previous busy blocks; a calendar host being down shouldn't free the vendor's time
+      await FirebaseService.updateDocument(SOURCE_COLLECTION, source.id, {
+        lastSyncError: error.message,
+        lastSyncAttemptAt: new Date().toISOString()
+      });
+      throw error;
+    }
+    
+    return CalendarImportService.importCalendar(source, text);
+  }
+  
+  /**
+   * Replace a source's busy blocks with the events of a calendar document.
+   * New blocks are written before old ones are removed, so the vendor is
+   * never briefly shown as free.
+   * @param {Object} source - Source document
+   * @param {string} text - iCalendar document
+   * @returns {Promise<Object>} Updated source
+   */
+  static async importCalendar(source, text) {
+    const vendor = await FirebaseService.getDocument('users', source.vendorId);
+    const timeZone = AvailabilityService.resolveTimeZone(null, vendor);
+    const now = new Date();
+    const from = new Date(now.getTime() - SYNC_PAST_DAYS * DAY_MS);
+    const to = new Date(now.getTime() + SYNC_FUTURE_DAYS * DAY_MS);
+    
+    const calendar = parseCalendar(text, timeZone);
+    const { blocks, unsupportedRules, truncated } = expandEvents(calendar.events, from, to);
+    
+    const oldBlocks = await FirebaseService.queryDocuments(BLOCK_COLLECTION, [
+      ['sourceId', '==', source.id]
+    ]);
+    
+    const createdAt = now.toISOString();
+    
+    await CalendarImportService.writeInBatches([
+      ...blocks.map(block => ({
+        type: 'create',
+        collection: BLOCK_COLLECTION,
+        data: {
+          vendorId: source.vendorId,
+          sourceId: source.id,
+          ...block,
+          createdAt
+        }
+      })),
+      ...oldBlocks.map(block => ({ type: 'delete', collection: BLOCK_COLLECTION, id: block.id }))
+    ]);
+    
+    const warnings = [];
+    
+    if (unsupportedRules > 0) {
+      warnings.push(`${unsupportedRules} recurring event(s) use rules that are not supported; only their first occurrence was imported`);
+    }
+    
+    if (truncated) {
+      warnings.push(`Only the first ${MAX_BLOCKS_PER_SOURCE} events were imported`);
+    }
+    
+    const updates = {
+      name: source.name || calendar.name || (source.type === SOURCE_TYPE.URL ? new URL(source.url).hostname : 'Uploaded calendar'),
+      lastSyncedAt: createdAt,
+      lastSyncAttemptAt: createdAt,
+      lastSyncError: null,
+      lastSyncWarning: warnings.length > 0 ? warnings.join('. ') : null,
+      blockCount: blocks.length,
+      updatedAt: createdAt
+    };
+    
+    await FirebaseService.updateDocument(SOURCE_COLLECTION, source.id, updates);
+    
+    return {
+      ...source,
+      ...updates
+    };
+  }
+  
+  /**
+   * Throw a 400 unless the text looks like an iCalendar document
+   * @param {string} text - Uploaded or fetched text
+   */
+  static assertCalendarText(text) {
+    if (typeof text !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+      throw new AppError('The file is not an iCalendar (.ics) document', 400);
+    }
+  }
+  
+  /**
+   * Run write operations in batches small enough for Firestore
+   * @param {Array} operations - Batch write operations
+   */
+  static async writeInBatches(operations) {
+    for (let index = 0; index < operations.length; index += BATCH_SIZE) {
+      await FirebaseService.batchWrite(operations.slice(index, index + BATCH_SIZE));
+    }
+  }
+}
+
+module.exports = CalendarImportService;
@@ -0,0 +1,422 @@
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('./firebaseService');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../utils/errorHandler');
+
+const MAX_PAYOUTS = 100;
+
+/**
+ * Summarise a Stripe Connect account for the vendor's profile
+ * @param {Object} account - Stripe account
+ * @returns {Object} { chargesEnabled, payoutsEnabled, detailsSubmitted, requirementsDue, updatedAt }
+ */
+const toAccountStatus = (account) => ({
+  chargesEnabled: account.charges_enabled === true,
+  payoutsEnabled: account.payouts_enabled === true,
+  detailsSubmitted: account.details_submitted === true,
+  requirementsDue: (account.requirements && account.requirements.currently_due) || [],
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Turn a Stripe balance amount list into cents per currency
+ * @param {Array} amounts - [{ amount, currency }]
+ * @returns {Array} [{ currency, amountCents, amount }]
+ */
+const toBalanceAmounts = (amounts) => (amounts || []).map(({ amount, currency }) => ({
+  currency,
+  amountCents: amount,
+  amount: amount / 100
+}));
+
+/**
+ * Turn a Stripe payout schedule into the fields to set it back with
+ * @param {Object} schedule - Stripe payout schedule
+ * @returns {Object} Payout schedule update
+ */
+const toScheduleUpdate = (schedule) => ({
+  interval: schedule.interval,
+  ...(schedule.interval === 'manual' ? {} : { delay_days: schedule.delay_days }),
+  ...(schedule.interval === 'weekly' ? { weekly_anchor: schedule.weekly_anchor } : {}),
+  ...(schedule.interval === 'monthly' ? { monthly_anchor: schedule.monthly_anchor } : {})
+});
+
+/**
+ * Service for vendors' Stripe Connect Express accounts. A vendor onboards
+ * through a Stripe-hosted account link; their account ID and its status are
+ * kept on their profile (stripeAccountId, stripeAccountStatus), and
+ * account.updated webhooks keep the status current. Bookings are charged as
+ * destination charges to the vendor's account, less the platform fee.
+ */
+class ConnectService {
+  /**
+   * Create an onboarding link for a vendor, creating their Express account
+   * the first time
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} urls - Where Stripe sends the vendor back to
+   * @param {string} urls.returnUrl - After onboarding (finished or not)
+   * @param {string} urls.refreshUrl - When the link has expired and a new one is needed
+   * @returns {Promise<Object>} { url, expiresAt, accountId }
+   */
+  static async createOnboardingLink(vendorId, { returnUrl, refreshUrl }) {
+    try {
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      
+      if (!vendor) {
+        throw new AppError('User profile not found', 404);
+      }
+      
+      let accountId = vendor.stripeAccountId;
+      
+      if (!accountId) {
+        // Keyed by vendor, so two clicks at once (or a retry after the
+        // profile update failed) get the same account instead of a second one
+        const account = await stripe.accounts.create({
+          type: 'express',
+          email: vendor.email || undefined,
+          capabilities: {
+            card_payments: { requested: true },
+            transfers: { requested: true }
+          },
+          metadata: { vendorId }
+        }, { idempotencyKey: `connect_account_${vendorId}` });
+        
+        accountId = account.id;
+        
+        await FirebaseService.updateDocument('users', vendorId, {
+          stripeAccountId: accountId,
+          stripeAccountStatus: toAccountStatus(account)
+        });
+      }
+      
+      const accountLink = await stripe.accountLinks.create({
+        account: accountId,
+        return_url: returnUrl,
+        refresh_url: refreshUrl,
+        type: 'account_onboarding'
+      });
+      
+      return {
+        url: accountLink.url,
+        expiresAt: new Date(accountLink.expires_at * 1000).toISOString(),
+        accountId
+      };
+    } catch (error) {
+      console.error('Error creating onboarding link:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's Connect account status, refreshed from Stripe (used when
+   * the vendor comes back from onboarding, before the webhook may have arrived)
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} { accountId, ...status, payoutsOnHold }, with a null accountId if not onboarded
+   */
+  static async getAccountStatus(vendorId) {
+    try {
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      
+      if (!vendor || !vendor.stripeAccountId) {
+        return {
+          accountId: null,
+          chargesEnabled: false,
+          payoutsEnabled: false,
+          detailsSubmitted: false,
+          requirementsDue: [],
+          payoutsOnHold: false
+        };
+      }
+      
+      const account = await stripe.accounts.retrieve(vendor.stripeAccountId);
+      const status = toAccountStatus(account);
+      
+      await FirebaseService.updateDocument('users', vendorId, { stripeAccountStatus: status });
+      
+      return { accountId: vendor.stripeAccountId, ...status, payoutsOnHold: (vendor.payoutHolds || []).length > 0 };
+    } catch (error) {
+      console.error('Error getting Connect account status:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Process an account.updated webhook: keep the vendor's account status
+   * current. Accounts that aren't a vendor's are ignored.
+   * @param {Object} account - Stripe account
+   * @returns {Promise<boolean>} Whether a vendor was updated
+   */
+  static async processAccountUpdate(account) {
+    try {
+      let vendorId = account.metadata && account.metadata.vendorId;
+      
+      if (!vendorId) {
+        const [vendor] = await FirebaseService.queryDocuments('users', [
+          ['stripeAccountId', '==', account.id]
+        ], { limit: 1 });
+        vendorId = vendor && vendor.id;
+      }
+      
+      const vendor = vendorId ? await FirebaseService.getDocument('users', vendorId) : null;
+      
+      if (!vendor || vendor.stripeAccountId !== account.id) {
+        console.log(`No vendor for Connect account ${account.id}`);
+        return false;
+      }
+      
+      await FirebaseService.updateDocument('users', vendorId, {
+        stripeAccountStatus: toAccountStatus(account)
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Error processing account update:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Process a payout.paid or payout.failed webhook from a vendor's account:
+   * record the payout (or its failure) in the ledger
+   * @param {Object} payout - Stripe payout
+   * @param {string} accountId - Connect account that paid out
+   * @returns {Promise<boolean>} Whether the ledger changed
+   */
+  static async processPayoutUpdate(payout, accountId) {
+    try {
+      const [vendor] = accountId
+        ? await FirebaseService.queryDocuments('users', [['stripeAccountId', '==', accountId]], { limit: 1 })
+        : [];
+      
+      if (!vendor) {
+        console.log(`No vendor for payout ${payout.id}`);
+        return false;
+      }
+      
+      return Boolean(await LedgerService.recordPayout(payout, vendor.id));
+    } catch (error) {
+      console.error('Error processing payout update:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the Connect account a vendor's payments are sent to
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<string>} Stripe account ID
+   * @throws {AppError} 409 if the vendor can't take payments yet
+   */
+  static async getDestinationAccount(vendorId) {
+    try {
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      
+      if (!vendor || !vendor.stripeAccountId ||
+          !(vendor.stripeAccountStatus && vendor.stripeAccountStatus.chargesEnabled)) {
+        throw new AppError('This vendor has not finished setting up payments yet', 409);
+      }
+      
+      return vendor.stripeAccountId;
+    } catch (error) {
+      console.error('Error getting destination account:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Hold a vendor's payouts (e.g. while a dispute is open): their payout
+   * schedule is switched to manual, so funds stay in their Stripe balance.
+   * Holds are kept by ID on the vendor (payoutHolds), and the schedule they
+   * had is saved with the first one. Once Stripe has the manual schedule
+   * payoutScheduleHeld is set, and further holds (or holding again under
+   * the same ID) leave Stripe alone. The holds are changed in a transaction,
+   * so holds added at the same time (two disputes) are both kept; Stripe is
+   * called outside it, since a transaction may be retried. A hold added while
+   * the schedule is still waiting to be set back (see releasePayoutHold)
+   * calls that off and keeps the schedule saved then.
+   * @param {string} vendorId - Vendor ID
+   * @param {string} holdId - What the hold is for (e.g. a dispute ID)
+   * @returns {Promise<boolean>} Whether a hold was added
+   */
+  static async holdPayouts(vendorId, holdId) {
+    try {
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      
+      if (!vendor || !vendor.stripeAccountId) {
+        return false;
+      }
+      
+      // Read the schedule to save before the first hold makes it manual
+      const account = await stripe.accounts.retrieve(vendor.stripeAccountId);
+      const schedule = account.settings && account.settings.payouts && account.settings.payouts.schedule;
+      
+      const hold = await FirebaseService.runTransaction(async (tx) => {
+        const current = await tx.get('users', vendorId);
+        const holds = current.payoutHolds || [];
+        
+        // Until Stripe has the manual schedule (say setting it failed), every
+        // hold sets it, including a retry of one already recorded
+        if (holds.includes(holdId)) {
+          return { added: false, applySchedule: !current.payoutScheduleHeld };
+        }
+        
+        // While a restore is pending Stripe may still have the manual
+        // schedule, so the one saved with the first hold is kept
+        const saveSchedule = holds.length === 0 && !current.payoutRestorePending;
+        
+        tx.update('users', vendorId, {
+          payoutHolds: [...holds, holdId],
+          payoutRestorePending: false,
+          ...(saveSchedule ? { heldPayoutSchedule: schedule ? toScheduleUpdate(schedule) : null } : {})
+        });
+        
+        return { added: true, applySchedule: !current.payoutScheduleHeld };
+      });
+      
+      if (hold.applySchedule) {
+        await ConnectService.applyManualSchedule(vendorId, vendor.stripeAccountId);
+      }
+      
+      return hold.added;
+    } catch (error) {
+      console.error('Error holding payouts:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Release a hold on a vendor's payouts. Once no holds are left, their
+   * payout schedule is set back to what it was. Like holdPayouts, the holds
+   * are changed in a transaction and Stripe is called after it. Releasing
+   * the last hold leaves a pending restore (payoutRestorePending), and the
+   * saved schedule is only cleared once Stripe has it back; if Stripe fails,
+   * releasing the hold again (a retried or replayed webhook) finishes it.
+   * @param {string} vendorId - Vendor ID
+   * @param {string} holdId - ID the hold was added under
+   * @returns {Promise<boolean>} Whether a hold was released
+   */
+  static async releasePayoutHold(vendorId, holdId) {
+    try {
+      const released = await FirebaseService.runTransaction(async (tx) => {
+        const vendor = await tx.get('users', vendorId);
+        const holds = (vendor && vendor.payoutHolds) || [];
+        
+        if (!holds.includes(holdId)) {
+          return false;
+        }
+        
+        const remaining = holds.filter(id => id !== holdId);
+        
+        tx.update('users', vendorId, {
+          payoutHolds: remaining,
+          ...(remaining.length === 0 ? { payoutRestorePending: true } : {})
+        });
+        
+        return true;
+      });
+      
+      await ConnectService.restorePayoutSchedule(vendorId);
+      
+      return released;
+    } catch (error) {
+      console.error('Error releasing payout hold:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Set a vendor's payout schedule back to the one saved with their first
+   * hold, if a restore is pending. If a hold came in while Stripe was being
+   * called, the manual schedule is set again.
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<boolean>} Whether the schedule was set back
+   */
+  static async restorePayoutSchedule(vendorId) {
+    const vendor = await FirebaseService.getDocument('users', vendorId);
+    
+    if (!vendor || !vendor.payoutRestorePending || (vendor.payoutHolds || []).length > 0) {
+      return false;
+    }
+    
+    await stripe.accounts.update(vendor.stripeAccountId, {
+      settings: { payouts: { schedule: vendor.heldPayoutSchedule || { interval: 'daily' } } }
+    });
+    
+    const reheld = await FirebaseService.runTransaction(async (tx) => {
+      const current = await tx.get('users', vendorId);
+      
+      if ((current.payoutHolds || []).length > 0) {
+        tx.update('users', vendorId, { payoutScheduleHeld: false });
+        
+        return true;
+      }
+      
+      tx.update('users', vendorId, { heldPayoutSchedule: null, payoutScheduleHeld: false, payoutRestorePending: false });
+      
+      return false;
+    });
+    
+    if (reheld) {
+      await ConnectService.applyManualSchedule(vendorId, vendor.stripeAccountId);
+    }
+    
+    return !reheld;
+  }
+  
+  /**
+   * Switch a vendor's Stripe payout schedule to manual and note that Stripe has it
+   * @param {string} vendorId - Vendor ID
+   * @param {string} accountId - Vendor's Stripe account ID
+   */
+  static async applyManualSchedule(vendorId, accountId) {
+    await stripe.accounts.update(accountId, {
+      settings: { payouts: { schedule: { interval: 'manual' } } }
+    });
+    await FirebaseService.updateDocument('users', vendorId, { payoutScheduleHeld: true });
+  }
+  
+  /**
+   * Get a vendor's Stripe balance and their payouts, newest first
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Object>} { accountId, balance: { available, pending }, payouts }
+   */
+  static async getPayouts(vendorId, { limit = 20 } = {}) {
+    try {
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      
+      if (!vendor || !vendor.stripeAccountId) {
+        return { accountId: null, balance: { available: [], pending: [] }, payouts: [] };
+      }
+      
+      const stripeAccount = vendor.stripeAccountId;
+      const [balance, payouts] = await Promise.all([
+        stripe.balance.retrieve({}, { stripeAccount }),
+        stripe.payouts.list({ limit: Math.min(Math.max(1, limit), MAX_PAYOUTS) }, { stripeAccount })
+      ]);
+      
+      return {
+        accountId: stripeAccount,
+        balance: {
+          available: toBalanceAmounts(balance.available),
+          pending: toBalanceAmounts(balance.pending)
+        },
+        payouts: payouts.data.map(payout => ({
+          id: payout.id,
+          currency: payout.currency,
+          amountCents: payout.amount,
+          amount: payout.amount / 100,
+          status: payout.status,
+          method: payout.method,
+          arrivalDate: new Date(payout.arrival_date * 1000).toISOString(),
+          createdAt: new Date(payout.created * 1000).toISOString(),
+          failureMessage: payout.failure_message || null
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting payouts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConnectService;
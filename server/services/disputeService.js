@@ -0,0 +1,794 @@
+const https = require('https');
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('./firebaseService');
+const StripeService = require('./stripeService');
+const ConnectService = require('./connectService');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../utils/errorHandler');
+const { PAYMENT_STATUS } = require('../utils/paymentStatus');
+const { getRefundedCents } = require('../utils/paymentSchedule');
+const { resolveCancellationPolicy, describeCancellationPolicy } = require('../utils/cancellationPolicy');
+
+const DISPUTE_COLLECTION = 'disputes';
+const TRANSACTION_COLLECTION = 'transactions';
+
+// Disputes the vendor can still send evidence for
+const OPEN_STATUSES = ['warning_needs_response', 'needs_response'];
+
+// Closed dispute statuses where the customer keeps their money
+const LOST_STATUSES = ['lost'];
+
+// Evidence text the vendor writes, and the Stripe evidence field it goes in
+const EVIDENCE_TEXT_FIELDS = {
+  productDescription: 'product_description',
+  cancellationRebuttal: 'cancellation_rebuttal',
+  refundRefusalExplanation: 'refund_refusal_explanation',
+  uncategorizedText: 'uncategorized_text'
+};
+
+// Stripe evidence fields that take a file; each holds one file
+const EVIDENCE_FILE_CATEGORIES = [
+  'service_documentation',
+  'customer_communication',
+  'receipt',
+  'cancellation_policy',
+  'refund_policy',
+  'customer_signature',
+  'uncategorized_file'
+];
+
+// File types Stripe accepts as dispute evidence
+const EVIDENCE_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Stripe limits evidence files to 5 MB and text fields to 20,000 characters
+const MAX_EVIDENCE_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_EVIDENCE_TEXT_LENGTH = 20000;
+const MAX_FILE_NAME_LENGTH = 200;
+
+// Listing documents are only fetched from Firebase Storage
+const LISTING_DOCUMENT_HOSTS = ['firebasestorage.googleapis.com', 'storage.googleapis.com'];
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Summarise a Stripe dispute for its booking
+ * @param {Object} dispute - Stripe dispute
+ * @returns {Object} { id, status, reason, amountCents, amount, currency, paymentIntentId, dueBy }
+ */
+const toBookingDispute = (dispute) => ({
+  id: dispute.id,
+  status: dispute.status,
+  reason: dispute.reason,
+  amountCents: dispute.amount,
+  amount: dispute.amount / 100,
+  currency: dispute.currency,
+  paymentIntentId: dispute.payment_intent,
+  dueBy: dispute.evidence_details && dispute.evidence_details.due_by
+    ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+    : null
+});
+
+/**
+ * Get the fields of a dispute document that follow the Stripe dispute
+ * @param {Object} dispute - Stripe dispute
+ * @returns {Object} Dispute fields
+ */
+const toDisputeFields = (dispute) => {
+  const { id, ...fields } = toBookingDispute(dispute);
+  const details = dispute.evidence_details || {};
+  
+  return {
+    ...fields,
+    chargeId: dispute.charge || null,
+    hasEvidence: details.has_evidence === true,
+    submissionCount: details.submission_count || 0,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Download a listing document to send as evidence
+ * @param {string} url - Firebase Storage download URL
+ * @returns {Promise<Object>} { data (Buffer), type }
+ */
+const fetchListingDocument = (url) => new Promise((resolve, reject) => {
+  const request = https.get(url, { timeout: FETCH_TIMEOUT_MS }, (response) => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      return reject(new AppError(`Listing document returned HTTP ${response.statusCode}`, 502));
+    }
+    
+    const chunks = [];
+    let size = 0;
+    
+    response.on('data', chunk => {
+      size += chunk.length;
+      
+      if (size > MAX_EVIDENCE_FILE_BYTES) {
+        request.destroy(new AppError('Evidence files must be 5 MB or smaller', 413));
+        return;
+      }
+      
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({
+      data: Buffer.concat(chunks),
+      type: String(response.headers['content-type'] || '').split(';')[0].trim()
+    }));
+  });
+  
+  request.on('timeout', () => {
+    request.destroy(new AppError('Listing document timed out', 504));
+  });
+  request.on('error', error => {
+    reject(error instanceof AppError ? error : new AppError(`Could not fetch listing document: ${error.message}`, 502));
+  });
+});
+
+/**
+ * Service for card disputes (chargebacks). Each dispute is kept in the
+ * disputes collection under its Stripe dispute ID and kept current by the
+ * dispute webhooks. The disputed booking is flagged (paymentStatus disputed,
+ * with the dispute on booking.dispute) and the vendor's payouts are held
+ * until the dispute closes; a lost dispute counts as money refunded to the
+ * customer. While a dispute is open the vendor gathers evidence (text,
+ * uploaded files and the listing's documents), which is sent to Stripe
+ * together with the booking's own record.
+ */
+class DisputeService {
+  /**
+   * Process a charge.dispute.created webhook: record the dispute, flag the
+   * booking and hold the vendor's payouts. Safe to run again for the same
+   * dispute.
+   * @param {Object} dispute - Stripe dispute
+   * @returns {Promise<boolean>} Whether the booking was flagged
+   */
+  static async processDisputeCreated(dispute) {
+    try {
+      const booking = await DisputeService.getDisputedBooking(dispute);
+      
+      if (!booking) {
+        return false;
+      }
+      
+      const flagged = await FirebaseService.runTransaction(async (tx) => {
+        const current = await tx.get('bookings', booking.id);
+        const stored = await tx.get(DISPUTE_COLLECTION, dispute.id);
+        const now = new Date().toISOString();
+        
+        if (!stored) {
+          tx.set(DISPUTE_COLLECTION, dispute.id, {
+            bookingId: booking.id,
+            vendorId: current.vendorId,
+            customerId: current.userId || null,
+            listingId: current.listingId || null,
+            ...toDisputeFields(dispute),
+            evidence: {},
+            evidenceFiles: {},
+            submittedAt: null,
+            closedAt: null,
+            createdAt: now
+          });
+        }
+        
+        if (current.dispute && current.dispute.id === dispute.id) {
+          return false;
+        }
+        
+        tx.update('bookings', booking.id, {
+          paymentStatus: PAYMENT_STATUS.DISPUTED,
+          dispute: {
+            ...toBookingDispute(dispute),
+            // What the booking goes back to if the dispute is won
+            previousPaymentStatus: current.paymentStatus === PAYMENT_STATUS.DISPUTED && current.dispute
+              ? current.dispute.previousPaymentStatus
+              : current.paymentStatus,
+            createdAt: now,
+            closedAt: null
+          },
+          updatedAt: now
+        });
+        
+        return true;
+      });
+      
+      // Held outside the booking update, so a retry holds them if it failed
+      await ConnectService.holdPayouts(booking.vendorId, dispute.id);
+      
+      return flagged;
+    } catch (error) {
+      console.error('Error processing dispute:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Process a charge.dispute.updated webhook: keep the dispute's status and
+   * deadline current. A dispute not seen before is recorded as if created.
+   * @param {Object} dispute - Stripe dispute
+   * @returns {Promise<boolean>} Whether the dispute was updated
+   */
+  static async processDisputeUpdated(dispute) {
+    try {
+      const stored = await FirebaseService.getDocument(DISPUTE_COLLECTION, dispute.id);
+      
+      if (!stored) {
+        return await DisputeService.processDisputeCreated(dispute);
+      }
+      
+      // A closed dispute is only changed by charge.dispute.closed
+      if (stored.closedAt) {
+        return false;
+      }
+      
+      await FirebaseService.updateDocument(DISPUTE_COLLECTION, dispute.id, toDisputeFields(dispute));
+      
+      const booking = await FirebaseService.getDocument('bookings', stored.bookingId);
+      
+      if (booking && booking.dispute && booking.dispute.id === dispute.id && !booking.dispute.closedAt) {
+        const { status, dueBy } = toBookingDispute(dispute);
+        
+        await FirebaseService.updateDocument('bookings', stored.bookingId, {
+          dispute: { ...booking.dispute, status, dueBy }
+        });
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Error processing dispute update:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Process a charge.dispute.closed webhook: a won dispute puts the
+   * booking's payment status back, and a lost one counts the disputed amount
+   * as refunded and takes it back from the vendor by reversing their
+   * transfer. Either way the outcome and Stripe's dispute fees go in the
+   * ledger, and the vendor's payout hold is released. Safe to run again for
+   * the same dispute.
+   * @param {Object} dispute - Stripe dispute
+   * @returns {Promise<boolean>} Whether the booking was updated
+   */
+  static async processDisputeClosed(dispute) {
+    try {
+      const booking = await DisputeService.getDisputedBooking(dispute);
+      
+      if (!booking) {
+        return false;
+      }
+      
+      const transactionId = `dispute_${dispute.id}`;
+      const lost = LOST_STATUSES.includes(dispute.status);
+      
+      // Stripe takes a lost dispute from the platform's balance, so it is taken
+      // back from the vendor before their payouts are let go again
+      const reversal = lost ? await DisputeService.reverseDisputedTransfer(dispute) : null;
+      
+      const updated = await FirebaseService.runTransaction(async (tx) => {
+        const current = await tx.get('bookings', booking.id);
+        const stored = await tx.get(DISPUTE_COLLECTION, dispute.id);
+        const now = new Date().toISOString();
+        
+        if (stored && !stored.closedAt) {
+          tx.update(DISPUTE_COLLECTION, dispute.id, { ...toDisputeFields(dispute), closedAt: now });
+        }
+        
+        if (!current.dispute || current.dispute.id !== dispute.id || current.dispute.closedAt) {
+          return false;
+        }
+        
+        const closedDispute = { ...current.dispute, status: dispute.status, closedAt: now };
+        
+        // A won dispute leaves the booking as paid (and refunded) as it is
+        // now; a lost one takes the disputed amount back from the payment.
+        // Stripe only lets a charge be disputed for what wasn't refunded.
+        tx.update('bookings', booking.id, {
+          ...StripeService.buildRefundUpdate(
+            { ...current, paymentStatus: current.dispute.previousPaymentStatus },
+            dispute.payment_intent,
+            lost ? dispute.amount : 0
+          ),
+          dispute: closedDispute,
+          updatedAt: now
+        });
+        
+        const entry = LedgerService.buildDisputeEntry(dispute, booking, reversal);
+        
+        if (entry) {
+          LedgerService.recordEntryInTransaction(tx, transactionId, entry);
+        }
+        
+        if (!lost) {
+          return true;
+        }
+        
+        tx.create(TRANSACTION_COLLECTION, {
+          bookingId: booking.id,
+          vendorId: current.vendorId,
+          type: 'dispute',
+          // Like a refund's fee share, whatever the reversal didn't cover is the platform's
+          ...StripeService.toTransactionAmounts(-dispute.amount, reversal.amountCents - dispute.amount, dispute.currency),
+          stripeDisputeId: dispute.id,
+          stripePaymentId: dispute.payment_intent,
+          stripeTransferReversalId: reversal.id,
+          status: 'completed',
+          createdAt: now
+        }, transactionId);
+        
+        return true;
+      });
+      
+      await ConnectService.releasePayoutHold(booking.vendorId, dispute.id);
+      
+      return updated;
+    } catch (error) {
+      console.error('Error processing closed dispute:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's disputes: open ones first, soonest deadline first, then
+   * the rest newest first
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} [filters] - { status: 'open' or 'closed' }
+   * @returns {Promise<Array>} Disputes
+   */
+  static async getVendorDisputes(vendorId, { status } = {}) {
+    try {
+      const disputes = await FirebaseService.queryDocuments(DISPUTE_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+      
+      const open = disputes
+        .filter(dispute => DisputeService.isOpen(dispute))
+        .sort((a, b) => String(a.dueBy).localeCompare(String(b.dueBy)));
+      const rest = disputes
+        .filter(dispute => !DisputeService.isOpen(dispute))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      
+      if (status === 'open') {
+        return open;
+      }
+      
+      return status === 'closed' ? rest : [...open, ...rest];
+    } catch (error) {
+      console.error('Error getting vendor disputes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a dispute with what the vendor needs to respond to it: the booking,
+   * the listing's documents and the booking record sent with the evidence
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} { dispute, booking, listingDocuments, bookingRecord }
+   */
+  static async getDisputeDetails(disputeId, vendorId) {
+    try {
+      const dispute = await DisputeService.getOwnedDispute(disputeId, vendorId);
+      const { booking, listing, customer } = await DisputeService.getDisputeContext(dispute);
+      
+      return {
+        dispute,
+        booking: booking && {
+          id: booking.id,
+          listingId: booking.listingId,
+          listingTitle: listing ? listing.title : null,
+          customerName: booking.customerName || (customer && customer.name) || null,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          status: booking.status,
+          totalAmount: booking.totalAmount,
+          paymentStatus: booking.paymentStatus
+        },
+        listingDocuments: (listing && listing.documents) || [],
+        bookingRecord: booking ? DisputeService.buildBookingEvidence(booking, listing, customer) : {}
+      };
+    } catch (error) {
+      console.error('Error getting dispute details:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the vendor's evidence text (a draft until it is submitted)
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} evidence - Any of productDescription, cancellationRebuttal,
+   *   refundRefusalExplanation, uncategorizedText
+   * @returns {Promise<Object>} Updated dispute
+   */
+  static async saveEvidence(disputeId, vendorId, evidence = {}) {
+    try {
+      const dispute = await DisputeService.getRespondableDispute(disputeId, vendorId);
+      const changes = {};
+      
+      for (const [field, value] of Object.entries(evidence)) {
+        if (!EVIDENCE_TEXT_FIELDS[field]) {
+          throw new AppError(`Unknown evidence field: ${field}`, 400);
+        }
+        
+        if (value !== null && typeof value !== 'string') {
+          throw new AppError(`${field} must be text`, 400);
+        }
+        
+        if (value && value.length > MAX_EVIDENCE_TEXT_LENGTH) {
+          throw new AppError(`${field} must be at most ${MAX_EVIDENCE_TEXT_LENGTH} characters`, 400);
+        }
+        
+        changes[field] = value ? value.trim() : null;
+      }
+      
+      const updateData = {
+        evidence: { ...dispute.evidence, ...changes },
+        updatedAt: new Date().toISOString()
+      };
+      
+      await FirebaseService.updateDocument(DISPUTE_COLLECTION, disputeId, updateData);
+      
+      return { ...dispute, ...updateData };
+    } catch (error) {
+      console.error('Error saving dispute evidence:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Upload an evidence file to Stripe, replacing any earlier file of the
+   * same category
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} file - { category, name, type, data (Buffer) }
+   * @param {string} [source='upload'] - upload, or listing for a listing document
+   * @returns {Promise<Object>} Updated dispute
+   */
+  static async addEvidenceFile(disputeId, vendorId, { category, name, type, data }, source = 'upload') {
+    try {
+      const dispute = await DisputeService.getRespondableDispute(disputeId, vendorId);
+      
+      if (!EVIDENCE_FILE_CATEGORIES.includes(category)) {
+        throw new AppError(`Evidence category must be one of: ${EVIDENCE_FILE_CATEGORIES.join(', ')}`, 400);
+      }
+      
+      if (!EVIDENCE_FILE_TYPES.includes(type) || !Buffer.isBuffer(data)) {
+        throw new AppError('Evidence files must be PDF, JPEG or PNG', 400);
+      }
+      
+      if (data.length === 0 || data.length > MAX_EVIDENCE_FILE_BYTES) {
+        throw new AppError('Evidence files must be between 1 byte and 5 MB', 400);
+      }
+      
+      const fileName = String(name || category).slice(0, MAX_FILE_NAME_LENGTH);
+      const file = await stripe.files.create({
+        purpose: 'dispute_evidence',
+        file: { data, name: fileName, type }
+      });
+      const now = new Date().toISOString();
+      
+      const updateData = {
+        evidenceFiles: {
+          ...dispute.evidenceFiles,
+          [category]: {
+            stripeFileId: file.id,
+            name: fileName,
+            type,
+            size: data.length,
+            source,
+            uploadedAt: now
+          }
+        },
+        updatedAt: now
+      };
+      
+      await FirebaseService.updateDocument(DISPUTE_COLLECTION, disputeId, updateData);
+      
+      return { ...dispute, ...updateData };
+    } catch (error) {
+      console.error('Error adding dispute evidence file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Send one of the booked listing's documents as an evidence file
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} document - { url, category }
+   * @returns {Promise<Object>} Updated dispute
+   */
+  static async addListingDocument(disputeId, vendorId, { url, category }) {
+    try {
+      const dispute = await DisputeService.getRespondableDispute(disputeId, vendorId);
+      const listing = dispute.listingId ? await FirebaseService.getDocument('listings', dispute.listingId) : null;
+      
+      if (!listing || !url || !(listing.documents || []).includes(url)) {
+        throw new AppError('Document not found on the booked listing', 404);
+      }
+      
+      const parsed = new URL(url);
+      
+      if (parsed.protocol !== 'https:' || !LISTING_DOCUMENT_HOSTS.includes(parsed.hostname)) {
+        throw new AppError('Only documents uploaded with the listing can be sent as evidence', 400);
+      }
+      
+      const { data, type } = await fetchListingDocument(url);
+      
+      // Storage paths are URL-encoded in download URLs (documents%2F<uid>%2F<name>)
+      const name = decodeURIComponent(parsed.pathname.split('/').pop()).split('/').pop();
+      
+      return await DisputeService.addEvidenceFile(disputeId, vendorId, { category, name, type, data }, 'listing');
+    } catch (error) {
+      console.error('Error adding listing document as evidence:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove an evidence file from the draft
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @param {string} category - Evidence file category
+   * @returns {Promise<Object>} Updated dispute
+   */
+  static async removeEvidenceFile(disputeId, vendorId, category) {
+    try {
+      const dispute = await DisputeService.getRespondableDispute(disputeId, vendorId);
+      const { [category]: removed, ...evidenceFiles } = dispute.evidenceFiles || {};
+      
+      if (!removed) {
+        throw new AppError('Evidence file not found', 404);
+      }
+      
+      const updateData = { evidenceFiles, updatedAt: new Date().toISOString() };
+      
+      await FirebaseService.updateDocument(DISPUTE_COLLECTION, disputeId, updateData);
+      
+      return { ...dispute, ...updateData };
+    } catch (error) {
+      console.error('Error removing dispute evidence file:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Submit the evidence to Stripe: the booking record with the vendor's
+   * text and files. Stripe takes one submission per dispute.
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} Updated dispute
+   */
+  static async submitEvidence(disputeId, vendorId) {
+    try {
+      const dispute = await DisputeService.getRespondableDispute(disputeId, vendorId);
+      const { booking, listing, customer } = await DisputeService.getDisputeContext(dispute);
+      
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      
+      const submitted = await stripe.disputes.update(disputeId, {
+        evidence: DisputeService.buildEvidence(dispute, booking, listing, customer),
+        submit: true
+      });
+      
+      const updateData = {
+        ...toDisputeFields(submitted),
+        submittedAt: new Date().toISOString()
+      };
+      
+      await FirebaseService.updateDocument(DISPUTE_COLLECTION, disputeId, updateData);
+      
+      return { ...dispute, ...updateData };
+    } catch (error) {
+      console.error('Error submitting dispute evidence:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Build the Stripe evidence for a dispute: the booking record, with the
+   * vendor's text in place of (or, for notes, ahead of) it, and their files
+   * @param {Object} dispute - Dispute document
+   * @param {Object} booking - Booking document
+   * @param {Object|null} listing - Listing document
+   * @param {Object|null} customer - Customer's user profile
+   * @returns {Object} Stripe dispute evidence
+   */
+  static buildEvidence(dispute, booking, listing, customer) {
+    const evidence = DisputeService.buildBookingEvidence(booking, listing, customer);
+    const text = dispute.evidence || {};
+    
+    for (const [field, stripeField] of Object.entries(EVIDENCE_TEXT_FIELDS)) {
+      if (!text[field]) {
+        continue;
+      }
+      
+      evidence[stripeField] = stripeField === 'uncategorized_text' && evidence.uncategorized_text
+        ? `${text[field]}\n\n${evidence.uncategorized_text}`.slice(0, MAX_EVIDENCE_TEXT_LENGTH)
+        : text[field];
+    }
+    
+    for (const [category, file] of Object.entries(dispute.evidenceFiles || {})) {
+      evidence[category] = file.stripeFileId;
+    }
+    
+    return evidence;
+  }
+  
+  /**
+   * Build the evidence the platform has from the booking itself
+   * @param {Object} booking - Booking document
+   * @param {Object|null} listing - Listing document
+   * @param {Object|null} customer - Customer's user profile
+   * @returns {Object} Stripe dispute evidence fields
+   */
+  static buildBookingEvidence(booking, listing, customer) {
+    const policy = booking.cancellationPolicy || resolveCancellationPolicy(listing && listing.cancellationPolicy);
+    const customerName = booking.customerName || (customer && customer.name) || '';
+    const customerEmail = booking.customerEmail || (customer && customer.email) || '';
+    const money = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+    
+    const lines = [
+      `Booking record (booking ${booking.id})`,
+      `Listing: ${listing ? listing.title : booking.listingId}`,
+      `Booked: ${booking.createdAt}`,
+      `Service: ${booking.startTime} to ${booking.endTime}${booking.timezone ? ` (${booking.timezone})` : ''}`,
+      `Customer: ${customerName}${customerEmail ? ` <${customerEmail}>` : ''}`,
+      `Status: ${booking.status}`,
+      `Price: ${money(booking.totalAmount)}`,
+      ...StripeService.getBookingPayments(booking).map(payment =>
+        `Payment: ${money(payment.amountCents / 100)} (${payment.type})${payment.paidAt ? ` on ${payment.paidAt}` : ''}`),
+      ...(getRefundedCents(booking) ? [`Refunded: ${money(getRefundedCents(booking) / 100)}`] : []),
+      ...(booking.statusHistory || []).map(entry =>
+        `${entry.changedAt}: ${entry.from || 'new'} -> ${entry.to} (by ${entry.role})${entry.reason ? `: ${entry.reason}` : ''}`)
+    ];
+    
+    const evidence = {
+      customer_name: customerName,
+      customer_email_address: customerEmail,
+      service_date: booking.startTime ? booking.startTime.slice(0, 10) : '',
+      product_description: listing ? [listing.title, listing.description].filter(Boolean).join('\n\n') : '',
+      cancellation_policy_disclosure: describeCancellationPolicy(policy),
+      uncategorized_text: lines.join('\n').slice(0, MAX_EVIDENCE_TEXT_LENGTH)
+    };
+    
+    // Stripe treats an empty string as clearing the field
+    return Object.fromEntries(Object.entries(evidence).filter(([, value]) => value));
+  }
+  
+  /**
+   * Check whether a dispute still takes evidence
+   * @param {Object} dispute - Dispute document
+   * @returns {boolean} Whether it is open
+   */
+  static isOpen(dispute) {
+    return OPEN_STATUSES.includes(dispute.status) && !dispute.closedAt;
+  }
+  
+  /**
+   * Get a dispute, checking the vendor owns it
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} Dispute
+   */
+  static async getOwnedDispute(disputeId, vendorId) {
+    const dispute = await FirebaseService.getDocument(DISPUTE_COLLECTION, disputeId);
+    
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+    
+    if (dispute.vendorId !== vendorId) {
+      throw new AppError('Unauthorized', 403);
+    }
+    
+    return dispute;
+  }
+  
+  /**
+   * Get a dispute the vendor can still send evidence for
+   * @param {string} disputeId - Dispute ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} Dispute
+   * @throws {AppError} 409 if it is closed, past its deadline or already submitted
+   */
+  static async getRespondableDispute(disputeId, vendorId) {
+    const dispute = await DisputeService.getOwnedDispute(disputeId, vendorId);
+    
+    if (!DisputeService.isOpen(dispute)) {
+      throw new AppError('This dispute no longer takes evidence', 409);
+    }
+    
+    if (dispute.submittedAt) {
+      throw new AppError('Evidence for this dispute has already been submitted', 409);
+    }
+    
+    if (dispute.dueBy && new Date(dispute.dueBy) < new Date()) {
+      throw new AppError('The deadline for this dispute has passed', 409);
+    }
+    
+    return dispute;
+  }
+  
+  /**
+   * Get the booking, listing and customer a dispute is about
+   * @param {Object} dispute - Dispute document
+   * @returns {Promise<Object>} { booking, listing, customer }, each null if missing
+   */
+  static async getDisputeContext(dispute) {
+    const booking = await FirebaseService.getDocument('bookings', dispute.bookingId);
+    const [listing, customer] = await Promise.all([
+      booking && booking.listingId ? FirebaseService.getDocument('listings', booking.listingId) : null,
+      booking && booking.userId ? FirebaseService.getDocument('users', booking.userId) : null
+    ]);
+    
+    return { booking, listing, customer };
+  }
+  
+  /**
+   * Reverse the vendor's transfer for a lost dispute's amount, as far as the
+   * transfer still covers it (refunds reverse it too). The reversal carries
+   * the dispute's ID, so running this again finds it instead of reversing twice.
+   * @param {Object} dispute - Stripe dispute (lost)
+   * @returns {Promise<Object>} { id, amountCents } (id null if nothing could be reversed)
+   */
+  static async reverseDisputedTransfer(dispute) {
+    try {
+      const charge = await stripe.charges.retrieve(
+        typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id,
+        { expand: ['transfer'] }
+      );
+      const transfer = charge.transfer;
+      
+      if (!transfer) {
+        return { id: null, amountCents: 0 };
+      }
+      
+      const existing = ((transfer.reversals && transfer.reversals.data) || [])
+        .find(reversal => reversal.metadata && reversal.metadata.disputeId === dispute.id);
+      
+      if (existing) {
+        return { id: existing.id, amountCents: existing.amount };
+      }
+      
+      const amountCents = Math.min(dispute.amount, transfer.amount - (transfer.amount_reversed || 0));
+      
+      if (amountCents <= 0) {
+        return { id: null, amountCents: 0 };
+      }
+      
+      const reversal = await stripe.transfers.createReversal(transfer.id, {
+        amount: amountCents,
+        metadata: { disputeId: dispute.id }
+      }, { idempotencyKey: `dispute_reversal_${dispute.id}` });
+      
+      return { id: reversal.id, amountCents: reversal.amount };
+    } catch (error) {
+      console.error('Error reversing disputed transfer:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Find the booking a dispute is about, through its payment intent
+   * @param {Object} dispute - Stripe dispute
+   * @returns {Promise<Object|null>} Booking, or null if the payment isn't a booking's
+   */
+  static async getDisputedBooking(dispute) {
+    const paymentIntent = dispute.payment_intent
+      ? await stripe.paymentIntents.retrieve(dispute.payment_intent)
+      : null;
+    const bookingId = paymentIntent && paymentIntent.metadata.bookingId;
+    const booking = bookingId ? await FirebaseService.getDocument('bookings', bookingId) : null;
+    
+    if (!booking) {
+      console.log(`No booking for dispute ${dispute.id}`);
+    }
+    
+    return booking;
+  }
+}
+
+module.exports = DisputeService;
@@ -1,7 +1,10 @@
-const { db, admin } = require('../config/firebase');
+const { admin } = require('../config/firebase');
+const { isMemoryStore } = require('../config/dataStore');
+const repository = require('../repositories');
 
 /**
  * Service for common Firebase operations
+ * Document operations go through the configured repository (Firestore or in-memory)
  */
 class FirebaseService {
   /**
@@ -13,21 +16,7 @@ class FirebaseService {
    */
   static async createDocument(collection, data, id = null) {
     try {
-      let docRef;
-      
-      if (id) {
-        // Create with specific ID
-        docRef = db.collection(collection).doc(id);
-        await docRef.set(data);
-      } else {
-        // Auto-generate ID
-        docRef = await db.collection(collection).add(data);
-      }
-      
-      return {
-        id: docRef.id,
-        ...data
-      };
+      return await repository.create(collection, data, id);
     } catch (error) {
       console.error(`Error creating document in ${collection}:`, error);
       throw error;
@@ -42,17 +31,7 @@ class FirebaseService {
    */
   static async getDocument(collection, id) {
     try {
-      const docRef = db.collection(collection).doc(id);
-      const doc = await docRef.get();
-      
-      if (!doc.exists) {
-        return null;
-      }
-      
-      return {
-        id: doc.id,
-        ...doc.data()
-      };
+      return await repository.get(collection, id);
     } catch (error) {
       console.error(`Error getting document from ${collection}:`, error);
       throw error;
@@ -68,9 +47,7 @@ class FirebaseService {
    */
   static async updateDocument(collection, id, data) {
     try {
-      const docRef = db.collection(collection).doc(id);
-      await docRef.update(data);
-      return true;
+      return await repository.update(collection, id, data);
     } catch (error) {
       console.error(`Error updating document in ${collection}:`, error);
       throw error;
@@ -85,9 +62,7 @@ class FirebaseService {
    */
   static async deleteDocument(collection, id) {
     try {
-      const docRef = db.collection(collection).doc(id);
-      await docRef.delete();
-      return true;
+      return await repository.delete(collection, id);
     } catch (error) {
       console.error(`Error deleting document from ${collection}:`, error);
       throw error;
@@ -106,35 +81,7 @@ class FirebaseService {
    */
   static async queryDocuments(collection, conditions = [], options = {}) {
     try {
-      let query = db.collection(collection);
-      
-      // Apply conditions
-      conditions.forEach(([field, operator, value]) => {
-        query = query.where(field, operator, value);
-      });
-      
-      // Apply ordering
-      if (options.orderByField) {
-        const direction = options.orderByDirection || 'asc';
-        query = query.orderBy(options.orderByField, direction);
-      }
-      
-      // Apply limit
-      if (options.limit) {
-        query = query.limit(options.limit);
-      }
-      
-      const snapshot = await query.get();
-      
-      const documents = [];
-      snapshot.forEach(doc => {
-        documents.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      
-      return documents;
+      return await repository.query(collection, conditions, options);
     } catch (error) {
       console.error(`Error querying documents from ${collection}:`, error);
       throw error;
@@ -148,6 +95,12 @@ class FirebaseService {
    */
   static async getUserAuth(uid) {
     try {
+      if (isMemoryStore) {
+        // No Firebase Auth offline: derive the record from the user profile
+        const profile = await repository.get('users', uid);
+        return { uid, email: profile?.email, displayName: profile?.displayName };
+      }
+      
       const userRecord = await admin.auth().getUser(uid);
       return userRecord;
     } catch (error) {
@@ -166,6 +119,15 @@ class FirebaseService {
    */
   static async createUserAuth(userData) {
     try {
+      if (isMemoryStore) {
+        const profile = await repository.create('users', {
+          email: userData.email,
+          displayName: userData.displayName || null,
+          createdAt: new Date().toISOString()
+        });
+        return { uid: profile.id, email: profile.email, displayName: profile.displayName };
+      }
+      
       const userRecord = await admin.auth().createUser({
         email: userData.email,
         password: userData.password,
@@ -187,6 +149,10 @@ class FirebaseService {
    */
   static async updateUserAuth(uid, userData) {
     try {
+      if (isMemoryStore) {
+        return { uid, ...userData };
+      }
+      
       const userRecord = await admin.auth().updateUser(uid, userData);
       return userRecord;
     } catch (error) {
@@ -200,39 +166,38 @@ class FirebaseService {
    * @param {Array} operations - Array of operations
    * @param {string} operations[].type - Operation type (create, update, delete)
    * @param {string} operations[].collection - Collection name
-   * @param {string} operations[].id - Document ID
+   * @param {string} [operations[].id] - Document ID (generated for creates when omitted)
    * @param {Object} [operations[].data] - Document data (for create/update)
    * @returns {Promise<boolean>} Success status
    */
   static async batchWrite(operations) {
     try {
-      const batch = db.batch();
-      
-      operations.forEach(op => {
-        const docRef = db.collection(op.collection).doc(op.id);
-        
-        switch (op.type) {
-          case 'create':
-            batch.set(docRef, op.data);
-            break;
-          case 'update':
-            batch.update(docRef, op.data);
-            break;
-          case 'delete':
-            batch.delete(docRef);
-            break;
-          default:
-            throw new Error(`Invalid operation type: ${op.type}`);
-        }
-      });
-      
-      await batch.commit();
-      return true;
+      return await repository.batchWrite(operations);
     } catch (error) {
       console.error('Error executing batch write:', error);
       throw error;
     }
   }
+
+  /**
+   * Run a read-check-write sequence atomically
+   * @param {Function} updateFunction - async (tx) => result; tx provides
+   *   get(collection, id), query(collection, conditions, options),
+   *   create(collection, data, id), set(collection, id, data),
+   *   update(collection, id, data) and delete(collection, id).
+   *   Do every read before the first write; the function may be retried.
+   * @returns {Promise<*>} Result of updateFunction
+   */
+  static async runTransaction(updateFunction) {
+    try {
+      return await repository.runTransaction(updateFunction);
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Error running transaction:', error);
+      }
+      throw error;
+    }
+  }
 }
 
 module.exports = FirebaseService;
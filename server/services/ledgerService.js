@@ -0,0 +1,341 @@
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('./firebaseService');
+const {
+  LEDGER_ENTRY_TYPE,
+  buildPaymentLines,
+  buildRefundLines,
+  buildDisputeLines,
+  buildPayoutLines,
+  reverseLines,
+  validateLines,
+  sumBalances
+} = require('../utils/ledger');
+
+const LEDGER_COLLECTION = 'ledger_entries';
+const MAX_ENTRIES = 500;
+
+/**
+ * Service for the double-entry ledger (see utils/ledger). Each entry has a
+ * fixed ID made from what it records (e.g. payment_<payment intent ID>), so
+ * the webhook handlers that write them can run again without writing an
+ * entry twice. Entries are never updated or deleted.
+ */
+class LedgerService {
+  /**
+   * Build a ledger entry, checking that it balances
+   * @param {Object} entryData - Entry data
+   * @param {string} entryData.type - Entry type (see LEDGER_ENTRY_TYPE)
+   * @param {string} entryData.vendorId - Vendor the money is for
+   * @param {string} [entryData.bookingId] - Booking the money is for
+   * @param {string} [entryData.currency='usd'] - Currency
+   * @param {Array} entryData.lines - Debit and credit lines
+   * @param {Object} [entryData.reference] - Stripe object IDs
+   * @param {string} [entryData.reversesEntryId] - Entry this one reverses
+   * @param {string} [entryData.description] - What happened
+   * @param {string} [entryData.occurredAt] - When it happened (defaults to now)
+   * @returns {Object} Entry data
+   * @throws {Error} If the lines don't balance
+   */
+  static buildEntry({
+    type,
+    vendorId,
+    bookingId = null,
+    currency = 'usd',
+    lines,
+    reference = {},
+    reversesEntryId = null,
+    description = '',
+    occurredAt
+  }) {
+    const linesError = validateLines(lines);
+    
+    if (linesError) {
+      throw new Error(`Invalid ${type} ledger entry: ${linesError}`);
+    }
+    
+    const now = new Date().toISOString();
+    
+    return {
+      type,
+      vendorId,
+      bookingId,
+      currency,
+      lines,
+      reference,
+      reversesEntryId,
+      description,
+      occurredAt: occurredAt || now,
+      createdAt: now
+    };
+  }
+  
+  /**
+   * Record an entry under its ID, unless it is already recorded
+   * @param {string} entryId - Entry ID
+   * @param {Object} entryData - Entry data (see buildEntry)
+   * @returns {Promise<Object|null>} Entry, or null if it was already recorded
+   */
+  static async recordEntry(entryId, entryData) {
+    try {
+      const entry = LedgerService.buildEntry(entryData);
+      
+      return await FirebaseService.runTransaction(async (tx) => {
+        if (await tx.get(LEDGER_COLLECTION, entryId)) {
+          return null;
+        }
+        
+        tx.create(LEDGER_COLLECTION, entry, entryId);
+        
+        return { id: entryId, ...entry };
+      });
+    } catch (error) {
+      console.error('Error recording ledger entry:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record an entry as part of a Firestore transaction. The caller makes
+   * sure the transaction only records it once.
+   * @param {Object} tx - Transaction handle (see FirebaseService.runTransaction)
+   * @param {string} entryId - Entry ID
+   * @param {Object} entryData - Entry data (see buildEntry)
+   */
+  static recordEntryInTransaction(tx, entryId, entryData) {
+    tx.create(LEDGER_COLLECTION, LedgerService.buildEntry(entryData), entryId);
+  }
+  
+  /**
+   * Get an entry
+   * @param {string} entryId - Entry ID
+   * @param {Object} [tx] - Transaction handle, to read as part of a transaction
+   * @returns {Promise<Object|null>} Entry, or null if not recorded
+   */
+  static async getEntry(entryId, tx = null) {
+    return tx ? await tx.get(LEDGER_COLLECTION, entryId) : await FirebaseService.getDocument(LEDGER_COLLECTION, entryId);
+  }
+  
+  /**
+   * Record a successful payment (booking, instalment or reschedule charge).
+   * Stripe's processing fee is read from the charge's balance transaction.
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} amounts - Transaction amounts (see StripeService.toTransactionAmounts)
+   * @param {string} paymentType - What the payment was for (e.g. booking, deposit, reschedule_charge)
+   * @returns {Promise<Object|null>} Entry, or null if it was already recorded
+   */
+  static async recordPayment(paymentIntent, amounts, paymentType) {
+    try {
+      const entryId = `payment_${paymentIntent.id}`;
+      
+      if (await LedgerService.getEntry(entryId)) {
+        return null;
+      }
+      
+      const { bookingId, vendorId } = paymentIntent.metadata;
+      const stripeFeeCents = await LedgerService.getStripeFee(paymentIntent);
+      
+      return await LedgerService.recordEntry(entryId, {
+        type: LEDGER_ENTRY_TYPE.PAYMENT,
+        vendorId,
+        bookingId,
+        currency: amounts.currency,
+        lines: buildPaymentLines({ amountCents: amounts.amountCents, feeCents: amounts.feeCents, stripeFeeCents }),
+        reference: { stripePaymentId: paymentIntent.id },
+        description: `${paymentType} payment`,
+        occurredAt: paymentIntent.created ? new Date(paymentIntent.created * 1000).toISOString() : undefined
+      });
+    } catch (error) {
+      console.error('Error recording payment in ledger:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the fee Stripe took for a payment intent's charge
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Promise<number>} Fee in cents (0 if there is no charge)
+   */
+  static async getStripeFee(paymentIntent) {
+    const charge = paymentIntent.latest_charge;
+    
+    if (!charge) {
+      return 0;
+    }
+    
+    const { balance_transaction: balanceTransaction } = await stripe.charges.retrieve(
+      typeof charge === 'string' ? charge : charge.id,
+      { expand: ['balance_transaction'] }
+    );
+    
+    return (balanceTransaction && balanceTransaction.fee) || 0;
+  }
+  
+  /**
+   * Build the entry for a refund
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.refundId - Stripe refund ID
+   * @param {string} refundData.paymentIntentId - Payment intent refunded
+   * @param {string} refundData.vendorId - Vendor ID
+   * @param {string} refundData.bookingId - Booking ID
+   * @param {number} refundData.amountCents - Amount refunded, in cents
+   * @param {number} [refundData.feeCents=0] - Platform fee share given back, in cents
+   * @param {string} [refundData.currency='usd'] - Currency
+   * @returns {Object} Entry data
+   */
+  static buildRefundEntry({ refundId, paymentIntentId, vendorId, bookingId, amountCents, feeCents = 0, currency = 'usd' }) {
+    return {
+      type: LEDGER_ENTRY_TYPE.REFUND,
+      vendorId,
+      bookingId,
+      currency,
+      lines: buildRefundLines({ amountCents, feeCents }),
+      reference: { stripeRefundId: refundId, stripePaymentId: paymentIntentId },
+      description: 'Refund'
+    };
+  }
+  
+  /**
+   * Build the entry for a closed dispute, if it moved any money
+   * @param {Object} dispute - Stripe dispute
+   * @param {Object} booking - Disputed booking
+   * @param {Object|null} reversal - For a lost dispute, the reversal of the vendor's
+   *   transfer that took it back from them ({ id, amountCents }); null when won
+   * @returns {Object|null} Entry data, or null if there is nothing to record
+   */
+  static buildDisputeEntry(dispute, booking, reversal) {
+    const stripeFeeCents = (dispute.balance_transactions || [])
+      .reduce((cents, balanceTransaction) => cents + (balanceTransaction.fee || 0), 0);
+    const amountCents = reversal ? dispute.amount : 0;
+    const vendorCents = reversal ? reversal.amountCents : 0;
+    
+    if (amountCents <= 0 && stripeFeeCents <= 0) {
+      return null;
+    }
+    
+    return {
+      type: LEDGER_ENTRY_TYPE.DISPUTE,
+      vendorId: booking.vendorId,
+      bookingId: booking.id,
+      currency: dispute.currency,
+      lines: buildDisputeLines({ amountCents, vendorCents, stripeFeeCents }),
+      reference: {
+        stripeDisputeId: dispute.id,
+        stripePaymentId: dispute.payment_intent,
+        ...(reversal && reversal.id ? { stripeTransferReversalId: reversal.id } : {})
+      },
+      description: `Dispute ${dispute.status}`
+    };
+  }
+  
+  /**
+   * Build the entry that reverses another
+   * @param {string} entryId - ID of the entry reversed
+   * @param {Object} entry - Entry reversed
+   * @param {string} description - Why it is reversed
+   * @returns {Object} Entry data
+   */
+  static buildReversalEntry(entryId, entry, description) {
+    return {
+      type: LEDGER_ENTRY_TYPE.REVERSAL,
+      vendorId: entry.vendorId,
+      bookingId: entry.bookingId,
+      currency: entry.currency,
+      lines: reverseLines(entry.lines),
+      reference: entry.reference,
+      reversesEntryId: entryId,
+      description
+    };
+  }
+  
+  /**
+   * Record a payout to a vendor's bank account (payout.paid), or reverse it
+   * when the payout fails after all (payout.failed)
+   * @param {Object} payout - Stripe payout
+   * @param {string} vendorId - Vendor whose account paid out
+   * @returns {Promise<Object|null>} Entry, or null if there was nothing to record
+   */
+  static async recordPayout(payout, vendorId) {
+    try {
+      const entryId = `payout_${payout.id}`;
+      
+      if (payout.status === 'paid') {
+        return await LedgerService.recordEntry(entryId, {
+          type: LEDGER_ENTRY_TYPE.PAYOUT,
+          vendorId,
+          currency: payout.currency,
+          lines: buildPayoutLines(payout.amount),
+          reference: { stripePayoutId: payout.id },
+          description: 'Payout',
+          occurredAt: payout.arrival_date ? new Date(payout.arrival_date * 1000).toISOString() : undefined
+        });
+      }
+      
+      const paid = await LedgerService.getEntry(entryId);
+      
+      if (payout.status !== 'failed' || !paid) {
+        return null;
+      }
+      
+      // The money came back to the vendor's Stripe balance
+      return await LedgerService.recordEntry(`payout_reversal_${payout.id}`, LedgerService.buildReversalEntry(
+        entryId,
+        paid,
+        `Payout failed: ${payout.failure_code || 'unknown'}`
+      ));
+    } catch (error) {
+      console.error('Error recording payout in ledger:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's entries, newest first
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} Entries
+   */
+  static async getVendorEntries(vendorId, { limit = 100 } = {}) {
+    try {
+      return await FirebaseService.queryDocuments(LEDGER_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ], {
+        orderByField: 'createdAt',
+        orderByDirection: 'desc',
+        limit: Math.min(Math.max(1, limit), MAX_ENTRIES)
+      });
+    } catch (error) {
+      console.error('Error getting ledger entries:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a vendor's balances, added up from all of their entries
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} { vendorId, balances: [{ currency, payableCents, payable, accounts }], entryCount }
+   */
+  static async getVendorBalance(vendorId) {
+    try {
+      const entries = await FirebaseService.queryDocuments(LEDGER_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+      const totals = sumBalances(entries);
+      
+      return {
+        vendorId,
+        balances: Object.keys(totals).sort().map(currency => ({
+          currency,
+          payableCents: totals[currency].vendor_payable || 0,
+          payable: (totals[currency].vendor_payable || 0) / 100,
+          accounts: totals[currency]
+        })),
+        entryCount: entries.length
+      };
+    } catch (error) {
+      console.error('Error getting vendor ledger balance:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,88 @@
+const FirebaseService = require('./firebaseService');
+const {
+  DEFAULT_FEE_POLICY,
+  validateFeePolicy,
+  mergeFeePolicies,
+  calculateFeeCents
+} = require('../utils/platformFee');
+
+// Overrides of the default fee policy, kept by the platform (not editable by
+// vendors): `plan_<plan>` for every vendor on a plan (the vendor profile's
+// `plan`), and `vendor_<vendorId>` for one vendor
+const FEE_POLICY_COLLECTION = 'fee_policies';
+
+/**
+ * Service for working out the platform's fee on a vendor's payments
+ */
+class PlatformFeeService {
+  /**
+   * Get the fee policy that applies to a vendor: the default, then their
+   * plan's override, then their own
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} Fee policy (amounts in cents)
+   */
+  static async getFeePolicy(vendorId) {
+    try {
+      if (!vendorId) {
+        return { ...DEFAULT_FEE_POLICY };
+      }
+      
+      const vendor = await FirebaseService.getDocument('users', vendorId);
+      const [planOverride, vendorOverride] = await Promise.all([
+        vendor && vendor.plan
+          ? FirebaseService.getDocument(FEE_POLICY_COLLECTION, `plan_${vendor.plan}`)
+          : null,
+        FirebaseService.getDocument(FEE_POLICY_COLLECTION, `vendor_${vendorId}`)
+      ]);
+      
+      return mergeFeePolicies(
+        DEFAULT_FEE_POLICY,
+        PlatformFeeService.checkOverride(planOverride),
+        PlatformFeeService.checkOverride(vendorOverride)
+      );
+    } catch (error) {
+      console.error('Error getting fee policy:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Work out the platform fee on a payment to a vendor
+   * @param {string} vendorId - Vendor ID
+   * @param {number} amountCents - Payment in cents
+   * @returns {Promise<number>} Fee in cents
+   */
+  static async calculateFee(vendorId, amountCents) {
+    try {
+      const policy = await PlatformFeeService.getFeePolicy(vendorId);
+      
+      return calculateFeeCents(amountCents, policy);
+    } catch (error) {
+      console.error('Error calculating platform fee:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Drop an override that isn't a valid fee policy, so a bad document falls
+   * back to the less specific policy instead of failing payments
+   * @param {Object|null} override - Override document
+   * @returns {Object|null} The override, or null if missing or invalid
+   */
+  static checkOverride(override) {
+    if (!override) {
+      return null;
+    }
+    
+    const error = validateFeePolicy(override);
+    
+    if (error) {
+      console.error(`Ignoring invalid fee policy ${override.id}: ${error}`);
+      return null;
+    }
+    
+    return override;
+  }
+}
+
+module.exports = PlatformFeeService;
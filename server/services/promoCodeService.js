@@ -0,0 +1,543 @@
+const FirebaseService = require('./firebaseService');
+const { AppError } = require('../utils/errorHandler');
+const { LINE_ITEM_TYPE, toCents, createLineItem, sumLineItems } = require('../utils/lineItems');
+
+const PROMO_CODE_COLLECTION = 'promo_codes';
+const REDEMPTION_COLLECTION = 'promo_redemptions';
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const REDEMPTION_STATUS = {
+  ACTIVE: 'active',
+  // The booking never went ahead, so the redemption no longer counts
+  RELEASED: 'released'
+};
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_LISTINGS_PER_CODE = 100;
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'minSpend',
+  'startsAt',
+  'endsAt',
+  'maxRedemptions',
+  'maxRedemptionsPerCustomer',
+  'listingIds',
+  'isActive'
+];
+
+/**
+ * Normalise a promo code as typed by a customer or vendor
+ * @param {string} code - Code
+ * @returns {string} Trimmed, upper-case code
+ */
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Check a value is null/undefined or a positive whole number
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a valid optional limit
+ */
+const isOptionalLimit = (value) =>
+  value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+/**
+ * Check a value is null/undefined or a parseable date
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a valid optional date
+ */
+const isOptionalDate = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && !isNaN(new Date(value).getTime()));
+
+/**
+ * Service for vendor promo codes: percent or fixed discounts a customer can
+ * enter when booking. A code applies to the vendor's listings (or a chosen
+ * few), can have a minimum spend and a validity window, and can be limited
+ * in how often it is redeemed overall and per customer. A redemption is
+ * recorded with each booking made with a code.
+ */
+class PromoCodeService {
+  /**
+   * Get a vendor's promo codes, newest first
+   * @param {string} vendorId - Vendor's user ID
+   * @returns {Promise<Array>} Promo codes
+   */
+  static async getVendorPromoCodes(vendorId) {
+    try {
+      const promoCodes = await FirebaseService.queryDocuments(PROMO_CODE_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+      
+      return promoCodes.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    } catch (error) {
+      console.error('Error getting promo codes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create a promo code (vendor action)
+   * @param {string} vendorId - Vendor's user ID
+   * @param {Object} data - Promo code fields (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} Created promo code
+   */
+  static async createPromoCode(vendorId, data) {
+    try {
+      const promoCode = PromoCodeService.normalizePromoCodeData({
+        isActive: true,
+        ...PromoCodeService.pickEditableFields(data)
+      });
+      
+      await PromoCodeService.assertValidPromoCode(vendorId, promoCode);
+      
+      const now = new Date().toISOString();
+      
+      return await FirebaseService.createDocument(PROMO_CODE_COLLECTION, {
+        ...promoCode,
+        vendorId,
+        redemptionCount: 0,
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error creating promo code:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a promo code (vendor action). Bookings already made keep the
+   * discount they were booked with.
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} vendorId - Vendor's user ID (for authorization)
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated promo code
+   */
+  static async updatePromoCode(promoCodeId, vendorId, data) {
+    try {
+      const existing = await PromoCodeService.getOwnedPromoCode(promoCodeId, vendorId);
+      const updateData = PromoCodeService.normalizePromoCodeData(PromoCodeService.pickEditableFields(data));
+      const promoCode = { ...existing, ...updateData };
+      
+      await PromoCodeService.assertValidPromoCode(vendorId, promoCode, promoCodeId);
+      
+      updateData.updatedAt = new Date().toISOString();
+      
+      await FirebaseService.updateDocument(PROMO_CODE_COLLECTION, promoCodeId, updateData);
+      
+      return { ...promoCode, ...updateData };
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a promo code (vendor action). A code that has been redeemed is
+   * kept for reporting and can only be switched off.
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} vendorId - Vendor's user ID (for authorization)
+   * @returns {Promise<void>}
+   */
+  static async deletePromoCode(promoCodeId, vendorId) {
+    try {
+      const promoCode = await PromoCodeService.getOwnedPromoCode(promoCodeId, vendorId);
+      
+      if (promoCode.redemptionCount > 0) {
+        throw new AppError('This promo code has been redeemed; deactivate it instead', 409);
+      }
+      
+      await FirebaseService.deleteDocument(PROMO_CODE_COLLECTION, promoCodeId);
+    } catch (error) {
+      console.error('Error deleting promo code:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Summarise how a vendor's promo codes have been used
+   * @param {string} vendorId - Vendor's user ID
+   * @returns {Promise<Object>} { codes: [{ promoCodeId, code, redemptions, discountTotal,
+   *   bookingTotal }], totals: { redemptions, discountTotal, bookingTotal } }
+   */
+  static async getPromoCodeReport(vendorId) {
+    try {
+      const [promoCodes, redemptions] = await Promise.all([
+        PromoCodeService.getVendorPromoCodes(vendorId),
+        FirebaseService.queryDocuments(REDEMPTION_COLLECTION, [
+          ['vendorId', '==', vendorId],
+          ['status', '==', REDEMPTION_STATUS.ACTIVE]
+        ])
+      ]);
+      
+      // Amounts are summed in cents
+      const summarise = (items) => ({
+        redemptions: items.length,
+        discountTotal: items.reduce((cents, item) => cents + toCents(item.discountAmount), 0) / 100,
+        bookingTotal: items.reduce((cents, item) => cents + toCents(item.bookingTotal), 0) / 100
+      });
+      
+      return {
+        codes: promoCodes.map(promoCode => ({
+          promoCodeId: promoCode.id,
+          code: promoCode.code,
+          isActive: promoCode.isActive,
+          ...summarise(redemptions.filter(redemption => redemption.promoCodeId === promoCode.id))
+        })),
+        totals: summarise(redemptions)
+      };
+    } catch (error) {
+      console.error('Error getting promo code report:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check a promo code can be used for a booking and work out its discount.
+   * Nothing is written; see redeemPromoCode.
+   * @param {Object} tx - Transaction handle (see FirebaseService.runTransaction)
+   * @param {Object} params - Booking being priced
+   * @param {string} params.code - Code the customer entered
+   * @param {Object} params.listing - Listing being booked
+   * @param {string|null} params.userId - Customer (null for anonymous quotes,
+   *   which skips the per-customer limit)
+   * @param {Array} params.lineItems - Line items before the discount
+   * @param {Date} [params.now] - Current time
+   * @returns {Promise<Object>} { promoCode, lineItem, promotion }
+   */
+  static async applyPromoCode(tx, { code, listing, userId, lineItems, now = new Date() }) {
+    const normalized = normalizeCode(code);
+    
+    if (!normalized) {
+      throw new AppError('promoCode must be a non-empty string', 400);
+    }
+    
+    const [promoCode] = await tx.query(PROMO_CODE_COLLECTION, [
+      ['vendorId', '==', listing.vendorId],
+      ['code', '==', normalized]
+    ]);
+    
+    if (!promoCode || !promoCode.isActive) {
+      throw new AppError(`Promo code ${normalized} is not valid`, 400);
+    }
+    
+    if (promoCode.startsAt && now < new Date(promoCode.startsAt)) {
+      throw new AppError(`Promo code ${normalized} is not valid yet`, 400);
+    }
+    
+    if (promoCode.endsAt && now >= new Date(promoCode.endsAt)) {
+      throw new AppError(`Promo code ${normalized} has expired`, 400);
+    }
+    
+    if (promoCode.listingIds && promoCode.listingIds.length > 0 && !promoCode.listingIds.includes(listing.id)) {
+      throw new AppError(`Promo code ${normalized} cannot be used for this listing`, 400);
+    }
+    
+    const subtotal = sumLineItems(lineItems);
+    
+    if (promoCode.minSpend && toCents(subtotal) < toCents(promoCode.minSpend)) {
+      throw new AppError(
+        `Promo code ${normalized} needs a minimum spend of $${Number(promoCode.minSpend).toFixed(2)}`,
+        400,
+        { minSpend: promoCode.minSpend, subtotal }
+      );
+    }
+    
+    if (promoCode.maxRedemptions && (promoCode.redemptionCount || 0) >= promoCode.maxRedemptions) {
+      throw new AppError(`Promo code ${normalized} has been fully redeemed`, 409);
+    }
+    
+    if (userId && promoCode.maxRedemptionsPerCustomer) {
+      const customerRedemptions = await tx.query(REDEMPTION_COLLECTION, [
+        ['promoCodeId', '==', promoCode.id],
+        ['userId', '==', userId],
+        ['status', '==', REDEMPTION_STATUS.ACTIVE]
+      ]);
+      
+      if (customerRedemptions.length >= promoCode.maxRedemptionsPerCustomer) {
+        throw new AppError(`You have already used promo code ${normalized} the maximum number of times`, 409);
+      }
+    }
+    
+    const promotion = {
+      promoCodeId: promoCode.id,
+      code: promoCode.code,
+      discountType: promoCode.discountType,
+      value: promoCode.value
+    };
+    
+    return {
+      promoCode,
+      lineItem: PromoCodeService.buildDiscountLineItem(promotion, lineItems),
+      promotion
+    };
+  }
+  
+  /**
+   * Record a promo code's use by a new booking: counts it against the code's
+   * limits. Call after applyPromoCode in the same transaction, once all
+   * reads are done.
+   * @param {Object} tx - Transaction handle
+   * @param {Object} promoCode - Promo code (from applyPromoCode)
+   * @param {Object} booking - Created booking (with its ID)
+   * @param {number} discountAmount - Discount given, in dollars (positive)
+   * @returns {Object} Redemption
+   */
+  static redeemPromoCode(tx, promoCode, booking, discountAmount) {
+    const now = new Date().toISOString();
+    
+    tx.update(PROMO_CODE_COLLECTION, promoCode.id, {
+      redemptionCount: (promoCode.redemptionCount || 0) + 1,
+      updatedAt: now
+    });
+    
+    return tx.create(REDEMPTION_COLLECTION, {
+      promoCodeId: promoCode.id,
+      code: promoCode.code,
+      vendorId: promoCode.vendorId,
+      bookingId: booking.id,
+      userId: booking.userId,
+      discountAmount,
+      bookingTotal: booking.totalAmount,
+      status: REDEMPTION_STATUS.ACTIVE,
+      createdAt: now
+    });
+  }
+  
+  /**
+   * Load what is needed to release a booking's redemption. Reads only, so it
+   * can run before a transaction's writes.
+   * @param {Object} tx - Transaction handle
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object|null>} { promoCode, redemption }, or null if nothing to release
+   */
+  static async getRedemptionToRelease(tx, booking) {
+    if (!booking.promotion) {
+      return null;
+    }
+    
+    const [redemption] = await tx.query(REDEMPTION_COLLECTION, [
+      ['bookingId', '==', booking.id],
+      ['status', '==', REDEMPTION_STATUS.ACTIVE]
+    ]);
+    
+    if (!redemption) {
+      return null;
+    }
+    
+    const promoCode = await tx.get(PROMO_CODE_COLLECTION, redemption.promoCodeId);
+    
+    return { promoCode, redemption };
+  }
+  
+  /**
+   * Stop a redemption counting against its code's limits (the booking never
+   * went ahead)
+   * @param {Object} tx - Transaction handle
+   * @param {Object} toRelease - From getRedemptionToRelease
+   * @returns {void}
+   */
+  static releaseRedemption(tx, { promoCode, redemption }) {
+    const now = new Date().toISOString();
+    
+    tx.update(REDEMPTION_COLLECTION, redemption.id, {
+      status: REDEMPTION_STATUS.RELEASED,
+      releasedAt: now
+    });
+    
+    if (promoCode) {
+      tx.update(PROMO_CODE_COLLECTION, promoCode.id, {
+        redemptionCount: Math.max(0, (promoCode.redemptionCount || 0) - 1),
+        updatedAt: now
+      });
+    }
+  }
+  
+  /**
+   * Work out the discount line for a promotion. The discount applies to
+   * everything but earlier discounts and vendor adjustments, and never takes
+   * the total below zero.
+   * @param {Object} promotion - { promoCodeId, code, discountType, value }
+   * @param {Array} lineItems - Line items the discount applies to
+   * @returns {Object} Discount line item
+   */
+  static buildDiscountLineItem(promotion, lineItems) {
+    const subtotalCents = toCents(sumLineItems(lineItems.filter(
+      item => item.type !== LINE_ITEM_TYPE.DISCOUNT && item.type !== LINE_ITEM_TYPE.ADJUSTMENT
+    )));
+    const discountCents = promotion.discountType === 'percent'
+      ? Math.round(subtotalCents * promotion.value / 100)
+      : toCents(promotion.value);
+    const label = promotion.discountType === 'percent'
+      ? `${promotion.value}% off`
+      : `$${Number(promotion.value).toFixed(2)} off`;
+    
+    return createLineItem(
+      LINE_ITEM_TYPE.DISCOUNT,
+      `Promo code ${promotion.code} (${label})`,
+      -Math.min(discountCents, Math.max(0, subtotalCents)) / 100,
+      1,
+      { promoCodeId: promotion.promoCodeId }
+    );
+  }
+  
+  /**
+   * Validate a promo code and check its code and listings for the vendor
+   * @param {string} vendorId - Vendor's user ID
+   * @param {Object} promoCode - Promo code fields
+   * @param {string} [promoCodeId] - ID of the code being updated
+   * @returns {Promise<void>}
+   */
+  static async assertValidPromoCode(vendorId, promoCode, promoCodeId = null) {
+    const error = PromoCodeService.validatePromoCodeData(promoCode);
+    
+    if (error) {
+      throw new AppError(error, 400);
+    }
+    
+    const duplicates = await FirebaseService.queryDocuments(PROMO_CODE_COLLECTION, [
+      ['vendorId', '==', vendorId],
+      ['code', '==', promoCode.code]
+    ]);
+    
+    if (duplicates.some(duplicate => duplicate.id !== promoCodeId)) {
+      throw new AppError(`You already have a promo code ${promoCode.code}`, 409);
+    }
+    
+    for (const listingId of promoCode.listingIds || []) {
+      const listing = await FirebaseService.getDocument('listings', listingId);
+      
+      if (!listing || listing.vendorId !== vendorId) {
+        throw new AppError(`Listing ${listingId} not found`, 400);
+      }
+    }
+  }
+  
+  /**
+   * Validate promo code fields
+   * @param {Object} data - Promo code fields
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validatePromoCodeData(data) {
+    if (!CODE_PATTERN.test(data.code || '')) {
+      return 'code must be 3 to 30 letters, digits, dashes or underscores';
+    }
+    
+    if (data.description !== undefined && data.description !== null &&
+        (typeof data.description !== 'string' || data.description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    
+    if (!DISCOUNT_TYPES.includes(data.discountType)) {
+      return `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+    }
+    
+    if (typeof data.value !== 'number' || !Number.isFinite(data.value) || data.value <= 0) {
+      return 'value must be a number greater than 0';
+    }
+    
+    if (data.discountType === 'percent' && data.value > 100) {
+      return 'A percent discount cannot be more than 100';
+    }
+    
+    if (data.minSpend !== undefined && data.minSpend !== null &&
+        (typeof data.minSpend !== 'number' || !Number.isFinite(data.minSpend) || data.minSpend < 0)) {
+      return 'minSpend must be a number of 0 or more';
+    }
+    
+    if (!isOptionalDate(data.startsAt) || !isOptionalDate(data.endsAt)) {
+      return 'startsAt and endsAt must be valid dates';
+    }
+    
+    if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+      return 'endsAt must be after startsAt';
+    }
+    
+    if (!isOptionalLimit(data.maxRedemptions) || !isOptionalLimit(data.maxRedemptionsPerCustomer)) {
+      return 'maxRedemptions and maxRedemptionsPerCustomer must be whole numbers of 1 or more';
+    }
+    
+    if (data.listingIds !== undefined &&
+        (!Array.isArray(data.listingIds) || data.listingIds.length > MAX_LISTINGS_PER_CODE ||
+         data.listingIds.some(id => typeof id !== 'string' || !id))) {
+      return `listingIds must be a list of at most ${MAX_LISTINGS_PER_CODE} listing IDs`;
+    }
+    
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+      return 'isActive must be true or false';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Keep only the fields a vendor may set
+   * @param {Object} data - Request data
+   * @returns {Object} Editable fields that were given
+   */
+  static pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      
+      return fields;
+    }, {});
+  }
+  
+  /**
+   * Tidy promo code fields before validation and storage
+   * @param {Object} data - Editable fields
+   * @returns {Object} Normalised fields
+   */
+  static normalizePromoCodeData(data) {
+    const normalized = { ...data };
+    
+    if (normalized.code !== undefined) {
+      normalized.code = normalizeCode(normalized.code);
+    }
+    
+    if (typeof normalized.description === 'string') {
+      normalized.description = normalized.description.trim();
+    }
+    
+    ['startsAt', 'endsAt'].forEach(field => {
+      if (normalized[field] && isOptionalDate(normalized[field])) {
+        normalized[field] = new Date(normalized[field]).toISOString();
+      }
+    });
+    
+    if (Array.isArray(normalized.listingIds)) {
+      normalized.listingIds = [...new Set(normalized.listingIds)];
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Get a promo code, checking the vendor owns it
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} vendorId - Vendor's user ID
+   * @returns {Promise<Object>} Promo code
+   */
+  static async getOwnedPromoCode(promoCodeId, vendorId) {
+    const promoCode = await FirebaseService.getDocument(PROMO_CODE_COLLECTION, promoCodeId);
+    
+    if (!promoCode) {
+      throw new AppError('Promo code not found', 404);
+    }
+    
+    if (promoCode.vendorId !== vendorId) {
+      throw new AppError('Unauthorized', 403);
+    }
+    
+    return promoCode;
+  }
+}
+
+module.exports = PromoCodeService;
@@ -0,0 +1,476 @@
+const stripe = require('../config/stripeConfig');
+const FirebaseService = require('./firebaseService');
+const StripeService = require('./stripeService');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../utils/errorHandler');
+const { toCents } = require('../utils/lineItems');
+const { PAYMENT_STATUS, AWAITING_PAYMENT_STATUSES } = require('../utils/paymentStatus');
+
+const REPORT_COLLECTION = 'reconciliation_reports';
+const TRANSACTION_COLLECTION = 'transactions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIOD_DAYS = 31;
+// Mismatches kept on a report (they are all counted in its summary)
+const MAX_MISMATCHES = 500;
+const MAX_REPORTS = 100;
+
+// The nightly run reconciles the day before (UTC) once this hour (UTC) has
+// passed, and repairs what it can only when auto-repair is switched on
+const NIGHTLY_HOUR_UTC = Number(process.env.RECONCILIATION_HOUR_UTC || 2);
+const NIGHTLY_AUTO_REPAIR = process.env.RECONCILIATION_AUTO_REPAIR === 'true';
+
+const MISMATCH_TYPE = {
+  // Paid in Stripe, but the booking doesn't have the payment
+  PAID_NOT_RECORDED: 'paid_not_recorded',
+  MISSING_TRANSACTION: 'missing_transaction',
+  MISSING_LEDGER_ENTRY: 'missing_ledger_entry',
+  // The transaction's amount or fee isn't what Stripe charged
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  // Stripe has refunded more or less of the payment than the booking says
+  REFUND_MISMATCH: 'refund_mismatch',
+  // An unpaid booking's status doesn't follow its payment intent
+  STATUS_MISMATCH: 'status_mismatch',
+  // Recorded as paid, but the payment intent hasn't succeeded
+  NOT_PAID_IN_STRIPE: 'not_paid_in_stripe',
+  // The payment intent names a booking that doesn't exist
+  MISSING_BOOKING: 'missing_booking'
+};
+
+// What an unpaid booking's status should be for its payment intent's status
+const PAYMENT_STATUS_FOR_INTENT = {
+  processing: PAYMENT_STATUS.PROCESSING,
+  requires_action: PAYMENT_STATUS.REQUIRES_ACTION,
+  canceled: PAYMENT_STATUS.CANCELED
+};
+
+/**
+ * Turn a date into a Unix timestamp, as Stripe takes them
+ * @param {Date} date - Date
+ * @returns {number} Seconds since the epoch
+ */
+const toUnixTime = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Get the payment status an unpaid booking should have for its payment
+ * intent, if the intent has got anywhere
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {string|null} Payment status, or null if there is nothing to expect
+ */
+const getExpectedPaymentStatus = (paymentIntent) => {
+  if (paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+    return PAYMENT_STATUS.FAILED;
+  }
+  
+  return PAYMENT_STATUS_FOR_INTENT[paymentIntent.status] || null;
+};
+
+/**
+ * Service for reconciling bookings with Stripe. A run pages through the
+ * payment intents Stripe created in a period, and the payments recorded in
+ * it, matches each to its booking (by metadata.bookingId, or the booking's
+ * stripePaymentIntentId) and reports where the two disagree. With repair,
+ * mismatches the webhook handlers can put right are handed to them again;
+ * the others (e.g. an amount that differs) are left for a person to look at.
+ * Reports are kept in reconciliation_reports.
+ */
+class ReconciliationService {
+  /**
+   * Reconcile the day before, once a day (scheduled job). Does nothing
+   * before NIGHTLY_HOUR_UTC or when the day has a report already.
+   * @returns {Promise<Object|null>} Report, or null if there was nothing to run
+   */
+  static async runNightly() {
+    try {
+      const now = new Date();
+      
+      if (now.getUTCHours() < NIGHTLY_HOUR_UTC) {
+        return null;
+      }
+      
+      const periodEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      const periodStart = new Date(periodEnd.getTime() - DAY_MS);
+      const reportId = `nightly_${periodStart.toISOString().slice(0, 10)}`;
+      
+      if (await FirebaseService.getDocument(REPORT_COLLECTION, reportId)) {
+        return null;
+      }
+      
+      return await ReconciliationService.reconcile({
+        periodStart,
+        periodEnd,
+        repair: NIGHTLY_AUTO_REPAIR,
+        trigger: 'nightly',
+        reportId
+      });
+    } catch (error) {
+      console.error('Error running nightly reconciliation:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Reconcile a period now (admin action)
+   * @param {Object} runData - Run data
+   * @param {string} runData.from - Start of the period (ISO date)
+   * @param {string} runData.to - End of the period, exclusive (ISO date)
+   * @param {boolean} [runData.repair=false] - Repair what can be repaired
+   * @param {string} requestedBy - Admin's user ID
+   * @returns {Promise<Object>} Report
+   */
+  static async runReconciliation({ from, to, repair = false }, requestedBy) {
+    try {
+      const periodStart = new Date(from);
+      const periodEnd = new Date(to);
+      
+      if (!from || !to || Number.isNaN(periodStart.getTime()) || Number.isNaN(periodEnd.getTime())) {
+        throw new AppError('from and to must be dates', 400);
+      }
+      
+      if (periodEnd <= periodStart || periodEnd - periodStart > MAX_PERIOD_DAYS * DAY_MS) {
+        throw new AppError(`The period must be from 1 second to ${MAX_PERIOD_DAYS} days long`, 400);
+      }
+      
+      return await ReconciliationService.reconcile({
+        periodStart,
+        periodEnd,
+        repair: repair === true,
+        trigger: 'manual',
+        requestedBy
+      });
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get reports, newest first
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} Reports
+   */
+  static async getReports({ limit = 20 } = {}) {
+    try {
+      return await FirebaseService.queryDocuments(REPORT_COLLECTION, [], {
+        orderByField: 'startedAt',
+        orderByDirection: 'desc',
+        limit: Math.min(Math.max(1, limit), MAX_REPORTS)
+      });
+    } catch (error) {
+      console.error('Error getting reconciliation reports:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} Report
+   */
+  static async getReport(reportId) {
+    try {
+      const report = await FirebaseService.getDocument(REPORT_COLLECTION, reportId);
+      
+      if (!report) {
+        throw new AppError('Report not found', 404);
+      }
+      
+      return report;
+    } catch (error) {
+      console.error('Error getting reconciliation report:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Reconcile a period and store the report
+   * @param {Object} runData - { periodStart, periodEnd, repair, trigger, requestedBy, reportId }
+   * @returns {Promise<Object>} Report
+   */
+  static async reconcile({ periodStart, periodEnd, repair, trigger, requestedBy = null, reportId = null }) {
+    const startedAt = new Date().toISOString();
+    const context = { repair, bookings: new Map(), mismatches: [], summary: {}, repairedCount: 0 };
+    const checked = new Set();
+    
+    for await (const paymentIntent of stripe.paymentIntents.list({
+      created: { gte: toUnixTime(periodStart), lt: toUnixTime(periodEnd) },
+      limit: 100,
+      expand: ['data.latest_charge']
+    })) {
+      checked.add(paymentIntent.id);
+      await ReconciliationService.checkPaymentIntent(paymentIntent, context);
+    }
+    
+    // Payments recorded in the period for payment intents created before it
+    const transactions = await FirebaseService.queryDocuments(TRANSACTION_COLLECTION, [
+      ['createdAt', '>=', periodStart.toISOString()],
+      ['createdAt', '<', periodEnd.toISOString()]
+    ]);
+    let transactionCount = 0;
+    
+    for (const transaction of transactions) {
+      const paymentIntentId = transaction.stripePaymentId;
+      
+      if (!paymentIntentId || transaction.id !== StripeService.getPaymentTransactionId(paymentIntentId)) {
+        continue;
+      }
+      
+      transactionCount++;
+      
+      if (!checked.has(paymentIntentId)) {
+        checked.add(paymentIntentId);
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+        await ReconciliationService.checkPaymentIntent(paymentIntent, context);
+      }
+    }
+    
+    const mismatchCount = Object.values(context.summary).reduce((count, typeCount) => count + typeCount, 0);
+    const report = {
+      trigger,
+      requestedBy,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      repair,
+      checked: { paymentIntents: checked.size, transactions: transactionCount },
+      mismatchCount,
+      repairedCount: context.repairedCount,
+      summary: context.summary,
+      mismatches: context.mismatches,
+      truncated: mismatchCount > context.mismatches.length,
+      startedAt,
+      completedAt: new Date().toISOString()
+    };
+    
+    return await FirebaseService.createDocument(REPORT_COLLECTION, report, reportId);
+  }
+  
+  /**
+   * Check a payment intent against its booking, transaction and ledger entry
+   * @param {Object} paymentIntent - Stripe payment intent (latest_charge expanded)
+   * @param {Object} context - Run context
+   */
+  static async checkPaymentIntent(paymentIntent, context) {
+    const metadata = paymentIntent.metadata || {};
+    const booking = await ReconciliationService.findBooking(paymentIntent, context);
+    
+    if (!booking) {
+      if (metadata.bookingId) {
+        await ReconciliationService.addMismatch(context, {
+          type: MISMATCH_TYPE.MISSING_BOOKING,
+          bookingId: metadata.bookingId,
+          paymentIntentId: paymentIntent.id,
+          message: `Payment intent (${paymentIntent.status}) names a booking that doesn't exist`
+        });
+      }
+      
+      return;
+    }
+    
+    // The webhook handlers find the booking from the metadata
+    const matched = { ...paymentIntent, metadata: { ...metadata, bookingId: booking.id, vendorId: booking.vendorId } };
+    
+    if (paymentIntent.status === 'succeeded') {
+      await ReconciliationService.checkSucceededPayment(matched, booking, context);
+    } else {
+      await ReconciliationService.checkUnsucceededPayment(matched, booking, context);
+    }
+  }
+  
+  /**
+   * Check a payment Stripe took is on its booking, with a transaction and a
+   * ledger entry for what Stripe charged, and the same amount refunded
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} booking - Booking document
+   * @param {Object} context - Run context
+   */
+  static async checkSucceededPayment(paymentIntent, booking, context) {
+    const transactionId = StripeService.getPaymentTransactionId(paymentIntent.id);
+    const transaction = await FirebaseService.getDocument(TRANSACTION_COLLECTION, transactionId);
+    const base = { bookingId: booking.id, paymentIntentId: paymentIntent.id };
+    
+    if (!StripeService.hasPayment(booking, paymentIntent.id)) {
+      // Processing the payment again records it, unless its transaction
+      // (which marks it as processed) is there
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.PAID_NOT_RECORDED,
+        expected: PAYMENT_STATUS.PAID,
+        actual: booking.paymentStatus,
+        message: 'Paid in Stripe but not recorded on the booking'
+      }, transaction ? null : () => StripeService.processSuccessfulPayment(paymentIntent));
+      
+      return;
+    }
+    
+    if (!transaction) {
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.MISSING_TRANSACTION,
+        message: 'Paid in Stripe but has no transaction record'
+      }, () => StripeService.processSuccessfulPayment(paymentIntent));
+      
+      return;
+    }
+    
+    const amountCents = transaction.amountCents === undefined ? toCents(transaction.amount) : transaction.amountCents;
+    const feeCents = transaction.feeCents === undefined ? toCents(transaction.fee) : transaction.feeCents;
+    const stripeFeeCents = Number.isInteger(paymentIntent.application_fee_amount)
+      ? paymentIntent.application_fee_amount
+      : feeCents;
+    
+    if (amountCents !== paymentIntent.amount_received || feeCents !== stripeFeeCents) {
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.AMOUNT_MISMATCH,
+        expected: { amountCents: paymentIntent.amount_received, feeCents: stripeFeeCents },
+        actual: { amountCents, feeCents },
+        message: 'Transaction amount differs from what Stripe charged'
+      });
+    }
+    
+    // A payment's ledger entry has its transaction's ID
+    if (!await LedgerService.getEntry(transactionId)) {
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.MISSING_LEDGER_ENTRY,
+        message: 'Payment has no ledger entry'
+      }, () => LedgerService.recordPayment(
+        paymentIntent,
+        StripeService.toTransactionAmounts(amountCents, feeCents, paymentIntent.currency),
+        transaction.type || 'booking'
+      ));
+    }
+    
+    const charge = paymentIntent.latest_charge;
+    
+    if (!charge || typeof charge !== 'object') {
+      return;
+    }
+    
+    // A lost dispute counts as refunded on the booking, but not in Stripe
+    const payment = StripeService.getBookingPayments(booking).find(candidate => candidate.paymentIntentId === paymentIntent.id);
+    const lostDisputeCents = booking.dispute && booking.dispute.status === 'lost' &&
+      booking.dispute.paymentIntentId === paymentIntent.id ? booking.dispute.amountCents : 0;
+    const refundedCents = payment.refundedCents - lostDisputeCents;
+    
+    if (refundedCents !== charge.amount_refunded) {
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.REFUND_MISMATCH,
+        expected: charge.amount_refunded,
+        actual: refundedCents,
+        message: 'Amount refunded differs from Stripe'
+      }, () => StripeService.processChargeRefunded(charge));
+    }
+  }
+  
+  /**
+   * Check a payment intent that hasn't succeeded isn't recorded as paid, and
+   * that an unpaid booking's status follows it
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} booking - Booking document
+   * @param {Object} context - Run context
+   */
+  static async checkUnsucceededPayment(paymentIntent, booking, context) {
+    const base = { bookingId: booking.id, paymentIntentId: paymentIntent.id };
+    const transaction = await FirebaseService.getDocument(
+      TRANSACTION_COLLECTION,
+      StripeService.getPaymentTransactionId(paymentIntent.id)
+    );
+    
+    if (StripeService.hasPayment(booking, paymentIntent.id) || (transaction && transaction.status === 'completed')) {
+      await ReconciliationService.addMismatch(context, {
+        ...base,
+        type: MISMATCH_TYPE.NOT_PAID_IN_STRIPE,
+        expected: paymentIntent.status,
+        actual: booking.paymentStatus,
+        message: 'Recorded as paid but the payment intent has not succeeded'
+      });
+      
+      return;
+    }
+    
+    // Instalments and reschedule charges keep their attempts elsewhere
+    const { instalmentId, purpose } = paymentIntent.metadata;
+    const expected = getExpectedPaymentStatus(paymentIntent);
+    
+    if (instalmentId || purpose || !expected || booking.stripePaymentIntentId !== paymentIntent.id ||
+        !AWAITING_PAYMENT_STATUSES.includes(booking.paymentStatus) || booking.paymentStatus === expected) {
+      return;
+    }
+    
+    await ReconciliationService.addMismatch(context, {
+      ...base,
+      type: MISMATCH_TYPE.STATUS_MISMATCH,
+      expected,
+      actual: booking.paymentStatus,
+      message: `Payment intent is ${paymentIntent.status} but the booking is ${booking.paymentStatus}`
+    }, () => StripeService.processPaymentIntentUpdate(paymentIntent, expected));
+  }
+  
+  /**
+   * Find a payment intent's booking: the one in its metadata, or else the
+   * one it is the payment intent of
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} context - Run context (bookings are cached on it)
+   * @returns {Promise<Object|null>} Booking, or null if none
+   */
+  static async findBooking(paymentIntent, context) {
+    const bookingId = paymentIntent.metadata && paymentIntent.metadata.bookingId;
+    
+    if (bookingId) {
+      if (!context.bookings.has(bookingId)) {
+        context.bookings.set(bookingId, await FirebaseService.getDocument('bookings', bookingId));
+      }
+      
+      return context.bookings.get(bookingId);
+    }
+    
+    const [booking] = await FirebaseService.queryDocuments('bookings', [
+      ['stripePaymentIntentId', '==', paymentIntent.id]
+    ], { limit: 1 });
+    
+    return booking || null;
+  }
+  
+  /**
+   * Add a mismatch to the run, repairing it first when the run repairs and
+   * the mismatch can be repaired
+   * @param {Object} context - Run context
+   * @param {Object} mismatch - { type, bookingId, paymentIntentId, expected, actual, message }
+   * @param {Function} [repair] - Puts the mismatch right; resolves to something truthy if it changed anything
+   */
+  static async addMismatch(context, mismatch, repair = null) {
+    const result = {
+      expected: null,
+      actual: null,
+      ...mismatch,
+      repairable: Boolean(repair),
+      repaired: false,
+      repairError: null
+    };
+    
+    if (repair && context.repair) {
+      try {
+        result.repaired = Boolean(await repair());
+      } catch (error) {
+        result.repairError = String(error.message || error);
+      }
+      
+      // The booking may have changed
+      context.bookings.delete(mismatch.bookingId);
+    }
+    
+    if (result.repaired) {
+      context.repairedCount++;
+    }
+    
+    context.summary[mismatch.type] = (context.summary[mismatch.type] || 0) + 1;
+    
+    if (context.mismatches.length < MAX_MISMATCHES) {
+      context.mismatches.push(result);
+    }
+  }
+}
+
+module.exports = ReconciliationService;
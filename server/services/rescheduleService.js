@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const FirebaseService = require('./firebaseService');
+const AvailabilityService = require('./availabilityService');
+const BookingService = require('./bookingService');
+const StripeService = require('./stripeService');
+const { AppError } = require('../utils/errorHandler');
+const { BOOKING_STATUS, ACTOR_ROLE } = require('../utils/bookingStatus');
+const { toCents, sumLineItems, adjustLineItems } = require('../utils/lineItems');
+const { getPaidCents, getRefundedCents, getOpenPaymentIntentIds } = require('../utils/paymentSchedule');
+const { PAYMENT_STATUS, PAID_IN_FULL_PAYMENT_STATUSES } = require('../utils/paymentStatus');
+
+const RESCHEDULE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+
+// How the price difference of an accepted reschedule is settled
+const SETTLEMENT_TYPE = {
+  NONE: 'none',
+  CHARGE: 'charge',
+  REFUND: 'refund'
+};
+
+// Bookings a customer can ask to move (not once they have started)
+const RESCHEDULABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+const MAX_RESCHEDULE_LIMIT = 20;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Service for customer reschedule requests. A customer proposes a new time,
+ * the vendor accepts or rejects it, and an accepted request moves the booking
+ * through BookingService.updateBooking (so availability is checked again) and
+ * settles any price difference: unpaid bookings just change their total (a
+ * booking with its deposit paid changes its balance), paid
+ * ones are partially refunded or get an extra charge.
+ *
+ * The current request is kept on the booking as rescheduleRequest; answered
+ * requests move to rescheduleHistory when the next one is made.
+ */
+class RescheduleService {
+  /**
+   * Ask to move a booking to a new time (customer action)
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Customer's user ID
+   * @param {Object} requestData - Request data
+   * @param {string} requestData.startTime - Proposed start (ISO string)
+   * @param {string} requestData.endTime - Proposed end (ISO string)
+   * @param {string} [requestData.reason] - Why the customer wants to move
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async requestReschedule(bookingId, userId, requestData) {
+    try {
+      const { startTime, endTime, reason = '' } = requestData;
+      
+      BookingService.validateTimeRange(startTime, endTime);
+      RescheduleService.validateReason(reason);
+      
+      const booking = await RescheduleService.getBooking(bookingId);
+      
+      if (booking.userId !== userId) {
+        throw new AppError('Only the customer can request a reschedule', 403);
+      }
+      
+      const listing = await FirebaseService.getDocument('listings', booking.listingId);
+      
+      RescheduleService.assertReschedulable(booking, listing);
+      
+      if (new Date(startTime).getTime() === new Date(booking.startTime).getTime() &&
+          new Date(endTime).getTime() === new Date(booking.endTime).getTime()) {
+        throw new AppError('The proposed time is the same as the current booking', 400);
+      }
+      
+      // Catch unavailable times now; the slot is checked again when the vendor accepts
+      const available = await BookingService.checkAvailability(
+        booking.listingId, startTime, endTime, bookingId, booking.partySize || 1
+      );
+      
+      if (!available) {
+        throw new AppError('The proposed time is not available', 409);
+      }
+      
+      const newLineItems = await RescheduleService.getRescheduledLineItems(booking, startTime, endTime);
+      const newTotal = sumLineItems(newLineItems);
+      const request = {
+        id: crypto.randomBytes(8).toString('hex'),
+        status: RESCHEDULE_STATUS.PENDING,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        reason,
+        requestedBy: userId,
+        requestedAt: new Date().toISOString(),
+        currentTotal: booking.totalAmount,
+        newTotal,
+        newLineItems,
+        priceDifference: (toCents(newTotal) - toCents(booking.totalAmount)) / 100
+      };
+      
+      await FirebaseService.runTransaction(async (tx) => {
+        const current = await tx.get('bookings', bookingId);
+        const previous = current.rescheduleRequest;
+        
+        if (previous && previous.status === RESCHEDULE_STATUS.PENDING) {
+          throw new AppError('This booking already has a pending reschedule request', 409);
+        }
+        
+        tx.update('bookings', bookingId, {
+          rescheduleRequest: request,
+          rescheduleHistory: previous
+            ? [...(current.rescheduleHistory || []), previous]
+            : (current.rescheduleHistory || []),
+          updatedAt: request.requestedAt
+        });
+      });
+      
+      return await FirebaseService.getDocument('bookings', bookingId);
+    } catch (error) {
+      console.error('Error requesting reschedule:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a booking's reschedule request and how many reschedules are left.
+   * While an extra charge is waiting to be paid, the customer also gets the
+   * client secret to pay it with.
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - User ID (vendor or customer of the booking)
+   * @returns {Promise<Object>} { rescheduleRequest, rescheduleHistory, rescheduleCount, rescheduleLimit, clientSecret }
+   */
+  static async getRescheduleRequest(bookingId, userId) {
+    try {
+      const booking = await RescheduleService.getBooking(bookingId);
+      const role = BookingService.getActorRole(booking, userId);
+      const listing = await FirebaseService.getDocument('listings', booking.listingId);
+      const request = booking.rescheduleRequest || null;
+      const settlement = request && request.settlement;
+      
+      const clientSecret = role === ACTOR_ROLE.CUSTOMER && settlement &&
+        settlement.status === 'awaiting_payment' && settlement.paymentIntentId
+        ? await StripeService.getPaymentIntentSecret(settlement.paymentIntentId)
+        : null;
+      
+      return {
+        rescheduleRequest: request,
+        rescheduleHistory: booking.rescheduleHistory || [],
+        rescheduleCount: booking.rescheduleCount || 0,
+        rescheduleLimit: RescheduleService.getRescheduleLimit(listing),
+        clientSecret
+      };
+    } catch (error) {
+      console.error('Error getting reschedule request:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Accept a reschedule request (vendor action). The booking is moved first;
+   * the price difference is settled afterwards, and a failed refund or charge
+   * is recorded on the request's settlement rather than undoing the move.
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Vendor's user ID
+   * @param {Object} [options] - Accept options
+   * @param {number} [options.totalAmount] - New price for the booking (defaults to the quoted price)
+   * @param {string} [options.reason] - Note for the customer
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async acceptRescheduleRequest(bookingId, userId, options = {}) {
+    try {
+      const { totalAmount, reason = '' } = options;
+      
+      RescheduleService.validateReason(reason);
+      
+      const booking = await RescheduleService.getBooking(bookingId);
+      const request = RescheduleService.getPendingRequest(booking, userId);
+      const listing = await FirebaseService.getDocument('listings', booking.listingId);
+      
+      RescheduleService.assertReschedulable(booking, listing);
+      
+      if (totalAmount !== undefined && (typeof totalAmount !== 'number' || !(totalAmount >= 0))) {
+        throw new AppError('totalAmount must be a number of 0 or more', 400);
+      }
+      
+      // The price quoted with the request, or the vendor's own price as an adjustment to it
+      const quotedLineItems = request.newLineItems ||
+        await RescheduleService.getRescheduledLineItems(booking, request.startTime, request.endTime);
+      const newLineItems = totalAmount !== undefined
+        ? adjustLineItems(quotedLineItems, totalAmount)
+        : quotedLineItems;
+      const newTotal = sumLineItems(newLineItems);
+      const differenceCents = toCents(newTotal) - toCents(booking.totalAmount);
+      const paid = PAID_IN_FULL_PAYMENT_STATUSES.includes(booking.paymentStatus) && Boolean(booking.stripePaymentId);
+      
+      if (paid && toCents(newTotal) < getRefundedCents(booking)) {
+        throw new AppError('The new price cannot be less than the amount already refunded', 400);
+      }
+      
+      // A booking with its deposit paid keeps the deposit; the balance takes the difference
+      if (booking.paymentStatus === PAYMENT_STATUS.DEPOSIT_PAID && toCents(newTotal) < getPaidCents(booking)) {
+        throw new AppError('The new price cannot be less than the deposit already paid', 400);
+      }
+      
+      // An unpaid booking is paid at its new price, so a payment started at the old one is cancelled
+      if (!paid && differenceCents !== 0) {
+        for (const paymentIntentId of getOpenPaymentIntentIds(booking)) {
+          await StripeService.cancelPaymentIntent(paymentIntentId);
+        }
+      }
+      
+      let settlement = { type: SETTLEMENT_TYPE.NONE, amount: 0, status: 'not_required' };
+      
+      if (paid && differenceCents !== 0) {
+        settlement = {
+          type: differenceCents > 0 ? SETTLEMENT_TYPE.CHARGE : SETTLEMENT_TYPE.REFUND,
+          amount: Math.abs(differenceCents) / 100,
+          status: 'pending'
+        };
+      }
+      
+      const accepted = {
+        ...request,
+        status: RESCHEDULE_STATUS.ACCEPTED,
+        respondedBy: userId,
+        respondedAt: new Date().toISOString(),
+        responseReason: reason,
+        previousStartTime: booking.startTime,
+        previousEndTime: booking.endTime,
+        currentTotal: booking.totalAmount,
+        newTotal,
+        newLineItems,
+        priceDifference: differenceCents / 100,
+        settlement
+      };
+      
+      const updated = await BookingService.updateBooking(bookingId, {
+        startTime: request.startTime,
+        endTime: request.endTime,
+        rescheduleRequest: accepted,
+        rescheduleCount: (booking.rescheduleCount || 0) + 1,
+        // A paid booking's total follows once the difference is settled
+        lineItems: newLineItems,
+        ...(paid ? {} : { totalAmount: newTotal })
+      }, {
+        guard: (current) => RescheduleService.assertStillPending(current, request.id)
+      });
+      
+      if (settlement.type === SETTLEMENT_TYPE.NONE) {
+        return updated;
+      }
+      
+      try {
+        if (settlement.type === SETTLEMENT_TYPE.REFUND) {
+          await StripeService.refundBooking(updated, {
+            amount: settlement.amount,
+            reason: 'requested_by_customer',
+            reducesTotal: true,
+            idempotencyKey: `refund_${bookingId}_reschedule_${request.id}`,
+            extraData: {
+              rescheduleRequest: { ...accepted, settlement: { ...settlement, status: 'refunded' } }
+            }
+          });
+        } else {
+          const charge = await StripeService.createRescheduleCharge(updated, settlement.amount, request.id);
+          
+          await FirebaseService.updateDocument('bookings', bookingId, {
+            rescheduleRequest: {
+              ...accepted,
+              settlement: { ...settlement, status: 'awaiting_payment', paymentIntentId: charge.id }
+            }
+          });
+        }
+      } catch (error) {
+        console.error(`Error settling reschedule of booking ${bookingId}:`, error);
+        
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          rescheduleRequest: {
+            ...accepted,
+            settlement: { ...settlement, status: 'failed', error: error.message }
+          }
+        });
+      }
+      
+      return await FirebaseService.getDocument('bookings', bookingId);
+    } catch (error) {
+      console.error('Error accepting reschedule request:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Reject a reschedule request (vendor action); the booking keeps its time
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Vendor's user ID
+   * @param {string} [reason] - Note for the customer
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async rejectRescheduleRequest(bookingId, userId, reason = '') {
+    try {
+      return await RescheduleService.closeRequest(bookingId, userId, ACTOR_ROLE.VENDOR, RESCHEDULE_STATUS.REJECTED, reason);
+    } catch (error) {
+      console.error('Error rejecting reschedule request:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Withdraw a pending reschedule request (customer action)
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Customer's user ID
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async withdrawRescheduleRequest(bookingId, userId) {
+    try {
+      return await RescheduleService.closeRequest(bookingId, userId, ACTOR_ROLE.CUSTOMER, RESCHEDULE_STATUS.WITHDRAWN);
+    } catch (error) {
+      console.error('Error withdrawing reschedule request:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Close a pending request without moving the booking
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - User closing the request
+   * @param {string} role - Role allowed to close it this way
+   * @param {string} status - Status to close it with (rejected or withdrawn)
+   * @param {string} [reason] - Note recorded on the request
+   * @returns {Promise<Object>} Updated booking
+   */
+  static async closeRequest(bookingId, userId, role, status, reason = '') {
+    RescheduleService.validateReason(reason);
+    
+    await FirebaseService.runTransaction(async (tx) => {
+      const booking = await tx.get('bookings', bookingId);
+      
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      
+      if (BookingService.getActorRole(booking, userId) !== role) {
+        throw new AppError(`Only the ${role} can mark this reschedule request as ${status}`, 403);
+      }
+      
+      RescheduleService.assertStillPending(booking);
+      
+      const now = new Date().toISOString();
+      
+      tx.update('bookings', bookingId, {
+        rescheduleRequest: {
+          ...booking.rescheduleRequest,
+          status,
+          respondedBy: userId,
+          respondedAt: now,
+          responseReason: reason
+        },
+        updatedAt: now
+      });
+    });
+    
+    return FirebaseService.getDocument('bookings', bookingId);
+  }
+  
+  /**
+   * Get a booking, or throw 404
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object>} Booking
+   */
+  static async getBooking(bookingId) {
+    const booking = await FirebaseService.getDocument('bookings', bookingId);
+    
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+    
+    return booking;
+  }
+  
+  /**
+   * Get the pending request of a booking the user can answer as its vendor
+   * @param {Object} booking - Booking document
+   * @param {string} userId - Vendor's user ID
+   * @returns {Object} Pending reschedule request
+   */
+  static getPendingRequest(booking, userId) {
+    if (booking.vendorId !== userId) {
+      throw new AppError('Only the vendor can answer a reschedule request', 403);
+    }
+    
+    RescheduleService.assertStillPending(booking);
+    
+    return booking.rescheduleRequest;
+  }
+  
+  /**
+   * Check that a booking's request is still pending (and is the expected one)
+   * @param {Object} booking - Booking document
+   * @param {string} [requestId] - Request expected to be pending
+   */
+  static assertStillPending(booking, requestId = null) {
+    const request = booking.rescheduleRequest;
+    
+    if (!request || (requestId && request.id !== requestId)) {
+      throw new AppError('This booking has no pending reschedule request', 404);
+    }
+    
+    if (request.status !== RESCHEDULE_STATUS.PENDING) {
+      throw new AppError(`The reschedule request has already been ${request.status}`, 409);
+    }
+  }
+  
+  /**
+   * Check that a booking can still be rescheduled: it hasn't started or ended
+   * and the listing's reschedule limit hasn't been reached
+   * @param {Object} booking - Booking document
+   * @param {Object} listing - Listing document
+   */
+  static assertReschedulable(booking, listing) {
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw new AppError(`Cannot reschedule a ${booking.status} booking`, 409);
+    }
+    
+    if (new Date(booking.startTime) <= new Date()) {
+      throw new AppError('Cannot reschedule a booking that has already started', 409);
+    }
+    
+    const limit = RescheduleService.getRescheduleLimit(listing);
+    
+    if (limit !== null && (booking.rescheduleCount || 0) >= limit) {
+      throw new AppError(
+        limit === 0
+          ? 'This listing does not allow rescheduling'
+          : `This booking has already been rescheduled the maximum of ${limit} times`,
+        409
+      );
+    }
+  }
+  
+  /**
+   * Price a booking moved to a new time with the listing's pricing model.
+   * Add-ons keep the price they were booked at; the vendor can still set a
+   * new price when accepting.
+   * @param {Object} booking - Booking document
+   * @param {string} startTime - New start (ISO string)
+   * @param {string} endTime - New end (ISO string)
+   * @returns {Promise<Array>} Line items at the new time
+   */
+  static async getRescheduledLineItems(booking, startTime, endTime) {
+    const { listing, rules } = await AvailabilityService.loadListingRules(booking.listingId);
+    
+    return BookingService.repriceLineItems(listing, rules, booking, {
+      startTime,
+      endTime,
+      partySize: booking.partySize || 1
+    });
+  }
+  
+  /**
+   * Validate a listing's rescheduleLimit setting
+   * @param {number} rescheduleLimit - Reschedules allowed per booking (0 = none)
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateRescheduleLimit(rescheduleLimit) {
+    if (!Number.isInteger(rescheduleLimit) || rescheduleLimit < 0 || rescheduleLimit > MAX_RESCHEDULE_LIMIT) {
+      return `rescheduleLimit must be a whole number from 0 to ${MAX_RESCHEDULE_LIMIT}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get how many times a booking on a listing can be rescheduled
+   * @param {Object} [listing] - Listing document
+   * @returns {number|null} Limit, or null for no limit
+   */
+  static getRescheduleLimit(listing) {
+    return listing && Number.isInteger(listing.rescheduleLimit) ? listing.rescheduleLimit : null;
+  }
+  
+  /**
+   * Check the length of a request or response note
+   * @param {string} reason - Note
+   */
+  static validateReason(reason) {
+    if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+      throw new AppError(`Reason must be text of at most ${MAX_REASON_LENGTH} characters`, 400);
+    }
+  }
+}
+
+module.exports = RescheduleService;
@@ -0,0 +1,104 @@
+const BookingService = require('./bookingService');
+const CalendarImportService = require('./calendarImportService');
+const WaitlistService = require('./waitlistService');
+const ReconciliationService = require('./reconciliationService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Background jobs, run in-process on a fixed interval. Only one server
+ * instance should run them; set SCHEDULER_ENABLED=false on the others.
+ */
+const JOBS = [
+  {
+    name: 'expire-booking-holds',
+    intervalMs: MINUTE_MS,
+    run: () => BookingService.expireUnpaidHolds()
+  },
+  {
+    name: 'sync-calendar-sources',
+    intervalMs: 5 * MINUTE_MS,
+    run: () => CalendarImportService.syncStaleSources()
+  },
+  {
+    name: 'process-waitlists',
+    intervalMs: MINUTE_MS,
+    run: () => WaitlistService.processWaitlists()
+  },
+  {
+    // Checks hourly; reconciles each day with Stripe once, overnight
+    name: 'reconcile-stripe',
+    intervalMs: 60 * MINUTE_MS,
+    run: () => ReconciliationService.runNightly()
+  }
+];
+
+// Timers of the started jobs, and the jobs currently running
+const timers = new Map();
+const running = new Set();
+
+/**
+ * Service for scheduled background jobs
+ */
+class SchedulerService {
+  /**
+   * Start every job on its interval
+   * @returns {Array} Names of the started jobs
+   */
+  static start() {
+    JOBS.forEach(job => {
+      if (timers.has(job.name)) {
+        return;
+      }
+      
+      const timer = setInterval(() => {
+        SchedulerService.runJob(job.name);
+      }, job.intervalMs);
+      
+      // Don't keep the process alive just for the scheduler
+      timer.unref();
+      timers.set(job.name, timer);
+    });
+    
+    return Array.from(timers.keys());
+  }
+  
+  /**
+   * Stop every job
+   */
+  static stop() {
+    timers.forEach(timer => clearInterval(timer));
+    timers.clear();
+  }
+  
+  /**
+   * Run a job now. A run is skipped while the previous one is still going,
+   * and errors are logged rather than thrown.
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Job result, or null if skipped or failed
+   */
+  static async runJob(name) {
+    const job = JOBS.find(candidate => candidate.name === name);
+    
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    
+    if (running.has(name)) {
+      return null;
+    }
+    
+    running.add(name);
+    
+    try {
+      return await job.run();
+    } catch (error) {
+      console.error(`Error running job ${name}:`, error);
+      return null;
+    } finally {
+      running.delete(name);
+    }
+  }
+}
+
+module.exports = SchedulerService;
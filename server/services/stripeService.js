@@ -1,5 +1,55 @@
 const stripe = require('../config/stripeConfig');
-const { db } = require('../config/firebase');
+const FirebaseService = require('./firebaseService');
+const PlatformFeeService = require('./platformFeeService');
+const ConnectService = require('./connectService');
+const LedgerService = require('./ledgerService');
+const { AppError } = require('../utils/errorHandler');
+const { LINE_ITEM_TYPE, toCents, readCents, sumLineItems } = require('../utils/lineItems');
+const { CALLED_OFF_STATUSES } = require('../utils/bookingStatus');
+
+const TRANSACTION_COLLECTION = 'transactions';
+const MAX_REFUNDS = 100;
+
+// Where a refund was made: by the platform (refundBooking), or outside it
+// (e.g. from the Stripe dashboard)
+const REFUND_SOURCE = {
+  PLATFORM: 'platform',
+  STRIPE: 'stripe'
+};
+
+// Refund statuses that mean the money is (or is going) back to the customer
+const MADE_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+const {
+  INSTALMENT_TYPE,
+  INSTALMENT_STATUS,
+  isScheduleSettled,
+  updateInstalment,
+  toInstalmentAmount,
+  getPaidCents,
+  getRefundedCents
+} = require('../utils/paymentSchedule');
+const {
+  PAYMENT_STATUS,
+  AWAITING_PAYMENT_STATUSES,
+  getRefundedPaymentStatus
+} = require('../utils/paymentStatus');
+
+// A reschedule charge's settlement status for each payment intent update
+const SETTLEMENT_STATUS_FOR = {
+  [PAYMENT_STATUS.PROCESSING]: 'processing',
+  [PAYMENT_STATUS.REQUIRES_ACTION]: 'awaiting_payment',
+  [PAYMENT_STATUS.FAILED]: 'failed',
+  [PAYMENT_STATUS.CANCELED]: 'canceled'
+};
+
+// An instalment's status for each payment intent update (a cancelled
+// attempt leaves the instalment to be paid again)
+const INSTALMENT_STATUS_FOR = {
+  [PAYMENT_STATUS.PROCESSING]: INSTALMENT_STATUS.PROCESSING,
+  [PAYMENT_STATUS.REQUIRES_ACTION]: INSTALMENT_STATUS.PENDING,
+  [PAYMENT_STATUS.FAILED]: INSTALMENT_STATUS.FAILED,
+  [PAYMENT_STATUS.CANCELED]: INSTALMENT_STATUS.PENDING
+};
 
 /**
  * Service for Stripe payment operations
@@ -11,45 +61,98 @@ class StripeService {
    * @param {string} paymentData.bookingId - Booking ID
    * @param {number} paymentData.amount - Amount to charge (in dollars)
    * @param {string} paymentData.vendorId - Vendor ID
+   * @param {string} [paymentData.userId] - ID of the customer who made the booking
    * @param {string} [paymentData.customerId] - Optional Stripe customer ID
    * @param {string} [paymentData.description] - Optional payment description
+   * @param {string} [paymentData.instalmentId] - Instalment being paid, for a booking with a payment schedule
+   * @param {Array} [paymentData.paymentSchedule] - The booking's payment schedule (with instalmentId)
+   * @param {string} [paymentData.openPaymentIntentId] - Intent from an earlier attempt at the same
+   *   payment; it is reused while it can still be paid, so only one intent is ever open
    * @returns {Promise<Object>} Payment intent details
    */
   static async createPaymentIntent(paymentData) {
     try {
-      const { bookingId, amount, vendorId, customerId, description } = paymentData;
+      const {
+        bookingId,
+        amount,
+        vendorId,
+        userId,
+        customerId,
+        description,
+        instalmentId,
+        paymentSchedule,
+        openPaymentIntentId
+      } = paymentData;
       
-      // Calculate application fee (platform fee)
-      const applicationFeeAmount = Math.round(amount * 0.05); // 5% platform fee
+      // Stripe works in cents, and so does the platform fee
+      const amountCents = toCents(amount);
+      const applicationFeeAmount = await PlatformFeeService.calculateFee(vendorId, amountCents);
+      const destination = await ConnectService.getDestinationAccount(vendorId);
       
-      // Create a payment intent
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents for Stripe
-        currency: 'usd',
-        application_fee_amount: applicationFeeAmount,
-        metadata: {
-          bookingId,
-          vendorId,
-          customerId: paymentData.customerId || 'unknown'
-        },
-        description: description || `Payment for booking #${bookingId}`,
-        customer: customerId || undefined,
-        automatic_payment_methods: {
-          enabled: true,
-        },
-      });
+      // Reuse the earlier attempt's intent at today's amount, unless it was
+      // for another account or instalment, in which case it is cancelled
+      const openIntent = await StripeService.getOpenPaymentIntent(openPaymentIntentId);
+      const reusable = openIntent &&
+        openIntent.transfer_data && openIntent.transfer_data.destination === destination &&
+        (openIntent.metadata.instalmentId || undefined) === instalmentId;
       
-      // Update booking with paymentIntentId
-      const bookingRef = db.collection('bookings').doc(bookingId);
-      await bookingRef.update({
-        stripePaymentIntentId: paymentIntent.id,
-        paymentStatus: 'pending'
-      });
+      if (openIntent && !reusable) {
+        await stripe.paymentIntents.cancel(openIntent.id);
+      }
+      
+      let paymentIntent;
+      
+      if (reusable) {
+        paymentIntent = await stripe.paymentIntents.update(openIntent.id, {
+          amount: amountCents,
+          application_fee_amount: applicationFeeAmount,
+          ...(customerId && !openIntent.customer ? { customer: customerId } : {})
+        });
+      } else {
+        // Create a payment intent, as a destination charge: the payment goes to
+        // the vendor's account less the platform fee
+        paymentIntent = await stripe.paymentIntents.create({
+          amount: amountCents,
+          currency: 'usd',
+          application_fee_amount: applicationFeeAmount,
+          transfer_data: { destination },
+          metadata: {
+            bookingId,
+            vendorId,
+            customerId: userId || 'unknown',
+            ...(instalmentId ? { instalmentId } : {})
+          },
+          description: description || (instalmentId
+            ? `${instalmentId === INSTALMENT_TYPE.DEPOSIT ? 'Deposit' : 'Balance'} for booking #${bookingId}`
+            : `Payment for booking #${bookingId}`),
+          customer: customerId || undefined,
+          automatic_payment_methods: {
+            enabled: true,
+          },
+        });
+      }
+      
+      // Update booking with paymentIntentId (on the instalment too when paying in instalments;
+      // a booking with its deposit paid stays deposit_paid while the balance is paid)
+      await FirebaseService.updateDocument('bookings', bookingId, instalmentId
+        ? {
+          stripePaymentIntentId: paymentIntent.id,
+          paymentSchedule: updateInstalment(paymentSchedule, instalmentId, {
+            stripePaymentIntentId: paymentIntent.id,
+            status: INSTALMENT_STATUS.PENDING
+          }),
+          ...(instalmentId === INSTALMENT_TYPE.DEPOSIT ? { paymentStatus: PAYMENT_STATUS.PENDING } : {})
+        }
+        : {
+          stripePaymentIntentId: paymentIntent.id,
+          paymentStatus: PAYMENT_STATUS.PENDING
+        });
       
       return {
         id: paymentIntent.id,
         clientSecret: paymentIntent.client_secret,
         amount: amount,
+        applicationFeeAmount,
         status: paymentIntent.status
       };
     } catch (error) {
@@ -59,104 +162,736 @@ class StripeService {
   }
 
   /**
-   * Process a successful payment
+   * Get an earlier payment intent that can still be paid
+   * @param {string} [paymentIntentId] - Stripe payment intent ID
+   * @returns {Promise<Object|null>} Payment intent, or null if there is none or it was cancelled
+   * @throws {AppError} 409 if it has already been paid or is being processed
+   */
+  static async getOpenPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) {
+      return null;
+    }
+    
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    
+    if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'processing') {
+      throw new AppError(`A payment for this booking is already ${paymentIntent.status}`, 409);
+    }
+    
+    return paymentIntent.status === 'canceled' ? null : paymentIntent;
+  }
+
+  /**
+   * Process a successful payment. Safe to run again for the same payment
+   * intent (webhook retries and replays): the booking is only updated once
+   * and the transaction has a fixed ID.
    * @param {Object} paymentIntent - Stripe payment intent
-   * @returns {Promise<Object>} Transaction details
+   * @returns {Promise<Object|null>} Transaction details, or null if already processed
    */
   static async processSuccessfulPayment(paymentIntent) {
     try {
       const { bookingId, vendorId } = paymentIntent.metadata;
       
+      // Extra charges for a reschedule don't change how the booking itself was paid
+      if (paymentIntent.metadata.purpose === 'reschedule') {
+        return await StripeService.processReschedulePayment(paymentIntent);
+      }
+      
+      if (paymentIntent.metadata.instalmentId) {
+        return await StripeService.processInstalmentPayment(paymentIntent);
+      }
+      
+      const transactionId = StripeService.getPaymentTransactionId(paymentIntent.id);
+      
+      if (await FirebaseService.getDocument(TRANSACTION_COLLECTION, transactionId)) {
+        return null;
+      }
+      
       // Get the booking
-      const bookingRef = db.collection('bookings').doc(bookingId);
-      const bookingDoc = await bookingRef.get();
+      const booking = await FirebaseService.getDocument('bookings', bookingId);
       
-      if (!bookingDoc.exists) {
-        throw new Error('Booking not found');
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
       }
       
-      // Update booking status
-      await bookingRef.update({
-        paymentStatus: 'paid',
-        stripePaymentId: paymentIntent.id
-      });
+      const unwantedReason = StripeService.getUnwantedPaymentReason(booking, paymentIntent);
       
-      // Create transaction record
-      const amount = paymentIntent.amount / 100; // Convert from cents
-      const fee = amount * 0.05; // 5% platform fee
-      const net = amount - fee;
+      if (unwantedReason) {
+        return await StripeService.refundUnwantedPayment(booking, paymentIntent, 'booking', unwantedReason);
+      }
       
+      // Update booking status, unless an earlier attempt already did (it may
+      // have been refunded since)
+      // A paid booking no longer needs its hold
+      if (!StripeService.hasPayment(booking, paymentIntent.id)) {
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          paymentStatus: PAYMENT_STATUS.PAID,
+          stripePaymentId: paymentIntent.id,
+          payments: StripeService.addPayment(booking, paymentIntent, 'booking'),
+          holdExpiresAt: null
+        });
+      }
+      
+      const amounts = await StripeService.getTransactionAmounts(paymentIntent);
+      
+      // The ledger entry goes in before the transaction, which marks the
+      // payment as done
+      await LedgerService.recordPayment(paymentIntent, amounts, 'booking');
+      
+      // Create transaction record
       const transactionData = {
         bookingId,
         vendorId,
-        amount,
-        fee,
-        net,
+        ...amounts,
+        ...StripeService.getDiscountDetails(booking),
         stripePaymentId: paymentIntent.id,
         status: 'completed',
         createdAt: new Date().toISOString()
       };
       
-      const transactionRef = await db.collection('transactions').add(transactionData);
+      return await FirebaseService.createDocument(TRANSACTION_COLLECTION, transactionData, transactionId);
+    } catch (error) {
+      console.error('Error processing successful payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a successful instalment payment (deposit or balance). The booking
+   * is deposit_paid until every instalment is paid. Safe to run again for the
+   * same payment intent.
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Promise<Object|null>} Transaction details, or null if already processed
+   */
+  static async processInstalmentPayment(paymentIntent) {
+    try {
+      const { bookingId, vendorId, instalmentId } = paymentIntent.metadata;
+      const transactionId = StripeService.getPaymentTransactionId(paymentIntent.id);
+      
+      if (await FirebaseService.getDocument(TRANSACTION_COLLECTION, transactionId)) {
+        return null;
+      }
+      
+      const booking = await FirebaseService.getDocument('bookings', bookingId);
+      
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      
+      const instalment = (booking.paymentSchedule || []).find(candidate => candidate.id === instalmentId);
+      
+      if (!instalment) {
+        throw new AppError(`Instalment ${instalmentId} not found on booking ${bookingId}`, 404);
+      }
+      
+      const unwantedReason = StripeService.getUnwantedPaymentReason(booking, paymentIntent);
+      
+      if (unwantedReason) {
+        return await StripeService.refundUnwantedPayment(booking, paymentIntent, instalment.type, unwantedReason);
+      }
+      
+      const now = new Date().toISOString();
+      
+      if (instalment.status !== INSTALMENT_STATUS.PAID) {
+        const paymentSchedule = updateInstalment(booking.paymentSchedule, instalmentId, {
+          ...toInstalmentAmount(paymentIntent.amount),
+          status: INSTALMENT_STATUS.PAID,
+          stripePaymentId: paymentIntent.id,
+          paidAt: now
+        });
+        
+        // A paid deposit secures the booking, so the hold is no longer needed
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          paymentStatus: isScheduleSettled(paymentSchedule) ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.DEPOSIT_PAID,
+          paymentSchedule,
+          stripePaymentId: booking.stripePaymentId || paymentIntent.id,
+          payments: StripeService.addPayment(booking, paymentIntent, instalment.type),
+          holdExpiresAt: null,
+          updatedAt: now
+        });
+      }
+      
+      const amounts = await StripeService.getTransactionAmounts(paymentIntent);
+      
+      await LedgerService.recordPayment(paymentIntent, amounts, instalment.type);
+      
+      return await FirebaseService.createDocument(TRANSACTION_COLLECTION, {
+        bookingId,
+        vendorId,
+        type: instalment.type,
+        instalmentId,
+        ...amounts,
+        // The discount is reported once, with the deposit
+        ...(instalment.type === INSTALMENT_TYPE.DEPOSIT ? StripeService.getDiscountDetails(booking) : {}),
+        stripePaymentId: paymentIntent.id,
+        status: 'completed',
+        createdAt: now
+      }, transactionId);
+    } catch (error) {
+      console.error('Error processing instalment payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get why a booking can't take a successful payment, if it can't: it was
+   * called off (cancelled, declined or expired) before the payment landed, or
+   * what the payment was for had already been paid with another intent.
+   * A payment already on the booking keeps the reason it was recorded with,
+   * so processing it again doesn't change its mind.
+   * @param {Object} booking - Booking document
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {string|null} Reason (e.g. booking_cancelled), or null if the payment is wanted
+   */
+  static getUnwantedPaymentReason(booking, paymentIntent) {
+    const recorded = StripeService.getBookingPayments(booking)
+      .find(payment => payment.paymentIntentId === paymentIntent.id);
+    
+    if (recorded) {
+      return recorded.refundReason || null;
+    }
+    
+    if (CALLED_OFF_STATUSES.includes(booking.status)) {
+      return `booking_${booking.status}`;
+    }
+    
+    const { instalmentId, purpose } = paymentIntent.metadata;
+    let paidWith = null;
+    
+    if (instalmentId) {
+      const instalment = (booking.paymentSchedule || []).find(candidate => candidate.id === instalmentId);
+      paidWith = instalment && instalment.status === INSTALMENT_STATUS.PAID ? instalment.stripePaymentId : null;
+    } else if (purpose !== 'reschedule') {
+      paidWith = booking.stripePaymentId;
+    }
+    
+    return paidWith && paidWith !== paymentIntent.id ? 'duplicate_payment' : null;
+  }
+
+  /**
+   * Refund a payment the booking can't take (see getUnwantedPaymentReason).
+   * It is recorded like any payment, as a transaction and in the ledger, and
+   * refunded in full; the booking keeps it among its payments, refunded, and
+   * its payment status doesn't change. Safe to run again for the same payment
+   * intent: the refund is asked for under a fixed idempotency key, and the
+   * payment's transaction, which marks it as processed, goes in last.
+   * @param {Object} booking - Booking document
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {string} type - booking, deposit, balance or reschedule_charge
+   * @param {string} reason - Why the payment is refunded
+   * @returns {Promise<Object>} Transaction details
+   */
+  static async refundUnwantedPayment(booking, paymentIntent, type, reason) {
+    try {
+      const amounts = await StripeService.getTransactionAmounts(paymentIntent);
+      
+      await LedgerService.recordPayment(paymentIntent, amounts, type);
+      
+      const refund = await StripeService.processRefund({
+        paymentIntentId: paymentIntent.id,
+        reason: 'requested_by_customer',
+        idempotencyKey: `unwanted_${paymentIntent.id}`
+      });
+      const refundTransactionId = StripeService.getRefundTransactionId(refund.id);
+      const now = new Date().toISOString();
+      
+      await FirebaseService.createDocument(TRANSACTION_COLLECTION, {
+        bookingId: booking.id,
+        vendorId: booking.vendorId,
+        type: 'refund',
+        ...StripeService.toTransactionAmounts(-paymentIntent.amount, 0 - refund.feeCents, paymentIntent.currency),
+        stripeRefundId: refund.id,
+        stripePaymentId: paymentIntent.id,
+        reducesTotal: false,
+        refundReason: reason,
+        status: 'completed',
+        createdAt: now
+      }, refundTransactionId);
+      
+      await LedgerService.recordEntry(refundTransactionId, LedgerService.buildRefundEntry({
+        refundId: refund.id,
+        paymentIntentId: paymentIntent.id,
+        vendorId: booking.vendorId,
+        bookingId: booking.id,
+        amountCents: paymentIntent.amount,
+        feeCents: refund.feeCents,
+        currency: paymentIntent.currency
+      }));
+      
+      if (!StripeService.hasPayment(booking, paymentIntent.id)) {
+        await FirebaseService.updateDocument('bookings', booking.id, {
+          payments: [...StripeService.getBookingPayments(booking), {
+            ...StripeService.buildPayment(paymentIntent, type, paymentIntent.amount),
+            refundReason: reason
+          }],
+          updatedAt: now
+        });
+      }
+      
+      return await FirebaseService.createDocument(TRANSACTION_COLLECTION, {
+        bookingId: booking.id,
+        vendorId: booking.vendorId,
+        type,
+        ...amounts,
+        stripePaymentId: paymentIntent.id,
+        refundReason: reason,
+        status: 'completed',
+        createdAt: now
+      }, StripeService.getPaymentTransactionId(paymentIntent.id));
+    } catch (error) {
+      console.error('Error refunding unwanted payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a booking's promo code discount for its payment transaction, so
+   * Payments can report on discounts
+   * @param {Object} booking - Booking document
+   * @returns {Object} { discountCents, discountAmount, promoCode }
+   */
+  static getDiscountDetails(booking) {
+    const discountCents = (booking.lineItems || [])
+      .filter(item => item.type === LINE_ITEM_TYPE.DISCOUNT)
+      .reduce((cents, item) => cents - toCents(item.amount), 0);
+    
+    return {
+      discountCents,
+      discountAmount: discountCents / 100,
+      promoCode: booking.promotion ? booking.promotion.code : null
+    };
+  }
+
+  /**
+   * Get the money fields of the transaction for a successful payment. The fee
+   * is the one Stripe collected; it is only worked out again for payment
+   * intents created without one.
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Promise<Object>} Transaction amounts (see toTransactionAmounts)
+   */
+  static async getTransactionAmounts(paymentIntent) {
+    const feeCents = Number.isInteger(paymentIntent.application_fee_amount)
+      ? paymentIntent.application_fee_amount
+      : await PlatformFeeService.calculateFee(paymentIntent.metadata.vendorId, paymentIntent.amount);
+    
+    return StripeService.toTransactionAmounts(paymentIntent.amount, feeCents, paymentIntent.currency);
+  }
+
+  /**
+   * Build a transaction's money fields. Amounts are kept in integer cents;
+   * the dollar figures are derived from them for display.
+   * @param {number} amountCents - Amount in cents (negative for money going back)
+   * @param {number} feeCents - Platform fee in cents
+   * @param {string} [currency='usd'] - Currency
+   * @returns {Object} { currency, amountCents, feeCents, netCents, amount, fee, net }
+   */
+  static toTransactionAmounts(amountCents, feeCents, currency = 'usd') {
+    const netCents = amountCents - feeCents;
+    
+    return {
+      currency,
+      amountCents,
+      feeCents,
+      netCents,
+      amount: amountCents / 100,
+      fee: feeCents / 100,
+      net: netCents / 100
+    };
+  }
+
+  /**
+   * Get the payments made for a booking, oldest first. Bookings paid before
+   * payments were recorded one by one have their single payment worked out
+   * from the booking.
+   * @param {Object} booking - Booking document
+   * @returns {Array} [{ paymentIntentId, type, amountCents, refundedCents, amount, refundedAmount }]
+   */
+  static getBookingPayments(booking) {
+    if (booking.payments) {
+      return booking.payments.map(payment => ({
+        ...payment,
+        amountCents: readCents(payment.amountCents, payment.amount),
+        refundedCents: readCents(payment.refundedCents, payment.refundedAmount)
+      }));
+    }
+    
+    return booking.stripePaymentId
+      ? [StripeService.setRefundedCents({
+        paymentIntentId: booking.stripePaymentId,
+        type: 'booking',
+        amountCents: toCents(booking.totalAmount),
+        amount: toCents(booking.totalAmount) / 100
+      }, getRefundedCents(booking))]
+      : [];
+  }
+
+  /**
+   * Build a booking payment for a successful payment intent. Amounts are
+   * kept in cents; the dollar amounts are for display.
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {string} type - booking, deposit, balance or reschedule_charge
+   * @param {number} [refundedCents=0] - Amount refunded, in cents
+   * @returns {Object} Payment
+   */
+  static buildPayment(paymentIntent, type, refundedCents = 0) {
+    return StripeService.setRefundedCents({
+      paymentIntentId: paymentIntent.id,
+      type,
+      amountCents: paymentIntent.amount,
+      amount: paymentIntent.amount / 100,
+      paidAt: new Date().toISOString()
+    }, refundedCents);
+  }
+
+  /**
+   * Set how much of a booking payment has been refunded
+   * @param {Object} payment - Payment
+   * @param {number} refundedCents - Amount refunded, in cents
+   * @returns {Object} Updated payment
+   */
+  static setRefundedCents(payment, refundedCents) {
+    return { ...payment, refundedCents, refundedAmount: refundedCents / 100 };
+  }
+
+  /**
+   * Add a successful payment to a booking's payments (once per payment intent)
+   * @param {Object} booking - Booking document
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {string} type - booking, deposit, balance or reschedule_charge
+   * @returns {Array} Updated payments
+   */
+  static addPayment(booking, paymentIntent, type) {
+    const payments = StripeService.getBookingPayments(booking);
+    
+    if (StripeService.hasPayment(booking, paymentIntent.id)) {
+      return payments;
+    }
+    
+    return [...payments, StripeService.buildPayment(paymentIntent, type)];
+  }
+
+  /**
+   * Check whether a payment intent is already among a booking's payments
+   * @param {Object} booking - Booking document
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @returns {boolean} Whether it was recorded
+   */
+  static hasPayment(booking, paymentIntentId) {
+    return StripeService.getBookingPayments(booking).some(payment => payment.paymentIntentId === paymentIntentId);
+  }
+
+  /**
+   * Get the ID of the transaction recording a payment. One payment intent
+   * has one transaction, so processing it again can't record it twice.
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @returns {string} Transaction ID
+   */
+  static getPaymentTransactionId(paymentIntentId) {
+    return `payment_${paymentIntentId}`;
+  }
+
+  /**
+   * Cancel a payment intent so it can no longer be paid. Already cancelled
+   * intents are left as they are.
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @returns {Promise<Object>} Payment intent
+   */
+  static async cancelPaymentIntent(paymentIntentId) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      
+      if (paymentIntent.status === 'canceled') {
+        return paymentIntent;
+      }
+      
+      if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'processing') {
+        throw new AppError(`Payment is already ${paymentIntent.status}`, 409);
+      }
+      
+      return await stripe.paymentIntents.cancel(paymentIntentId);
+    } catch (error) {
+      console.error('Error cancelling payment intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a payment intent for the extra amount owed after a reschedule to
+   * a more expensive time. It is kept apart from the booking's own payment.
+   * @param {Object} booking - Booking document
+   * @param {number} amount - Amount to charge (in dollars)
+   * @param {string} rescheduleRequestId - ID of the accepted reschedule request
+   * @returns {Promise<Object>} Payment intent details
+   */
+  static async createRescheduleCharge(booking, amount, rescheduleRequestId) {
+    try {
+      const amountCents = toCents(amount);
+      const destination = await ConnectService.getDestinationAccount(booking.vendorId);
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: amountCents,
+        currency: 'usd',
+        application_fee_amount: await PlatformFeeService.calculateFee(booking.vendorId, amountCents),
+        transfer_data: { destination },
+        metadata: {
+          bookingId: booking.id,
+          vendorId: booking.vendorId,
+          customerId: booking.userId || 'unknown',
+          purpose: 'reschedule',
+          rescheduleRequestId
+        },
+        description: `Reschedule charge for booking #${booking.id}`,
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      });
       
       return {
-        id: transactionRef.id,
-        ...transactionData
+        id: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount,
+        status: paymentIntent.status
       };
     } catch (error) {
-      console.error('Error processing successful payment:', error);
+      console.error('Error creating reschedule charge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the client secret of a payment intent so the customer can pay it
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @returns {Promise<string>} Client secret
+   */
+  static async getPaymentIntentSecret(paymentIntentId) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      
+      return paymentIntent.client_secret;
+    } catch (error) {
+      console.error('Error retrieving payment intent:', error);
       throw error;
     }
   }
 
   /**
-   * Process a failed payment
+   * Process a successful reschedule charge: the booking's price catches up
+   * with the line items set when the reschedule was accepted. Safe to run
+   * again for the same payment intent.
    * @param {Object} paymentIntent - Stripe payment intent
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|null>} Transaction details, or null if already processed
    */
-  static async processFailedPayment(paymentIntent) {
+  static async processReschedulePayment(paymentIntent) {
     try {
-      const { bookingId } = paymentIntent.metadata;
+      const { bookingId, vendorId, rescheduleRequestId } = paymentIntent.metadata;
+      const transactionId = StripeService.getPaymentTransactionId(paymentIntent.id);
       
-      // Get the booking
-      const bookingRef = db.collection('bookings').doc(bookingId);
+      if (await FirebaseService.getDocument(TRANSACTION_COLLECTION, transactionId)) {
+        return null;
+      }
+      
+      const booking = await FirebaseService.getDocument('bookings', bookingId);
+      
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+      
+      const unwantedReason = StripeService.getUnwantedPaymentReason(booking, paymentIntent);
+      
+      if (unwantedReason) {
+        return await StripeService.refundUnwantedPayment(booking, paymentIntent, 'reschedule_charge', unwantedReason);
+      }
+      
+      const requests = [booking.rescheduleRequest, ...(booking.rescheduleHistory || [])];
+      const request = requests.find(candidate => candidate && candidate.id === rescheduleRequestId);
+      const now = new Date().toISOString();
+      
+      // The price only goes up once, however often the payment is processed
+      if (!(request && request.settlement && request.settlement.status === 'paid')) {
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          ...StripeService.buildSettlementUpdate(booking, rescheduleRequestId, {
+            status: 'paid',
+            paidAt: now
+          }),
+          totalAmount: sumLineItems(booking.lineItems),
+          payments: StripeService.addPayment(booking, paymentIntent, 'reschedule_charge'),
+          updatedAt: now
+        });
+      }
+      
+      const amounts = await StripeService.getTransactionAmounts(paymentIntent);
+      
+      await LedgerService.recordPayment(paymentIntent, amounts, 'reschedule_charge');
+      
+      return await FirebaseService.createDocument(TRANSACTION_COLLECTION, {
+        bookingId,
+        vendorId,
+        type: 'reschedule_charge',
+        ...amounts,
+        stripePaymentId: paymentIntent.id,
+        status: 'completed',
+        createdAt: now
+      }, transactionId);
+    } catch (error) {
+      console.error('Error processing reschedule payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the booking update that changes the settlement of a reschedule
+   * request, wherever the request is kept (current or history)
+   * @param {Object} booking - Booking document
+   * @param {string} rescheduleRequestId - Reschedule request ID
+   * @param {Object} settlementData - Settlement fields to set
+   * @returns {Object} Booking update data
+   */
+  static buildSettlementUpdate(booking, rescheduleRequestId, settlementData) {
+    const withSettlement = (request) => (request && request.id === rescheduleRequestId
+      ? { ...request, settlement: { ...request.settlement, ...settlementData } }
+      : request);
+    
+    if (booking.rescheduleRequest && booking.rescheduleRequest.id === rescheduleRequestId) {
+      return { rescheduleRequest: withSettlement(booking.rescheduleRequest) };
+    }
+    
+    return { rescheduleHistory: (booking.rescheduleHistory || []).map(withSettlement) };
+  }
+
+  /**
+   * Process a payment intent that has not (yet) succeeded: processing,
+   * requires_action, payment_failed or canceled. The booking's payment
+   * status follows it only while nothing has been paid; once a deposit is
+   * in, the attempt is tracked on the instalment, and a reschedule charge on
+   * its settlement. Updates that are out of date (the payment went through,
+   * or the booking has moved on to another intent) are ignored, so events
+   * can arrive in any order.
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {string} paymentStatus - processing, requires_action, failed or canceled
+   * @returns {Promise<boolean>} Whether the booking was updated
+   */
+  static async processPaymentIntentUpdate(paymentIntent, paymentStatus) {
+    try {
+      const { bookingId, rescheduleRequestId, instalmentId } = paymentIntent.metadata;
+      const booking = bookingId ? await FirebaseService.getDocument('bookings', bookingId) : null;
+      
+      if (!booking) {
+        console.log(`No booking for payment intent ${paymentIntent.id}`);
+        return false;
+      }
+      
+      const now = new Date().toISOString();
+      
+      if (paymentIntent.metadata.purpose === 'reschedule') {
+        const request = [booking.rescheduleRequest, ...(booking.rescheduleHistory || [])]
+          .find(candidate => candidate && candidate.id === rescheduleRequestId);
+        const settlement = request && request.settlement;
+        
+        // A charge that was paid in the end stays paid
+        if (!settlement || settlement.status === 'paid' ||
+            (settlement.paymentIntentId && settlement.paymentIntentId !== paymentIntent.id)) {
+          return false;
+        }
+        
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          ...StripeService.buildSettlementUpdate(booking, rescheduleRequestId, {
+            status: SETTLEMENT_STATUS_FOR[paymentStatus],
+            error: paymentStatus === PAYMENT_STATUS.FAILED ? StripeService.getPaymentError(paymentIntent) : null
+          }),
+          updatedAt: now
+        });
+        
+        return true;
+      }
+      
+      const awaitingPayment = AWAITING_PAYMENT_STATUSES.includes(booking.paymentStatus);
       
-      // Update booking status
-      await bookingRef.update({
-        paymentStatus: 'failed'
+      if (instalmentId) {
+        const instalment = (booking.paymentSchedule || []).find(candidate => candidate.id === instalmentId);
+        
+        if (!instalment || instalment.status === INSTALMENT_STATUS.PAID ||
+            instalment.stripePaymentIntentId !== paymentIntent.id) {
+          return false;
+        }
+        
+        // An attempt at the balance leaves the deposit paid
+        await FirebaseService.updateDocument('bookings', bookingId, {
+          paymentSchedule: updateInstalment(booking.paymentSchedule, instalmentId, {
+            status: INSTALMENT_STATUS_FOR[paymentStatus],
+            // A cancelled intent can't be paid, so the next attempt creates a new one
+            ...(paymentStatus === PAYMENT_STATUS.CANCELED ? { stripePaymentIntentId: null } : {})
+          }),
+          ...(awaitingPayment ? { paymentStatus } : {}),
+          updatedAt: now
+        });
+        
+        return true;
+      }
+      
+      if (!awaitingPayment || booking.stripePaymentIntentId !== paymentIntent.id) {
+        return false;
+      }
+      
+      await FirebaseService.updateDocument('bookings', bookingId, {
+        paymentStatus,
+        updatedAt: now
       });
       
       return true;
     } catch (error) {
-      console.error('Error processing failed payment:', error);
+      console.error('Error processing payment intent update:', error);
       throw error;
     }
   }
 
+  /**
+   * Get why a payment intent's last attempt failed, for showing to the customer
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {string} Error message
+   */
+  static getPaymentError(paymentIntent) {
+    return (paymentIntent.last_payment_error && paymentIntent.last_payment_error.message) || 'Payment failed';
+  }
+
   /**
    * Process a refund
    * @param {Object} refundData - Refund data
    * @param {string} refundData.paymentIntentId - Stripe payment intent ID
    * @param {number} [refundData.amount] - Amount to refund (in dollars)
    * @param {string} [refundData.reason] - Refund reason
-   * @returns {Promise<Object>} Refund details
+   * @param {string} [refundData.idempotencyKey] - Stripe idempotency key, so asking again returns the same refund
+   * @returns {Promise<Object>} Refund details, with feeCents: the share of
+   *   the platform fee given back
    */
   static async processRefund(refundData) {
     try {
-      const { paymentIntentId, amount, reason } = refundData;
+      const { paymentIntentId, amount, reason, idempotencyKey } = refundData;
       
       // Create the refund in Stripe
-      const refundAmount = amount ? Math.round(amount * 100) : undefined; // Convert to cents if provided
+      const refundAmount = amount ? toCents(amount) : undefined; // Convert to cents if provided
+      
+      // A destination charge is refunded out of the vendor's account, and the
+      // platform gives back its fee on the refunded share
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      const isDestinationCharge = Boolean(paymentIntent.transfer_data && paymentIntent.transfer_data.destination);
       
       const refund = await stripe.refunds.create({
         payment_intent: paymentIntentId,
         amount: refundAmount, // If not provided, refund the entire amount
-        reason: reason || 'requested_by_customer'
-      });
+        reason: reason || 'requested_by_customer',
+        // Tells the refund webhooks this refund is recorded here (by refundBooking
+        // or refundUnwantedPayment)
+        metadata: { bookingId: paymentIntent.metadata.bookingId, source: REFUND_SOURCE.PLATFORM },
+        ...(isDestinationCharge ? { reverse_transfer: true, refund_application_fee: true } : {})
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+      
+      const refundedCents = refundAmount || paymentIntent.amount;
       
       return {
         id: refund.id,
         amount: refundAmount ? refundAmount / 100 : null,
+        feeCents: isDestinationCharge && paymentIntent.application_fee_amount
+          ? Math.round(paymentIntent.application_fee_amount * refundedCents / paymentIntent.amount)
+          : 0,
         status: refund.status
       };
     } catch (error) {
@@ -165,6 +900,324 @@ class StripeService {
     }
   }
 
+  /**
+   * Refund a paid booking and record it on the booking and as refund
+   * transactions. A booking paid in several payments (deposit and balance,
+   * reschedule charges) is refunded from its most recent payments first,
+   * across as many payment intents as it takes.
+   * @param {Object} booking - Booking document (paid, with stripePaymentId)
+   * @param {Object} [refundData] - Refund data
+   * @param {number} [refundData.amount] - Amount to refund in dollars (defaults to everything not yet refunded)
+   * @param {string} [refundData.reason] - Stripe refund reason
+   * @param {Object} [refundData.extraData] - Extra booking fields written with the refund
+   * @param {boolean} [refundData.reducesTotal=false] - Lower the booking's price by the refund
+   *   instead of counting it as refunded (the booking keeps its payment status)
+   * @param {string} [refundData.idempotencyKey] - Fixed key for this refund (e.g.
+   *   refund_<bookingId>_cancellation), so a retried request doesn't refund twice;
+   *   each payment intent's refund is keyed from it
+   * @returns {Promise<Object>} { refund, refunds, updateData }
+   */
+  static async refundBooking(booking, refundData = {}) {
+    try {
+      const { amount, reason, extraData = {}, reducesTotal = false, idempotencyKey } = refundData;
+      
+      // Work in cents so repeated partial refunds add up exactly
+      const paidCents = getPaidCents(booking);
+      const refundedCents = getRefundedCents(booking);
+      const refundableCents = paidCents - refundedCents;
+      const refundCents = amount === undefined || amount === null
+        ? refundableCents
+        : toCents(amount);
+      
+      if (!(refundCents > 0) || refundCents > refundableCents) {
+        throw new AppError(`Refund amount must be between 0.01 and ${(refundableCents / 100).toFixed(2)}`, 400);
+      }
+      
+      const payments = [...StripeService.getBookingPayments(booking)];
+      const availableCents = (payment) => payment.amountCents - payment.refundedCents;
+      
+      if (payments.reduce((cents, payment) => cents + availableCents(payment), 0) < refundCents) {
+        throw new AppError('The booking\'s payments do not cover this refund', 409);
+      }
+      
+      const refunds = [];
+      let remainingCents = refundCents;
+      let failure = null;
+      
+      for (let i = payments.length - 1; i >= 0 && remainingCents > 0; i--) {
+        const partCents = Math.min(remainingCents, availableCents(payments[i]));
+        
+        if (partCents <= 0) {
+          continue;
+        }
+        
+        try {
+          const refund = await StripeService.processRefund({
+            paymentIntentId: payments[i].paymentIntentId,
+            amount: partCents / 100,
+            reason,
+            idempotencyKey: idempotencyKey ? `${idempotencyKey}_${payments[i].paymentIntentId}` : undefined
+          });
+          
+          payments[i] = StripeService.setRefundedCents(payments[i], payments[i].refundedCents + partCents);
+          refunds.push({ refund, paymentIntentId: payments[i].paymentIntentId, cents: partCents });
+          remainingCents -= partCents;
+        } catch (error) {
+          // Record the refunds already made before reporting the failure
+          failure = error;
+          break;
+        }
+      }
+      
+      if (refunds.length === 0) {
+        throw failure;
+      }
+      
+      const doneCents = refundCents - remainingCents;
+      const refund = refunds[refunds.length - 1].refund;
+      const now = new Date().toISOString();
+      const totalRefundedCents = refundedCents + doneCents;
+      const updateData = reducesTotal
+        ? {
+          ...(failure ? {} : extraData),
+          totalAmount: (toCents(booking.totalAmount) - doneCents) / 100,
+          payments,
+          refundId: refund.id,
+          updatedAt: now
+        }
+        : {
+          ...(failure ? {} : extraData),
+          paymentStatus: totalRefundedCents >= paidCents ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+          payments,
+          refundId: refund.id,
+          refundedCents: totalRefundedCents,
+          refundedAmount: totalRefundedCents / 100,
+          updatedAt: now
+        };
+      
+      await FirebaseService.updateDocument('bookings', booking.id, updateData);
+      
+      for (const { refund: stripeRefund, paymentIntentId, cents } of refunds) {
+        await FirebaseService.createDocument(TRANSACTION_COLLECTION, {
+          bookingId: booking.id,
+          vendorId: booking.vendorId,
+          type: 'refund',
+          // (0 - fee keeps a refund without a fee share at 0 rather than -0)
+          ...StripeService.toTransactionAmounts(-cents, 0 - stripeRefund.feeCents),
+          stripeRefundId: stripeRefund.id,
+          stripePaymentId: paymentIntentId,
+          reducesTotal,
+          status: 'completed',
+          createdAt: now
+        }, StripeService.getRefundTransactionId(stripeRefund.id));
+        
+        await LedgerService.recordEntry(StripeService.getRefundTransactionId(stripeRefund.id), LedgerService.buildRefundEntry({
+          refundId: stripeRefund.id,
+          paymentIntentId,
+          vendorId: booking.vendorId,
+          bookingId: booking.id,
+          amountCents: cents,
+          feeCents: stripeRefund.feeCents
+        }));
+      }
+      
+      if (failure) {
+        throw failure;
+      }
+      
+      return { refund, refunds: refunds.map(entry => entry.refund), updateData };
+    } catch (error) {
+      console.error('Error refunding booking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ID of the transaction recording a refund
+   * @param {string} refundId - Stripe refund ID
+   * @returns {string} Transaction ID
+   */
+  static getRefundTransactionId(refundId) {
+    return `refund_${refundId}`;
+  }
+
+  /**
+   * Process a charge.refunded webhook: sync each of the charge's refunds
+   * @param {Object} charge - Stripe charge
+   * @returns {Promise<number>} Number of refunds that changed the booking
+   */
+  static async processChargeRefunded(charge) {
+    try {
+      const refunds = await stripe.refunds.list({ charge: charge.id, limit: MAX_REFUNDS });
+      let synced = 0;
+      
+      for (const refund of refunds.data) {
+        if (await StripeService.syncRefund(refund)) {
+          synced++;
+        }
+      }
+      
+      return synced;
+    } catch (error) {
+      console.error('Error processing refunded charge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sync a refund into its booking, transactions and ledger (charge.refunded
+   * and refund.updated webhooks). A refund made outside the platform, e.g. from
+   * the Stripe dashboard, is recorded like one made by refundBooking; a
+   * refund that fails or is cancelled after being recorded is reversed.
+   * Refunds made by refundBooking are recorded there, so only their
+   * failures are handled here. Safe to run again for the same refund.
+   * @param {Object} refund - Stripe refund
+   * @returns {Promise<boolean>} Whether the booking was updated
+   */
+  static async syncRefund(refund) {
+    try {
+      if (!refund.payment_intent) {
+        return false;
+      }
+      
+      const metadata = refund.metadata || {};
+      const bookingId = metadata.bookingId ||
+        (await stripe.paymentIntents.retrieve(refund.payment_intent)).metadata.bookingId;
+      
+      if (!bookingId) {
+        console.log(`No booking for refund ${refund.id}`);
+        return false;
+      }
+      
+      const transactionId = StripeService.getRefundTransactionId(refund.id);
+      const made = MADE_REFUND_STATUSES.includes(refund.status);
+      
+      return await FirebaseService.runTransaction(async (tx) => {
+        const booking = await tx.get('bookings', bookingId);
+        const transaction = await tx.get(TRANSACTION_COLLECTION, transactionId);
+        const entry = await LedgerService.getEntry(transactionId, tx);
+        
+        if (!booking) {
+          return false;
+        }
+        
+        const now = new Date().toISOString();
+        
+        if (made) {
+          if (transaction || metadata.source === REFUND_SOURCE.PLATFORM) {
+            return false;
+          }
+          
+          tx.update('bookings', bookingId, {
+            ...StripeService.buildRefundUpdate(booking, refund.payment_intent, refund.amount),
+            refundId: refund.id,
+            updatedAt: now
+          });
+          
+          // The platform fee share given back (if any) isn't on the refund,
+          // so the vendor is taken to have refunded it all
+          tx.create(TRANSACTION_COLLECTION, {
+            bookingId,
+            vendorId: booking.vendorId,
+            type: 'refund',
+            source: REFUND_SOURCE.STRIPE,
+            ...StripeService.toTransactionAmounts(-refund.amount, 0, refund.currency),
+            stripeRefundId: refund.id,
+            stripePaymentId: refund.payment_intent,
+            reducesTotal: false,
+            status: 'completed',
+            createdAt: now
+          }, transactionId);
+          
+          if (!entry) {
+            LedgerService.recordEntryInTransaction(tx, transactionId, LedgerService.buildRefundEntry({
+              refundId: refund.id,
+              paymentIntentId: refund.payment_intent,
+              vendorId: booking.vendorId,
+              bookingId,
+              amountCents: refund.amount,
+              currency: refund.currency
+            }));
+          }
+          
+          return true;
+        }
+        
+        if (!transaction || transaction.status !== 'completed') {
+          return false;
+        }
+        
+        // The money never went back, so undo the refund
+        const cents = -transaction.amountCents;
+        
+        tx.update('bookings', bookingId, transaction.reducesTotal
+          ? {
+            totalAmount: (toCents(booking.totalAmount) + cents) / 100,
+            payments: StripeService.refundPayment(booking, refund.payment_intent, -cents),
+            updatedAt: now
+          }
+          : {
+            ...StripeService.buildRefundUpdate(booking, refund.payment_intent, -cents),
+            updatedAt: now
+          });
+        tx.update(TRANSACTION_COLLECTION, transactionId, {
+          status: 'failed',
+          failureReason: refund.failure_reason || refund.status,
+          updatedAt: now
+        });
+        
+        if (entry) {
+          LedgerService.recordEntryInTransaction(tx, `refund_reversal_${refund.id}`, LedgerService.buildReversalEntry(
+            transactionId,
+            entry,
+            `Refund ${refund.status}: ${refund.failure_reason || 'no reason given'}`
+          ));
+        }
+        
+        return true;
+      });
+    } catch (error) {
+      console.error('Error syncing refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the booking update for money refunded (or, with negative cents,
+   * un-refunded) on one of its payments. A disputed booking stays disputed
+   * until the dispute closes.
+   * @param {Object} booking - Booking document
+   * @param {string} paymentIntentId - Payment intent the money was refunded from
+   * @param {number} cents - Amount in cents
+   * @returns {Object} { payments, refundedCents, refundedAmount, paymentStatus }
+   */
+  static buildRefundUpdate(booking, paymentIntentId, cents) {
+    const refundedCents = Math.max(0, getRefundedCents(booking) + cents);
+    const settled = !booking.paymentSchedule || isScheduleSettled(booking.paymentSchedule);
+    
+    return {
+      payments: StripeService.refundPayment(booking, paymentIntentId, cents),
+      refundedCents,
+      refundedAmount: refundedCents / 100,
+      paymentStatus: booking.paymentStatus === PAYMENT_STATUS.DISPUTED
+        ? PAYMENT_STATUS.DISPUTED
+        : getRefundedPaymentStatus(refundedCents, getPaidCents(booking), settled)
+    };
+  }
+
+  /**
+   * Add to the amount refunded from one of a booking's payments
+   * @param {Object} booking - Booking document
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @param {number} cents - Amount in cents (negative to take a refund back)
+   * @returns {Array} Updated payments
+   */
+  static refundPayment(booking, paymentIntentId, cents) {
+    return StripeService.getBookingPayments(booking).map(payment => (payment.paymentIntentId === paymentIntentId
+      ? StripeService.setRefundedCents(payment, Math.max(0, payment.refundedCents + cents))
+      : payment));
+  }
+
   /**
    * Create a Stripe customer
    * @param {Object} customerData - Customer data
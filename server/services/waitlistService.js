@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const FirebaseService = require('./firebaseService');
+const AvailabilityService = require('./availabilityService');
+const BookingService = require('./bookingService');
+const { AppError } = require('../utils/errorHandler');
+
+const WAITLIST_COLLECTION = 'waitlist_entries';
+
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  CLAIMED: 'claimed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Entries still in the queue
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+// How long a customer has to claim an offered slot
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 30);
+
+const MAX_ACTIVE_ENTRIES_PER_CUSTOMER = 20;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check whether two time ranges overlap
+ * @param {Object} a - { startTime, endTime }
+ * @param {Object} b - { startTime, endTime }
+ * @returns {boolean} Whether they overlap
+ */
+const overlaps = (a, b) =>
+  new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime);
+
+/**
+ * Service for listing waitlists. A customer who can't get a time joins the
+ * waitlist for it; when the time frees up (a booking is cancelled, declined,
+ * expires or moves) the scheduler offers it to the longest-waiting customer
+ * whose time fits. The offer holds the slot for OFFER_MINUTES and is claimed
+ * through a secret link; unclaimed offers lapse and the next customer is
+ * offered the slot.
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist for a time on a listing
+   * @param {Object} entryData - Entry data
+   * @param {string} entryData.listingId - Listing ID
+   * @param {string} entryData.userId - Customer's user ID
+   * @param {string} entryData.startTime - Wanted start (ISO string)
+   * @param {string} entryData.endTime - Wanted end (ISO string)
+   * @param {number} [entryData.partySize=1] - Seats wanted
+   * @param {Array} [entryData.addOns] - Add-ons to book with the slot ([{ serviceId, quantity }])
+   * @returns {Promise<Object>} Created entry, with its position
+   */
+  static async joinWaitlist(entryData) {
+    try {
+      const { listingId, userId, startTime, endTime } = entryData;
+      
+      BookingService.validateTimeRange(startTime, endTime);
+      
+      const { listing, rules } = await AvailabilityService.loadListingRules(listingId);
+      
+      if (listing.status !== 'active') {
+        throw new AppError('Listing is not active', 400);
+      }
+      
+      const partySize = BookingService.resolvePartySize(entryData.partySize, rules.capacity);
+      
+      // Times the rules never allow will not free up either
+      const reason = AvailabilityService.checkRules(rules, startTime, endTime);
+      
+      if (reason) {
+        throw new AppError(reason, 400);
+      }
+      
+      if (await BookingService.checkAvailability(listingId, startTime, endTime, null, partySize)) {
+        throw new AppError('The requested time is available; book it directly', 409);
+      }
+      
+      const existing = (await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [
+        ['userId', '==', userId]
+      ])).filter(entry => ACTIVE_STATUSES.includes(entry.status));
+      
+      const wanted = { startTime: new Date(startTime).toISOString(), endTime: new Date(endTime).toISOString() };
+      
+      if (existing.some(entry => entry.listingId === listingId && overlaps(entry, wanted))) {
+        throw new AppError('You are already on the waitlist for this time', 409);
+      }
+      
+      if (existing.length >= MAX_ACTIVE_ENTRIES_PER_CUSTOMER) {
+        throw new AppError(`You can be on at most ${MAX_ACTIVE_ENTRIES_PER_CUSTOMER} waitlists at once`, 409);
+      }
+      
+      const now = new Date().toISOString();
+      const entry = await FirebaseService.createDocument(WAITLIST_COLLECTION, {
+        listingId,
+        vendorId: listing.vendorId,
+        userId,
+        customerName: entryData.customerName || '',
+        customerEmail: entryData.customerEmail || '',
+        customerPhone: entryData.customerPhone || '',
+        customerTimezone: entryData.customerTimezone || null,
+        notes: entryData.notes || '',
+        ...wanted,
+        partySize,
+        addOns: entryData.addOns || [],
+        status: WAITLIST_STATUS.WAITING,
+        createdAt: now,
+        updatedAt: now
+      });
+      
+      const queue = await WaitlistService.getQueue(listingId);
+      
+      return { ...entry, position: WaitlistService.getPosition(queue, entry) };
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a customer's waitlist entries, newest first. Waiting entries include
+   * their position in the queue.
+   * @param {string} userId - Customer's user ID
+   * @returns {Promise<Array>} Entries
+   */
+  static async getCustomerEntries(userId) {
+    try {
+      const entries = await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [
+        ['userId', '==', userId]
+      ], {
+        orderByField: 'createdAt',
+        orderByDirection: 'desc'
+      });
+      
+      const listingIds = [...new Set(entries
+        .filter(entry => entry.status === WAITLIST_STATUS.WAITING)
+        .map(entry => entry.listingId))];
+      const queues = new Map(await Promise.all(
+        listingIds.map(async (listingId) => [listingId, await WaitlistService.getQueue(listingId)])
+      ));
+      
+      return entries.map(entry => (entry.status === WAITLIST_STATUS.WAITING
+        ? { ...entry, position: WaitlistService.getPosition(queues.get(entry.listingId), entry) }
+        : entry));
+    } catch (error) {
+      console.error('Error getting waitlist entries:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Leave a waitlist. Leaving with an open offer releases the held slot.
+   * @param {string} entryId - Entry ID
+   * @param {string} userId - Customer's user ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  static async leaveWaitlist(entryId, userId) {
+    try {
+      await FirebaseService.runTransaction(async (tx) => {
+        const entry = await tx.get(WAITLIST_COLLECTION, entryId);
+        
+        if (!entry) {
+          throw new AppError('Waitlist entry not found', 404);
+        }
+        
+        if (entry.userId !== userId) {
+          throw new AppError('Unauthorized', 403);
+        }
+        
+        if (!ACTIVE_STATUSES.includes(entry.status)) {
+          throw new AppError(`Waitlist entry is already ${entry.status}`, 409);
+        }
+        
+        tx.update(WAITLIST_COLLECTION, entryId, {
+          status: WAITLIST_STATUS.CANCELLED,
+          updatedAt: new Date().toISOString()
+        });
+      });
+      
+      return await FirebaseService.getDocument(WAITLIST_COLLECTION, entryId);
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the queue for one of a vendor's listings, in the order slots are offered
+   * @param {string} listingId - Listing ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} Waiting and offered entries
+   */
+  static async getListingWaitlist(listingId, vendorId) {
+    try {
+      const listing = await FirebaseService.getDocument('listings', listingId);
+      
+      if (!listing) {
+        throw new AppError('Listing not found', 404);
+      }
+      
+      if (listing.vendorId !== vendorId) {
+        throw new AppError('Unauthorized', 403);
+      }
+      
+      const queue = await WaitlistService.getQueue(listingId);
+      
+      // The claim token is the customer's credential; vendors never see it
+      return queue.map(({ claimToken, ...entry }) => ({
+        ...entry,
+        position: WaitlistService.getPosition(queue, entry)
+      }));
+    } catch (error) {
+      console.error('Error getting listing waitlist:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Count the customers waiting on each of a vendor's listings
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} [{ listingId, waiting, offered }]
+   */
+  static async getWaitlistDepth(vendorId) {
+    try {
+      const entries = await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [
+        ['vendorId', '==', vendorId]
+      ]);
+      const depth = new Map();
+      
+      entries
+        .filter(entry => ACTIVE_STATUSES.includes(entry.status))
+        .forEach(entry => {
+          const counts = depth.get(entry.listingId) || { listingId: entry.listingId, waiting: 0, offered: 0 };
+          
+          counts[entry.status] += 1;
+          depth.set(entry.listingId, counts);
+        });
+      
+      return Array.from(depth.values());
+    } catch (error) {
+      console.error('Error getting waitlist depth:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the public details of a slot offer from its claim token
+   * @param {string} token - Claim token
+   * @returns {Promise<Object>} { entryId, listingId, listingTitle, startTime, endTime, offerExpiresAt, status }
+   */
+  static async getOffer(token) {
+    try {
+      const entry = await WaitlistService.getEntryByToken(token);
+      const listing = await FirebaseService.getDocument('listings', entry.listingId);
+      
+      return {
+        entryId: entry.id,
+        listingId: entry.listingId,
+        listingTitle: listing ? listing.title : '',
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        offerExpiresAt: entry.offerExpiresAt,
+        status: entry.status
+      };
+    } catch (error) {
+      console.error('Error getting waitlist offer:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Claim an offered slot: book it for the waitlisted customer. The booking
+   * then follows the normal flow (pending, payment hold). The offer is
+   * checked again and marked claimed in the booking's transaction, so a
+   * second claim (a double click or a retry) can't book it twice.
+   * @param {string} token - Claim token
+   * @param {string} userId - User claiming (must be the waitlisted customer)
+   * @returns {Promise<Object>} Created booking
+   */
+  static async claimOffer(token, userId) {
+    try {
+      const entry = await WaitlistService.getEntryByToken(token);
+      
+      if (entry.userId !== userId) {
+        throw new AppError('This offer belongs to another customer', 403);
+      }
+      
+      if (entry.status !== WAITLIST_STATUS.OFFERED) {
+        throw new AppError(`This offer is ${entry.status}`, 409);
+      }
+      
+      if (new Date(entry.offerExpiresAt) <= new Date()) {
+        throw new AppError('This offer has expired', 409);
+      }
+      
+      const booking = await BookingService.createBooking({
+        listingId: entry.listingId,
+        userId: entry.userId,
+        customerName: entry.customerName,
+        customerEmail: entry.customerEmail,
+        customerPhone: entry.customerPhone,
+        customerTimezone: entry.customerTimezone,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        notes: entry.notes,
+        partySize: entry.partySize,
+        addOns: entry.addOns,
+        waitlistEntryId: entry.id
+      });
+      
+      return booking;
+    } catch (error) {
+      console.error('Error claiming waitlist offer:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move the waitlists along. Run by the scheduler: lapsed offers and
+   * entries whose time has passed expire, then every waiting entry whose
+   * time is free is offered it, longest-waiting first.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { offered, expired }
+   */
+  static async processWaitlists(now = new Date()) {
+    try {
+      const active = (await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [
+        ['status', 'in', ACTIVE_STATUSES]
+      ])).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      let offered = 0;
+      let expired = 0;
+      
+      for (const entry of active) {
+        const lapsed = entry.status === WAITLIST_STATUS.OFFERED
+          ? new Date(entry.offerExpiresAt) <= now
+          : new Date(entry.startTime) <= now;
+        
+        if (lapsed && await WaitlistService.expireEntry(entry.id, entry.status)) {
+          expired += 1;
+        }
+      }
+      
+      const waiting = active.filter(entry =>
+        entry.status === WAITLIST_STATUS.WAITING && new Date(entry.startTime) > now);
+      
+      for (const entry of waiting) {
+        // Cheap check first; the offer itself re-checks under the listing lock
+        if (!await BookingService.checkAvailability(
+          entry.listingId, entry.startTime, entry.endTime, null, entry.partySize || 1
+        )) {
+          continue;
+        }
+        
+        try {
+          await WaitlistService.offerSlot(entry.id, now);
+          offered += 1;
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+        }
+      }
+      
+      return { offered, expired };
+    } catch (error) {
+      console.error('Error processing waitlists:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Offer a waiting entry its slot, holding it for OFFER_MINUTES. Checked
+   * and written under the listing lock, like a booking.
+   * @param {string} entryId - Entry ID
+   * @param {Date} now - Current time
+   * @returns {Promise<void>}
+   */
+  static async offerSlot(entryId, now) {
+    await FirebaseService.runTransaction(async (tx) => {
+      const entry = await tx.get(WAITLIST_COLLECTION, entryId);
+      
+      if (!entry || entry.status !== WAITLIST_STATUS.WAITING) {
+        throw new AppError('Waitlist entry is no longer waiting', 409);
+      }
+      
+      const { listing, rules } = await AvailabilityService.loadListingRules(entry.listingId, tx);
+      
+      if (listing.status !== 'active') {
+        throw new AppError('Listing is not active', 400);
+      }
+      
+      AvailabilityService.assertWithinRules(rules, entry.startTime, entry.endTime);
+      await BookingService.assertSlotAvailable(
+        tx, entry.listingId, entry.startTime, entry.endTime, null, rules, entry.partySize || 1
+      );
+      await BookingService.assertVendorNotBusy(tx, listing.vendorId, entry.startTime, entry.endTime, rules);
+      
+      BookingService.touchListingLock(tx, entry.listingId);
+      tx.update(WAITLIST_COLLECTION, entryId, {
+        status: WAITLIST_STATUS.OFFERED,
+        claimToken: crypto.randomBytes(24).toString('hex'),
+        offeredAt: now.toISOString(),
+        offerExpiresAt: new Date(now.getTime() + OFFER_MINUTES * MINUTE_MS).toISOString(),
+        updatedAt: now.toISOString()
+      });
+    });
+  }
+  
+  /**
+   * Expire an entry if it is still in the given status
+   * @param {string} entryId - Entry ID
+   * @param {string} status - Status the entry was read with
+   * @returns {Promise<boolean>} Whether it was expired
+   */
+  static async expireEntry(entryId, status) {
+    return FirebaseService.runTransaction(async (tx) => {
+      const entry = await tx.get(WAITLIST_COLLECTION, entryId);
+      
+      // Claimed or cancelled in the meantime
+      if (!entry || entry.status !== status) {
+        return false;
+      }
+      
+      tx.update(WAITLIST_COLLECTION, entryId, {
+        status: WAITLIST_STATUS.EXPIRED,
+        updatedAt: new Date().toISOString()
+      });
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Get an entry by its claim token, or throw 404
+   * @param {string} token - Claim token
+   * @returns {Promise<Object>} Entry
+   */
+  static async getEntryByToken(token) {
+    const [entry] = token
+      ? await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [['claimToken', '==', token]], { limit: 1 })
+      : [];
+    
+    if (!entry) {
+      throw new AppError('Offer not found', 404);
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Get a listing's queue: waiting and offered entries, oldest first
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array>} Entries
+   */
+  static async getQueue(listingId) {
+    const entries = await FirebaseService.queryDocuments(WAITLIST_COLLECTION, [
+      ['listingId', '==', listingId]
+    ], {
+      orderByField: 'createdAt',
+      orderByDirection: 'asc'
+    });
+    
+    return entries.filter(entry => ACTIVE_STATUSES.includes(entry.status));
+  }
+  
+  /**
+   * Position of an entry among the waiting entries that want an overlapping
+   * time. Counted in queue order, the order offers are made in, so entries
+   * that joined in the same millisecond still get distinct positions.
+   * @param {Array} queue - Listing queue (see getQueue)
+   * @param {Object} entry - Entry
+   * @returns {number|null} 1-based position, or null if the entry isn't waiting
+   */
+  static getPosition(queue, entry) {
+    if (entry.status !== WAITLIST_STATUS.WAITING) {
+      return null;
+    }
+    
+    const index = queue.findIndex(other => other.id === entry.id);
+    const ahead = queue.slice(0, index).filter(other =>
+      other.status === WAITLIST_STATUS.WAITING && overlaps(other, entry));
+    
+    return ahead.length + 1;
+  }
+}
+
+module.exports = WaitlistService;
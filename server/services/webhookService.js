@@ -0,0 +1,211 @@
+const FirebaseService = require('./firebaseService');
+const StripeService = require('./stripeService');
+const ConnectService = require('./connectService');
+const DisputeService = require('./disputeService');
+const { AppError } = require('../utils/errorHandler');
+const { PAYMENT_STATUS } = require('../utils/paymentStatus');
+
+const STRIPE_EVENT_COLLECTION = 'stripe_events';
+
+const EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  // No handler for the event type
+  IGNORED: 'ignored'
+};
+
+// Events that are done with and are never run again
+const FINAL_STATUSES = [EVENT_STATUS.PROCESSED, EVENT_STATUS.IGNORED];
+
+// An attempt still marked processing after this long is taken to have died
+// (e.g. the server restarted), so a retry or replay may take over
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const MAX_ERROR_LENGTH = 1000;
+const MAX_EVENTS = 200;
+
+// What to do with each event type, given the event's object and the Connect
+// account it came from (if any). Handlers must be safe to run again for the
+// same object: Stripe retries deliveries, and failed events are replayed.
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': (object) => StripeService.processSuccessfulPayment(object),
+  'payment_intent.processing': (object) => StripeService.processPaymentIntentUpdate(object, PAYMENT_STATUS.PROCESSING),
+  'payment_intent.requires_action': (object) =>
+    StripeService.processPaymentIntentUpdate(object, PAYMENT_STATUS.REQUIRES_ACTION),
+  'payment_intent.payment_failed': (object) => StripeService.processPaymentIntentUpdate(object, PAYMENT_STATUS.FAILED),
+  'payment_intent.canceled': (object) => StripeService.processPaymentIntentUpdate(object, PAYMENT_STATUS.CANCELED),
+  'charge.refunded': (object) => StripeService.processChargeRefunded(object),
+  'refund.updated': (object) => StripeService.syncRefund(object),
+  'charge.dispute.created': (object) => DisputeService.processDisputeCreated(object),
+  'charge.dispute.updated': (object) => DisputeService.processDisputeUpdated(object),
+  'charge.dispute.closed': (object) => DisputeService.processDisputeClosed(object),
+  'account.updated': (object) => ConnectService.processAccountUpdate(object),
+  'payout.paid': (object, account) => ConnectService.processPayoutUpdate(object, account),
+  'payout.failed': (object, account) => ConnectService.processPayoutUpdate(object, account)
+};
+
+/**
+ * Service for Stripe webhook events. Every event is stored in stripe_events
+ * under its Stripe event ID and run through its handler exactly once: a
+ * delivery of an event that is already processed (or being processed) is
+ * acknowledged without running it again. Attempts are counted, and a failed
+ * event keeps its error until Stripe's retry or an admin replay succeeds.
+ */
+class WebhookService {
+  /**
+   * Store and process a verified webhook event
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object>} Stored event, with duplicate: true if it was not run again
+   */
+  static async handleEvent(event) {
+    try {
+      return await WebhookService.runEvent({
+        id: event.id,
+        type: event.type,
+        account: event.account || null,
+        livemode: event.livemode === true,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000).toISOString() : null,
+        object: event.data.object
+      });
+    } catch (error) {
+      console.error('Error handling webhook event:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Run a failed event again (admin action)
+   * @param {string} eventId - Stripe event ID
+   * @returns {Promise<Object>} Stored event
+   */
+  static async replayEvent(eventId) {
+    try {
+      const stored = await FirebaseService.getDocument(STRIPE_EVENT_COLLECTION, eventId);
+      
+      if (!stored) {
+        throw new AppError('Event not found', 404);
+      }
+      
+      if (FINAL_STATUSES.includes(stored.status)) {
+        throw new AppError(`Event is already ${stored.status}`, 409);
+      }
+      
+      const result = await WebhookService.runEvent(stored);
+      
+      if (result.duplicate) {
+        throw new AppError('Event is being processed', 409);
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error replaying webhook event:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get stored events, most recently received first
+   * @param {Object} [filters] - { status, type, limit }
+   * @returns {Promise<Array>} Events
+   */
+  static async getEvents({ status, type, limit = 50 } = {}) {
+    try {
+      const conditions = [];
+      
+      if (status) {
+        conditions.push(['status', '==', status]);
+      }
+      
+      if (type) {
+        conditions.push(['type', '==', type]);
+      }
+      
+      return await FirebaseService.queryDocuments(STRIPE_EVENT_COLLECTION, conditions, {
+        orderByField: 'receivedAt',
+        orderByDirection: 'desc',
+        limit: Math.min(Math.max(1, limit), MAX_EVENTS)
+      });
+    } catch (error) {
+      console.error('Error getting webhook events:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Claim an event and run its handler, recording the outcome
+   * @param {Object} event - { id, type, account, livemode, stripeCreatedAt, object }
+   * @returns {Promise<Object>} Stored event, with duplicate: true if it was not run
+   */
+  static async runEvent(event) {
+    const claimed = await WebhookService.claimEvent(event);
+    
+    if (!claimed) {
+      const stored = await FirebaseService.getDocument(STRIPE_EVENT_COLLECTION, event.id);
+      return { ...stored, duplicate: true };
+    }
+    
+    const handler = EVENT_HANDLERS[event.type];
+    let outcome;
+    
+    if (!handler) {
+      outcome = { status: EVENT_STATUS.IGNORED };
+    } else {
+      try {
+        await handler(event.object, event.account || null);
+        outcome = { status: EVENT_STATUS.PROCESSED, processedAt: new Date().toISOString() };
+      } catch (error) {
+        console.error(`Error handling ${event.type} (${event.id}):`, error);
+        outcome = {
+          status: EVENT_STATUS.FAILED,
+          error: String(error.message || error).slice(0, MAX_ERROR_LENGTH)
+        };
+      }
+    }
+    
+    await FirebaseService.updateDocument(STRIPE_EVENT_COLLECTION, event.id, outcome);
+    
+    return { ...claimed, ...outcome, duplicate: false };
+  }
+  
+  /**
+   * Mark an event as processing, unless it is already done or another
+   * attempt is working on it. The first delivery stores the event.
+   * @param {Object} event - { id, type, account, livemode, stripeCreatedAt, object }
+   * @returns {Promise<Object|null>} Stored event, or null if it must not be run now
+   */
+  static async claimEvent(event) {
+    return await FirebaseService.runTransaction(async (tx) => {
+      const stored = await tx.get(STRIPE_EVENT_COLLECTION, event.id);
+      const now = new Date();
+      
+      if (stored) {
+        const inProgress = stored.status === EVENT_STATUS.PROCESSING &&
+          now - new Date(stored.lastAttemptAt) < PROCESSING_TIMEOUT_MS;
+        
+        if (FINAL_STATUSES.includes(stored.status) || inProgress) {
+          return null;
+        }
+      }
+      
+      const claimed = {
+        type: event.type,
+        account: event.account || null,
+        livemode: event.livemode === true,
+        stripeCreatedAt: event.stripeCreatedAt || null,
+        object: event.object,
+        status: EVENT_STATUS.PROCESSING,
+        attempts: ((stored && stored.attempts) || 0) + 1,
+        error: null,
+        receivedAt: (stored && stored.receivedAt) || now.toISOString(),
+        lastAttemptAt: now.toISOString()
+      };
+      
+      tx.set(STRIPE_EVENT_COLLECTION, event.id, claimed);
+      
+      return { id: event.id, ...claimed };
+    });
+  }
+}
+
+module.exports = WebhookService;
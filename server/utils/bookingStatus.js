@@ -0,0 +1,125 @@
+/**
+ * Booking lifecycle: statuses, who may move a booking between them, and
+ * which statuses hold the booked time slot.
+ *
+ *   pending -> confirmed -> in_progress -> completed
+ *   pending -> declined | cancelled | expired
+ *   confirmed -> cancelled | no_show | completed
+ */
+
+const BOOKING_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  DECLINED: 'declined',
+  NO_SHOW: 'no_show',
+  EXPIRED: 'expired'
+};
+
+// Who is changing the status
+const ACTOR_ROLE = {
+  VENDOR: 'vendor',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system'
+};
+
+// Allowed transitions: { from: { to: [roles] } }
+const TRANSITIONS = {
+  [BOOKING_STATUS.PENDING]: {
+    [BOOKING_STATUS.CONFIRMED]: [ACTOR_ROLE.VENDOR],
+    [BOOKING_STATUS.DECLINED]: [ACTOR_ROLE.VENDOR],
+    [BOOKING_STATUS.CANCELLED]: [ACTOR_ROLE.VENDOR, ACTOR_ROLE.CUSTOMER],
+    [BOOKING_STATUS.EXPIRED]: [ACTOR_ROLE.SYSTEM]
+  },
+  [BOOKING_STATUS.CONFIRMED]: {
+    [BOOKING_STATUS.IN_PROGRESS]: [ACTOR_ROLE.VENDOR],
+    [BOOKING_STATUS.COMPLETED]: [ACTOR_ROLE.VENDOR, ACTOR_ROLE.SYSTEM],
+    [BOOKING_STATUS.CANCELLED]: [ACTOR_ROLE.VENDOR, ACTOR_ROLE.CUSTOMER],
+    [BOOKING_STATUS.NO_SHOW]: [ACTOR_ROLE.VENDOR]
+  },
+  [BOOKING_STATUS.IN_PROGRESS]: {
+    [BOOKING_STATUS.COMPLETED]: [ACTOR_ROLE.VENDOR, ACTOR_ROLE.SYSTEM]
+  }
+};
+
+// Statuses that occupy the booked time slot
+const BLOCKING_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.IN_PROGRESS
+];
+
+// Statuses in which a booking can be paid
+const PAYABLE_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED
+];
+
+// Statuses of a booking that won't go ahead; a payment that still lands on
+// one is refunded
+const CALLED_OFF_STATUSES = [
+  BOOKING_STATUS.CANCELLED,
+  BOOKING_STATUS.DECLINED,
+  BOOKING_STATUS.EXPIRED
+];
+
+// Statuses that can only be reached once the booking has started
+const REQUIRES_STARTED = [
+  BOOKING_STATUS.IN_PROGRESS,
+  BOOKING_STATUS.COMPLETED,
+  BOOKING_STATUS.NO_SHOW
+];
+
+/**
+ * Check whether a status is part of the lifecycle
+ * @param {string} status - Booking status
+ * @returns {boolean} Whether the status is known
+ */
+const isValidStatus = (status) => Object.values(BOOKING_STATUS).includes(status);
+
+/**
+ * Check whether a status has no outgoing transitions
+ * @param {string} status - Booking status
+ * @returns {boolean} Whether the status is final
+ */
+const isTerminalStatus = (status) => !TRANSITIONS[status];
+
+/**
+ * Check whether an actor may move a booking from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Actor role (vendor, customer, system)
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to, role) => {
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+/**
+ * List the statuses an actor may move a booking to next
+ * @param {string} from - Current status
+ * @param {string} role - Actor role
+ * @returns {Array} Reachable statuses
+ */
+const getAllowedTransitions = (from, role) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+module.exports = {
+  BOOKING_STATUS,
+  ACTOR_ROLE,
+  TRANSITIONS,
+  BLOCKING_STATUSES,
+  PAYABLE_STATUSES,
+  CALLED_OFF_STATUSES,
+  REQUIRES_STARTED,
+  isValidStatus,
+  isTerminalStatus,
+  canTransition,
+  getAllowedTransitions
+};
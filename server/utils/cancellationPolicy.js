@@ -0,0 +1,167 @@
+/**
+ * Cancellation policies: how much of a paid booking is refunded depending on
+ * how long before the start it is cancelled.
+ *
+ * A listing's cancellationPolicy is either a preset name or a custom policy:
+ * {
+ *   tiers: [
+ *     { minHoursBefore: 48, refundPercent: 100 },  // 48h or more before the start
+ *     { minHoursBefore: 24, refundPercent: 50 },   // 24h up to 48h
+ *     { minHoursBefore: 0, refundPercent: 0 }      // less than 24h
+ *   ]
+ * }
+ * Cancellations by the vendor are always refunded in full. The percentage
+ * applies to what has been paid, so a booking with only its deposit paid is
+ * refunded a share of the deposit.
+ */
+
+const { getPaidCents, getRefundedCents } = require('./paymentSchedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PRESET_POLICIES = {
+  flexible: {
+    tiers: [
+      { minHoursBefore: 24, refundPercent: 100 },
+      { minHoursBefore: 0, refundPercent: 0 }
+    ]
+  },
+  moderate: {
+    tiers: [
+      { minHoursBefore: 48, refundPercent: 100 },
+      { minHoursBefore: 24, refundPercent: 50 },
+      { minHoursBefore: 0, refundPercent: 0 }
+    ]
+  },
+  strict: {
+    tiers: [
+      { minHoursBefore: 7 * 24, refundPercent: 50 },
+      { minHoursBefore: 0, refundPercent: 0 }
+    ]
+  }
+};
+
+// Listings without a policy refund in full
+const DEFAULT_POLICY = {
+  name: 'full_refund',
+  tiers: [{ minHoursBefore: 0, refundPercent: 100 }]
+};
+
+const MAX_TIERS = 10;
+
+/**
+ * Validate a listing's cancellation policy
+ * @param {string|Object} policy - Preset name or { tiers }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCancellationPolicy = (policy) => {
+  if (typeof policy === 'string') {
+    return PRESET_POLICIES[policy]
+      ? null
+      : `cancellationPolicy must be one of: ${Object.keys(PRESET_POLICIES).join(', ')}, or a custom policy`;
+  }
+  
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.tiers) ||
+      policy.tiers.length === 0 || policy.tiers.length > MAX_TIERS) {
+    return `A custom cancellationPolicy needs 1 to ${MAX_TIERS} tiers`;
+  }
+  
+  for (const tier of policy.tiers) {
+    if (!tier || typeof tier.minHoursBefore !== 'number' || !(tier.minHoursBefore >= 0)) {
+      return 'Each tier needs minHoursBefore of 0 or more';
+    }
+    
+    if (typeof tier.refundPercent !== 'number' || !(tier.refundPercent >= 0 && tier.refundPercent <= 100)) {
+      return 'Each tier needs refundPercent from 0 to 100';
+    }
+  }
+  
+  const hours = policy.tiers.map(tier => tier.minHoursBefore);
+  
+  if (new Set(hours).size !== hours.length) {
+    return 'Cancellation tiers must have different minHoursBefore values';
+  }
+  
+  return null;
+};
+
+/**
+ * Resolve a listing's cancellation policy to a named list of tiers, ordered
+ * from the earliest cancellation to the latest
+ * @param {string|Object} [policy] - Preset name, custom policy or nothing
+ * @returns {Object} { name, tiers }
+ */
+const resolveCancellationPolicy = (policy) => {
+  if (!policy) {
+    return DEFAULT_POLICY;
+  }
+  
+  const name = typeof policy === 'string' ? policy : (policy.name || 'custom');
+  const tiers = typeof policy === 'string' ? PRESET_POLICIES[policy].tiers : policy.tiers;
+  
+  return {
+    name,
+    tiers: tiers
+      .map(tier => ({ minHoursBefore: tier.minHoursBefore, refundPercent: tier.refundPercent }))
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+  };
+};
+
+/**
+ * Work out the refund for cancelling a booking
+ * @param {Object} policy - Resolved policy ({ name, tiers })
+ * @param {Object} booking - Booking (startTime, totalAmount, paymentSchedule, refundedCents)
+ * @param {Object} options - Cancellation details
+ * @param {boolean} options.byVendor - Whether the vendor is cancelling
+ * @param {Date} [options.cancelledAt] - Cancellation time
+ * @returns {Object} { refundPercent, refundAmount (dollars), hoursBeforeStart, tier }
+ */
+const calculateRefund = (policy, booking, { byVendor, cancelledAt = new Date() }) => {
+  const hoursBeforeStart = (new Date(booking.startTime) - cancelledAt) / HOUR_MS;
+  const tier = byVendor
+    ? null
+    : policy.tiers.find(candidate => hoursBeforeStart >= candidate.minHoursBefore) || null;
+  const refundPercent = byVendor ? 100 : (tier ? tier.refundPercent : 0);
+  
+  // Work in cents so percentages never leave fractions of a cent
+  const paidCents = getPaidCents(booking);
+  const refundedCents = getRefundedCents(booking);
+  const refundCents = Math.min(
+    Math.round(paidCents * refundPercent / 100),
+    Math.max(0, paidCents - refundedCents)
+  );
+  
+  return {
+    refundPercent,
+    refundAmount: refundCents / 100,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+    tier
+  };
+};
+
+/**
+ * Describe a cancellation policy in words, e.g. for a customer or a card issuer
+ * @param {Object} policy - Resolved policy ({ name, tiers })
+ * @returns {string} Description
+ */
+const describeCancellationPolicy = (policy) => {
+  const tiers = policy.tiers.map((tier, index) => {
+    const window = tier.minHoursBefore > 0
+      ? `${tier.minHoursBefore} hours or more before the start`
+      : (index === 0 ? 'at any time' : 'later than that');
+    
+    return `cancellations ${window} are refunded ${tier.refundPercent}%`;
+  });
+  
+  return `${tiers.join('; ')}. Cancellations by the vendor are always refunded in full.`
+    .replace(/^./, letter => letter.toUpperCase());
+};
+
+module.exports = {
+  PRESET_POLICIES,
+  DEFAULT_POLICY,
+  validateCancellationPolicy,
+  resolveCancellationPolicy,
+  calculateRefund,
+  describeCancellationPolicy
+};
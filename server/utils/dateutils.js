@@ -1,3 +1,129 @@
+/**
+ * Date helpers. Calendar math (days, months, periods) is done in an IANA
+ * time zone rather than the server's local time, so DST transitions and
+ * month boundaries match what the vendor sees. Functions that take a
+ * timeZone fall back to DEFAULT_TIMEZONE.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to build, so keep one per zone
+const partsFormatters = new Map();
+
+/**
+ * Check whether a string is a time zone name Intl understands
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/London')
+ * @returns {boolean} Whether the zone is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+  throw new Error(`Invalid DEFAULT_TIMEZONE "${DEFAULT_TIMEZONE}" (expected an IANA time zone)`);
+}
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date|string} date - Date object or string
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, millisecond, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  
+  const parts = {};
+  partsFormatters.get(timeZone).formatToParts(dateObj).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    millisecond: dateObj.getUTCMilliseconds(),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date|string} date - Date object or string
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  const parts = getZonedParts(dateObj, timeZone);
+  
+  return Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, parts.millisecond
+  ) - dateObj.getTime();
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant. Out of range
+ * fields roll over (day 32 is the 1st of the next month, hour 24 is the
+ * next midnight). A time repeated when clocks go back resolves to the
+ * earlier instant; a time skipped when clocks go forward moves past the gap.
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Date object
+ */
+const zonedTimeToUtc = (fields, timeZone = DEFAULT_TIMEZONE) => {
+  const {
+    year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0
+  } = fields;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  
+  // Offsets a day either side cover any DST change affecting this wall-clock time
+  const offsets = [
+    getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone),
+    getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone)
+  ];
+  
+  const matches = offsets
+    .map(offset => wallClock - offset)
+    .filter((instant, index) => getTimeZoneOffset(new Date(instant), timeZone) === offsets[index]);
+  
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+  
+  // Skipped wall-clock time: apply the offset from before the change
+  return new Date(wallClock - Math.min(...offsets));
+};
+
 /**
  * Format a date as an ISO string
  * @param {Date|string} date - Date object or string
@@ -10,6 +136,20 @@ const formatISODate = (date) => {
   return dateObj.toISOString();
 };
 
+/**
+ * Format a date as a YYYY-MM-DD calendar day key
+ * @param {Date|string} date - Date object or string
+ * @param {string} [timeZone] - IANA time zone the day is taken in
+ * @returns {string} Calendar day key
+ */
+const formatDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  
+  const { year, month, day } = getZonedParts(date, timeZone);
+  
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
 /**
  * Check if a date is in the future
  * @param {Date|string} date - Date object or string
@@ -41,74 +181,73 @@ const isPastDate = (date) => {
 /**
  * Get the start of a day
  * @param {Date|string} date - Date object or string
- * @returns {Date} Date object set to start of day
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} First instant of the day containing date
  */
-const startOfDay = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+const startOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
   
-  dateObj.setHours(0, 0, 0, 0);
-  return dateObj;
+  return zonedTimeToUtc({ year, month, day }, timeZone);
 };
 
 /**
  * Get the end of a day
  * @param {Date|string} date - Date object or string
- * @returns {Date} Date object set to end of day
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Last millisecond of the day containing date
  */
-const endOfDay = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+const endOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
   
-  dateObj.setHours(23, 59, 59, 999);
-  return dateObj;
+  return new Date(zonedTimeToUtc({ year, month, day: day + 1 }, timeZone).getTime() - 1);
 };
 
 /**
  * Get the start of a month
  * @param {Date|string} date - Date object or string
- * @returns {Date} Date object set to start of month
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} First instant of the month containing date
  */
-const startOfMonth = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : new Date(date);
+const startOfMonth = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month } = getZonedParts(date, timeZone);
   
-  dateObj.setDate(1);
-  dateObj.setHours(0, 0, 0, 0);
-  return dateObj;
+  return zonedTimeToUtc({ year, month, day: 1 }, timeZone);
 };
 
 /**
  * Get the end of a month
  * @param {Date|string} date - Date object or string
- * @returns {Date} Date object set to end of month
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Last millisecond of the month containing date
  */
-const endOfMonth = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : new Date(date);
+const endOfMonth = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month } = getZonedParts(date, timeZone);
   
-  dateObj.setMonth(dateObj.getMonth() + 1);
-  dateObj.setDate(0);
-  dateObj.setHours(23, 59, 59, 999);
-  return dateObj;
+  return new Date(zonedTimeToUtc({ year, month: month + 1, day: 1 }, timeZone).getTime() - 1);
 };
 
 /**
- * Add days to a date
+ * Add calendar days to a date, keeping its wall-clock time in the zone
+ * (so 09:00 stays 09:00 across a DST change)
  * @param {Date|string} date - Date object or string
  * @param {number} days - Number of days to add
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date} New date object
  */
-const addDays = (date, days) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : new Date(date);
+const addDays = (date, days, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
   
-  dateObj.setDate(dateObj.getDate() + days);
-  return dateObj;
+  return zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone);
 };
 
 /**
  * Format a date for display
  * @param {Date|string} date - Date object or string
- * @param {Object} options - Intl.DateTimeFormat options
+ * @param {Object} options - Intl.DateTimeFormat options (timeZone defaults to DEFAULT_TIMEZONE)
+ * @param {string} [locale] - BCP 47 locale
  * @returns {string} Formatted date string
  */
-const formatDate = (date, options = {}) => {
+const formatDate = (date, options = {}, locale = DEFAULT_LOCALE) => {
   if (!date) return '';
   
   const dateObj = typeof date === 'string' ? new Date(date) : date;
@@ -116,73 +255,75 @@ const formatDate = (date, options = {}) => {
   const defaultOptions = {
     year: 'numeric',
     month: 'short',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: DEFAULT_TIMEZONE
   };
   
   const formatOptions = { ...defaultOptions, ...options };
   
-  return new Intl.DateTimeFormat('en-US', formatOptions).format(dateObj);
+  return new Intl.DateTimeFormat(locale, formatOptions).format(dateObj);
 };
 
 /**
- * Calculate the difference between two dates in days
+ * Calculate the difference between two dates in calendar days
  * @param {Date|string} date1 - First date
  * @param {Date|string} date2 - Second date
+ * @param {string} [timeZone] - IANA time zone the days are counted in
  * @returns {number} Difference in days
  */
-const daysBetween = (date1, date2) => {
-  const d1 = typeof date1 === 'string' ? new Date(date1) : date1;
-  const d2 = typeof date2 === 'string' ? new Date(date2) : date2;
-  
-  // Set time to midnight to get whole days
-  d1.setHours(0, 0, 0, 0);
-  d2.setHours(0, 0, 0, 0);
+const daysBetween = (date1, date2, timeZone = DEFAULT_TIMEZONE) => {
+  const d1 = getZonedParts(date1, timeZone);
+  const d2 = getZonedParts(date2, timeZone);
   
-  // Calculate difference in days
-  const diffTime = Math.abs(d2 - d1);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Compare the calendar days only, so DST days count as one day
+  const diffTime = Math.abs(
+    Date.UTC(d2.year, d2.month - 1, d2.day) - Date.UTC(d1.year, d1.month - 1, d1.day)
+  );
   
-  return diffDays;
+  return Math.round(diffTime / DAY_MS);
 };
 
 /**
  * Get date ranges for a period
- * @param {string} period - Period type ('week', 'month', 'year')
+ * @param {string} period - Period type ('week', 'month', 'year', 'current-month', 'current-year')
+ * @param {string} [timeZone] - IANA time zone for calendar periods
  * @returns {Object} Start and end dates
  */
-const getDateRangeForPeriod = (period) => {
+const getDateRangeForPeriod = (period, timeZone = DEFAULT_TIMEZONE) => {
   const now = new Date();
   let startDate, endDate;
   
   switch (period) {
     case 'week':
       // Last 7 days
-      startDate = addDays(now, -7);
+      startDate = addDays(now, -7, timeZone);
       endDate = now;
       break;
     case 'month':
       // Last 30 days
-      startDate = addDays(now, -30);
+      startDate = addDays(now, -30, timeZone);
       endDate = now;
       break;
     case 'year':
       // Last 365 days
-      startDate = addDays(now, -365);
+      startDate = addDays(now, -365, timeZone);
       endDate = now;
       break;
     case 'current-month':
       // Current month
-      startDate = startOfMonth(now);
-      endDate = endOfMonth(now);
+      startDate = startOfMonth(now, timeZone);
+      endDate = endOfMonth(now, timeZone);
       break;
-    case 'current-year':
+    case 'current-year': {
       // Current year
-      startDate = new Date(now.getFullYear(), 0, 1);
-      endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
+      const { year } = getZonedParts(now, timeZone);
+      startDate = zonedTimeToUtc({ year, month: 1, day: 1 }, timeZone);
+      endDate = new Date(zonedTimeToUtc({ year: year + 1, month: 1, day: 1 }, timeZone).getTime() - 1);
       break;
+    }
     default:
       // Default to last 30 days
-      startDate = addDays(now, -30);
+      startDate = addDays(now, -30, timeZone);
       endDate = now;
   }
   
@@ -193,7 +334,13 @@ const getDateRangeForPeriod = (period) => {
 };
 
 module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
   formatISODate,
+  formatDateKey,
   isFutureDate,
   isPastDate,
   startOfDay,
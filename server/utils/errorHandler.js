@@ -1,3 +1,21 @@
+/**
+ * Error with an HTTP status code, thrown by services so controllers can
+ * respond with the right status without inspecting messages
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [statusCode=500] - HTTP status code
+   * @param {Object} [details] - Extra data returned alongside the message
+   */
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
 /**
  * Handle Firestore errors
  * @param {Error} error - Error object
@@ -7,6 +25,14 @@
 const handleFirestoreError = (error, res, defaultMessage = 'An error occurred') => {
   console.error(error);
   
+  // Errors raised by our own services already know their status
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  
   // Check if this is a Firestore error with a code
   if (error.code) {
     switch (error.code) {
@@ -133,7 +159,24 @@ const validateRequiredFields = (req, requiredFields) => {
   return null;
 };
 
+/**
+ * Handle any error raised while serving a request, dispatching Stripe errors
+ * to handleStripeError and everything else to handleFirestoreError
+ * @param {Error} error - Error object
+ * @param {Object} res - Express response object
+ * @param {string} defaultMessage - Default error message
+ */
+const handleError = (error, res, defaultMessage = 'An error occurred') => {
+  if (error.type && error.type.startsWith('Stripe')) {
+    return handleStripeError(error, res);
+  }
+  
+  return handleFirestoreError(error, res, defaultMessage);
+};
+
 module.exports = {
+  AppError,
+  handleError,
   handleFirestoreError,
   handleStripeError,
   validateRequiredFields
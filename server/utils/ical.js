@@ -0,0 +1,566 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays
+} = require('./dateutils');
+const { isValidByWeekday } = require('./recurrence');
+
+const CRLF = '\r\n';
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Vendor SaaS MVP//Bookings//EN';
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// RRULE FREQ values we can expand (see utils/recurrence)
+const RRULE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly'
+};
+
+// RRULE parts that don't change which occurrences are generated
+const IGNORED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (without trailing CRLF)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  
+  // Iterate by code point so multi-byte characters are never split
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    
+    current += char;
+    currentOctets += octets;
+  }
+  
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME value (e.g. 20300310T130000Z)
+ * @param {Date|string} date - Date object or string
+ * @returns {string} iCalendar UTC date-time
+ */
+const formatDateTime = (date) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  return dateObj.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build a VEVENT component
+ * @param {Object} event - Event fields
+ * @param {string} event.uid - Globally unique, stable identifier
+ * @param {string} event.start - Start time (ISO string)
+ * @param {string} event.end - End time (ISO string)
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Location
+ * @param {string} [event.status] - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {number} [event.sequence] - Revision number
+ * @param {string} [event.stamp] - DTSTAMP time (ISO string, defaults to now)
+ * @param {string} [event.lastModified] - Last modification time (ISO string)
+ * @returns {Array} Unfolded content lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  
+  if (event.sequence !== undefined) {
+    lines.push(`SEQUENCE:${event.sequence}`);
+  }
+  
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serialize a VCALENDAR with its events
+ * @param {Object} calendar - Calendar fields
+ * @param {string} calendar.name - Calendar name shown by subscribing clients
+ * @param {string} [calendar.timeZone] - IANA time zone hint for clients
+ * @param {string} [calendar.refreshInterval] - Suggested polling interval (ISO 8601 duration)
+ * @param {Array} calendar.events - Events (see buildEvent)
+ * @returns {string} iCalendar document
+ */
+const buildCalendar = (calendar) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.name)}`
+  ];
+  
+  if (calendar.timeZone) {
+    lines.push(`X-WR-TIMEZONE:${calendar.timeZone}`);
+  }
+  
+  if (calendar.refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${calendar.refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${calendar.refreshInterval}`);
+  }
+  
+  calendar.events.forEach(event => {
+    lines.push(...buildEvent(event));
+  });
+  
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Unescape a TEXT property value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+const unescapeText = (value) => {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+  ));
+};
+
+/**
+ * Split a string on a separator, ignoring separators inside double quotes
+ * @param {string} value - String to split
+ * @param {string} separator - Single character separator
+ * @returns {Array} Parts
+ */
+const splitUnquoted = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  
+  for (const char of value) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse an unfolded content line into its name, parameters and value
+ * @param {string} line - Content line
+ * @returns {Object|null} { name, params, value }, or null if malformed
+ */
+const parseContentLine = (line) => {
+  const [head, ...rest] = splitUnquoted(line, ':');
+  
+  if (rest.length === 0) {
+    return null;
+  }
+  
+  const [name, ...paramList] = splitUnquoted(head, ';');
+  const params = {};
+  
+  paramList.forEach(param => {
+    const separator = param.indexOf('=');
+    
+    if (separator > 0) {
+      params[param.slice(0, separator).toUpperCase()] = param.slice(separator + 1).replace(/^"|"$/g, '');
+    }
+  });
+  
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: rest.join(':')
+  };
+};
+
+/**
+ * Resolve a TZID parameter to an IANA time zone. Some producers prefix the
+ * name with a path (e.g. /mozilla.org/20050126_1/Europe/London); zones we
+ * can't map (e.g. Windows names) fall back to the default.
+ * @param {string} tzid - TZID parameter value
+ * @param {string} defaultTimeZone - Zone used when the TZID is not recognised
+ * @returns {string} IANA time zone
+ */
+const resolveTzid = (tzid, defaultTimeZone) => {
+  if (!tzid) {
+    return defaultTimeZone;
+  }
+  
+  if (isValidTimeZone(tzid)) {
+    return tzid;
+  }
+  
+  const match = tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/);
+  
+  return match && isValidTimeZone(match[1]) ? match[1] : defaultTimeZone;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - Property value
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @param {string} defaultTimeZone - Zone for floating times and all-day dates
+ * @returns {Object|null} { date, allDay, timeZone }, or null if invalid
+ */
+const parseDateValue = (value, params, defaultTimeZone) => {
+  const trimmed = value.trim();
+  const dateMatch = trimmed.match(DATE_PATTERN);
+  
+  if (dateMatch || params.VALUE === 'DATE') {
+    if (!dateMatch) {
+      return null;
+    }
+    
+    const [, year, month, day] = dateMatch.map(Number);
+    
+    return {
+      date: zonedTimeToUtc({ year, month, day }, defaultTimeZone),
+      allDay: true,
+      timeZone: defaultTimeZone
+    };
+  }
+  
+  const match = trimmed.match(DATE_TIME_PATTERN);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const timeZone = match[7] ? 'UTC' : resolveTzid(params.TZID, defaultTimeZone);
+  
+  return {
+    date: zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone),
+    allDay: false,
+    timeZone
+  };
+};
+
+/**
+ * Parse a DURATION value
+ * @param {string} value - Duration (e.g. PT1H30M, P1D)
+ * @returns {Object|null} { days, milliseconds }, or null if invalid
+ */
+const parseDuration = (value) => {
+  const match = value.trim().match(DURATION_PATTERN);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const sign = match[1] === '-' ? -1 : 1;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => Number(part || 0));
+  
+  return {
+    days: sign * (weeks * 7 + days),
+    milliseconds: sign * (((hours * 60 + minutes) * 60 + seconds) * 1000)
+  };
+};
+
+/**
+ * Convert an RRULE value to a utils/recurrence rule. Rules using parts we
+ * can't expand (BYSETPOS, BYHOUR, HOURLY, ...) are reported as unsupported.
+ * BYMONTH and BYMONTHDAY are accepted when they only repeat DTSTART's own
+ * month or day.
+ * @param {string} value - RRULE value
+ * @param {Object} start - Parsed DTSTART ({ date, allDay, timeZone })
+ * @param {Object} startParts - DTSTART wall-clock fields ({ month, day })
+ * @param {string} defaultTimeZone - Zone for a floating UNTIL
+ * @returns {Object} { rule } or { unsupported: true }
+ */
+const parseRecurrenceRule = (value, start, startParts, defaultTimeZone) => {
+  const parts = {};
+  
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue.toUpperCase();
+    }
+  });
+  
+  const frequency = RRULE_FREQUENCIES[parts.FREQ];
+  const unsupported = { unsupported: true };
+  
+  if (!frequency) {
+    return unsupported;
+  }
+  
+  const rule = { frequency, interval: Number(parts.INTERVAL || 1) };
+  
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    return unsupported;
+  }
+  
+  // BYMONTH / BYMONTHDAY are only redundant when they name DTSTART's own month or day
+  if (parts.BYMONTHDAY !== undefined) {
+    if (Number(parts.BYMONTHDAY) !== startParts.day || parts.BYDAY || frequency === 'daily' || frequency === 'weekly') {
+      return unsupported;
+    }
+  }
+  
+  if (parts.BYMONTH !== undefined) {
+    if (Number(parts.BYMONTH) !== startParts.month || frequency !== 'yearly') {
+      return unsupported;
+    }
+  }
+  
+  const otherParts = Object.keys(parts).filter(key => (
+    !IGNORED_RRULE_PARTS.includes(key) && key !== 'BYMONTH' && key !== 'BYMONTHDAY'
+  ));
+  
+  if (otherParts.length > 0) {
+    return unsupported;
+  }
+  
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      return unsupported;
+    }
+  }
+  
+  if (parts.UNTIL !== undefined) {
+    const until = parseDateValue(parts.UNTIL, {}, start.timeZone || defaultTimeZone);
+    
+    if (!until) {
+      return unsupported;
+    }
+    
+    rule.until = until.date.toISOString();
+  }
+  
+  if (parts.BYDAY) {
+    const byWeekday = parts.BYDAY.split(',');
+    
+    if (frequency === 'yearly' && parts.BYMONTH !== undefined) {
+      // YEARLY;BYMONTH=3;BYDAY=2SU is the same as every 12 months on the 2nd Sunday
+      rule.frequency = 'monthly';
+      rule.interval *= 12;
+    }
+    
+    if (!isValidByWeekday(rule.frequency, byWeekday)) {
+      return unsupported;
+    }
+    
+    rule.byWeekday = byWeekday;
+  }
+  
+  return { rule };
+};
+
+/**
+ * Parse an iCalendar document into its events. Only VEVENT properties are
+ * read; nested components (VALARM) and VTIMEZONE definitions are skipped,
+ * with TZIDs resolved as IANA zone names instead.
+ * @param {string} text - iCalendar document
+ * @param {string} [defaultTimeZone] - Zone for floating times and all-day dates
+ * @returns {Object} { name, events } where each event has uid, summary,
+ *   start, end (Dates), allDay, timeZone, status, transparent, recurrenceId
+ *   (Date), exdates (Dates), rule (recurrence rule) and unsupportedRule
+ */
+const parseCalendar = (text, defaultTimeZone = DEFAULT_TIMEZONE) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const components = [];
+  const rawEvents = [];
+  let name = null;
+  let current = null;
+  
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    
+    if (!property) {
+      return;
+    }
+    
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      
+      if (property.value.toUpperCase() === 'VEVENT' && components.length === 2) {
+        current = [];
+      }
+      return;
+    }
+    
+    if (property.name === 'END') {
+      if (components.pop() === 'VEVENT' && current) {
+        rawEvents.push(current);
+        current = null;
+      }
+      return;
+    }
+    
+    const component = components[components.length - 1];
+    
+    if (component === 'VCALENDAR' && property.name === 'X-WR-CALNAME') {
+      name = unescapeText(property.value);
+    } else if (component === 'VEVENT' && current) {
+      current.push(property);
+    }
+  });
+  
+  const events = [];
+  
+  rawEvents.forEach(properties => {
+    const get = (propertyName) => properties.find(property => property.name === propertyName);
+    const dtstart = get('DTSTART');
+    const start = dtstart && parseDateValue(dtstart.value, dtstart.params, defaultTimeZone);
+    
+    if (!start) {
+      return;
+    }
+    
+    let end = null;
+    const dtend = get('DTEND');
+    const duration = get('DURATION');
+    
+    if (dtend) {
+      const parsedEnd = parseDateValue(dtend.value, dtend.params, defaultTimeZone);
+      end = parsedEnd && parsedEnd.date;
+    } else if (duration) {
+      const parsedDuration = parseDuration(duration.value);
+      
+      if (parsedDuration) {
+        // Days in a duration are calendar days, so P1D spans a DST change
+        const dayShifted = addDays(start.date, parsedDuration.days, start.timeZone);
+        end = new Date(dayShifted.getTime() + parsedDuration.milliseconds);
+      }
+    } else if (start.allDay) {
+      // An all-day event without an end lasts the one day
+      end = addDays(start.date, 1, start.timeZone);
+    }
+    
+    if (!end || end <= start.date) {
+      return;
+    }
+    
+    const uid = get('UID');
+    const summary = get('SUMMARY');
+    const status = get('STATUS');
+    const transp = get('TRANSP');
+    const recurrenceId = get('RECURRENCE-ID');
+    const rrule = get('RRULE');
+    const event = {
+      uid: uid ? uid.value.trim() : null,
+      summary: summary ? unescapeText(summary.value) : '',
+      start: start.date,
+      end,
+      allDay: start.allDay,
+      timeZone: start.timeZone,
+      status: status ? status.value.trim().toUpperCase() : null,
+      transparent: transp ? transp.value.trim().toUpperCase() === 'TRANSPARENT' : false,
+      recurrenceId: null,
+      exdates: [],
+      rule: null,
+      unsupportedRule: false
+    };
+    
+    if (recurrenceId) {
+      const parsedId = parseDateValue(recurrenceId.value, recurrenceId.params, defaultTimeZone);
+      event.recurrenceId = parsedId ? parsedId.date : null;
+    }
+    
+    if (rrule && !recurrenceId) {
+      const parsedRule = parseRecurrenceRule(
+        rrule.value, start, getZonedParts(start.date, start.timeZone), defaultTimeZone
+      );
+      event.rule = parsedRule.rule || null;
+      event.unsupportedRule = Boolean(parsedRule.unsupported);
+    }
+    
+    properties
+      .filter(property => property.name === 'EXDATE')
+      .forEach(property => {
+        property.value.split(',').forEach(value => {
+          const exdate = parseDateValue(value, property.params, defaultTimeZone);
+          
+          if (exdate) {
+            event.exdates.push(exdate.date);
+          }
+        });
+      });
+    
+    events.push(event);
+  });
+  
+  return { name, events };
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar,
+  parseDuration,
+  parseCalendar
+};
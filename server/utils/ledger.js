@@ -0,0 +1,204 @@
+/**
+ * Double-entry ledger: every movement of money is a journal entry whose
+ * lines debit and credit accounts by the same total. Entries are only ever
+ * added; a mistake or a reversal (e.g. a refund that failed) is a new entry
+ * with the lines the other way round.
+ *
+ *   ledger_entries/{id} = {
+ *     type: 'payment', vendorId, bookingId, currency: 'usd',
+ *     lines: [
+ *       { account: 'customer_receivable', debitCents: 10000, creditCents: 0 },
+ *       { account: 'vendor_payable', debitCents: 0, creditCents: 9500 },
+ *       { account: 'platform_fee_revenue', debitCents: 0, creditCents: 500 }
+ *     ],
+ *     reference: { stripePaymentId }, reversesEntryId: null, description, occurredAt, createdAt
+ *   }
+ *
+ * Accounts:
+ *   customer_receivable   money collected from customers that Stripe holds
+ *                         until it is paid out or goes back to them
+ *   vendor_payable        what the vendor is owed (their Stripe balance)
+ *   platform_fee_revenue  the platform's fees
+ *   refunds               platform fees given back with refunds, and what a
+ *                         lost dispute cost beyond what the vendor's transfer covered
+ *   stripe_fees           what Stripe charges the platform (processing and dispute fees)
+ */
+
+const LEDGER_ACCOUNT = {
+  CUSTOMER_RECEIVABLE: 'customer_receivable',
+  VENDOR_PAYABLE: 'vendor_payable',
+  PLATFORM_FEE_REVENUE: 'platform_fee_revenue',
+  REFUNDS: 'refunds',
+  STRIPE_FEES: 'stripe_fees'
+};
+
+// Accounts that grow with debits; the rest grow with credits
+const DEBIT_NORMAL_ACCOUNTS = [
+  LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE,
+  LEDGER_ACCOUNT.REFUNDS,
+  LEDGER_ACCOUNT.STRIPE_FEES
+];
+
+const LEDGER_ENTRY_TYPE = {
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  DISPUTE: 'dispute',
+  PAYOUT: 'payout',
+  REVERSAL: 'reversal'
+};
+
+/**
+ * Build a debit line
+ * @param {string} account - Account
+ * @param {number} cents - Amount in cents
+ * @returns {Object} Line
+ */
+const debit = (account, cents) => ({ account, debitCents: cents, creditCents: 0 });
+
+/**
+ * Build a credit line
+ * @param {string} account - Account
+ * @param {number} cents - Amount in cents
+ * @returns {Object} Line
+ */
+const credit = (account, cents) => ({ account, debitCents: 0, creditCents: cents });
+
+/**
+ * Drop the lines that move nothing (e.g. no fee)
+ * @param {Array} lines - Lines
+ * @returns {Array} Lines with an amount
+ */
+const withAmounts = (lines) => lines.filter(line => line.debitCents > 0 || line.creditCents > 0);
+
+/**
+ * Lines for a payment: the customer's money is split between the vendor and
+ * the platform fee, and Stripe keeps its processing fee from it
+ * @param {Object} amounts - { amountCents, feeCents, stripeFeeCents }
+ * @returns {Array} Lines
+ */
+const buildPaymentLines = ({ amountCents, feeCents = 0, stripeFeeCents = 0 }) => withAmounts([
+  debit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, amountCents),
+  credit(LEDGER_ACCOUNT.VENDOR_PAYABLE, amountCents - feeCents),
+  credit(LEDGER_ACCOUNT.PLATFORM_FEE_REVENUE, feeCents),
+  debit(LEDGER_ACCOUNT.STRIPE_FEES, stripeFeeCents),
+  credit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, stripeFeeCents)
+]);
+
+/**
+ * Lines for a refund: the money goes back to the customer, from the vendor
+ * less the platform fee share given back with it
+ * @param {Object} amounts - { amountCents, feeCents } (both positive)
+ * @returns {Array} Lines
+ */
+const buildRefundLines = ({ amountCents, feeCents = 0 }) => withAmounts([
+  debit(LEDGER_ACCOUNT.VENDOR_PAYABLE, amountCents - feeCents),
+  debit(LEDGER_ACCOUNT.REFUNDS, feeCents),
+  credit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, amountCents)
+]);
+
+/**
+ * Lines for a closed dispute: a lost one takes the disputed amount back from
+ * the vendor (what their transfer was reversed by; the platform bears the
+ * rest), and Stripe's dispute fees are the platform's
+ * @param {Object} amounts - { amountCents, vendorCents, stripeFeeCents } (amountCents 0 when won;
+ *   vendorCents defaults to amountCents)
+ * @returns {Array} Lines
+ */
+const buildDisputeLines = ({ amountCents = 0, vendorCents = amountCents, stripeFeeCents = 0 }) => withAmounts([
+  debit(LEDGER_ACCOUNT.VENDOR_PAYABLE, vendorCents),
+  debit(LEDGER_ACCOUNT.REFUNDS, amountCents - vendorCents),
+  credit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, amountCents),
+  debit(LEDGER_ACCOUNT.STRIPE_FEES, stripeFeeCents),
+  credit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, stripeFeeCents)
+]);
+
+/**
+ * Lines for a payout to a vendor's bank account
+ * @param {number} amountCents - Amount paid out, in cents
+ * @returns {Array} Lines
+ */
+const buildPayoutLines = (amountCents) => withAmounts([
+  debit(LEDGER_ACCOUNT.VENDOR_PAYABLE, amountCents),
+  credit(LEDGER_ACCOUNT.CUSTOMER_RECEIVABLE, amountCents)
+]);
+
+/**
+ * Swap the sides of lines, to reverse the entry they come from
+ * @param {Array} lines - Lines
+ * @returns {Array} Reversed lines
+ */
+const reverseLines = (lines) => lines.map(line => ({
+  account: line.account,
+  debitCents: line.creditCents,
+  creditCents: line.debitCents
+}));
+
+/**
+ * Validate an entry's lines: known accounts, whole non-negative cents on one
+ * side per line, and debits equal to credits
+ * @param {Array} lines - Lines
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    return 'An entry needs at least two lines';
+  }
+  
+  const accounts = Object.values(LEDGER_ACCOUNT);
+  let debitCents = 0;
+  let creditCents = 0;
+  
+  for (const line of lines) {
+    if (!accounts.includes(line.account)) {
+      return `Unknown ledger account: ${line.account}`;
+    }
+    
+    if (!Number.isInteger(line.debitCents) || !Number.isInteger(line.creditCents) ||
+        line.debitCents < 0 || line.creditCents < 0 || (line.debitCents > 0) === (line.creditCents > 0)) {
+      return `Each line must debit or credit ${line.account} by a whole number of cents`;
+    }
+    
+    debitCents += line.debitCents;
+    creditCents += line.creditCents;
+  }
+  
+  if (debitCents !== creditCents) {
+    return `Entry does not balance: debits ${debitCents}, credits ${creditCents}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Add up entries into a balance per currency and account. Balances are on
+ * the account's normal side, so what the vendor is owed is a positive
+ * vendor_payable.
+ * @param {Array} entries - Ledger entries
+ * @returns {Object} { [currency]: { [account]: balanceCents } }
+ */
+const sumBalances = (entries) => entries.reduce((balances, entry) => {
+  const currency = entry.currency || 'usd';
+  const accounts = balances[currency] || {};
+  
+  for (const line of entry.lines) {
+    const change = DEBIT_NORMAL_ACCOUNTS.includes(line.account)
+      ? line.debitCents - line.creditCents
+      : line.creditCents - line.debitCents;
+    
+    accounts[line.account] = (accounts[line.account] || 0) + change;
+  }
+  
+  return { ...balances, [currency]: accounts };
+}, {});
+
+module.exports = {
+  LEDGER_ACCOUNT,
+  LEDGER_ENTRY_TYPE,
+  buildPaymentLines,
+  buildRefundLines,
+  buildDisputeLines,
+  buildPayoutLines,
+  reverseLines,
+  validateLines,
+  sumBalances
+};
@@ -0,0 +1,85 @@
+/**
+ * Booking line items: what a booking's totalAmount is made of.
+ *
+ * booking.lineItems = [
+ *   { type: 'base', description: 'Yoga class', unitPrice: 20, quantity: 3, amount: 60 },
+ *   { type: 'add_on', serviceId: 'abc', description: 'Mat hire', unitPrice: 5, quantity: 2, amount: 10 },
+ *   { type: 'discount', promoCodeId: 'xyz', description: 'Promo code SPRING10 (10% off)', unitPrice: -7, quantity: 1, amount: -7 },
+ *   { type: 'adjustment', description: 'Price adjusted by vendor', unitPrice: -5, quantity: 1, amount: -5 }
+ * ]
+ * Amounts are in dollars; sums are worked out in cents.
+ */
+
+const LINE_ITEM_TYPE = {
+  BASE: 'base',
+  ADD_ON: 'add_on',
+  DISCOUNT: 'discount',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * Convert a dollar amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Read an amount kept in cents, falling back to its dollar field for
+ * records written before the cents were kept
+ * @param {number} [cents] - Amount in cents
+ * @param {number} [amount] - Amount in dollars
+ * @returns {number} Amount in cents
+ */
+const readCents = (cents, amount) => (Number.isInteger(cents) ? cents : toCents(amount));
+
+/**
+ * Build a line item
+ * @param {string} type - LINE_ITEM_TYPE value
+ * @param {string} description - Shown to the customer
+ * @param {number} unitPrice - Price of one unit in dollars
+ * @param {number} [quantity=1] - Units
+ * @param {Object} [extra] - Extra fields (e.g. serviceId)
+ * @returns {Object} Line item
+ */
+const createLineItem = (type, description, unitPrice, quantity = 1, extra = {}) => ({
+  type,
+  ...extra,
+  description,
+  unitPrice: toCents(unitPrice) / 100,
+  quantity,
+  amount: toCents(unitPrice) * quantity / 100
+});
+
+/**
+ * Add up line items
+ * @param {Array} lineItems - Line items
+ * @returns {number} Total in dollars
+ */
+const sumLineItems = (lineItems) =>
+  lineItems.reduce((cents, item) => cents + toCents(item.amount), 0) / 100;
+
+/**
+ * Make line items add up to a total set by hand, replacing any earlier
+ * adjustment with the difference
+ * @param {Array} lineItems - Line items
+ * @param {number} totalAmount - Total the vendor set
+ * @returns {Array} Line items summing to totalAmount
+ */
+const adjustLineItems = (lineItems, totalAmount) => {
+  const items = lineItems.filter(item => item.type !== LINE_ITEM_TYPE.ADJUSTMENT);
+  const differenceCents = toCents(totalAmount) - toCents(sumLineItems(items));
+  
+  return differenceCents === 0
+    ? items
+    : [...items, createLineItem(LINE_ITEM_TYPE.ADJUSTMENT, 'Price adjusted by vendor', differenceCents / 100)];
+};
+
+module.exports = {
+  LINE_ITEM_TYPE,
+  toCents,
+  readCents,
+  createLineItem,
+  sumLineItems,
+  adjustLineItems
+};
@@ -0,0 +1,271 @@
+/**
+ * Deposits and payment schedules: paying for a booking in instalments.
+ *
+ * A listing can ask for a deposit when booking, with the balance due some
+ * days before the start:
+ *   deposit: { type: 'percent', value: 25, balanceDueDays: 7 }   // or type: 'fixed'
+ *
+ * A booking made under it keeps its schedule as:
+ * booking.paymentSchedule = [
+ *   { id: 'deposit', type: 'deposit', amountCents: 2500, amount: 25, dueAt: '...', status: 'paid',
+ *     stripePaymentIntentId: 'pi_1', stripePaymentId: 'pi_1', paidAt: '...' },
+ *   { id: 'balance', type: 'balance', amountCents: 7500, amount: 75, dueAt: '...', status: 'pending' }
+ * ]
+ * Each instalment is paid with its own payment intent. Bookings without a
+ * schedule are paid in full in one go. Instalment amounts are kept in cents;
+ * `amount` is the same in dollars, for display.
+ */
+
+const { toCents, readCents } = require('./lineItems');
+
+const DEPOSIT_TYPES = ['percent', 'fixed'];
+
+const INSTALMENT_TYPE = {
+  DEPOSIT: 'deposit',
+  BALANCE: 'balance'
+};
+
+const INSTALMENT_STATUS = {
+  PENDING: 'pending',
+  // Paid, with the payment still on its way (e.g. a bank debit)
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  FAILED: 'failed',
+  // Nothing left to pay (the price came down to what was already paid)
+  NOT_REQUIRED: 'not_required'
+};
+
+// Instalments with nothing more to collect
+const SETTLED_STATUSES = [INSTALMENT_STATUS.PAID, INSTALMENT_STATUS.NOT_REQUIRED];
+
+const MAX_BALANCE_DUE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a listing's deposit settings
+ * @param {Object} deposit - { type, value, balanceDueDays }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateDepositPolicy = (deposit) => {
+  if (!deposit || typeof deposit !== 'object' || Array.isArray(deposit)) {
+    return 'deposit must be an object';
+  }
+  
+  if (!DEPOSIT_TYPES.includes(deposit.type)) {
+    return `deposit.type must be one of: ${DEPOSIT_TYPES.join(', ')}`;
+  }
+  
+  if (typeof deposit.value !== 'number' || !Number.isFinite(deposit.value) || deposit.value <= 0) {
+    return 'deposit.value must be a number greater than 0';
+  }
+  
+  if (deposit.type === 'percent' && deposit.value >= 100) {
+    return 'A percent deposit must be less than 100';
+  }
+  
+  if (!Number.isInteger(deposit.balanceDueDays) || deposit.balanceDueDays < 0 ||
+      deposit.balanceDueDays > MAX_BALANCE_DUE_DAYS) {
+    return `deposit.balanceDueDays must be a whole number from 0 to ${MAX_BALANCE_DUE_DAYS}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Work out the deposit for a total
+ * @param {Object} deposit - Deposit settings
+ * @param {number} totalAmount - Booking total in dollars
+ * @returns {number} Deposit in cents
+ */
+const getDepositCents = (deposit, totalAmount) => (deposit.type === 'percent'
+  ? Math.round(toCents(totalAmount) * deposit.value / 100)
+  : toCents(deposit.value));
+
+/**
+ * Get an instalment's amount fields
+ * @param {number} amountCents - Amount in cents
+ * @returns {Object} { amountCents, amount }
+ */
+const toInstalmentAmount = (amountCents) => ({ amountCents, amount: amountCents / 100 });
+
+/**
+ * Get an instalment's amount
+ * @param {Object} instalment - Instalment
+ * @returns {number} Amount in cents
+ */
+const getInstalmentCents = (instalment) => readCents(instalment.amountCents, instalment.amount);
+
+/**
+ * Get when the balance is due for a booking
+ * @param {Object} deposit - Deposit settings
+ * @param {string} startTime - Booking start (ISO string)
+ * @returns {string} Due time (ISO string)
+ */
+const getBalanceDueAt = (deposit, startTime) =>
+  new Date(new Date(startTime).getTime() - deposit.balanceDueDays * DAY_MS).toISOString();
+
+/**
+ * Build the payment schedule for a new booking. A booking is paid in full
+ * when the listing asks for no deposit, the deposit would cover the whole
+ * price, or the balance would already be due.
+ * @param {Object|null} deposit - Listing's deposit settings
+ * @param {number} totalAmount - Booking total in dollars
+ * @param {string} startTime - Booking start (ISO string)
+ * @param {Date} [now] - Current time
+ * @returns {Array|null} Instalments, or null to pay in full
+ */
+const buildPaymentSchedule = (deposit, totalAmount, startTime, now = new Date()) => {
+  if (!deposit || !(totalAmount > 0)) {
+    return null;
+  }
+  
+  const depositCents = getDepositCents(deposit, totalAmount);
+  const balanceDueAt = getBalanceDueAt(deposit, startTime);
+  
+  if (depositCents <= 0 || depositCents >= toCents(totalAmount) || new Date(balanceDueAt) <= now) {
+    return null;
+  }
+  
+  return [
+    {
+      id: INSTALMENT_TYPE.DEPOSIT,
+      type: INSTALMENT_TYPE.DEPOSIT,
+      ...toInstalmentAmount(depositCents),
+      dueAt: now.toISOString(),
+      status: INSTALMENT_STATUS.PENDING
+    },
+    {
+      id: INSTALMENT_TYPE.BALANCE,
+      type: INSTALMENT_TYPE.BALANCE,
+      ...toInstalmentAmount(toCents(totalAmount) - depositCents),
+      dueAt: balanceDueAt,
+      status: INSTALMENT_STATUS.PENDING
+    }
+  ];
+};
+
+/**
+ * Fit a booking's schedule to a new total or start time. Paid instalments
+ * keep their amounts; an unpaid deposit follows the deposit settings and
+ * the balance takes the rest. An instalment whose amount changes drops its
+ * payment intent, so a fresh one is created at the new amount.
+ * @param {Object} booking - Booking with the new totalAmount and startTime,
+ *   its paymentSchedule and depositPolicy
+ * @returns {Array} Instalments
+ */
+const rebalancePaymentSchedule = (booking) => {
+  const schedule = booking.paymentSchedule;
+  const deposit = schedule.find(instalment => instalment.type === INSTALMENT_TYPE.DEPOSIT);
+  const depositCents = deposit.status === INSTALMENT_STATUS.PAID
+    ? getInstalmentCents(deposit)
+    : Math.min(getDepositCents(booking.depositPolicy, booking.totalAmount), toCents(booking.totalAmount));
+  
+  return schedule.map(instalment => {
+    if (instalment.status === INSTALMENT_STATUS.PAID) {
+      return instalment;
+    }
+    
+    const amountCents = instalment.type === INSTALMENT_TYPE.DEPOSIT
+      ? depositCents
+      : Math.max(0, toCents(booking.totalAmount) - depositCents);
+    const dueAt = instalment.type === INSTALMENT_TYPE.BALANCE
+      ? getBalanceDueAt(booking.depositPolicy, booking.startTime)
+      : instalment.dueAt;
+    
+    if (amountCents === getInstalmentCents(instalment)) {
+      return { ...instalment, dueAt };
+    }
+    
+    const { stripePaymentIntentId, ...rest } = instalment;
+    
+    return {
+      ...rest,
+      ...toInstalmentAmount(amountCents),
+      dueAt,
+      status: amountCents === 0 ? INSTALMENT_STATUS.NOT_REQUIRED : INSTALMENT_STATUS.PENDING
+    };
+  });
+};
+
+/**
+ * Get the next instalment the customer has to pay
+ * @param {Object} booking - Booking document
+ * @returns {Object|null} Instalment, or null if the schedule is settled (or there is none)
+ */
+const getNextInstalment = (booking) =>
+  (booking.paymentSchedule || []).find(instalment => !SETTLED_STATUSES.includes(instalment.status)) || null;
+
+/**
+ * Check every instalment of a schedule is settled
+ * @param {Array} schedule - Instalments
+ * @returns {boolean} Whether nothing is left to pay
+ */
+const isScheduleSettled = (schedule) =>
+  schedule.every(instalment => SETTLED_STATUSES.includes(instalment.status));
+
+/**
+ * Change one instalment of a schedule
+ * @param {Array} schedule - Instalments
+ * @param {string} instalmentId - Instalment ID
+ * @param {Object} changes - Fields to set
+ * @returns {Array} Updated instalments
+ */
+const updateInstalment = (schedule, instalmentId, changes) => schedule.map(instalment => (
+  instalment.id === instalmentId ? { ...instalment, ...changes } : instalment
+));
+
+/**
+ * Get how much of a paid booking's price has been paid: the whole total once
+ * it is paid in full, otherwise the instalments paid so far. Only meaningful
+ * once a payment has been made (check paymentStatus first).
+ * @param {Object} booking - Booking document
+ * @returns {number} Amount in cents
+ */
+const getPaidCents = (booking) => {
+  if (!booking.paymentSchedule || isScheduleSettled(booking.paymentSchedule)) {
+    return toCents(booking.totalAmount);
+  }
+  
+  return booking.paymentSchedule
+    .filter(instalment => instalment.status === INSTALMENT_STATUS.PAID)
+    .reduce((cents, instalment) => cents + getInstalmentCents(instalment), 0);
+};
+
+/**
+ * Get how much of a booking's payments has been refunded
+ * @param {Object} booking - Booking document
+ * @returns {number} Amount in cents
+ */
+const getRefundedCents = (booking) => readCents(booking.refundedCents, booking.refundedAmount);
+
+/**
+ * Get the payment intents of a booking that could still be paid
+ * @param {Object} booking - Booking document
+ * @returns {Array<string>} Payment intent IDs
+ */
+const getOpenPaymentIntentIds = (booking) => {
+  if (!booking.paymentSchedule) {
+    return booking.stripePaymentIntentId && !booking.stripePaymentId ? [booking.stripePaymentIntentId] : [];
+  }
+  
+  return booking.paymentSchedule
+    .filter(instalment => !SETTLED_STATUSES.includes(instalment.status) && instalment.stripePaymentIntentId)
+    .map(instalment => instalment.stripePaymentIntentId);
+};
+
+module.exports = {
+  INSTALMENT_TYPE,
+  INSTALMENT_STATUS,
+  validateDepositPolicy,
+  buildPaymentSchedule,
+  rebalancePaymentSchedule,
+  getNextInstalment,
+  isScheduleSettled,
+  updateInstalment,
+  toInstalmentAmount,
+  getInstalmentCents,
+  getPaidCents,
+  getRefundedCents,
+  getOpenPaymentIntentIds
+};
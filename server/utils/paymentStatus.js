@@ -0,0 +1,77 @@
+/**
+ * Booking payment statuses (booking.paymentStatus), kept in step with the
+ * booking's Stripe payment intents and webhooks.
+ *
+ *   pending -> processing | requires_action | failed | canceled -> paid
+ *   pending -> deposit_paid -> paid                      (payment schedules)
+ *   paid | deposit_paid -> partially_refunded -> refunded
+ *   paid | deposit_paid | partially_refunded -> disputed -> (back) | refunded | partially_refunded
+ *
+ * The in-between statuses of an attempt (processing, requires_action,
+ * failed, canceled) only apply while nothing has been paid; once money is in,
+ * an attempt at the balance is tracked on its instalment instead.
+ */
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  REQUIRES_ACTION: 'requires_action',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+  DEPOSIT_PAID: 'deposit_paid',
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed'
+};
+
+// Nothing paid, and nothing on its way: the customer can (try to) pay
+const UNPAID_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.REQUIRES_ACTION,
+  PAYMENT_STATUS.FAILED,
+  PAYMENT_STATUS.CANCELED
+];
+
+// Nothing paid yet, including a payment Stripe is still processing
+const AWAITING_PAYMENT_STATUSES = [...UNPAID_PAYMENT_STATUSES, PAYMENT_STATUS.PROCESSING];
+
+// Payment secured (or on its way), so the booking no longer needs its hold
+const SECURED_PAYMENT_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.DEPOSIT_PAID, PAYMENT_STATUS.PROCESSING];
+
+// Money paid in and not all of it refunded, so there is something to refund
+const REFUNDABLE_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.DEPOSIT_PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED
+];
+
+// Paid in full (less any refunds): a change of price is settled with a
+// charge or refund rather than by the balance still due
+const PAID_IN_FULL_PAYMENT_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Get a booking's payment status once its refunds add up to refundedCents
+ * (e.g. after a refund, or when a refund is reversed)
+ * @param {number} refundedCents - Total refunded, in cents
+ * @param {number} paidCents - Total paid, in cents
+ * @param {boolean} settled - Whether everything due has been paid
+ * @returns {string} Payment status
+ */
+const getRefundedPaymentStatus = (refundedCents, paidCents, settled) => {
+  if (refundedCents <= 0) {
+    return settled ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.DEPOSIT_PAID;
+  }
+  
+  return refundedCents >= paidCents ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  UNPAID_PAYMENT_STATUSES,
+  AWAITING_PAYMENT_STATUSES,
+  SECURED_PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES,
+  PAID_IN_FULL_PAYMENT_STATUSES,
+  getRefundedPaymentStatus
+};
@@ -0,0 +1,114 @@
+/**
+ * Platform fees: what the platform keeps from each payment.
+ *
+ * A fee policy is a percentage plus a fixed part, kept between a minimum and
+ * a maximum. All amounts are integer cents:
+ *   { percent: 5, fixedCents: 30, minCents: 50, maxCents: 2000 }   // maxCents null = no cap
+ *
+ * The default comes from the environment (PLATFORM_FEE_*). A vendor's plan
+ * and the vendor themselves can override any part of it (see
+ * PlatformFeeService); the most specific override wins field by field.
+ */
+
+/**
+ * Read a whole number of cents from the environment
+ * @param {string} name - Variable name
+ * @param {number|null} fallback - Value when unset
+ * @returns {number|null} Cents
+ */
+const readCents = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Math.round(Number(value));
+};
+
+const DEFAULT_FEE_POLICY = {
+  percent: Number(process.env.PLATFORM_FEE_PERCENT || 5),
+  fixedCents: readCents('PLATFORM_FEE_FIXED_CENTS', 0),
+  minCents: readCents('PLATFORM_FEE_MIN_CENTS', 0),
+  maxCents: readCents('PLATFORM_FEE_MAX_CENTS', null)
+};
+
+const FEE_POLICY_FIELDS = ['percent', 'fixedCents', 'minCents', 'maxCents'];
+
+const MAX_FEE_PERCENT = 100;
+
+/**
+ * Check a value is a whole, non-negative number of cents
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is valid
+ */
+const isCents = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate a fee policy or override. Fields left out of an override keep
+ * the value they have in the policy it overrides.
+ * @param {Object} policy - { percent, fixedCents, minCents, maxCents }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateFeePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Fee policy must be an object';
+  }
+  
+  if (policy.percent !== undefined && (typeof policy.percent !== 'number' || !Number.isFinite(policy.percent) ||
+      policy.percent < 0 || policy.percent > MAX_FEE_PERCENT)) {
+    return `percent must be a number from 0 to ${MAX_FEE_PERCENT}`;
+  }
+  
+  for (const field of ['fixedCents', 'minCents']) {
+    if (policy[field] !== undefined && !isCents(policy[field])) {
+      return `${field} must be a whole number of cents`;
+    }
+  }
+  
+  if (policy.maxCents !== undefined && policy.maxCents !== null && !isCents(policy.maxCents)) {
+    return 'maxCents must be a whole number of cents, or null for no cap';
+  }
+  
+  if (isCents(policy.minCents) && isCents(policy.maxCents) && policy.minCents > policy.maxCents) {
+    return 'minCents cannot be more than maxCents';
+  }
+  
+  return null;
+};
+
+/**
+ * Lay fee policy overrides over a policy, keeping only the fee fields
+ * @param {Object} policy - Base policy
+ * @param {...Object} overrides - Overrides, least specific first
+ * @returns {Object} Fee policy
+ */
+const mergeFeePolicies = (policy, ...overrides) => overrides
+  .filter(Boolean)
+  .reduce((merged, override) => FEE_POLICY_FIELDS.reduce((next, field) => (
+    override[field] === undefined ? next : { ...next, [field]: override[field] }
+  ), merged), { ...policy });
+
+/**
+ * Work out the platform fee on a payment. The fee never exceeds the payment.
+ * @param {number} amountCents - Payment in cents
+ * @param {Object} [policy] - Fee policy (defaults to the platform default)
+ * @returns {number} Fee in cents
+ */
+const calculateFeeCents = (amountCents, policy = DEFAULT_FEE_POLICY) => {
+  if (!(amountCents > 0)) {
+    return 0;
+  }
+  
+  let feeCents = Math.round(amountCents * (policy.percent || 0) / 100) + (policy.fixedCents || 0);
+  
+  feeCents = Math.max(feeCents, policy.minCents || 0);
+  
+  if (policy.maxCents !== null && policy.maxCents !== undefined) {
+    feeCents = Math.min(feeCents, policy.maxCents);
+  }
+  
+  return Math.min(feeCents, amountCents);
+};
+
+module.exports = {
+  DEFAULT_FEE_POLICY,
+  validateFeePolicy,
+  mergeFeePolicies,
+  calculateFeeCents
+};
@@ -0,0 +1,333 @@
+/**
+ * Pricing models: how a listing's base price is worked out for a booking.
+ *
+ * A listing without `pricing` charges its flat `price` per booking. Otherwise:
+ * {
+ *   model: 'hourly',                      // flat | hourly | daily | tiered
+ *   // tiered only: the first tier long enough for the booking applies;
+ *   // the last tier may leave upToMinutes null to cover any length
+ *   tiers: [{ upToMinutes: 60, price: 50 }, { upToMinutes: null, price: 120 }],
+ *   // Rate on Saturdays and Sundays (a price, or tiers for the tiered model)
+ *   weekend: { price: 55 },
+ *   // Date ranges (inclusive, in the listing's time zone) with their own rate;
+ *   // a season takes precedence over the weekend rate
+ *   seasons: [{ name: 'Summer', startDate: '2025-06-01', endDate: '2025-08-31', price: 60 }]
+ * }
+ * Hourly prices are per hour, prorated to the minute; daily prices are per
+ * started day counted from the booking's start time (22:00 to 02:00 is one
+ * day), with days measured on the listing's clock so a DST change doesn't add
+ * one. Flat and tiered prices use the rate of the day the booking starts;
+ * hourly and daily bookings are priced day by day, so a booking running into
+ * the weekend pays the weekend rate for that part.
+ */
+
+const {
+  getZonedParts,
+  formatDateKey,
+  startOfDay,
+  addDays
+} = require('./dateutils');
+const { LINE_ITEM_TYPE, toCents, createLineItem } = require('./lineItems');
+
+const PRICING_MODELS = ['flat', 'hourly', 'daily', 'tiered'];
+
+const MAX_TIERS = 20;
+const MAX_SEASONS = 50;
+const MAX_SEASON_NAME_LENGTH = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKEND_DAYS = [0, 6];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check a price is a non-negative number
+ * @param {*} price - Value to check
+ * @returns {boolean} Whether it is a valid price
+ */
+const isValidPrice = (price) => typeof price === 'number' && Number.isFinite(price) && price >= 0;
+
+/**
+ * Validate duration tiers
+ * @param {Array} tiers - Tiers to validate
+ * @param {string} label - Where the tiers are (for error messages)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTiers = (tiers, label) => {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    return `${label} must have 1 to ${MAX_TIERS} tiers`;
+  }
+  
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i] || {};
+    const last = i === tiers.length - 1;
+    
+    if (!isValidPrice(tier.price)) {
+      return `Each tier in ${label} needs a price of 0 or more`;
+    }
+    
+    if (tier.upToMinutes === null && last) {
+      continue;
+    }
+    
+    if (!Number.isInteger(tier.upToMinutes) || tier.upToMinutes <= 0) {
+      return `Each tier in ${label} needs upToMinutes as a positive whole number (only the last may be open-ended)`;
+    }
+    
+    if (i > 0 && tier.upToMinutes <= tiers[i - 1].upToMinutes) {
+      return `Tiers in ${label} must be in order of increasing upToMinutes`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a rate override (weekend or season) for a pricing model
+ * @param {Object} rate - { price } or { tiers }
+ * @param {string} model - Pricing model
+ * @param {string} label - Where the rate is (for error messages)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRate = (rate, model, label) => {
+  if (model === 'tiered') {
+    return validateTiers(rate.tiers, `${label} tiers`);
+  }
+  
+  return isValidPrice(rate.price) ? null : `${label} needs a price of 0 or more`;
+};
+
+/**
+ * Validate a listing's pricing settings
+ * @param {Object} pricing - Pricing settings
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePricing = (pricing) => {
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return 'pricing must be an object';
+  }
+  
+  const model = pricing.model || 'flat';
+  
+  if (!PRICING_MODELS.includes(model)) {
+    return `pricing.model must be one of: ${PRICING_MODELS.join(', ')}`;
+  }
+  
+  if (model === 'tiered') {
+    const error = validateTiers(pricing.tiers, 'pricing.tiers');
+    if (error) return error;
+  }
+  
+  if (pricing.weekend !== undefined && pricing.weekend !== null) {
+    if (typeof pricing.weekend !== 'object') {
+      return 'pricing.weekend must be an object';
+    }
+    
+    const error = validateRate(pricing.weekend, model, 'pricing.weekend');
+    if (error) return error;
+  }
+  
+  if (pricing.seasons !== undefined) {
+    if (!Array.isArray(pricing.seasons) || pricing.seasons.length > MAX_SEASONS) {
+      return `pricing.seasons must be an array of at most ${MAX_SEASONS} seasons`;
+    }
+    
+    for (const season of pricing.seasons) {
+      if (!season || !DATE_PATTERN.test(season.startDate) || !DATE_PATTERN.test(season.endDate)) {
+        return 'Each season needs startDate and endDate in YYYY-MM-DD format';
+      }
+      
+      if (season.startDate > season.endDate) {
+        return 'Season endDate must not be before startDate';
+      }
+      
+      if (season.name !== undefined &&
+          (typeof season.name !== 'string' || season.name.length > MAX_SEASON_NAME_LENGTH)) {
+        return `Season names must be at most ${MAX_SEASON_NAME_LENGTH} characters`;
+      }
+      
+      const error = validateRate(season, model, `Season ${season.startDate}`);
+      if (error) return error;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Get the rate that applies on the day containing an instant
+ * @param {Object} listing - Listing document
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Listing's time zone
+ * @returns {Object} { price, tiers, label } (label is null for the normal rate)
+ */
+const getRate = (listing, date, timeZone) => {
+  const pricing = listing.pricing || {};
+  const dateKey = formatDateKey(date, timeZone);
+  const season = (pricing.seasons || []).find(
+    candidate => dateKey >= candidate.startDate && dateKey <= candidate.endDate
+  );
+  
+  if (season) {
+    return { price: season.price, tiers: season.tiers, label: season.name || 'seasonal rate' };
+  }
+  
+  if (pricing.weekend && WEEKEND_DAYS.includes(getZonedParts(date, timeZone).weekday)) {
+    return { price: pricing.weekend.price, tiers: pricing.weekend.tiers, label: 'weekend rate' };
+  }
+  
+  return { price: Number(listing.price) || 0, tiers: pricing.tiers, label: null };
+};
+
+/**
+ * Format a dollar amount for a line item description
+ * @param {number} cents - Amount in cents
+ * @returns {string} e.g. "$40.00"
+ */
+const formatMoney = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+/**
+ * Format a number of minutes as hours for a line item description
+ * @param {number} minutes - Minutes
+ * @returns {string} e.g. "1.5 hours"
+ */
+const formatHours = (minutes) => {
+  const hours = Math.round(minutes / 60 * 100) / 100;
+  
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * Describe a tier for a line item
+ * @param {Object} tier - { upToMinutes }
+ * @returns {string} e.g. "up to 2 hours"
+ */
+const describeTier = (tier) =>
+  (tier.upToMinutes === null ? 'any length' : `up to ${formatHours(tier.upToMinutes)}`);
+
+/**
+ * Merge consecutive periods priced at the same rate
+ * @param {Array} periods - [{ rate, amount }] where amount is minutes or days
+ * @returns {Array} [{ rate, amount }]
+ */
+const groupByRate = (periods) => periods.reduce((groups, period) => {
+  const last = groups[groups.length - 1];
+  
+  if (last && last.rate.label === period.rate.label && last.rate.price === period.rate.price) {
+    last.amount += period.amount;
+  } else {
+    groups.push({ ...period });
+  }
+  
+  return groups;
+}, []);
+
+/**
+ * Split a booking at the listing's midnights into per-day periods
+ * @param {Date} start - Booking start
+ * @param {Date} end - Booking end
+ * @param {string} timeZone - Listing's time zone
+ * @returns {Array} [{ start, end }]
+ */
+const splitByDay = (start, end, timeZone) => {
+  const periods = [];
+  let cursor = start;
+  
+  while (cursor < end) {
+    const nextMidnight = addDays(startOfDay(cursor, timeZone), 1, timeZone);
+    const periodEnd = nextMidnight < end ? nextMidnight : end;
+    
+    periods.push({ start: cursor, end: periodEnd });
+    cursor = periodEnd;
+  }
+  
+  return periods;
+};
+
+/**
+ * Count the days a daily booking is charged for: days run from the start
+ * time to the same time on the listing's clock the next day, so a DST change
+ * doesn't add one, a booking that only crosses midnight is one day and any
+ * part of a further day counts as a whole one
+ * @param {Date} start - Booking start
+ * @param {Date} end - Booking end
+ * @param {string} timeZone - Listing's time zone
+ * @returns {number} Days (at least 1)
+ */
+const countDays = (start, end, timeZone) => {
+  let days = 1;
+  
+  while (addDays(start, days, timeZone) < end) {
+    days += 1;
+  }
+  
+  return days;
+};
+
+/**
+ * Work out a booking's base price as line items
+ * @param {Object} listing - Listing document
+ * @param {Object} booking - { startTime, endTime, partySize }
+ * @param {string} timeZone - Listing's time zone
+ * @returns {Object} { lineItems } or { error } when no tier covers the booking
+ */
+const quoteBasePrice = (listing, booking, timeZone) => {
+  const model = (listing.pricing && listing.pricing.model) || 'flat';
+  const start = new Date(booking.startTime);
+  const end = new Date(booking.endTime);
+  const title = listing.title || 'Booking';
+  // Per-seat listings charge each seat the base price
+  const quantity = listing.pricePerSeat ? booking.partySize || 1 : 1;
+  const withLabel = (description, rate) => (rate.label ? `${description} (${rate.label})` : description);
+  const line = (description, cents) => createLineItem(LINE_ITEM_TYPE.BASE, description, cents / 100, quantity);
+  
+  if (model === 'hourly') {
+    const groups = groupByRate(splitByDay(start, end, timeZone).map(period => ({
+      rate: getRate(listing, period.start, timeZone),
+      amount: (period.end - period.start) / MINUTE_MS
+    })));
+    
+    return {
+      lineItems: groups.map(({ rate, amount: minutes }) => line(
+        withLabel(`${title} · ${formatHours(minutes)} at ${formatMoney(toCents(rate.price))}/hour`, rate),
+        Math.round(toCents(rate.price) * minutes / 60)
+      ))
+    };
+  }
+  
+  if (model === 'daily') {
+    const days = countDays(start, end, timeZone);
+    const groups = groupByRate(Array.from({ length: days }, (_, i) => ({
+      rate: getRate(listing, addDays(start, i, timeZone), timeZone),
+      amount: 1
+    })));
+    
+    return {
+      lineItems: groups.map(({ rate, amount: count }) => line(
+        withLabel(`${title} · ${count} ${count === 1 ? 'day' : 'days'} at ${formatMoney(toCents(rate.price))}/day`, rate),
+        toCents(rate.price) * count
+      ))
+    };
+  }
+  
+  const rate = getRate(listing, start, timeZone);
+  
+  if (model === 'tiered') {
+    const minutes = (end - start) / MINUTE_MS;
+    const tier = rate.tiers.find(candidate => candidate.upToMinutes === null || minutes <= candidate.upToMinutes);
+    
+    if (!tier) {
+      return { error: `No price is set for bookings longer than ${formatHours(rate.tiers[rate.tiers.length - 1].upToMinutes)}` };
+    }
+    
+    return { lineItems: [line(withLabel(`${title} · ${describeTier(tier)}`, rate), toCents(tier.price))] };
+  }
+  
+  return { lineItems: [line(withLabel(title, rate), toCents(rate.price))] };
+};
+
+module.exports = {
+  PRICING_MODELS,
+  validatePricing,
+  quoteBasePrice
+};
@@ -0,0 +1,262 @@
+/**
+ * RRULE-style recurrence rules for booking series
+ *
+ * Rule shape:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *   interval: 1,                 // every N days/weeks/months/years
+ *   count: 10,                   // number of occurrences, and/or
+ *   until: '2030-06-30',         // last day (inclusive) or ISO timestamp
+ *   byWeekday: ['MO', 'WE']      // weekly: days of the week (defaults to the first
+ *                                // occurrence's weekday); monthly: weekdays of the
+ *                                // month, optionally numbered ('2TU', '-1FR')
+ * }
+ *
+ * Occurrences are expanded in the listing's time zone, so a 09:00 weekly
+ * booking stays at 09:00 wall-clock time across DST changes.
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  addDays,
+  endOfDay,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('./dateutils');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Weekdays in RRULE order (weeks start on Monday)
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Upper bound on occurrences in one series
+const MAX_OCCURRENCES = 100;
+
+// Upper bound on periods scanned, so sparse rules cannot loop forever
+const MAX_PERIODS = 1000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Optional ordinal (1 to 5, negative counts from the end) and weekday
+const BY_WEEKDAY_PATTERN = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+/**
+ * Check a byWeekday list against the rule frequency
+ * @param {string} frequency - Rule frequency
+ * @param {Array} byWeekday - Weekday entries
+ * @returns {boolean} Whether the list is usable
+ */
+const isValidByWeekday = (frequency, byWeekday) => {
+  if (!Array.isArray(byWeekday) || byWeekday.length === 0) {
+    return false;
+  }
+  
+  if (frequency === 'weekly') {
+    return byWeekday.every(day => WEEKDAYS.includes(day));
+  }
+  
+  if (frequency === 'monthly') {
+    return byWeekday.every(day => typeof day === 'string' && BY_WEEKDAY_PATTERN.test(day));
+  }
+  
+  return false;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - Recurrence rule
+ * @returns {string|null} Error message or null if valid
+ */
+const validateRecurrenceRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'Recurrence rule must be an object';
+  }
+  
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  
+  if (rule.interval !== undefined &&
+      (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99)) {
+    return 'Recurrence interval must be a whole number between 1 and 99';
+  }
+  
+  if (rule.count === undefined && rule.until === undefined) {
+    return 'Recurrence needs a count or an until date';
+  }
+  
+  if (rule.count !== undefined &&
+      (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+  
+  if (rule.until !== undefined && isNaN(new Date(rule.until).getTime())) {
+    return 'Recurrence until must be a valid date';
+  }
+  
+  if (rule.byWeekday !== undefined) {
+    if (rule.frequency !== 'weekly' && rule.frequency !== 'monthly') {
+      return 'byWeekday is only supported for weekly and monthly recurrence';
+    }
+    
+    if (!isValidByWeekday(rule.frequency, rule.byWeekday)) {
+      return rule.frequency === 'weekly'
+        ? `byWeekday must list days from: ${WEEKDAYS.join(', ')}`
+        : 'byWeekday must list days such as TU, 2TU or -1FR';
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Resolve the rule's until value to the last instant an occurrence may start
+ * @param {string} [until] - Date (inclusive) or timestamp
+ * @param {string} timeZone - IANA time zone a date-only value is read in
+ * @returns {Date|null} Cut-off or null
+ */
+const resolveUntil = (until, timeZone) => {
+  if (!until) return null;
+  
+  if (DATE_ONLY_PATTERN.test(until)) {
+    const [year, month, day] = until.split('-').map(Number);
+    return endOfDay(zonedTimeToUtc({ year, month, day }, timeZone), timeZone);
+  }
+  
+  return new Date(until);
+};
+
+/**
+ * Get the days of a month matching byWeekday entries such as 'TU', '2TU' or '-1FR'
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Array} byWeekday - Weekday entries
+ * @returns {Array} Sorted days of the month
+ */
+const getMonthDaysByWeekday = (year, month, byWeekday) => {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const days = new Set();
+  
+  byWeekday.forEach(entry => {
+    const [, ordinal, weekday] = entry.match(BY_WEEKDAY_PATTERN);
+    const matching = [];
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (WEEKDAYS[(new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7] === weekday) {
+        matching.push(day);
+      }
+    }
+    
+    if (!ordinal) {
+      matching.forEach(day => days.add(day));
+      return;
+    }
+    
+    const position = Number(ordinal);
+    const day = position > 0 ? matching[position - 1] : matching[matching.length + position];
+    
+    if (day) {
+      days.add(day);
+    }
+  });
+  
+  return Array.from(days).sort((a, b) => a - b);
+};
+
+/**
+ * Expand a recurrence rule into concrete occurrences
+ * @param {Object} rule - Recurrence rule (validated)
+ * @param {string} startTime - First occurrence start (ISO string)
+ * @param {string} endTime - First occurrence end (ISO string)
+ * @param {string} [timeZone] - IANA time zone the series repeats in
+ * @param {Object} [window] - Limit the output to a time window (for open-ended rules)
+ * @param {Date|string} [window.from] - Only return occurrences ending after this
+ * @param {Date|string} [window.to] - Stop at occurrences starting at or after this
+ * @param {number} [window.maxOccurrences] - Cap on returned occurrences (default MAX_OCCURRENCES)
+ * @param {number} [window.maxPeriods] - Cap on days/weeks/months scanned (default MAX_PERIODS)
+ * @returns {Array} Array of { startTime, endTime } ISO strings
+ */
+const expandRecurrence = (rule, startTime, endTime, timeZone = DEFAULT_TIMEZONE, window = {}) => {
+  const first = new Date(startTime);
+  const firstParts = getZonedParts(first, timeZone);
+  const durationMs = new Date(endTime) - first;
+  const interval = rule.interval || 1;
+  const until = resolveUntil(rule.until, timeZone);
+  const windowStart = window.from ? new Date(window.from) : null;
+  const windowEnd = window.to ? new Date(window.to) : null;
+  const maxOccurrences = window.maxOccurrences || MAX_OCCURRENCES;
+  const maxPeriods = window.maxPeriods || MAX_PERIODS;
+  const occurrences = [];
+  let generated = 0;
+  
+  // Returns false once the series is complete. Occurrences before the
+  // window still count towards the rule's count.
+  const add = (start) => {
+    if ((until && start > until) || (windowEnd && start >= windowEnd)) {
+      return false;
+    }
+    
+    if (start < first) {
+      return true;
+    }
+    
+    generated++;
+    const end = new Date(start.getTime() + durationMs);
+    
+    if (!windowStart || end > windowStart) {
+      occurrences.push({
+        startTime: start.toISOString(),
+        endTime: end.toISOString()
+      });
+    }
+    
+    return (!rule.count || generated < rule.count) && occurrences.length < maxOccurrences;
+  };
+  
+  for (let period = 0; period < maxPeriods; period++) {
+    let keepGoing = true;
+    
+    if (rule.frequency === 'daily') {
+      keepGoing = add(addDays(first, period * interval, timeZone));
+    } else if (rule.frequency === 'weekly') {
+      const firstWeekday = (firstParts.weekday + 6) % 7;
+      const weekdays = rule.byWeekday || [WEEKDAYS[firstWeekday]];
+      const weekStart = addDays(first, -firstWeekday + period * 7 * interval, timeZone);
+      const dayOffsets = weekdays.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+      
+      for (const offset of dayOffsets) {
+        keepGoing = add(addDays(weekStart, offset, timeZone));
+        if (!keepGoing) break;
+      }
+    } else {
+      // Monthly (or every 12 months for yearly) on the same day of the month,
+      // or on the byWeekday days; months without that day are skipped
+      const monthStep = rule.frequency === 'yearly' ? 12 * interval : interval;
+      const monthIndex = firstParts.month - 1 + period * monthStep;
+      const year = firstParts.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const days = rule.frequency === 'monthly' && rule.byWeekday
+        ? getMonthDaysByWeekday(year, month, rule.byWeekday)
+        : [firstParts.day].filter(day => day <= daysInMonth);
+      
+      for (const day of days) {
+        keepGoing = add(zonedTimeToUtc({ ...firstParts, year, month, day }, timeZone));
+        if (!keepGoing) break;
+      }
+    }
+    
+    if (!keepGoing) break;
+  }
+  
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  isValidByWeekday,
+  validateRecurrenceRule,
+  expandRecurrence
+};